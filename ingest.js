@@ -3,6 +3,9 @@
  *   · loads the ML models once per process
  *   · feeds images to the proper pipeline with a small concurrency pool
  *     (override with --parallel N or env PHT_PARALLEL / INGEST_PARALLEL)
+ *   · hashes every input first (perceptual hash) and writes
+ *     output/ingest-report.json listing near-duplicate copies; with
+ *     --skip-duplicates (or INGEST_SKIP_DUPLICATES=1) they are not processed
  *******************************************************************/
 
 import 'dotenv/config'; // load .env before reading env vars
@@ -18,12 +21,18 @@ import { processImage as runSingle } from './src/single/Main.js';
 import { processImage as runTiled } from './src/tiled/TiledMLMain.js';
 import { logger } from './src/common/logger.js';
 import { ensureDefaultSlimJson } from './src/common/env-defaults.js';
+import {
+  defaultMaxDistance,
+  findNearDuplicates,
+  perceptualHash,
+} from './src/common/phash.js';
 
 // Default: no slimming unless user explicitly opts in (PHT_SLIM_JSON=1|true|yes)
 ensureDefaultSlimJson('ingest');
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const IN_DIR = path.join(__dirname, 'input-images');
+const OUT_DIR = path.join(process.cwd(), 'output');
 const SIZE_LIMIT = 4000 * 3000; // 12 MP  (adjustable)
 
 /* simple promise pool ------------------------------------------- */
@@ -70,6 +79,11 @@ async function pool(items, limit, fn) {
     facePrivacy = /^(1|true|on|yes)$/i.test(String(process.env.FACE_PRIVACY));
   }
 
+  // --strip-gps: keep EXIF/XMP GPS out of every manifest (or STRIP_GPS=1)
+  const stripGps = argv.includes('--strip-gps') ? true : undefined;
+  // --no-auto-orient: keep pixels as stored in the file, ignoring EXIF orientation (or AUTO_ORIENT=0)
+  const autoOrient = argv.includes('--no-auto-orient') ? false : undefined;
+
   // Concurrency: default one image per core; allow override via CLI/env
   let parallel = os.cpus().length;
   const parIdx = argv.indexOf('--parallel');
@@ -93,9 +107,63 @@ async function pool(items, limit, fn) {
     return;
   }
 
+  // --skip-duplicates / --dup-distance <bits>: near-duplicate handling (see phash.js)
+  const skipDuplicates =
+    argv.includes('--skip-duplicates') ||
+    /^(1|true|yes)$/i.test(process.env.INGEST_SKIP_DUPLICATES || '');
+  let maxDistance = defaultMaxDistance();
+  const dIdx = argv.indexOf('--dup-distance');
+  if (dIdx !== -1) {
+    const v = parseInt(argv[dIdx + 1], 10);
+    if (Number.isFinite(v) && v >= 0) maxDistance = v;
+  }
+
+  /* perceptual hashes first, so copies can be flagged before any ML runs */
+  const inputs = [];
   await pool(files, parallel, async (fn) => {
     const full = path.join(IN_DIR, fn);
     const { width, height } = await sharp(full).metadata();
+    inputs.push({
+      file: fn,
+      width,
+      height,
+      perceptualHash: await perceptualHash(full),
+    });
+  });
+  inputs.sort((a, b) => files.indexOf(a.file) - files.indexOf(b.file));
+  const duplicates = findNearDuplicates(inputs, { maxDistance });
+  for (const d of duplicates)
+    logger.warn(
+      `${d.item.file} looks like a copy of ${d.duplicateOf.file} (${d.distance} bits apart)${skipDuplicates ? ' – skipped' : ''}`,
+    );
+  const skipped = new Set(
+    skipDuplicates ? duplicates.map((d) => d.item.file) : [],
+  );
+  await fs.mkdir(OUT_DIR, { recursive: true });
+  await fs.writeFile(
+    path.join(OUT_DIR, 'ingest-report.json'),
+    JSON.stringify(
+      {
+        generatedAt: new Date().toISOString(),
+        maxDistance,
+        images: inputs,
+        nearDuplicates: duplicates.map((d) => ({
+          file: d.item.file,
+          duplicateOf: d.duplicateOf.file,
+          distance: d.distance,
+        })),
+        skipped: [...skipped],
+      },
+      null,
+      2,
+    ),
+  );
+
+  const todo = inputs.filter((i) => !skipped.has(i.file));
+  await pool(todo, parallel, async (input) => {
+    const fn = input.file;
+    const full = path.join(IN_DIR, fn);
+    const { width, height } = input;
     const pixels = width * height;
     const useTiled = pixels > SIZE_LIMIT;
 
@@ -104,9 +172,24 @@ async function pool(items, limit, fn) {
     );
 
     if (useTiled)
-      await runTiled(full, { performanceProfile: profile, facePrivacy });
-    else await runSingle(full, { performanceProfile: profile, facePrivacy });
+      await runTiled(full, {
+        performanceProfile: profile,
+        facePrivacy,
+        stripGps,
+        autoOrient,
+        perceptualHash: input.perceptualHash,
+      });
+    else
+      await runSingle(full, {
+        performanceProfile: profile,
+        facePrivacy,
+        stripGps,
+        autoOrient,
+        perceptualHash: input.perceptualHash,
+      });
   });
 
-  logger.info(`ingest done (parallel=${parallel})`);
+  logger.info(
+    `ingest done (parallel=${parallel}, ${duplicates.length} near-duplicate(s)${skipped.size ? `, ${skipped.size} skipped` : ''})`,
+  );
 })();
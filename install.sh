@@ -23,6 +23,20 @@ MISTRAL_SHA256="c0fff3ee02f4b8f7296fbb560155b68a13644b12b9e1e761744c05fb637ade7c
 ORCA_FILE="orca-mini-3b-gguf2-q4_0.gguf"
 ORCA_SHA256="4c876b7b0994294c677a6a1b375a0c618270f456585b42e443665ca4b89f917a"
 LLM_MODEL="mistral"   # logical name: mistral|orca|<custom .gguf filename>
+DOWNLOAD_TFJS=1
+# TF.js graph models for the pipelines (keep in sync with src/common/tfjs-models.js).
+# Each lands in $MODELS_DIR/tfjs/<name>/ with a SHA256SUMS file the loaders verify.
+TFJS_COCO_URL="https://storage.googleapis.com/tfjs-models/savedmodel/ssdlite_mobilenet_v2/model.json"
+TFJS_DEEPLAB_URL="https://tfhub.dev/tensorflow/tfjs-model/deeplab/ade20k/1/quantized/2/1/model.json?tfjs-format=file"
+TFJS_FACE_URL="https://tfhub.dev/mediapipe/tfjs-model/face_detection/short/1/model.json?tfjs-format=file"
+# Expected sums of each model's files (`sha256sum model.json *.bin` of a known-good copy, one
+# "<sha256>  <file>" line per file). Downloads are checked against them and the install stops
+# on a mismatch. Update ONLY if you intentionally change a model; the environment may set them.
+# A model without pinned sums is not downloaded (warning only); the pipelines then load it
+# from its hosted URL, as they do for any model that was never installed.
+TFJS_COCO_SHA256SUMS="${TFJS_COCO_SHA256SUMS:-}"
+TFJS_DEEPLAB_SHA256SUMS="${TFJS_DEEPLAB_SHA256SUMS:-}"
+TFJS_FACE_SHA256SUMS="${TFJS_FACE_SHA256SUMS:-}"
 
 usage() {
   cat <<EOF
@@ -40,6 +54,7 @@ Options:
   --slim-json              Write PHT_SLIM_JSON=1 into .env (default off)
   --skip-mistral           Do not download mistral model
   --skip-orca              Do not download orca model
+  --skip-tfjs-models       Do not download the TF.js detection/segmentation/face models
   --quiet                  Reduced output (essential steps only)
   --help                   Show this help
 
@@ -66,6 +81,7 @@ while [[ $# -gt 0 ]]; do
   --skip-node) INSTALL_NODE=0; shift;;
   --skip-mistral) DOWNLOAD_MISTRAL=0; shift;;
   --skip-orca) DOWNLOAD_ORCA=0; shift;;
+  --skip-tfjs-models) DOWNLOAD_TFJS=0; shift;;
   --quiet) QUIET=1; shift;;
   --devcontainer) GENERATE_DEVCONTAINER=1; shift;;
   --devcontainer-overwrite) GENERATE_DEVCONTAINER=1; DEVCONTAINER_OVERWRITE=1; shift;;
@@ -85,6 +101,7 @@ log "-------------------------------"
 log "Generate devcontainer: $GENERATE_DEVCONTAINER"
 log "Download Mistral : $([[ $DOWNLOAD_MISTRAL -eq 1 ]] && echo yes || echo no)"
 log "Download Orca    : $([[ $DOWNLOAD_ORCA -eq 1 ]] && echo yes || echo no)"
+log "TF.js models     : $([[ $DOWNLOAD_TFJS -eq 1 ]] && echo yes || echo no)"
 log "Whisper model    : $WHISPER_MODEL (nodejs-whisper)"
 log "Timeout (ms)     : $TIMEOUT_MS"
 log "Perf profile     : $PERF_PROFILE"
@@ -333,6 +350,72 @@ elif [[ $DOWNLOAD_ORCA -eq 1 ]]; then
 fi
  # (both models already downloaded above)
 
+# TF.js graph models: model.json plus the weight shards it lists, each checked against the
+# pinned sums, which become the model's SHA256SUMS. An existing SHA256SUMS (e.g. copied from
+# a trusted machine) is checked, not rewritten.
+download_tfjs_model () {
+  local name="$1"
+  local url="$2"
+  local pinned="$3"
+  local dir="$MODELS_DIR/tfjs/$name"
+  local base="${url%%\?*}"
+  base="${base%/model.json}"
+  local query=""
+  if [[ "$url" == *\?* ]]; then query="?${url#*\?}"; fi
+  if [[ -f "$dir/SHA256SUMS" ]]; then
+    echo "  - Verifying TF.js model $name ..."
+    if (cd "$dir" && sha256sum --quiet -c SHA256SUMS); then
+      echo "  - Hash OK"
+      return 0
+    fi
+    echo "ERROR: Hash mismatch in $dir (see above). Remove the directory to download it again." >&2
+    exit 1
+  fi
+  if [[ -z "$pinned" ]]; then
+    warn "No pinned SHA256 sums for TF.js model $name; skipping it (the pipelines load it from $url)."
+    warn "  To install it locally, set its TFJS_*_SHA256SUMS in install.sh (or the environment) from a known-good copy."
+    return 0
+  fi
+  # expected digest of one file, from the pinned sums
+  tfjs_pin () { awk -v f="$1" '$2 == f || $2 == "*" f { print $1 }' <<<"$pinned"; }
+  # check one downloaded file; on a mismatch remove the model and stop
+  tfjs_check () {
+    local want have
+    want=$(tfjs_pin "$1")
+    have=$(sha256sum "$dir/$1.part" | awk '{print $1}')
+    if [[ -z "$want" || "$have" != "$want" ]]; then
+      echo "ERROR: Hash mismatch for $name/$1" >&2
+      echo "  Expected: ${want:-<not pinned>}" >&2
+      echo "  Actual  : $have" >&2
+      echo "  The download will be removed to avoid using a corrupt/unexpected model." >&2
+      rm -rf "$dir"
+      exit 1
+    fi
+    mv "$dir/$1.part" "$dir/$1"
+  }
+  echo "  - Downloading TF.js model $name ..."
+  mkdir -p "$dir"
+  curl -L --fail -sS "$url" -o "$dir/model.json.part"
+  # model.json names the shards, so it is checked before they are fetched
+  tfjs_check model.json
+  local shards
+  shards=$(node -e 'const m = JSON.parse(require("fs").readFileSync(process.argv[1], "utf8")); for (const g of m.weightsManifest || []) for (const p of g.paths) console.log(p);' "$dir/model.json")
+  local shard
+  for shard in $shards; do
+    curl -L --fail -sS "$base/$shard$query" -o "$dir/$shard.part"
+    tfjs_check "$shard"
+  done
+  printf '%s\n' "$pinned" | sed '/^[[:space:]]*$/d' > "$dir/SHA256SUMS"
+  echo "  - Hash OK; saved to $dir ($(echo $shards | wc -w) weight shards)"
+}
+if [[ $DOWNLOAD_TFJS -eq 1 ]]; then
+  download_tfjs_model coco-ssd "$TFJS_COCO_URL" "$TFJS_COCO_SHA256SUMS"
+  download_tfjs_model deeplab-ade20k "$TFJS_DEEPLAB_URL" "$TFJS_DEEPLAB_SHA256SUMS"
+  download_tfjs_model face-detection "$TFJS_FACE_URL" "$TFJS_FACE_SHA256SUMS"
+else
+  log "  - Skipping TF.js models (copy $MODELS_DIR/tfjs over from a machine where they were installed)"
+fi
+
 # -------------------------------------------------------------
 # .env file
 # -------------------------------------------------------------
@@ -345,6 +428,10 @@ cat > .env <<EOF
 # Auto-generated by install.sh
 LLM_TIMEOUT_MS=$TIMEOUT_MS
 MODELS_DIR=$MODELS_DIR
+# Local TF.js models for the pipelines; one that was never installed loads from its hosted URL,
+# an installed one that went missing stops the run (TFJS_ALLOW_HOSTED=1|0 allows/forbids hosted always)
+TFJS_MODELS_DIR=$MODELS_DIR/tfjs
+# TFJS_ALLOW_HOSTED=1
 WHISPER_MODEL=$WHISPER_MODEL
 LLM_MODEL=$LLM_MODEL
 # Generation tuning (lower n-predict for faster CPU; lower temp for stability)
@@ -398,7 +485,8 @@ if [[ $QUIET -eq 0 ]]; then
   echo "  2) (Optional) Run tests:   npm run test:ci   # fast core" 
   echo "                         or npm run test:all  # full suite"
   echo "  3) (Optional) Run: node src/voice/transcribe.js tests/hello.wav  # builds whisper CLI & outputs readiness JSON"
-  echo "  4) Confirm models present in ./models (if not skipped)"
+  echo "  4) Confirm models present in ./models (if not skipped); TF.js models are in $MODELS_DIR/tfjs"
+  echo "     For an offline machine: copy $MODELS_DIR over (the pipelines never download models by default)"
   echo "  5) Privacy blur is integrated; no extra downloads required. Use the UI toggle or add ?blur=1 to /getTile."
   echo
   echo "If you added models here, ensure your VoiceService.js uses:"
@@ -0,0 +1,104 @@
+// bundle.js
+//
+// Purpose: Export a processed image as one portable `.sikg` file, or verify and mount such a
+// file into output/ (see src/common/bundle.js for the layout and the checks).
+//
+// Usage
+//   node src/cli/bundle.js export <manifest.json> [--out <file.sikg>] [--no-original] [--no-rdf]
+//   node src/cli/bundle.js import <file.sikg> [--out-dir output] [--images input-images] [--overwrite]
+//
+// Export writes `<name>.sikg` next to the manifest unless --out is given. The original is
+// looked up in input-images/ (--images overrides).
+
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { BUNDLE_EXT, importBundle, writeBundle } from '../common/bundle.js';
+
+const OUT_DIR = path.join(process.cwd(), 'output');
+const INPUT_DIR = path.join(process.cwd(), 'input-images');
+
+/**
+ * Write a `.sikg` bundle for a manifest.
+ * @param {string} jsonPath
+ * @param {string} [outPath] - default `<manifest dir>/<name>.sikg`
+ * @param {{imageDir?:string, original?:boolean, rdf?:boolean}} [options]
+ * @returns {Promise<{path:string, bundle:object}>}
+ */
+export async function exportBundle(jsonPath, outPath, options = {}) {
+  const target =
+    outPath ||
+    path.join(
+      path.dirname(jsonPath),
+      `${path.basename(jsonPath, '.json')}${BUNDLE_EXT}`,
+    );
+  const bundle = await writeBundle(jsonPath, fs.createWriteStream(target), {
+    imageDir: INPUT_DIR,
+    ...options,
+  });
+  return { path: target, bundle };
+}
+
+/**
+ * Verify a `.sikg` file and mount it.
+ * @param {string} bundlePath
+ * @param {{outDir?:string, imageDir?:string, overwrite?:boolean}} [options]
+ */
+export async function mountBundle(bundlePath, options = {}) {
+  return importBundle(fs.createReadStream(bundlePath), {
+    outDir: OUT_DIR,
+    imageDir: INPUT_DIR,
+    ...options,
+  });
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const args = process.argv.slice(2);
+  const opt = (name) => {
+    const i = args.indexOf(name);
+    return i !== -1 ? args[i + 1] : undefined;
+  };
+  const valued = new Set(['--out', '--out-dir', '--images']);
+  const [command, file] = args.filter(
+    (a, i) => !a.startsWith('--') && !valued.has(args[i - 1]),
+  );
+  const usage =
+    'Usage: node src/cli/bundle.js export <manifest.json> [--out <file.sikg>] [--no-original] [--no-rdf]\n' +
+    '       node src/cli/bundle.js import <file.sikg> [--out-dir output] [--images input-images] [--overwrite]';
+  if (!['export', 'import'].includes(command) || !file) {
+    console.error(usage);
+    process.exit(1);
+  }
+  const images = opt('--images') && path.resolve(opt('--images'));
+  (async () => {
+    if (command === 'export') {
+      const { path: out, bundle } = await exportBundle(
+        path.resolve(file),
+        opt('--out') && path.resolve(opt('--out')),
+        {
+          ...(images ? { imageDir: images } : {}),
+          original: !args.includes('--no-original'),
+          rdf: !args.includes('--no-rdf'),
+        },
+      );
+      process.stdout.write(`wrote ${out} (${bundle.files.length} file(s))\n`);
+      for (const f of bundle.files)
+        process.stdout.write(
+          `  ${f.role.padEnd(9)} ${f.path}  ${f.size} bytes\n`,
+        );
+      return;
+    }
+    const r = await mountBundle(path.resolve(file), {
+      ...(opt('--out-dir') ? { outDir: path.resolve(opt('--out-dir')) } : {}),
+      ...(images ? { imageDir: images } : {}),
+      overwrite: args.includes('--overwrite'),
+    });
+    process.stdout.write(
+      `mounted ${r.name} → ${r.manifest} (${r.files.length} file(s), ${r.tilesVerified} tile hash(es) verified)\n`,
+    );
+  })().catch((e) => {
+    console.error(`bundle ${command} failed:`, e.message);
+    process.exit(1);
+  });
+}
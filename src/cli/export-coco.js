@@ -0,0 +1,76 @@
+// export-coco.js
+//
+// Purpose: Export regions as a COCO detection dataset (see src/common/coco-export.js).
+// Manifests are loaded through GlobalRegistry, so one file and a whole output/ folder go
+// through the same path (older manifests are migrated in memory on load).
+//
+// Usage
+//   node src/cli/export-coco.js [file-or-dir ...] [--out <coco.json>] [--images <dir>]
+//                               [--include-deleted] [--exclude-faces] [--manual-only]
+//                               [--original-frame]
+//   npm run export:coco                  # every manifest under output/ → output/coco.json
+//
+// --images is where file_name is looked up (default input-images/). --original-frame
+// writes coordinates on the file's own pixel grid (EXIF orientation undone).
+
+import 'dotenv/config';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { pathToFileURL } from 'url';
+import GlobalRegistry from '../global/GlobalRegistry.js';
+import { cocoFromRegistry } from '../common/coco-export.js';
+import { collectManifests } from './manifest-files.js';
+
+const OUT_DIR = path.join(process.cwd(), 'output');
+const INPUT_DIR = path.join(process.cwd(), 'input-images');
+
+/**
+ * Load the manifests under `targets` and build one COCO dataset.
+ * @param {string[]} targets - manifest files and/or directories
+ * @param {Parameters<typeof cocoFromRegistry>[1]} [options]
+ * @returns {Promise<object>} COCO JSON
+ */
+export async function exportCoco(targets, options = {}) {
+  const files = await collectManifests(targets);
+  if (!files.length) throw new Error('no manifests found');
+  const registry = new GlobalRegistry();
+  for (const f of files) await registry.loadSource(f);
+  return cocoFromRegistry(registry, { imageDir: INPUT_DIR, ...options });
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const args = process.argv.slice(2);
+  const opt = (name) => {
+    const i = args.indexOf(name);
+    return i !== -1 ? args[i + 1] : undefined;
+  };
+  if (args.includes('--help')) {
+    process.stdout.write(
+      'Usage: node src/cli/export-coco.js [file-or-dir ...] [--out <coco.json>] [--images <dir>] [--include-deleted] [--exclude-faces] [--manual-only] [--original-frame]\n',
+    );
+    process.exit(0);
+  }
+  const valued = new Set(['--out', '--images']);
+  const targets = args.filter(
+    (a, i) => !a.startsWith('--') && !valued.has(args[i - 1]),
+  );
+  const outPath = path.resolve(opt('--out') || path.join(OUT_DIR, 'coco.json'));
+  exportCoco(targets.length ? targets : [OUT_DIR], {
+    includeDeleted: args.includes('--include-deleted'),
+    excludeFaces: args.includes('--exclude-faces'),
+    manualOnly: args.includes('--manual-only'),
+    frame: args.includes('--original-frame') ? 'original' : 'stored',
+    ...(opt('--images') ? { imageDir: path.resolve(opt('--images')) } : {}),
+  })
+    .then(async (coco) => {
+      await fs.mkdir(path.dirname(outPath), { recursive: true });
+      await fs.writeFile(outPath, JSON.stringify(coco, null, 2), 'utf-8');
+      process.stdout.write(
+        `wrote ${path.relative(process.cwd(), outPath)}: ${coco.images.length} image(s), ${coco.annotations.length} annotation(s), ${coco.categories.length} categor${coco.categories.length === 1 ? 'y' : 'ies'}\n`,
+      );
+    })
+    .catch((e) => {
+      console.error('export-coco failed:', e.message);
+      process.exit(1);
+    });
+}
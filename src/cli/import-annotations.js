@@ -0,0 +1,139 @@
+// import-annotations.js
+//
+// Purpose: Import ground-truth boxes (COCO JSON, Pascal VOC XML, YOLO TXT) into an existing
+// manifest as manual regions (see src/common/annotation-import.js). The manifest is loaded
+// with lazy pixels and written back through its own serializer, so pixel files are not
+// rewritten and preserved sections/signing behave as on any other save.
+//
+// Usage
+//   node src/cli/import-annotations.js <manifest.json> <annotations> [--format coco|voc|yolo]
+//        [--classes classes.txt|data.yaml] [--image <file_name>] [--relationships] [--dry-run]
+//
+// --image picks the COCO image (default: the one named like the manifest);
+// --relationships re-runs near/contains/overlaps linking over all regions after import.
+
+import 'dotenv/config';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { pathToFileURL } from 'url';
+import Serializer from '../common/Serializer.js';
+import TiledMLSerializer from '../tiled/TiledMLSerializer.js';
+import { manifestImageSize } from '../common/coco-export.js';
+import {
+  FORMATS,
+  addManualRegions,
+  detectFormat,
+  parseAnnotations,
+  parseClassNames,
+} from '../common/annotation-import.js';
+import { logger } from '../common/logger.js';
+
+/**
+ * Load a manifest (single or tiled) with lazy pixels, plus a save() that writes it back
+ * through the same serializer.
+ */
+async function openManifest(jsonPath) {
+  const raw = JSON.parse(await fs.readFile(jsonPath, 'utf-8'));
+  if (Array.isArray(raw.tileManifest)) {
+    const { tiles, metadataIndex, regionManager } =
+      await TiledMLSerializer.load(jsonPath, { lazy: true });
+    return {
+      raw,
+      metadataIndex,
+      regionManager,
+      save: () =>
+        TiledMLSerializer.save(tiles, metadataIndex, regionManager, jsonPath),
+    };
+  }
+  const { pixelMatrix, metadataIndex, regionManager } =
+    await new Serializer().load(jsonPath, { lazy: true });
+  return {
+    raw,
+    metadataIndex,
+    regionManager,
+    save: () =>
+      new Serializer(pixelMatrix, metadataIndex, regionManager).save(jsonPath),
+  };
+}
+
+/**
+ * Import an annotation file into a manifest in place.
+ * @param {string} jsonPath
+ * @param {string} annotationPath
+ * @param {{format?:string, classes?:string[], fileName?:string, relationships?:boolean,
+ *          spatialOptions?:object, dryRun?:boolean}} [options]
+ * @returns {Promise<{format:string, added:Array<{id:string,label:string,uri:string}>, skipped:number}>}
+ */
+export async function importAnnotations(
+  jsonPath,
+  annotationPath,
+  options = {},
+) {
+  const format = options.format || detectFormat(annotationPath);
+  if (!FORMATS.includes(format))
+    throw new Error(
+      `Cannot tell the format of ${annotationPath}; pass --format ${FORMATS.join('|')}`,
+    );
+  const imageName = path.basename(jsonPath, '.json');
+  const m = await openManifest(jsonPath);
+  const { width, height } = manifestImageSize(m.raw);
+  const boxes = parseAnnotations(
+    await fs.readFile(annotationPath, 'utf-8'),
+    format,
+    { ...options, imageName, width, height },
+  );
+  const { added, skipped } = addManualRegions(
+    m.regionManager,
+    m.metadataIndex,
+    boxes,
+    { ...options, imageName, width, height, format },
+  );
+  if (!options.dryRun && added.length) await m.save();
+  logger.info(
+    `import-annotations: ${added.length} ${format} box(es) → ${jsonPath} (${skipped} skipped)`,
+  );
+  return { format, added, skipped };
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const args = process.argv.slice(2);
+  const opt = (name) => {
+    const i = args.indexOf(name);
+    return i !== -1 ? args[i + 1] : undefined;
+  };
+  const valued = new Set(['--format', '--classes', '--image']);
+  const [manifest, annotations] = args.filter(
+    (a, i) => !a.startsWith('--') && !valued.has(args[i - 1]),
+  );
+  if (!manifest || !annotations || args.includes('--help')) {
+    process.stdout.write(
+      'Usage: node src/cli/import-annotations.js <manifest.json> <annotations> [--format coco|voc|yolo] [--classes <file>] [--image <file_name>] [--relationships] [--dry-run]\n',
+    );
+    process.exit(args.includes('--help') ? 0 : 1);
+  }
+  (async () => {
+    const classesFile = opt('--classes');
+    const classes = classesFile
+      ? parseClassNames(await fs.readFile(classesFile, 'utf-8'), classesFile)
+      : undefined;
+    const dryRun = args.includes('--dry-run');
+    const r = await importAnnotations(
+      path.resolve(manifest),
+      path.resolve(annotations),
+      {
+        format: opt('--format'),
+        classes,
+        fileName: opt('--image'),
+        relationships: args.includes('--relationships'),
+        dryRun,
+      },
+    );
+    process.stdout.write(
+      `${dryRun ? 'would import' : 'imported'} ${r.added.length} ${r.format} box(es) into ${manifest}${r.skipped ? ` (${r.skipped} skipped: empty or already present)` : ''}\n`,
+    );
+    for (const a of r.added) process.stdout.write(`  ${a.id}  ${a.label}\n`);
+  })().catch((e) => {
+    console.error('import-annotations failed:', e.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,61 @@
+// manifest-files.js
+//
+// Purpose: Shared file discovery for the maintenance commands: expand files/directories into
+// JSON paths and tell manifests apart from other JSON that lives in output/ (eval reports,
+// raw model dumps, exports).
+
+import path from 'path';
+import { promises as fs } from 'fs';
+
+// A manifest is any JSON object with region/pixel sections (skips eval reports, raw dumps…)
+export function looksLikeManifest(data) {
+  return (
+    data &&
+    typeof data === 'object' &&
+    !Array.isArray(data) &&
+    'regionManager' in data &&
+    ('pixelMatrix' in data || 'tileManifest' in data)
+  );
+}
+
+/**
+ * Every `.json` file under `target` (a file or a directory, recursively).
+ * @param {string} target
+ * @param {string[]} [out]
+ * @returns {Promise<string[]>}
+ */
+export async function collectJson(target, out = []) {
+  const st = await fs.stat(target);
+  if (st.isFile()) {
+    if (target.endsWith('.json')) out.push(target);
+    return out;
+  }
+  for (const ent of await fs.readdir(target, { withFileTypes: true })) {
+    const p = path.join(target, ent.name);
+    if (ent.isDirectory()) await collectJson(p, out);
+    else if (ent.name.endsWith('.json')) out.push(p);
+  }
+  return out;
+}
+
+/**
+ * Manifest files under the given files/directories (non-manifest JSON is skipped).
+ * @param {string[]} targets
+ * @returns {Promise<string[]>} absolute paths
+ */
+export async function collectManifests(targets) {
+  const files = [];
+  for (const t of targets) await collectJson(path.resolve(t), files);
+  const out = [];
+  for (const f of files) {
+    try {
+      if (looksLikeManifest(JSON.parse(await fs.readFile(f, 'utf-8'))))
+        out.push(f);
+    } catch (_e) {
+      // unreadable / not JSON
+    }
+  }
+  return out;
+}
+
+export default { looksLikeManifest, collectJson, collectManifests };
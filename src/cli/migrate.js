@@ -0,0 +1,126 @@
+// migrate.js
+//
+// Purpose: Upgrade manifests on disk to the current schemaVersion (see
+// src/common/manifest-schema.js). Each upgraded file is first copied to
+// `<name>.json.v<old>.bak` (an existing backup is never overwritten), then rewritten
+// atomically (temp file + rename). Files already at the current version are left alone.
+//
+// Usage
+//   node src/cli/migrate.js [file-or-dir ...] [--dry-run] [--no-backup]
+//   npm run migrate                      # everything under output/
+//
+// Exit code 1 when any manifest cannot be migrated to a valid state (it is left untouched).
+
+import 'dotenv/config';
+import path from 'path';
+import { constants, promises as fs } from 'fs';
+import { pathToFileURL } from 'url';
+import {
+  SCHEMA_VERSION,
+  manifestVersion,
+  migrateManifest,
+  validateManifest,
+} from '../common/manifest-schema.js';
+import { collectJson, looksLikeManifest } from './manifest-files.js';
+
+const OUT_DIR = path.join(process.cwd(), 'output');
+
+/**
+ * Migrate one manifest file in place.
+ * @param {string} file
+ * @param {{dryRun?:boolean,backup?:boolean}} [opts]
+ * @returns {Promise<{file:string,status:'skipped'|'current'|'migrated'|'invalid',fromVersion?:number,changes?:string[],errors?:string[],backup?:string}>}
+ */
+export async function migrateFile(file, opts = {}) {
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(file, 'utf-8'));
+  } catch (_e) {
+    return { file, status: 'skipped' };
+  }
+  if (!looksLikeManifest(data)) return { file, status: 'skipped' };
+  const fromVersion = manifestVersion(data);
+  if (fromVersion === SCHEMA_VERSION) {
+    const { valid, errors } = validateManifest(data);
+    return valid
+      ? { file, status: 'current', fromVersion }
+      : { file, status: 'invalid', fromVersion, errors };
+  }
+  let changes;
+  try {
+    ({ changes } = migrateManifest(data, {
+      imageName: path.basename(file, '.json'),
+    }));
+  } catch (e) {
+    return { file, status: 'invalid', fromVersion, errors: [e.message] };
+  }
+  const { valid, errors } = validateManifest(data);
+  if (!valid) return { file, status: 'invalid', fromVersion, errors };
+  if (opts.dryRun) return { file, status: 'migrated', fromVersion, changes };
+
+  let backup;
+  if (opts.backup !== false) {
+    backup = `${file}.v${fromVersion}.bak`;
+    try {
+      await fs.copyFile(file, backup, constants.COPYFILE_EXCL);
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e; // keep the oldest backup
+    }
+  }
+  const tmp = `${file}.migrate-${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(data, null, 2), 'utf-8');
+  await fs.rename(tmp, file);
+  return { file, status: 'migrated', fromVersion, changes, backup };
+}
+
+/**
+ * Migrate every manifest under the given files/directories.
+ * @param {string[]} targets
+ * @param {{dryRun?:boolean,backup?:boolean}} [opts]
+ */
+export async function migratePaths(targets, opts = {}) {
+  const files = [];
+  for (const t of targets) await collectJson(path.resolve(t), files);
+  const results = [];
+  for (const f of files) results.push(await migrateFile(f, opts));
+  return results;
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const backup = !args.includes('--no-backup');
+  const targets = args.filter((a) => !a.startsWith('--'));
+  if (args.includes('--help')) {
+    process.stdout.write(
+      'Usage: node src/cli/migrate.js [file-or-dir ...] [--dry-run] [--no-backup] (default: output/)\n',
+    );
+    process.exit(0);
+  }
+  migratePaths(targets.length ? targets : [OUT_DIR], { dryRun, backup })
+    .then((results) => {
+      const rel = (f) => path.relative(process.cwd(), f);
+      let failed = 0;
+      for (const r of results) {
+        if (r.status === 'migrated')
+          process.stdout.write(
+            `${dryRun ? 'would migrate' : 'migrated'} ${rel(r.file)} v${r.fromVersion} → v${SCHEMA_VERSION}: ${r.changes.join(', ') || 'version stamp only'}\n`,
+          );
+        else if (r.status === 'invalid') {
+          failed++;
+          console.error(
+            `invalid ${rel(r.file)}: ${r.errors.slice(0, 5).join('; ')}`,
+          );
+        }
+      }
+      const count = (s) => results.filter((r) => r.status === s).length;
+      process.stdout.write(
+        `${count('migrated')} migrated, ${count('current')} already v${SCHEMA_VERSION}, ${failed} invalid, ${count('skipped')} non-manifest JSON skipped\n`,
+      );
+      process.exit(failed ? 1 : 0);
+    })
+    .catch((e) => {
+      console.error('migrate failed:', e.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,54 @@
+// sign.js
+//
+// Purpose: Sign manifests with a local Ed25519 key (see src/common/ManifestSigner.js), or
+// create a key pair. With PHT_SIGNING_KEY set, the serializers already sign on every save;
+// this command covers existing outputs.
+//
+// Usage
+//   node src/cli/sign.js --generate-key keys/sikg-ed25519.pem
+//   node src/cli/sign.js <manifest.json ...> [--key <private.pem>]   (default key: PHT_SIGNING_KEY)
+
+import 'dotenv/config';
+import path from 'path';
+import ManifestSigner from '../common/ManifestSigner.js';
+
+const args = process.argv.slice(2);
+const opt = (name) => {
+  const i = args.indexOf(name);
+  return i !== -1 ? args[i + 1] : undefined;
+};
+const usage =
+  'Usage: node src/cli/sign.js <manifest.json ...> [--key <private.pem>] | --generate-key <path>';
+
+(async () => {
+  const genPath = opt('--generate-key');
+  if (genPath) {
+    const { keyPath, publicPath, keyId } =
+      await ManifestSigner.generateKeyPair(genPath);
+    process.stdout.write(
+      `private key: ${keyPath}\npublic key:  ${publicPath}\n` +
+        `key id:      ${keyId}\n` +
+        `Set PHT_SIGNING_KEY=${keyPath} to sign on every save.\n`,
+    );
+    return;
+  }
+  const keyPath = opt('--key') || process.env.PHT_SIGNING_KEY;
+  const files = args.filter(
+    (a, i) => !a.startsWith('--') && args[i - 1] !== '--key',
+  );
+  if (!keyPath || !files.length) {
+    console.error(usage);
+    process.exit(1);
+  }
+  const key = ManifestSigner.loadKey(keyPath).privateKey;
+  if (!key) throw new Error(`${keyPath} is not a private key`);
+  for (const f of files) {
+    const sig = await ManifestSigner.signManifest(path.resolve(f), key);
+    process.stdout.write(
+      `signed ${f} (key ${sig.keyId}, ${sig.tiles.length} pixel file(s))\n`,
+    );
+  }
+})().catch((e) => {
+  console.error('sign failed:', e.message);
+  process.exit(1);
+});
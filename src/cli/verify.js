@@ -0,0 +1,63 @@
+// verify.js
+//
+// Purpose: Check manifest signatures and report exactly which part changed since signing
+// (signature block, regions, RDF, metadata index, or individual pixel files).
+//
+// Usage
+//   node src/cli/verify.js <manifest.json ...> [--key <public.pem>] [--json]
+//
+// Trusted keys: --key, else PHT_VERIFY_KEY / PHT_SIGNING_KEY. Exit code 0 only when every
+// manifest is `verified`; 1 otherwise (tampered, unsigned, or signed by an untrusted key).
+
+import 'dotenv/config';
+import path from 'path';
+import ManifestSigner from '../common/ManifestSigner.js';
+
+const args = process.argv.slice(2);
+const keyIdx = args.indexOf('--key');
+const asJson = args.includes('--json');
+const files = args.filter(
+  (a, i) => !a.startsWith('--') && !(keyIdx !== -1 && i === keyIdx + 1),
+);
+
+(async () => {
+  if (!files.length) {
+    console.error(
+      'Usage: node src/cli/verify.js <manifest.json ...> [--key <public.pem>] [--json]',
+    );
+    process.exit(1);
+  }
+  const trustedKeys =
+    keyIdx !== -1
+      ? [ManifestSigner.loadKey(args[keyIdx + 1]).publicKey]
+      : ManifestSigner.trustedKeysFromEnv();
+  let ok = true;
+  const reports = [];
+  for (const f of files) {
+    const r = await ManifestSigner.verify(path.resolve(f), { trustedKeys });
+    reports.push({ file: f, ...r });
+    if (r.status !== 'verified') ok = false;
+    if (asJson) continue;
+    process.stdout.write(
+      `${f}: ${r.status}${r.keyId ? ` (key ${r.keyId})` : ''}\n`,
+    );
+    if (r.signed && !r.signatureValid)
+      process.stdout.write(
+        '  signature: invalid (signature block was altered)\n',
+      );
+    for (const [part, s] of Object.entries(r.parts))
+      if (s !== 'ok') process.stdout.write(`  ${part}: ${s}\n`);
+    for (const t of r.tiles)
+      if (t.status !== 'ok')
+        process.stdout.write(`  pixel file ${t.file}: ${t.status}\n`);
+    if (r.status === 'untrusted-key')
+      process.stdout.write(
+        '  content matches, but the signing key is not trusted\n',
+      );
+  }
+  if (asJson) process.stdout.write(`${JSON.stringify(reports, null, 2)}\n`);
+  process.exit(ok ? 0 : 1);
+})().catch((e) => {
+  console.error('verify failed:', e.message);
+  process.exit(1);
+});
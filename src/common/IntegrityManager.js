@@ -1,7 +1,9 @@
 // IntegrityManager.js
 //
 // Purpose: Provide tamper‑evidence over pixel tile files (.pht) by computing/storing/verifying
-// SHA‑256 hashes in the JSON manifest's `integrity` section.
+// SHA‑256 hashes in the JSON manifest's `integrity` section. The per-tile hashes are the
+// leaves of a Merkle tree (src/common/merkle.js) whose root is stored alongside them, so a
+// single tile can be checked on its own (the viewer does this in /getTile).
 //
 // References
 // - Node.js crypto hashing: https://nodejs.org/api/crypto.html#class-hash
@@ -10,6 +12,34 @@ import { createHash } from 'crypto';
 import path from 'path';
 import { promises as fs } from 'fs';
 import { logger } from './logger.js';
+import {
+  buildMerkleLevels,
+  merkleRoot,
+  merkleProof,
+  verifyMerkleProof,
+} from './merkle.js';
+
+/** Files hashed at once when no concurrency is given (INTEGRITY_CONCURRENCY overrides). */
+function defaultConcurrency() {
+  const n = Number(process.env.INTEGRITY_CONCURRENCY);
+  return Number.isInteger(n) && n > 0 ? n : 8;
+}
+
+/** Map with at most `limit` pending promises; results keep input order. */
+async function mapWithConcurrency(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      out[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, worker),
+  );
+  return out;
+}
 
 /**
  * IntegrityManager
@@ -25,7 +55,11 @@ import { logger } from './logger.js';
  *
  * Computes and verifies SHA‑256 hashes for one or more .pht files and stores them under
  *   {
- *     "integrity": { "tiles": [{file, hash}, ...], "algorithm": "sha256" }
+ *     "integrity": {
+ *       "tiles": [{file, hash}, ...],
+ *       "algorithm": "sha256",
+ *       "merkle": { "root": "<hex>", "leafCount": N }
+ *     }
  *   }
  * in the JSON manifest written by the Serializer.
  */
@@ -58,38 +92,38 @@ class IntegrityManager {
    *         { "file": "imageData_tile_0.pht", "hash": "abc123..." },
    *         { "file": "imageData_tile_1.pht", "hash": "def456..." }
    *      ],
-   *      "algorithm": "sha256"
+   *      "algorithm": "sha256",
+   *      "merkle": { "root": "9f2c...", "leafCount": 2 }
    *   }
    */
   /**
-   * Insert tile file hashes into the manifest under `integrity.tiles`.
+   * Insert tile file hashes and their Merkle root into the manifest under `integrity`.
    * @param {string} jsonFilePath
    * @param {string[]} phtPaths
+   * @param {{concurrency?:number}} [options] - files hashed at once (default 8)
    */
-  static async storeTileHashes(jsonFilePath, phtPaths) {
+  static async storeTileHashes(jsonFilePath, phtPaths, options = {}) {
     // Read the JSON
     const jsonStr = await fs.readFile(jsonFilePath, 'utf-8');
     const data = JSON.parse(jsonStr);
 
-    // Compute hashes for all tile files in parallel
+    // Compute hashes for all tile files, a bounded number at a time
     if (!phtPaths?.length) return; // nothing to hash for single-image JSON
     const baseDir = path.dirname(jsonFilePath);
-    const tileEntries = await Promise.all(
-      phtPaths.map(async (pht) => {
+    const tileEntries = await mapWithConcurrency(
+      phtPaths,
+      options.concurrency || defaultConcurrency(),
+      async (pht) => {
         const hash = await this.computeFileHash(pht);
-        let rel = path.relative(baseDir, pht);
-        if (!rel || rel === '' || rel === '.') {
-          rel = path.basename(pht);
-        }
-        return { file: rel, hash };
-      }),
+        return { file: this.relativeFile(baseDir, pht), hash };
+      },
     );
 
     // Insert into data.integrity
-    data.integrity = {
+    data.integrity = this.withMerkleRoot({
       tiles: tileEntries,
       algorithm: 'sha256',
-    };
+    });
 
     // Write updated JSON
     const updatedJson = JSON.stringify(data, null, 2);
@@ -100,15 +134,17 @@ class IntegrityManager {
   }
 
   /**
-   * Verifies tile file hashes by re-hashing each .pht and comparing with what's stored in the JSON.
-   * Throws an error if any mismatch is found.
-   */
-  /**
-   * Verify all `integrity.tiles` entries by recomputing hashes and comparing.
+   * Verify all `integrity.tiles` entries by recomputing hashes (a bounded number at a time)
+   * and checking the stored Merkle root against the listed hashes. Mismatches are collected
+   * into a report rather than thrown, so one pass names every bad tile.
    * @param {string} jsonFilePath
-   * @throws on any mismatch
+   * @param {{concurrency?:number}} [options] - files hashed at once (default 8)
+   * @returns {Promise<{ok:boolean, checked:number, root:string|null, rootMatches:boolean|null,
+   *   mismatches:Array<{index:number, file:string, status:'modified'|'missing', expected:string, actual:string|null}>}>}
+   *   rootMatches is null for manifests written before Merkle roots were stored.
+   * @throws when the manifest has no integrity section or uses another algorithm
    */
-  static async verifyTileHashes(jsonFilePath) {
+  static async verifyTileHashes(jsonFilePath, options = {}) {
     const jsonStr = await fs.readFile(jsonFilePath, 'utf-8');
     const data = JSON.parse(jsonStr);
 
@@ -121,23 +157,145 @@ class IntegrityManager {
 
     const tileEntries = data.integrity.tiles;
     const baseDir = path.dirname(jsonFilePath);
-    for (const entry of tileEntries) {
-      const filePath = path.isAbsolute(entry.file)
-        ? entry.file
-        : path.join(baseDir, entry.file);
-      const expectedHash = entry.hash;
-      const currentHash = await this.computeFileHash(filePath);
-      if (currentHash !== expectedHash) {
-        throw new Error(`Tile file ${filePath} hash mismatch! 
-                  Expected: ${expectedHash}
-                  Got:      ${currentHash}`);
-      }
+    const results = await mapWithConcurrency(
+      tileEntries,
+      options.concurrency || defaultConcurrency(),
+      async (entry, index) => {
+        const actual = await this.computeFileHash(
+          this.resolveFile(baseDir, entry.file),
+        ).catch(() => null);
+        if (actual === entry.hash) return null;
+        return {
+          index,
+          file: entry.file,
+          status: actual === null ? 'missing' : 'modified',
+          expected: entry.hash,
+          actual,
+        };
+      },
+    );
+    const mismatches = results.filter(Boolean);
+    const root = data.integrity.merkle?.root ?? null;
+    const rootMatches =
+      root === null
+        ? null
+        : merkleRoot(tileEntries.map((e) => e.hash)) === root;
+
+    const report = {
+      ok: !mismatches.length && rootMatches !== false,
+      checked: tileEntries.length,
+      root,
+      rootMatches,
+      mismatches,
+    };
+    if (report.ok)
+      logger.info(
+        `IntegrityManager: All tile hashes matched for ${jsonFilePath}`,
+      );
+    else
+      logger.warn(
+        `IntegrityManager: ${this.formatReport(report)} in ${jsonFilePath}`,
+      );
+    return report;
+  }
+
+  /**
+   * One-line summary of a verifyTileHashes report (for logs and thrown errors).
+   * @param {{ok:boolean, checked:number, rootMatches:boolean|null, mismatches:Array<{file:string,status:string}>}} report
+   * @returns {string}
+   */
+  static formatReport(report) {
+    if (report.ok) return `${report.checked} tile(s) verified`;
+    const parts = report.mismatches.map((m) => `${m.file} ${m.status}`);
+    if (report.rootMatches === false)
+      parts.push('Merkle root does not match the listed tile hashes');
+    return `integrity check failed: ${parts.join('; ')}`;
+  }
+
+  /**
+   * Add (or refresh) `merkle` on an integrity section from its tile hashes.
+   * @param {{tiles:Array<{file:string,hash:string}>, algorithm:string}} integrity
+   * @returns {object} the same section with `merkle: {root, leafCount}`
+   */
+  static withMerkleRoot(integrity) {
+    const hashes = integrity.tiles.map((e) => e.hash);
+    return {
+      ...integrity,
+      merkle: { root: merkleRoot(hashes), leafCount: hashes.length },
+    };
+  }
+
+  /**
+   * Re-hash tile files that were rewritten and update their entries (appending new ones),
+   * then recompute the Merkle root. Entries for untouched files keep their stored hash, so
+   * re-saving never blesses a tile that was modified behind the manifest's back.
+   * @param {object} integrity - existing `integrity` section
+   * @param {string} baseDir - manifest directory
+   * @param {string[]} phtPaths - files just written
+   * @returns {Promise<object>} updated section
+   */
+  static async refreshTileHashes(integrity, baseDir, phtPaths) {
+    const tiles = integrity.tiles.map((e) => ({ ...e }));
+    for (const pht of phtPaths) {
+      const file = this.relativeFile(baseDir, pht);
+      const hash = await this.computeFileHash(pht);
+      const entry = tiles.find((e) => e.file === file);
+      if (entry) entry.hash = hash;
+      else tiles.push({ file, hash });
     }
+    return this.withMerkleRoot({ ...integrity, tiles });
+  }
 
-    logger.info(
-      `IntegrityManager: All tile hashes matched for ${jsonFilePath}`,
-    );
-    return true;
+  /**
+   * Precompute what single-tile checks need from an `integrity` section: the tree levels
+   * (from the stored hashes, no file I/O) and a file → leaf index lookup.
+   * @param {object} integrity
+   * @returns {{root:string|null, levels:string[][], byFile:Map<string,number>, tiles:Array<{file:string,hash:string}>}}
+   */
+  static tileIndex(integrity) {
+    const tiles = integrity?.tiles || [];
+    return {
+      root: integrity?.merkle?.root ?? null,
+      levels: buildMerkleLevels(tiles.map((e) => e.hash)),
+      byFile: new Map(tiles.map((e, i) => [path.normalize(e.file), i])),
+      tiles,
+    };
+  }
+
+  /**
+   * Verify one tile file: its hash must equal the stored leaf and, when a Merkle root is
+   * stored, the leaf's inclusion proof must lead to that root.
+   * @param {ReturnType<typeof IntegrityManager.tileIndex>} index
+   * @param {string} baseDir - manifest directory
+   * @param {string} phtPath - tile file (absolute or relative to the working directory)
+   * @returns {Promise<{file:string, status:'ok'|'modified'|'missing'|'untracked'|'root-mismatch', expected?:string, actual?:string|null}>}
+   */
+  static async verifyTile(index, baseDir, phtPath) {
+    const file = path.normalize(this.relativeFile(baseDir, phtPath));
+    const i = index.byFile.get(file);
+    if (i === undefined) return { file, status: 'untracked' };
+    const expected = index.tiles[i].hash;
+    const actual = await this.computeFileHash(phtPath).catch(() => null);
+    let status = 'ok';
+    if (actual === null) status = 'missing';
+    else if (actual !== expected) status = 'modified';
+    else if (
+      index.root !== null &&
+      !verifyMerkleProof(actual, merkleProof(index.levels, i), index.root)
+    )
+      status = 'root-mismatch';
+    return { file, status, expected, actual };
+  }
+
+  /** Manifest-relative name for a tile file (basename when it is the directory itself). */
+  static relativeFile(baseDir, filePath) {
+    let rel = path.relative(baseDir, filePath);
+    if (!rel || rel === '.') rel = path.basename(filePath);
+    return rel;
+  }
+
+  static resolveFile(baseDir, file) {
+    return path.isAbsolute(file) ? file : path.join(baseDir, file);
   }
 
   static async storeFileHashes(jsonFilePath, phtFilePath) {
@@ -147,8 +305,8 @@ class IntegrityManager {
     return this.storeTileHashes(jsonFilePath, [phtFilePath]);
   }
 
-  static async verifyFileHashes(jsonFilePath) {
-    return this.verifyTileHashes(jsonFilePath);
+  static async verifyFileHashes(jsonFilePath, options) {
+    return this.verifyTileHashes(jsonFilePath, options);
   }
 }
 
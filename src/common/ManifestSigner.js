@@ -0,0 +1,345 @@
+// ManifestSigner.js
+//
+// Purpose: Tamper-evidence for the whole manifest, not just pixels. IntegrityManager hashes
+// the `.pht` files only; a signature made here covers a canonical digest of
+//   - regions   – regionManager.regions (canonical JSON, keys sorted)
+//   - rdf       – the RDF graph (parsed Turtle → sorted, de-duplicated N-Quads lines)
+//   - metadata  – metadataIndex.index + relMeta (canonical JSON)
+//   - tiles     – SHA-256 of every pixel file (.pht tiles, single image, pyramid levels) plus
+//                 their layout entries and, when present, the georeference and the
+//                 original → stored frame transform
+// and stores it in the manifest's `signature` section (Ed25519, detached over the digests).
+// Verification recomputes each part and reports exactly which one changed, down to the tile.
+//
+// Keys are local PEM files: PHT_SIGNING_KEY (private, PKCS#8) enables signing on every save;
+// PHT_VERIFY_KEY (public or private PEM, comma-separated list allowed) names trusted keys. A
+// signature that is valid only against the public key embedded in the manifest is reported as
+// `untrusted-key` – anyone can re-sign an edited manifest with their own key.
+//
+// Blank nodes are compared by position only (labels are dropped before sorting); the
+// pipelines and viewer mint IRIs for every node, so this is not a practical gap.
+//
+// References
+// - Node.js crypto.sign / Ed25519: https://nodejs.org/api/crypto.html#cryptosignalgorithm-data-key-callback
+// - RFC 8032 (EdDSA): https://www.rfc-editor.org/rfc/rfc8032
+
+import crypto from 'crypto';
+import path from 'path';
+import fs, { promises as fsp } from 'fs';
+import { Parser } from 'n3';
+import IntegrityManager from './IntegrityManager.js';
+import { pixelEntries } from './manifest-sections.js';
+import { logger } from './logger.js';
+
+const ALGORITHM = 'Ed25519';
+const PARTS = ['regions', 'rdf', 'metadata', 'tiles'];
+
+/** JSON with object keys sorted recursively (undefined members dropped). */
+export function canonicalJson(value) {
+  if (Array.isArray(value))
+    return `[${value.map((v) => (v === undefined ? 'null' : canonicalJson(v))).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value)
+      .filter((k) => value[k] !== undefined)
+      .sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function termString(t) {
+  switch (t.termType) {
+    case 'NamedNode':
+      return `<${t.value}>`;
+    case 'BlankNode':
+      return '_:';
+    case 'Literal':
+      if (t.language) return `${JSON.stringify(t.value)}@${t.language}`;
+      return `${JSON.stringify(t.value)}^^<${t.datatype.value}>`;
+    default:
+      return '';
+  }
+}
+
+/** Canonical text of a Turtle document: one sorted, unique N-Quads-like line per quad. */
+export function canonicalRdf(turtle) {
+  const lines = new Set(
+    new Parser()
+      .parse(turtle || '')
+      .map((q) =>
+        [q.subject, q.predicate, q.object, q.graph]
+          .map(termString)
+          .filter(Boolean)
+          .join(' '),
+      ),
+  );
+  return [...lines].sort().join('\n');
+}
+
+const sha256 = (s) => crypto.createHash('sha256').update(s).digest('hex');
+
+class ManifestSigner {
+  /**
+   * Load a private or public key from a PEM file.
+   * @param {string} keyPath
+   * @returns {{privateKey: crypto.KeyObject|null, publicKey: crypto.KeyObject}}
+   */
+  static loadKey(keyPath) {
+    const pem = fs.readFileSync(keyPath, 'utf-8');
+    if (/PRIVATE KEY/.test(pem)) {
+      const privateKey = crypto.createPrivateKey(pem);
+      return { privateKey, publicKey: crypto.createPublicKey(privateKey) };
+    }
+    return { privateKey: null, publicKey: crypto.createPublicKey(pem) };
+  }
+
+  /**
+   * Generate an Ed25519 key pair: `<keyPath>` (private, 0600) and `<keyPath>.pub`.
+   * @returns {Promise<{keyPath:string, publicPath:string, keyId:string}>}
+   */
+  static async generateKeyPair(keyPath) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+    await fsp.mkdir(path.dirname(path.resolve(keyPath)), { recursive: true });
+    await fsp.writeFile(
+      keyPath,
+      privateKey.export({ type: 'pkcs8', format: 'pem' }),
+      { mode: 0o600, flag: 'wx' },
+    );
+    const publicPath = `${keyPath}.pub`;
+    await fsp.writeFile(
+      publicPath,
+      publicKey.export({ type: 'spki', format: 'pem' }),
+    );
+    return { keyPath, publicPath, keyId: ManifestSigner.keyId(publicKey) };
+  }
+
+  /** Short fingerprint of a public key (SHA-256 of the SPKI DER, 16 hex chars). */
+  static keyId(publicKey) {
+    return sha256(publicKey.export({ type: 'spki', format: 'der' })).slice(
+      0,
+      16,
+    );
+  }
+
+  /**
+   * Recompute the per-part digests of a parsed manifest.
+   * @param {object} manifest
+   * @param {string} baseDir - directory the .pht paths are relative to
+   * @returns {Promise<{digests:Record<string,string>, tiles:Array<{file:string,hash:string|null}>}>}
+   */
+  static async computeDigests(manifest, baseDir) {
+    const mi = manifest.metadataIndex || {};
+    const tiles = [];
+    const layout = [];
+    for (const e of pixelEntries(manifest)) {
+      let hash = null;
+      try {
+        hash = await IntegrityManager.computeFileHash(
+          path.join(baseDir, e.phtFile),
+        );
+      } catch (_e) {
+        // missing file → null hash, reported by verify()
+      }
+      tiles.push({ file: e.phtFile, hash });
+      const { phtFile: _f, ...geom } = e;
+      layout.push(geom);
+    }
+    return {
+      digests: {
+        regions: sha256(canonicalJson(manifest.regionManager?.regions || [])),
+        rdf: sha256(canonicalRdf(mi.rdf)),
+        metadata: sha256(
+          canonicalJson({ index: mi.index || {}, relMeta: mi.relMeta || {} }),
+        ),
+        // georef/transform only when present, so signatures made before they existed stay valid
+        tiles: sha256(
+          canonicalJson({
+            tiles,
+            layout,
+            ...(manifest.georef ? { georef: manifest.georef } : {}),
+            ...(manifest.transform ? { transform: manifest.transform } : {}),
+          }),
+        ),
+      },
+      tiles,
+    };
+  }
+
+  static _payload(sig) {
+    return Buffer.from(
+      canonicalJson({
+        algorithm: sig.algorithm,
+        keyId: sig.keyId,
+        signedAt: sig.signedAt,
+        digests: sig.digests,
+        tiles: sig.tiles,
+      }),
+    );
+  }
+
+  /**
+   * Sign a manifest on disk in place (adds/replaces its `signature` section).
+   * @param {string} jsonPath
+   * @param {string|crypto.KeyObject} key - private key PEM path or KeyObject
+   * @returns {Promise<object>} the signature section
+   */
+  static async signManifest(jsonPath, key) {
+    const privateKey =
+      typeof key === 'string' ? ManifestSigner.loadKey(key).privateKey : key;
+    if (!privateKey) throw new Error('signManifest: a private key is required');
+    const publicKey = crypto.createPublicKey(privateKey);
+    const manifest = JSON.parse(await fsp.readFile(jsonPath, 'utf-8'));
+    const { digests, tiles } = await ManifestSigner.computeDigests(
+      manifest,
+      path.dirname(jsonPath),
+    );
+    const missing = tiles.filter((t) => !t.hash).map((t) => t.file);
+    if (missing.length)
+      throw new Error(
+        `signManifest: missing pixel file(s) ${missing.join(', ')}`,
+      );
+    const sig = {
+      algorithm: ALGORITHM,
+      keyId: ManifestSigner.keyId(publicKey),
+      publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+      signedAt: new Date().toISOString(),
+      digests,
+      tiles,
+    };
+    sig.value = crypto
+      .sign(null, ManifestSigner._payload(sig), privateKey)
+      .toString('base64');
+    manifest.signature = sig;
+    await fsp.writeFile(jsonPath, JSON.stringify(manifest, null, 2), 'utf-8');
+    logger.info(`ManifestSigner: signed ${jsonPath} (key ${sig.keyId})`);
+    return sig;
+  }
+
+  /**
+   * Sign when PHT_SIGNING_KEY is configured; otherwise a no-op. Failures are logged, not thrown,
+   * so a bad key never blocks a save.
+   */
+  static async signIfConfigured(jsonPath) {
+    const keyPath = process.env.PHT_SIGNING_KEY;
+    if (!keyPath) return null;
+    try {
+      return await ManifestSigner.signManifest(jsonPath, keyPath);
+    } catch (e) {
+      logger.error(`ManifestSigner: could not sign ${jsonPath}:`, e.message);
+      return null;
+    }
+  }
+
+  /** Trusted public keys from PHT_VERIFY_KEY and PHT_SIGNING_KEY (unreadable files skipped). */
+  static trustedKeysFromEnv() {
+    const paths = [
+      ...String(process.env.PHT_VERIFY_KEY || '')
+        .split(',')
+        .map((s) => s.trim())
+        .filter(Boolean),
+      ...(process.env.PHT_SIGNING_KEY ? [process.env.PHT_SIGNING_KEY] : []),
+    ];
+    const keys = [];
+    for (const p of paths) {
+      try {
+        keys.push(ManifestSigner.loadKey(p).publicKey);
+      } catch (e) {
+        logger.warn(`ManifestSigner: cannot read key ${p}:`, e.message);
+      }
+    }
+    return keys;
+  }
+
+  /**
+   * Verify a manifest's signature and report which parts changed since signing.
+   * @param {string} jsonPath
+   * @param {{trustedKeys?:crypto.KeyObject[]}} [opts] - defaults to trustedKeysFromEnv()
+   * @returns {Promise<{status:'verified'|'untrusted-key'|'tampered'|'unsigned', signed:boolean,
+   *   signatureValid:boolean, trusted:boolean, keyId:string|null, signedAt:string|null,
+   *   parts:Record<string,'ok'|'modified'>, tiles:Array<{file:string,status:'ok'|'modified'|'missing'|'added'|'removed'}>,
+   *   tampered:string[]}>}
+   */
+  static async verify(jsonPath, opts = {}) {
+    const manifest = JSON.parse(await fsp.readFile(jsonPath, 'utf-8'));
+    const sig = manifest.signature;
+    if (!sig?.value)
+      return {
+        status: 'unsigned',
+        signed: false,
+        signatureValid: false,
+        trusted: false,
+        keyId: null,
+        signedAt: null,
+        parts: {},
+        tiles: [],
+        tampered: [],
+      };
+
+    // 1) the signature over the stored digests
+    let signatureValid = false;
+    let embedded = null;
+    try {
+      embedded = crypto.createPublicKey(sig.publicKey);
+      signatureValid =
+        sig.algorithm === ALGORITHM &&
+        crypto.verify(
+          null,
+          ManifestSigner._payload(sig),
+          embedded,
+          Buffer.from(sig.value, 'base64'),
+        );
+    } catch (_e) {
+      signatureValid = false;
+    }
+    const trustedKeys = opts.trustedKeys ?? ManifestSigner.trustedKeysFromEnv();
+    const trusted =
+      !!embedded &&
+      trustedKeys.some(
+        (k) => ManifestSigner.keyId(k) === ManifestSigner.keyId(embedded),
+      );
+
+    // 2) the current content against the stored digests
+    const now = await ManifestSigner.computeDigests(
+      manifest,
+      path.dirname(jsonPath),
+    );
+    const parts = {};
+    for (const p of PARTS)
+      parts[p] = now.digests[p] === sig.digests?.[p] ? 'ok' : 'modified';
+    const signedTiles = new Map((sig.tiles || []).map((t) => [t.file, t.hash]));
+    const tiles = now.tiles.map((t) => ({
+      file: t.file,
+      status: !signedTiles.has(t.file)
+        ? 'added'
+        : !t.hash
+          ? 'missing'
+          : t.hash === signedTiles.get(t.file)
+            ? 'ok'
+            : 'modified',
+    }));
+    const current = new Set(now.tiles.map((t) => t.file));
+    for (const f of signedTiles.keys())
+      if (!current.has(f)) tiles.push({ file: f, status: 'removed' });
+
+    const tampered = PARTS.filter((p) => parts[p] !== 'ok');
+    if (!signatureValid) tampered.unshift('signature');
+    const status = tampered.length
+      ? 'tampered'
+      : trusted
+        ? 'verified'
+        : 'untrusted-key';
+    return {
+      status,
+      signed: true,
+      signatureValid,
+      trusted,
+      keyId: sig.keyId || null,
+      signedAt: sig.signedAt || null,
+      parts,
+      tiles,
+      tampered,
+    };
+  }
+}
+
+export default ManifestSigner;
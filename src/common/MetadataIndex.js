@@ -21,6 +21,7 @@ import { DataFactory, Parser, Store, Writer } from 'n3';
 import { QueryEngine } from '@comunica/query-sparql';
 import { Readable } from 'stream';
 import { logger } from './logger.js';
+import { GEO_FUNCTIONS } from './geosparql.js';
 
 const { namedNode, literal, quad, defaultGraph } = DataFactory; // quad used for store.addQuad
 
@@ -535,6 +536,7 @@ class MetadataIndex {
 
     const context = {
       sources: [rdfjsSource],
+      extensionFunctions: GEO_FUNCTIONS,
     };
     logger.info('Context:', context);
 
@@ -449,6 +449,52 @@ class OntologyExtensions {
     );
   }
 
+  /** direction: A leftOf | rightOf | above | below B (one triple; callers add the inverse) */
+  static insertDirectional(metadataIndex, uriA, direction, uriB) {
+    if (!['leftOf', 'rightOf', 'above', 'below'].includes(direction))
+      throw new Error(`unknown direction "${direction}"`);
+    const store = metadataIndex.store;
+    store.addQuad(
+      namedNode(uriA),
+      namedNode(`http://example.org/metadata#${direction}`),
+      namedNode(uriB),
+      defaultGraph(),
+    );
+  }
+
+  /** adjacency (boxes within a small gap, no real overlap) */
+  static insertAdjacentTo(metadataIndex, uriA, uriB) {
+    const store = metadataIndex.store;
+    store.addQuad(
+      namedNode(uriA),
+      namedNode('http://example.org/metadata#adjacentTo'),
+      namedNode(uriB),
+      defaultGraph(),
+    );
+  }
+
+  /** depth order from occlusion: front inFrontOf back */
+  static insertInFrontOf(metadataIndex, frontURI, backURI) {
+    const store = metadataIndex.store;
+    store.addQuad(
+      namedNode(frontURI),
+      namedNode('http://example.org/metadata#inFrontOf'),
+      namedNode(backURI),
+      defaultGraph(),
+    );
+  }
+
+  /** depth order from occlusion: back behind front */
+  static insertBehind(metadataIndex, backURI, frontURI) {
+    const store = metadataIndex.store;
+    store.addQuad(
+      namedNode(backURI),
+      namedNode('http://example.org/metadata#behind'),
+      namedNode(frontURI),
+      defaultGraph(),
+    );
+  }
+
   /**
    * Link a Region to the ML model that produced it.
    *   <regionURI>  md:detectedBy   <modelURI> .
@@ -0,0 +1,304 @@
+// PhtReader.js
+//
+// Purpose: Random-access, windowed reads from `.pht` pixel files without loading the whole
+// file. v2 containers are read block by block through the block table (only row blocks that
+// intersect the requested window are read and inflated); legacy v1 raw files are read by
+// seeking straight to row offsets. Also provides a "lazy" PixelMatrix stand-in so loaders can
+// keep manifests resident while pixels stay on disk until a tile/crop actually needs them.
+//
+// References
+// - Node.js FileHandle.read(): https://nodejs.org/api/fs.html#filehandlereadbuffer-offset-length-position
+
+import fs, { promises as fsp } from 'fs';
+import {
+  blockTableSize,
+  decodePhtAny,
+  decodePhtBlock,
+  detectPhtVersion,
+  encodePht,
+  parsePhtBlockTable,
+  parsePhtHeader,
+  phtWriteOptionsFromEnv,
+} from './pht-format.js';
+
+const HEAD_BYTES = 36;
+const BLOCK_CACHE_SIZE = 4;
+
+class PhtReader {
+  /**
+   * @param {string} filePath
+   * @param {import('fs').promises.FileHandle} fh
+   */
+  constructor(filePath, fh) {
+    this.filePath = filePath;
+    this.fh = fh;
+    this.version = 1;
+    this.width = 0;
+    this.height = 0;
+    this.channels = 0;
+    this.header = null;
+    this.blocks = null;
+    this._cache = new Map(); // blockIndex -> decoded rows (small LRU)
+  }
+
+  /**
+   * Open a `.pht` file for windowed reads.
+   * @param {string} filePath
+   * @param {{width?:number,height?:number,channels?:number}} [info] - manifest geometry (required for v1)
+   * @returns {Promise<PhtReader>}
+   */
+  static async open(filePath, info = {}) {
+    const fh = await fsp.open(filePath, 'r');
+    const reader = new PhtReader(filePath, fh);
+    try {
+      await reader._init(info);
+    } catch (e) {
+      await fh.close();
+      throw e;
+    }
+    return reader;
+  }
+
+  async _init(info) {
+    const { size } = await this.fh.stat();
+    const head = Buffer.alloc(Math.min(HEAD_BYTES, size));
+    await this.fh.read(head, 0, head.length, 0);
+    this.version = detectPhtVersion(head, size, info);
+    if (this.version === 2) {
+      this.header = parsePhtHeader(head);
+      const table = Buffer.alloc(blockTableSize(this.header));
+      await this.fh.read(table, 0, table.length, this.header.headerSize);
+      this.blocks = parsePhtBlockTable(this.header, table);
+      this.width = this.header.width;
+      this.height = this.header.height;
+      this.channels = this.header.channels;
+    } else {
+      this.width = info.width || 0;
+      this.height = info.height || 0;
+      this.channels = info.channels || 0;
+      // Same auto-correction as PixelMatrix.fromBinary for 3 vs 4 channel drift
+      if (
+        this.width &&
+        this.height &&
+        size !== this.width * this.height * this.channels
+      ) {
+        const perPx = size / (this.width * this.height);
+        if (perPx === 3 || perPx === 4) this.channels = perPx;
+      }
+      if (!this.width || !this.height || !this.channels)
+        throw new Error(
+          `PhtReader: ${this.filePath} needs width/height/channels (v1 file)`,
+        );
+    }
+  }
+
+  async close() {
+    this._cache.clear();
+    await this.fh.close();
+  }
+
+  async _block(index) {
+    if (this._cache.has(index)) {
+      const hit = this._cache.get(index);
+      this._cache.delete(index);
+      this._cache.set(index, hit);
+      return hit;
+    }
+    const block = this.blocks[index];
+    const payload = Buffer.alloc(block.byteLength);
+    await this.fh.read(payload, 0, block.byteLength, block.offset);
+    const raw = decodePhtBlock(this.header, block, payload, index);
+    this._cache.set(index, raw);
+    if (this._cache.size > BLOCK_CACHE_SIZE)
+      this._cache.delete(this._cache.keys().next().value);
+    return raw;
+  }
+
+  /**
+   * Read full-width rows [y, y+count).
+   * @returns {Promise<Buffer>}
+   */
+  async readRows(y, count) {
+    const rect = await this.readRect({
+      x: 0,
+      y,
+      width: this.width,
+      height: count,
+    });
+    return rect.data;
+  }
+
+  /**
+   * Read an arbitrary rectangle (clamped to the image bounds).
+   * @param {{x:number,y:number,width:number,height:number}} rect
+   * @returns {Promise<{x:number,y:number,width:number,height:number,channels:number,data:Buffer}>}
+   */
+  async readRect(rect) {
+    const x = Math.max(0, Math.floor(rect.x || 0));
+    const y = Math.max(0, Math.floor(rect.y || 0));
+    const width = Math.max(0, Math.min(this.width - x, Math.floor(rect.width)));
+    const height = Math.max(
+      0,
+      Math.min(this.height - y, Math.floor(rect.height)),
+    );
+    const ch = this.channels;
+    const out = Buffer.alloc(width * height * ch);
+    if (!width || !height)
+      return { x, y, width, height, channels: ch, data: out };
+    const rowBytes = this.width * ch;
+    const segBytes = width * ch;
+
+    if (this.version === 2) {
+      const rpb = this.header.rowsPerBlock;
+      const first = Math.floor(y / rpb);
+      const last = Math.floor((y + height - 1) / rpb);
+      for (let b = first; b <= last; b++) {
+        const raw = await this._block(b);
+        const blockY = b * rpb;
+        const from = Math.max(y, blockY);
+        const to = Math.min(y + height, blockY + this.blocks[b].rowCount);
+        for (let row = from; row < to; row++) {
+          const src = (row - blockY) * rowBytes + x * ch;
+          raw.copy(out, (row - y) * segBytes, src, src + segBytes);
+        }
+      }
+    } else if (x === 0 && width === this.width) {
+      await this.fh.read(out, 0, out.length, y * rowBytes);
+    } else {
+      for (let row = 0; row < height; row++)
+        await this.fh.read(
+          out,
+          row * segBytes,
+          segBytes,
+          (y + row) * rowBytes + x * ch,
+        );
+    }
+    return { x, y, width, height, channels: ch, data: out };
+  }
+
+  /**
+   * One-shot helper: open, read a rectangle, close.
+   */
+  static async readFileRect(filePath, info, rect) {
+    const reader = await PhtReader.open(filePath, info);
+    try {
+      return await reader.readRect(rect);
+    } finally {
+      await reader.close();
+    }
+  }
+
+  /**
+   * Build a PixelMatrix-like object whose pixels stay on disk. It exposes the same
+   * width/height/channels/toBinary() surface the viewer and serializers already use,
+   * plus readRect() for windowed access. toBinary() decodes the whole file on demand.
+   * toPht() takes the same options as PixelMatrix.toPht(): the stored bytes are re-emitted
+   * verbatim when they already have the requested version and codec, else re-encoded.
+   * @param {string} filePath - absolute/relative path to the .pht
+   * @param {{width:number,height:number,channels:number,phtVersion?:number,codec?:string}} info - manifest entry
+   */
+  static lazyPixelMatrix(filePath, info) {
+    const pm = {
+      lazy: true,
+      phtPath: filePath,
+      phtVersion: info.phtVersion || 1,
+      codec: info.codec || 'none',
+      width: info.width,
+      height: info.height,
+      channels: info.channels,
+      toBinary: () => decodePhtAny(fs.readFileSync(filePath), info).pixels,
+      toPht: (options = {}) => {
+        const opts = { ...phtWriteOptionsFromEnv(), ...options };
+        const same =
+          opts.version === pm.phtVersion &&
+          (opts.version === 1 || opts.codec === pm.codec);
+        if (same) return fs.readFileSync(filePath);
+        const pixels = pm.toBinary();
+        if (opts.version === 1) return Buffer.from(pixels);
+        return encodePht(pixels, {
+          width: pm.width,
+          height: pm.height,
+          channels: pm.channels,
+          codec: opts.codec,
+          rowsPerBlock: opts.rowsPerBlock,
+        });
+      },
+      readRect: (rect) => PhtReader.readFileRect(filePath, info, rect),
+    };
+    return pm;
+  }
+
+  /**
+   * Windowed read from either a lazy matrix (seeks on disk) or an in-memory PixelMatrix.
+   * @param {{width:number,height:number,channels:number,readRect?:Function,pixels?:Uint8Array,toBinary?:Function}} pm
+   * @param {{x:number,y:number,width:number,height:number}} rect
+   */
+  static async readMatrixRect(pm, rect) {
+    if (typeof pm.readRect === 'function') return pm.readRect(rect);
+    const raw = pm.pixels || pm.toBinary();
+    let ch = pm.channels;
+    const perPx = Math.round(raw.length / (pm.width * pm.height));
+    if ((perPx === 3 || perPx === 4) && perPx !== ch) ch = perPx;
+    const x = Math.max(0, Math.floor(rect.x || 0));
+    const y = Math.max(0, Math.floor(rect.y || 0));
+    const width = Math.max(0, Math.min(pm.width - x, Math.floor(rect.width)));
+    const height = Math.max(
+      0,
+      Math.min(pm.height - y, Math.floor(rect.height)),
+    );
+    const out = Buffer.alloc(width * height * ch);
+    const src = Buffer.from(raw.buffer, raw.byteOffset, raw.byteLength);
+    for (let row = 0; row < height; row++) {
+      const s = ((y + row) * pm.width + x) * ch;
+      src.copy(out, row * width * ch, s, s + width * ch);
+    }
+    return { x, y, width, height, channels: ch, data: out };
+  }
+
+  /**
+   * Compose a rectangle in full-image coordinates from overlapping tiles into an RGBA
+   * buffer. Only the intersecting window of each tile is read; areas not covered by any
+   * tile stay transparent. Later tiles overwrite earlier ones in halo overlaps (same pixels).
+   * @param {Array<{x:number,y:number,pixelMatrix:object}>} tiles
+   * @param {{x:number,y:number,width:number,height:number}} rect
+   * @returns {Promise<{x:number,y:number,width:number,height:number,channels:4,data:Buffer}>}
+   */
+  static async readTilesRect(tiles, rect) {
+    const { x, y } = rect;
+    const width = Math.max(0, Math.floor(rect.width));
+    const height = Math.max(0, Math.floor(rect.height));
+    const out = Buffer.alloc(width * height * 4);
+    for (const t of tiles || []) {
+      const pm = t.pixelMatrix;
+      const ox1 = Math.max(x, t.x);
+      const oy1 = Math.max(y, t.y);
+      const ox2 = Math.min(x + width, t.x + pm.width);
+      const oy2 = Math.min(y + height, t.y + pm.height);
+      const ow = Math.floor(ox2 - ox1);
+      const oh = Math.floor(oy2 - oy1);
+      if (ow <= 0 || oh <= 0) continue;
+      const win = await PhtReader.readMatrixRect(pm, {
+        x: Math.floor(ox1 - t.x),
+        y: Math.floor(oy1 - t.y),
+        width: ow,
+        height: oh,
+      });
+      const dx = Math.floor(ox1 - x);
+      const dy = Math.floor(oy1 - y);
+      const ch = win.channels;
+      for (let row = 0; row < win.height && dy + row < height; row++) {
+        for (let col = 0; col < win.width && dx + col < width; col++) {
+          const s = (row * win.width + col) * ch;
+          const d = ((dy + row) * width + dx + col) * 4;
+          out[d] = win.data[s];
+          out[d + 1] = win.data[s + 1];
+          out[d + 2] = win.data[s + 2];
+          out[d + 3] = ch === 4 ? win.data[s + 3] : 255;
+        }
+      }
+    }
+    return { x, y, width, height, channels: 4, data: out };
+  }
+}
+
+export default PhtReader;
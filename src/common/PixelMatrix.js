@@ -2,7 +2,13 @@
 //
 // Purpose: Minimal RGBA pixel container with convenience methods for setting/getting
 // pixels and serializing to/from a compact binary representation. Used by serializers
-// to persist pixel data to `.pht` files.
+// to persist pixel data to `.pht` files (raw v1 or the self-describing v2 container).
+
+import {
+  encodePht,
+  decodePhtAny,
+  phtWriteOptionsFromEnv,
+} from './pht-format.js';
 
 class PixelMatrix {
   constructor(width, height, channels) {
@@ -37,8 +43,42 @@ class PixelMatrix {
     return Buffer.from(this.pixels);
   }
 
-  /** Initialize from a raw binary buffer of pixel data (width*height*channels). */
+  /**
+   * Encode as a `.pht` file body. Defaults follow PHT_FORMAT_VERSION / PHT_CODEC;
+   * version 1 yields the legacy raw bytes.
+   * @param {{version?:number,codec?:string,rowsPerBlock?:number}} [options]
+   */
+  toPht(options = {}) {
+    const opts = { ...phtWriteOptionsFromEnv(), ...options };
+    if (opts.version === 1) return this.toBinary();
+    return encodePht(this.pixels, {
+      width: this.width,
+      height: this.height,
+      channels: this.channels,
+      codec: opts.codec,
+      rowsPerBlock: opts.rowsPerBlock,
+    });
+  }
+
+  /**
+   * Initialize from a `.pht` buffer: either a v2 container (self-describing) or raw
+   * pixel data (width*height*channels).
+   */
   static fromBinary(width, height, channels, buffer) {
+    const decoded = decodePhtAny(buffer, { width, height, channels });
+    if (decoded.version !== 1) {
+      const pm = new PixelMatrix(
+        decoded.width,
+        decoded.height,
+        decoded.channels,
+      );
+      pm.pixels = new Uint8Array(
+        decoded.pixels.buffer,
+        decoded.pixels.byteOffset,
+        decoded.pixels.byteLength,
+      );
+      return pm;
+    }
     const expected = width * height * channels;
     const actual = buffer?.length ?? 0;
     let ch = channels;
@@ -7,11 +7,24 @@
 // - The merge routine uses IoU (Intersection‑over‑Union) as the overlap criterion.
 //   IoU is equivalent to the Jaccard index in set theory.
 //   Background: https://en.wikipedia.org/wiki/Jaccard_index
+// - How overlaps are resolved (union, class-aware NMS, Soft-NMS, weighted box fusion)
+//   lives in merge-strategies.js; called without a strategy the merge unions as before.
+// - Regions may carry a segmentation `mask`, a `polygon` or a `rotatedBox` (see
+//   geometry.js); IoU and pixel lookups then use that shape. Merging two masked regions
+//   unions their masks; any other merge keeps just the combined box.
+// - Pixel, box and pair queries go through an R-tree over the region boundaries
+//   (rtree.js), built on first use and rebuilt when `regions` is replaced or changes
+//   length. Code that moves a region in place calls invalidateSpatialIndex().
+
+import { regionContainsPoint } from './geometry.js';
+import { resolveOverlaps } from './merge-strategies.js';
+import { RTree } from './rtree.js';
 
 /** RegionManager — holds canonical regions and utilities */
 class RegionManager {
   constructor() {
     this.regions = []; // Array of region objects
+    this._index = null; // { tree, regions, length } – see spatialIndex()
   }
 
   /**
@@ -45,55 +58,40 @@ class RegionManager {
    * @param {Number} iouThreshold
    */
   /**
-   * Merge regions with IoU > threshold. Returns provenance describing which
-   * original IDs were merged into each survivor.
+   * Merge regions with IoU > threshold using one of the merge-strategies.js strategies
+   * (default `union`, the original class-agnostic behaviour). Returns provenance
+   * describing which original IDs were merged into each survivor.
    * @param {number} iouThreshold
-   * @returns {{target:number,sources:number[]}[]}
+   * @param {{strategy?:string, classThresholds?:Record<string, number>,
+   *   softNmsMethod?:string, softNmsSigma?:number, softNmsMinScore?:number}} [options]
+   * @returns {{target:number,sources:number[],strategy:string,changed:boolean}[]}
    */
-  mergeOverlappingRegions(iouThreshold = 0.5) {
-    const merged = [];
-    const provenance = []; // array of { target:newIndex, sources:[oldIds] }
-    const mappingTemp = new Map(); // temp map mergedIndex -> set of old ids
-
-    for (let i = 0; i < this.regions.length; i++) {
-      const current = this.regions[i];
-      let mergedIndex = -1;
-      for (let j = 0; j < merged.length; j++) {
-        if (computeIoU(current.boundary, merged[j].boundary) > iouThreshold) {
-          merged[j].boundary = mergeBoundaries(
-            merged[j].boundary,
-            current.boundary,
-          );
-          const combinedTags = new Set([...merged[j].tags, ...current.tags]);
-          merged[j].tags = Array.from(combinedTags);
-          // record provenance
-          mappingTemp.get(j).add(current.id);
-          mergedIndex = j;
-          break;
-        }
-      }
-      if (mergedIndex === -1) {
-        merged.push(current);
-        mappingTemp.set(merged.length - 1, new Set([current.id]));
-      }
-    }
+  mergeOverlappingRegions(iouThreshold = 0.5, options = {}) {
+    const strategy = options.strategy || 'union';
+    const groups = resolveOverlaps(this.regions, {
+      ...options,
+      strategy,
+      iouThreshold,
+    });
 
     // Reassign IDs, attach provenance.mergedFrom for multi-source merges, and build provenance array
-    this.regions = merged.map((r, idx) => {
-      const sources = mappingTemp.get(idx)
-        ? Array.from(mappingTemp.get(idx))
-        : [r.id];
-      const newRegion = { ...r, id: idx };
+    this.regions = groups.map(({ region, sources }, idx) => {
+      const newRegion = { ...region, id: idx };
       if (sources.length > 1) {
-        newRegion.provenance = newRegion.provenance || {};
-        newRegion.provenance.mergedFrom = sources;
+        newRegion.provenance = {
+          ...newRegion.provenance,
+          mergedFrom: sources,
+          mergeStrategy: strategy,
+        };
       }
       return newRegion;
     });
-    for (const [mIdx, ids] of mappingTemp.entries()) {
-      provenance.push({ target: mIdx, sources: Array.from(ids) });
-    }
-    return provenance;
+    return groups.map(({ sources, changed }, idx) => ({
+      target: idx,
+      sources,
+      strategy,
+      changed,
+    }));
   }
 
   /**
@@ -102,16 +100,74 @@ class RegionManager {
    * @param {Number} y
    * @returns {Array} - Array of regions containing the pixel
    */
-  /** Return all regions containing pixel (x,y). */
+  /** Return all regions containing pixel (x,y) (inside their mask, polygon or box). */
   getRegionsByPixel(x, y) {
-    return this.regions.filter((region) => {
-      return (
-        x >= region.boundary.x1 &&
-        x <= region.boundary.x2 &&
-        y >= region.boundary.y1 &&
-        y <= region.boundary.y2
+    return this.spatialIndex()
+      .search({ x1: x, y1: y, x2: x, y2: y })
+      .map((i) => this.regions[i])
+      .filter((region) => regionContainsPoint(region, x, y));
+  }
+
+  /**
+   * Regions whose box overlaps `box` by a positive area (edges that only touch do not
+   * count), in list order.
+   * @param {{x1:number,y1:number,x2:number,y2:number}} box
+   * @returns {Object[]}
+   */
+  getRegionsInBox(box) {
+    return this.spatialIndex()
+      .search(box)
+      .map((i) => this.regions[i])
+      .filter(
+        ({ boundary: b }) =>
+          b.x1 < box.x2 && b.x2 > box.x1 && b.y1 < box.y2 && b.y2 > box.y1,
       );
+  }
+
+  /**
+   * Index pairs [i, j] (i < j, sorted) of regions whose boxes, grown by `margin` px,
+   * intersect or touch – the only pairs that can overlap, contain one another or have
+   * centres closer than `margin`.
+   * @param {number} [margin]
+   * @returns {Array<[number, number]>}
+   */
+  candidatePairs(margin = 0) {
+    const tree = this.spatialIndex();
+    const pairs = [];
+    this.regions.forEach((r, i) => {
+      const b = r?.boundary;
+      if (!b) return;
+      const near = tree.search({
+        x1: b.x1 - margin,
+        y1: b.y1 - margin,
+        x2: b.x2 + margin,
+        y2: b.y2 + margin,
+      });
+      for (const j of near) if (j > i) pairs.push([i, j]);
     });
+    return pairs;
+  }
+
+  /** R-tree over the current region boundaries (rebuilt when the list changed). */
+  spatialIndex() {
+    const idx = this._index;
+    if (
+      !idx ||
+      idx.regions !== this.regions ||
+      idx.length !== this.regions.length
+    ) {
+      this._index = {
+        tree: new RTree(this.regions.map((r) => r?.boundary)),
+        regions: this.regions,
+        length: this.regions.length,
+      };
+    }
+    return this._index.tree;
+  }
+
+  /** Drop the spatial index after moving or reshaping a region in place. */
+  invalidateSpatialIndex() {
+    this._index = null;
   }
 
   /**
@@ -146,37 +202,4 @@ class RegionManager {
   }
 }
 
-/** Helper functions for merging bounding boxes **/
-
-function computeIoU(b1, b2) {
-  const interArea = getIntersectionArea(b1, b2);
-  const unionArea = getArea(b1) + getArea(b2) - interArea;
-  // IoU background: Intersection-over-Union metric
-  // https://en.wikipedia.org/wiki/Jaccard_index (a.k.a. IoU in vision)
-  return unionArea === 0 ? 0 : interArea / unionArea;
-}
-
-function getIntersectionArea(b1, b2) {
-  const xA = Math.max(b1.x1, b2.x1);
-  const yA = Math.max(b1.y1, b2.y1);
-  const xB = Math.min(b1.x2, b2.x2);
-  const yB = Math.min(b1.y2, b2.y2);
-  const width = Math.max(0, xB - xA);
-  const height = Math.max(0, yB - yA);
-  return width * height;
-}
-
-function getArea(b) {
-  return Math.max(0, b.x2 - b.x1) * Math.max(0, b.y2 - b.y1);
-}
-
-function mergeBoundaries(b1, b2) {
-  return {
-    x1: Math.min(b1.x1, b2.x1),
-    y1: Math.min(b1.y1, b2.y1),
-    x2: Math.max(b1.x2, b2.x2),
-    y2: Math.max(b1.y2, b2.y2),
-  };
-}
-
 export default RegionManager;
@@ -11,25 +11,15 @@ const { namedNode } = DataFactory;
 export function listRelationships(store, uri, REL, DELREL) {
   const S = namedNode(uri);
   const out = [];
-  const keys = [
-    'near',
-    'contains',
-    'sameObjectAs',
-    'overlaps',
-    'clusterLinkedTo',
-  ];
+  const keys = Object.keys(REL).filter((k) => DELREL[k]);
   const RDF = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#';
   const RDFS = 'http://www.w3.org/2000/01/rdf-schema#';
   const MD = 'http://example.org/metadata#';
 
   function baseP(pred) {
     // Map deleted variants back to base predicate for naming lookups
-    if (pred === DELREL.near) return REL.near;
-    if (pred === DELREL.contains) return REL.contains;
-    if (pred === DELREL.sameObjectAs) return REL.sameObjectAs;
-    if (pred === DELREL.overlaps) return REL.overlaps;
-    if (pred === DELREL.clusterLinkedTo) return REL.clusterLinkedTo;
-    return pred;
+    const k = keys.find((key) => DELREL[key] === pred);
+    return k ? REL[k] : pred;
   }
 
   function stmtIRI(subjectURI, basePredicateURI, objectURI) {
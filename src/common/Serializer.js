@@ -13,10 +13,16 @@
 import { promises as fs } from 'fs';
 import path from 'path';
 import PixelMatrix from './PixelMatrix.js';
+import PhtReader from './PhtReader.js';
 import MetadataIndex from './MetadataIndex.js';
 import RegionManager from './RegionManager.js';
 import { logger } from './logger.js';
 import { slimMetadataIndex } from './slim-json.js';
+import { phtWriteOptionsFromEnv } from './pht-format.js';
+import { SCHEMA_VERSION, prepareManifest } from './manifest-schema.js';
+import { readPreservedSections } from './manifest-sections.js';
+import ManifestSigner from './ManifestSigner.js';
+import IntegrityManager from './IntegrityManager.js';
 
 /**
  * Serializer
@@ -57,8 +63,11 @@ class Serializer {
   /**
    * Save a manifest (.json) and pixel data (.pht) to disk.
    * @param {string} savePath - path to the JSON manifest to write
+   * @param {{transform?:object|null}} [options]
+   *        transform – original → stored frame (image-transform.js); null removes it,
+   *        omitted keeps the manifest's current one (viewer re-saves).
    */
-  async save(savePath) {
+  async save(savePath, options = {}) {
     // Derive the .pht file name from the savePath
     const baseName = path.basename(savePath, '.json');
     // e.g. "imageData" if savePath is "imageData.json"
@@ -67,13 +76,29 @@ class Serializer {
     const phtFileName = `${baseName}.pht`; // e.g. "imageData.pht"
     const phtFilePath = path.join(dirName, phtFileName);
 
-    // Write pixel data as binary .pht
+    // Write pixel data as .pht (v2 container unless PHT_FORMAT_VERSION=1)
     // Similar approach: writing Buffers with fs.writeFile
     // https://nodejs.org/api/fs.html#fspromiseswritefilefile-data-options
-    if (this.pixelMatrix) {
-      const pixelData = this.pixelMatrix.toBinary(); // returns Buffer
+    const preserved = await readPreservedSections(savePath);
+    if (options.transform) preserved.transform = options.transform;
+    else if (options.transform === null) delete preserved.transform;
+    const phtOpts = phtWriteOptionsFromEnv();
+    const pm = this.pixelMatrix;
+    // A lazy matrix loaded from this very file has nothing new to write
+    const unchanged =
+      !!pm?.lazy && path.resolve(pm.phtPath) === path.resolve(phtFilePath);
+    if (pm && !unchanged) {
+      const pixelData = pm.toPht(phtOpts); // returns Buffer
       await fs.writeFile(phtFilePath, pixelData);
     }
+    const phtVersion = unchanged ? pm.phtVersion : phtOpts.version;
+    // Keep stored integrity hashes in step with a rewritten .pht
+    if (preserved.integrity && pm && !unchanged)
+      preserved.integrity = await IntegrityManager.refreshTileHashes(
+        preserved.integrity,
+        dirName,
+        [phtFilePath],
+      );
 
     // Convert MetadataIndex to JSON
     const metadataIndexData = await this.metadataIndex.toJSON();
@@ -95,19 +120,26 @@ class Serializer {
       width: this.pixelMatrix ? this.pixelMatrix.width : 0,
       height: this.pixelMatrix ? this.pixelMatrix.height : 0,
       channels: this.pixelMatrix ? this.pixelMatrix.channels : 0,
-      phtFile: phtFileName, // The .pht file containing raw pixels
+      phtFile: phtFileName, // The .pht file containing the pixels
+      phtVersion,
+      codec: unchanged ? pm.codec : phtVersion === 1 ? 'none' : phtOpts.codec,
     };
 
     // Combine into final JSON object
     const data = {
+      schemaVersion: SCHEMA_VERSION,
       pixelMatrix: pixelMatrixInfo,
       metadataIndex: metadataIndexData,
       regionManager: regionManagerData,
+      ...preserved,
     };
 
     // Write JSON to [filename].json
     const jsonString = JSON.stringify(data, null, 2);
     await fs.writeFile(savePath, jsonString, 'utf-8');
+
+    // Optional Ed25519 signature (PHT_SIGNING_KEY); without a key the previous one is kept
+    await ManifestSigner.signIfConfigured(savePath);
   }
 
   /**
@@ -119,13 +151,20 @@ class Serializer {
    */
   /**
    * Load a manifest (.json) and pixel data (.pht) from disk.
+   * With `{ lazy: true }` the pixel matrix is a PhtReader.lazyPixelMatrix stand-in and the
+   * .pht is only read when pixels are requested.
    * @param {string} loadPath - path to the JSON manifest to read
+   * @param {{lazy?:boolean}} [options]
    * @returns {Promise<{ pixelMatrix: PixelMatrix|null, metadataIndex: MetadataIndex, regionManager: RegionManager }>}
    */
-  async load(loadPath) {
+  async load(loadPath, options = {}) {
     // Parse the JSON metadata
     const fileContent = await fs.readFile(loadPath, 'utf-8');
-    const data = JSON.parse(fileContent);
+    // Older manifests are migrated in memory; invalid ones are rejected here
+    const data = prepareManifest(JSON.parse(fileContent), {
+      path: loadPath,
+      imageName: path.basename(loadPath, '.json'),
+    });
 
     // Reconstruct MetadataIndex
     const metadataIndex = await MetadataIndex.fromJSON(data.metadataIndex);
@@ -143,7 +182,12 @@ class Serializer {
       const height = data.pixelMatrix.height;
       const channels = data.pixelMatrix.channels;
 
-      // Read the .pht binary
+      if (options.lazy) {
+        pixelMatrix = PhtReader.lazyPixelMatrix(phtFilePath, data.pixelMatrix);
+        return { pixelMatrix, metadataIndex, regionManager };
+      }
+
+      // Read the .pht (v1 raw or v2 container; fromBinary detects the header)
       // Similar approach: reconstructing typed arrays from Buffer
       // https://developer.mozilla.org/docs/Web/JavaScript/Reference/Global_Objects/TypedArray
       const buffer = await fs.readFile(phtFilePath);
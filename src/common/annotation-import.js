@@ -0,0 +1,275 @@
+// annotation-import.js
+//
+// Purpose: Bring ground-truth boxes from labelling tools (COCO JSON, Pascal VOC XML, YOLO
+// TXT) into loaded manifest state as manual regions; COCO polygon segmentations become
+// region polygons (geometry.js). Imported regions take the viewer's manual path exactly:
+// `manual-<n>` ids continuing the viewer's numbering, `uri://<image>/manual-region/<id>`
+// URIs, md:* triples via upsertRegionMetadata, ex:within image scoping and a geo:asWKT
+// geometry (geosparql.js). Optionally re-runs the spatial linker so imported boxes take
+// part in near/contains/overlaps. Loading/saving manifests is left to the caller
+// (src/cli/import-annotations.js).
+//
+// References
+// - COCO data format: https://cocodataset.org/#format-data
+// - Pascal VOC annotation format: http://host.robots.ox.ac.uk/pascal/VOC/voc2012/htmldoc/devkit_doc.html
+// - YOLO label format (class cx cy w h, normalised): https://docs.ultralytics.com/datasets/detect/
+
+import path from 'path';
+import OntologyExt from './OntologyExtensions.js';
+import { autoCreateRelationships } from './spatial-links.js';
+import { attachPolygon, parsePolygon } from './geometry.js';
+import { ensureImageWithin, upsertRegionMetadata } from './region-metadata.js';
+import { upsertRegionGeometry } from './geosparql.js';
+
+export const FORMATS = ['coco', 'voc', 'yolo'];
+
+/** Format from the file extension (.json → coco, .xml → voc, .txt → yolo). */
+export function detectFormat(file) {
+  const ext = path.extname(file).toLowerCase();
+  if (ext === '.json') return 'coco';
+  if (ext === '.xml') return 'voc';
+  if (ext === '.txt') return 'yolo';
+  return null;
+}
+
+const normName = (s) =>
+  path.parse(String(s)).name.replace(/\W+/g, '_').toLowerCase();
+
+/**
+ * Boxes for one image of a COCO dataset. The image is picked by `fileName`, else by the
+ * manifest name (compared like /images.json does), else the dataset's only image.
+ * @param {object} coco - parsed COCO JSON
+ * @param {{imageName:string, fileName?:string}} opts
+ * @returns {Array<{label:string, boundary:{x1:number,y1:number,x2:number,y2:number},
+ *          polygon?:number[][], score?:number}>} polygon from a polygon `segmentation`
+ */
+export function parseCoco(coco, { imageName, fileName } = {}) {
+  const images = coco?.images || [];
+  const want = fileName ? path.basename(fileName) : null;
+  const img =
+    (want && images.find((i) => path.basename(i.file_name || '') === want)) ||
+    (!want &&
+      images.find(
+        (i) =>
+          normName(i.file_name || '') === normName(imageName) ||
+          normName(i.manifest || '') === normName(imageName),
+      )) ||
+    (!want && images.length === 1 ? images[0] : null);
+  if (!img)
+    throw new Error(
+      `COCO file has no image matching ${want || imageName} (${images.length} image(s))`,
+    );
+  const cats = new Map((coco.categories || []).map((c) => [c.id, c.name]));
+  return (coco.annotations || [])
+    .filter((a) => a.image_id === img.id && Array.isArray(a.bbox))
+    .map((a) => {
+      const [x, y, w, h] = a.bbox.map(Number);
+      const polygon = parsePolygon(a.segmentation); // RLE segmentations stay boxes
+      return {
+        label: String(cats.get(a.category_id) ?? `category_${a.category_id}`),
+        boundary: { x1: x, y1: y, x2: x + w, y2: y + h },
+        ...(polygon ? { polygon } : {}),
+        ...(typeof a.score === 'number' ? { score: a.score } : {}),
+      };
+    });
+}
+
+const xmlText = (xml, tag) => {
+  const m = new RegExp(`<${tag}>\\s*([^<]*?)\\s*</${tag}>`).exec(xml);
+  return m ? m[1] : null;
+};
+
+/**
+ * Boxes from a Pascal VOC annotation (one image per file). VOC pixel coordinates are
+ * 1-based and inclusive; they are converted to the 0-based, end-exclusive boundaries used
+ * everywhere else.
+ * @param {string} xml
+ * @returns {Array<{label:string, boundary:object}>}
+ */
+export function parseVoc(xml) {
+  const out = [];
+  for (const m of String(xml).matchAll(/<object>([\s\S]*?)<\/object>/g)) {
+    const obj = m[1];
+    const box = /<bndbox>([\s\S]*?)<\/bndbox>/.exec(obj)?.[1];
+    const name = xmlText(obj.replace(/<part>[\s\S]*?<\/part>/g, ''), 'name');
+    if (!box || !name) continue;
+    const n = (t) => Number(xmlText(box, t));
+    out.push({
+      label: name,
+      boundary: {
+        x1: n('xmin') - 1,
+        y1: n('ymin') - 1,
+        x2: n('xmax'),
+        y2: n('ymax'),
+      },
+    });
+  }
+  return out;
+}
+
+/**
+ * Boxes from YOLO labels (`class cx cy w h [conf]`, normalised to the image size).
+ * @param {string} text
+ * @param {{width:number, height:number, classes?:string[]}} opts
+ * @returns {Array<{label:string, boundary:object, score?:number}>}
+ */
+export function parseYolo(text, { width, height, classes = [] }) {
+  const out = [];
+  for (const line of String(text).split(/\r?\n/)) {
+    const parts = line.trim().split(/\s+/).map(Number);
+    if (parts.length < 5 || parts.slice(0, 5).some((v) => !Number.isFinite(v)))
+      continue;
+    const [cls, cx, cy, w, h, conf] = parts;
+    out.push({
+      label: classes[cls] ?? `class_${cls}`,
+      boundary: {
+        x1: (cx - w / 2) * width,
+        y1: (cy - h / 2) * height,
+        x2: (cx + w / 2) * width,
+        y2: (cy + h / 2) * height,
+      },
+      ...(Number.isFinite(conf) ? { score: conf } : {}),
+    });
+  }
+  return out;
+}
+
+/**
+ * Class names for YOLO: a classes.txt (one per line) or a data.yaml `names:` entry
+ * (inline list, `- name` items or `0: name` mappings).
+ * @param {string} text
+ * @param {string} [file] - used to pick the parser by extension
+ * @returns {string[]}
+ */
+export function parseClassNames(text, file = '') {
+  const unquote = (s) => s.trim().replace(/^['"]|['"]$/g, '');
+  if (!/\.ya?ml$/i.test(file))
+    return String(text)
+      .split(/\r?\n/)
+      .map((l) => l.trim())
+      .filter(Boolean);
+  const inline = /^names:\s*\[([^\]]*)\]/m.exec(text);
+  if (inline) return inline[1].split(',').map(unquote).filter(Boolean);
+  const block = /^names:\s*\n((?:[ \t]+.*\n?)*)/m.exec(text);
+  const names = [];
+  for (const l of (block?.[1] || '').split('\n')) {
+    const item = /^\s*-\s*(.+)$/.exec(l);
+    const kv = /^\s*(\d+)\s*:\s*(.+)$/.exec(l);
+    if (item) names.push(unquote(item[1]));
+    else if (kv) names[Number(kv[1])] = unquote(kv[2]);
+  }
+  return names;
+}
+
+/**
+ * Parse an annotation file's contents into boxes.
+ * @param {string} text - file contents
+ * @param {'coco'|'voc'|'yolo'} format
+ * @param {{imageName:string, width:number, height:number, classes?:string[], fileName?:string}} opts
+ */
+export function parseAnnotations(text, format, opts) {
+  if (format === 'coco') return parseCoco(JSON.parse(text), opts);
+  if (format === 'voc') return parseVoc(text);
+  if (format === 'yolo') return parseYolo(text, opts);
+  throw new Error(
+    `Unknown annotation format "${format}" (use one of ${FORMATS.join(', ')})`,
+  );
+}
+
+/**
+ * Add boxes to a region list as manual regions and write their triples.
+ * Boxes (and polygons, which become the region's shape) are clamped to the image; empty ones, and exact repeats of an existing manual
+ * region (same label and boundary), are skipped, so re-importing a file is a no-op.
+ * @param {{regions:Array}} regionManager
+ * @param {import('./MetadataIndex.js').default} metadataIndex
+ * @param {Array<{label:string, boundary:object, polygon?:number[][], score?:number}>} boxes
+ * @param {{imageName:string, width:number, height:number, format:string,
+ *          relationships?:boolean, spatialOptions?:object}} opts
+ *        relationships – re-run autoCreateRelationships over all live regions afterwards
+ * @returns {{added:Array<{id:string,label:string,uri:string}>, skipped:number}}
+ */
+export function addManualRegions(regionManager, metadataIndex, boxes, opts) {
+  const { imageName, width, height, format } = opts;
+  const regions = regionManager.regions;
+  const key = (label, b) =>
+    `${label}|${[b.x1, b.y1, b.x2, b.y2].map((v) => v.toFixed(2)).join(',')}`;
+  const seen = new Set(
+    regions
+      .filter((r) => String(r.id).startsWith('manual-'))
+      .map((r) => key(r.metadata?.classLabel ?? r.tags?.[0], r.boundary)),
+  );
+  // Same numbering as the viewer: continue after max(100, existing manual-<n>)
+  let next =
+    Math.max(
+      100,
+      ...regions
+        .filter((r) => /^manual-\d+$/.test(r.id))
+        .map((r) => Number(r.id.split('-')[1])),
+    ) + 1;
+
+  const added = [];
+  let skipped = 0;
+  for (const box of boxes) {
+    const b = box.boundary;
+    const boundary = {
+      x1: Math.max(0, Math.min(b.x1, b.x2)),
+      y1: Math.max(0, Math.min(b.y1, b.y2)),
+      x2: Math.min(width, Math.max(b.x1, b.x2)),
+      y2: Math.min(height, Math.max(b.y1, b.y2)),
+    };
+    const k = key(box.label, boundary);
+    if (
+      !(boundary.x2 > boundary.x1 && boundary.y2 > boundary.y1) ||
+      seen.has(k)
+    ) {
+      skipped++;
+      continue;
+    }
+    seen.add(k);
+    let id;
+    do id = `manual-${next++}`;
+    while (regions.some((r) => r.id === id));
+    const uri = `uri://${imageName}/manual-region/${id}`;
+    const tags = [box.label];
+    const metadata = {
+      uri,
+      classLabel: box.label,
+      description: `Imported (${format}): ${box.label}`,
+      source: format,
+      ...(box.score !== undefined ? { confidence: box.score } : {}),
+    };
+    const region = { id, boundary, tags, metadata };
+    if (box.polygon) {
+      const clamp = (v, i) => Math.max(0, Math.min(i % 2 ? height : width, v));
+      attachPolygon(
+        region,
+        box.polygon.map((ring) => ring.map(clamp)),
+      );
+    }
+    regions.push(region);
+    upsertRegionMetadata(metadataIndex, uri, { ...metadata, tags });
+    ensureImageWithin(metadataIndex, uri, imageName);
+    upsertRegionGeometry(metadataIndex, region);
+    added.push({ id, label: box.label, uri });
+  }
+
+  if (opts.relationships && added.length)
+    autoCreateRelationships(
+      regions.filter((r) => !r.metadata?.deleted),
+      { spatialRelationships: true, ...opts.spatialOptions },
+      metadataIndex,
+      OntologyExt,
+    );
+  return { added, skipped };
+}
+
+export default {
+  FORMATS,
+  detectFormat,
+  parseCoco,
+  parseVoc,
+  parseYolo,
+  parseClassNames,
+  parseAnnotations,
+  addManualRegions,
+};
@@ -0,0 +1,408 @@
+// bundle.js
+//
+// Purpose: Package one processed image as a single portable `.sikg` file and mount such a
+// file back into an output folder. A bundle is a gzip-compressed tar (src/common/tar.js)
+// holding the JSON manifest, every pixel file it references (.pht image/tiles/pyramid
+// levels, with their integrity hashes inside the manifest), the `.raw-model.json` when
+// present, a Turtle dump of the graph and, optionally, the original from input-images/.
+//
+// Bundle manifest (`bundle.json`, first entry)
+//   { format: 'sikg-bundle', version: 1, name, createdAt, manifest: '<name>.json',
+//     merkleRoot, files: [{ path, role, size, sha256 }] }
+//   roles: manifest | pixels | raw-model | rdf | original (stored as `original/<file>`)
+//
+// Import is all-or-nothing: entries are extracted into a staging folder inside the target,
+// checked against bundle.json (no extra, missing or altered files), the manifest is
+// validated against the schema and its tile hashes/Merkle root verified, and only then
+// are the files moved into place. Existing files are not replaced unless `overwrite` is set.
+//
+// Notes
+// - BUNDLE_MAX_MB caps the unpacked size of an imported bundle (default 4096).
+
+import path from 'path';
+import { createHash } from 'crypto';
+import { Readable, PassThrough } from 'stream';
+import { pipeline } from 'stream/promises';
+import { createGzip, createGunzip } from 'zlib';
+import { promises as fs } from 'fs';
+import IntegrityManager from './IntegrityManager.js';
+import MetadataIndex from './MetadataIndex.js';
+import { pixelEntries } from './manifest-sections.js';
+import { prepareManifest } from './manifest-schema.js';
+import { resolveImageFile } from './coco-export.js';
+import { writeRdf } from './rdf-export.js';
+import { writeTar, extractTar } from './tar.js';
+import { logger } from './logger.js';
+
+export const BUNDLE_FORMAT = 'sikg-bundle';
+export const BUNDLE_VERSION = 1;
+export const BUNDLE_EXT = '.sikg';
+export const BUNDLE_MIME = 'application/gzip';
+
+const BUNDLE_JSON = 'bundle.json';
+const ORIGINAL_DIR = 'original';
+const MAX_BUNDLE_JSON = 4 * 1024 * 1024;
+
+function defaultMaxBytes() {
+  const mb = Number(process.env.BUNDLE_MAX_MB);
+  return (Number.isFinite(mb) && mb > 0 ? mb : 4096) * 1024 * 1024;
+}
+
+/** Error with a code the viewer maps to a status (EBUNDLE → 422, EEXIST → 409). */
+function bundleError(message, code = 'EBUNDLE') {
+  return Object.assign(new Error(message), { code });
+}
+
+const sha256 = (buf) => createHash('sha256').update(buf).digest('hex');
+
+/**
+ * Entry names allowed in a bundle: flat file names, or `original/<file>`.
+ * @returns {string|null} the normalised name, or null when unsafe
+ */
+function safeEntryName(name) {
+  const parts = String(name).split('/');
+  const ok = (p) =>
+    p && p !== '.' && p !== '..' && !p.includes('\\') && !p.includes('\0');
+  if (parts.length === 1 && ok(parts[0])) return parts[0];
+  if (parts.length === 2 && parts[0] === ORIGINAL_DIR && ok(parts[1]))
+    return name;
+  return null;
+}
+
+async function fileEntry(filePath, name, role) {
+  const stat = await fs.stat(filePath);
+  return {
+    name,
+    role,
+    size: stat.size,
+    sha256: await IntegrityManager.computeFileHash(filePath),
+    source: filePath,
+  };
+}
+
+async function turtleOf(manifest) {
+  if (!manifest.metadataIndex) return null;
+  const mi = await MetadataIndex.fromJSON(manifest.metadataIndex);
+  const out = new PassThrough();
+  const chunks = [];
+  out.on('data', (c) => chunks.push(Buffer.from(c)));
+  await writeRdf(mi.store, 'turtle', out);
+  out.end();
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Collect the files of a bundle for a manifest and describe them in a bundle manifest.
+ * @param {string} jsonPath
+ * @param {{imageDir?:string, original?:boolean, rdf?:boolean}} [opts]
+ *        original – include the source image from `imageDir` when found (default true)
+ *        rdf      – include `<name>.ttl` (default true)
+ * @returns {Promise<{bundle:object, entries:Array<{name:string,size:number,source:Buffer|string}>}>}
+ */
+export async function collectBundle(jsonPath, opts = {}) {
+  const { imageDir, original = true, rdf = true } = opts;
+  const dir = path.dirname(jsonPath);
+  const name = path.basename(jsonPath, '.json');
+  const manifest = JSON.parse(await fs.readFile(jsonPath, 'utf-8'));
+
+  const entries = [
+    await fileEntry(jsonPath, path.basename(jsonPath), 'manifest'),
+  ];
+  const seen = new Set(entries.map((e) => e.name));
+  for (const e of pixelEntries(manifest)) {
+    const file = safeEntryName(e.phtFile);
+    if (!file || file.includes('/'))
+      throw bundleError(`Pixel file outside the manifest folder: ${e.phtFile}`);
+    if (seen.has(file)) continue;
+    seen.add(file);
+    try {
+      entries.push(await fileEntry(path.join(dir, file), file, 'pixels'));
+    } catch (_e) {
+      throw bundleError(`Missing pixel file ${file} for ${jsonPath}`);
+    }
+  }
+  const rawModel = `${name}.raw-model.json`;
+  try {
+    entries.push(
+      await fileEntry(path.join(dir, rawModel), rawModel, 'raw-model'),
+    );
+  } catch (_e) {
+    // raw model output is optional
+  }
+  if (rdf) {
+    const ttl = await turtleOf(manifest);
+    if (ttl)
+      entries.push({
+        name: `${name}.ttl`,
+        role: 'rdf',
+        size: ttl.length,
+        sha256: sha256(ttl),
+        source: ttl,
+      });
+  }
+  if (original && imageDir) {
+    const file = resolveImageFile(imageDir, name);
+    try {
+      entries.push(
+        await fileEntry(
+          path.join(imageDir, file),
+          `${ORIGINAL_DIR}/${file}`,
+          'original',
+        ),
+      );
+    } catch (_e) {
+      logger.warn(`[bundle] no original image for ${name} in ${imageDir}`);
+    }
+  }
+
+  const bundle = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    name,
+    createdAt: new Date().toISOString(),
+    manifest: path.basename(jsonPath),
+    merkleRoot: manifest.integrity?.merkle?.root ?? null,
+    files: entries.map((e) => ({
+      path: e.name,
+      role: e.role,
+      size: e.size,
+      sha256: e.sha256,
+    })),
+  };
+  const json = Buffer.from(JSON.stringify(bundle, null, 2));
+  return {
+    bundle,
+    entries: [{ name: BUNDLE_JSON, size: json.length, source: json }].concat(
+      entries.map(({ name: n, size, source }) => ({ name: n, size, source })),
+    ),
+  };
+}
+
+/**
+ * Stream a `.sikg` bundle for a manifest to `out` (ends `out`).
+ * @param {string} jsonPath
+ * @param {import('stream').Writable} out
+ * @param {object} [opts] - see collectBundle
+ * @returns {Promise<object>} the bundle manifest
+ */
+export async function writeBundle(jsonPath, out, opts = {}) {
+  const collected = await collectBundle(jsonPath, opts);
+  await pipeBundle(collected, out);
+  return collected.bundle;
+}
+
+/**
+ * Stream collected bundle entries to `out` as gzip-compressed tar (ends `out`).
+ * @param {{entries:Array}} collected - result of collectBundle
+ * @param {import('stream').Writable} out
+ */
+export async function pipeBundle({ entries }, out) {
+  await pipeline(Readable.from(writeTar(entries)), createGzip(), out);
+}
+
+function checkBundleManifest(bundle, extracted) {
+  if (bundle?.format !== BUNDLE_FORMAT)
+    throw bundleError('Not a .sikg bundle (bundle.json missing or invalid)');
+  if (!(bundle.version <= BUNDLE_VERSION))
+    throw bundleError(`Unsupported bundle version ${bundle.version}`);
+  const listed = new Map((bundle.files || []).map((f) => [f.path, f]));
+  for (const name of extracted.keys())
+    if (!listed.has(name))
+      throw bundleError(`Unexpected file in bundle: ${name}`);
+  for (const [name, f] of listed) {
+    const got = extracted.get(name);
+    if (!got) throw bundleError(`File missing from bundle: ${name}`);
+    if (got.size !== f.size || got.sha256 !== f.sha256)
+      throw bundleError(`File altered in bundle: ${name}`);
+  }
+  const manifest = listed.get(bundle.manifest);
+  if (
+    !manifest ||
+    manifest.role !== 'manifest' ||
+    !bundle.manifest.endsWith('.json')
+  )
+    throw bundleError('Bundle does not name its JSON manifest');
+  return listed;
+}
+
+async function exists(p) {
+  return fs.access(p).then(
+    () => true,
+    () => false,
+  );
+}
+
+/**
+ * Verify a `.sikg` bundle and mount it: manifest, pixel files, raw model and RDF into
+ * `outDir`, the original into `imageDir`.
+ * @param {import('stream').Readable|AsyncIterable<Buffer>} source - gzip-compressed bundle
+ *        (a file stream, an HTTP request body)
+ * @param {{outDir:string, imageDir?:string, overwrite?:boolean, maxBytes?:number}} opts
+ * @returns {Promise<{name:string, manifest:string, files:string[], original:string|null,
+ *   tilesVerified:number}>} absolute paths of what was written
+ * @throws code EBUNDLE when the bundle is malformed or fails verification,
+ *         EEXIST when a file exists and `overwrite` is not set
+ */
+export async function importBundle(source, opts) {
+  const { outDir, imageDir, overwrite = false } = opts;
+  const maxBytes = opts.maxBytes || defaultMaxBytes();
+  await fs.mkdir(outDir, { recursive: true });
+  const staging = await fs.mkdtemp(path.join(outDir, '.bundle-'));
+  try {
+    const extracted = new Map();
+    let bundleJson = null;
+    let total = 0;
+    const handles = new Set(); // files still being written
+    const onEntry = async (entry) => {
+      if (entry.type !== '0')
+        throw bundleError(`Unsupported entry type in bundle: ${entry.name}`);
+      if (entry.name === BUNDLE_JSON) {
+        if (bundleJson || entry.size > MAX_BUNDLE_JSON)
+          throw bundleError('Invalid bundle.json');
+        const chunks = [];
+        return {
+          write: (b) => chunks.push(Buffer.from(b)),
+          end: () => (bundleJson = Buffer.concat(chunks)),
+        };
+      }
+      const name = safeEntryName(entry.name);
+      if (!name || extracted.has(name))
+        throw bundleError(`Unsafe or duplicate path in bundle: ${entry.name}`);
+      total += entry.size;
+      if (total > maxBytes)
+        throw bundleError(`Bundle exceeds ${maxBytes} bytes unpacked`);
+      const target = path.join(staging, name);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      const fh = await fs.open(target, 'wx');
+      handles.add(fh);
+      const hash = createHash('sha256');
+      let size = 0;
+      extracted.set(name, { size: 0, sha256: null });
+      return {
+        write: async (b) => {
+          hash.update(b);
+          size += b.length;
+          await fh.write(b);
+        },
+        end: async () => {
+          handles.delete(fh);
+          await fh.close();
+          extracted.set(name, { size, sha256: hash.digest('hex') });
+        },
+      };
+    };
+    await pipeline(source, createGunzip(), (tar) => extractTar(tar, onEntry))
+      .catch((e) => {
+        throw e.code === 'EBUNDLE'
+          ? e
+          : bundleError(`Corrupt bundle: ${e.message}`);
+      })
+      .finally(() =>
+        // an entry cut short (corrupt or truncated bundle) leaves its file open
+        Promise.all([...handles].map((fh) => fh.close().catch(() => {}))),
+      );
+
+    let bundle;
+    try {
+      bundle = JSON.parse(bundleJson);
+    } catch (_e) {
+      bundle = null;
+    }
+    const listed = checkBundleManifest(bundle, extracted);
+
+    // Manifest: schema, referenced pixel files, tile hashes and Merkle root
+    const stagedJson = path.join(staging, bundle.manifest);
+    let manifest;
+    try {
+      manifest = prepareManifest(
+        JSON.parse(await fs.readFile(stagedJson, 'utf-8')),
+        { path: bundle.manifest },
+      );
+    } catch (e) {
+      throw bundleError(e.message);
+    }
+    for (const e of pixelEntries(manifest))
+      if (listed.get(e.phtFile)?.role !== 'pixels')
+        throw bundleError(`Pixel file not in bundle: ${e.phtFile}`);
+    let tilesVerified = 0;
+    if (manifest.integrity?.tiles) {
+      const report = await IntegrityManager.verifyTileHashes(stagedJson);
+      if (!report.ok)
+        throw bundleError(
+          `Integrity check failed: ${IntegrityManager.formatReport(report)}`,
+        );
+      if ((bundle.merkleRoot ?? null) !== (report.root ?? null))
+        throw bundleError('Bundle Merkle root does not match the manifest');
+      tilesVerified = report.checked;
+    }
+
+    // Targets; refuse to replace anything unless asked to
+    const moves = [];
+    let original = null;
+    for (const [name, f] of listed) {
+      if (f.role === 'original') {
+        if (!imageDir) continue;
+        const to = path.join(imageDir, path.basename(name));
+        original = to;
+        if (
+          (await exists(to)) &&
+          (await IntegrityManager.computeFileHash(to)) === f.sha256
+        )
+          continue; // same image already there
+        moves.push({ from: path.join(staging, name), to, original: true });
+      } else {
+        moves.push({
+          from: path.join(staging, name),
+          to: path.join(outDir, name),
+        });
+      }
+    }
+    if (!overwrite) {
+      const taken = [];
+      for (const m of moves) if (await exists(m.to)) taken.push(m.to);
+      if (taken.length)
+        throw bundleError(
+          `Already present (use overwrite): ${taken.map((t) => path.basename(t)).join(', ')}`,
+          'EEXIST',
+        );
+    }
+
+    // Manifest last, so a reader never sees it before its pixel files
+    moves.sort(
+      (a, b) =>
+        (a.from === stagedJson) - (b.from === stagedJson) ||
+        a.to.localeCompare(b.to),
+    );
+    for (const m of moves) {
+      if (m.original) {
+        await fs.mkdir(path.dirname(m.to), { recursive: true });
+        await fs.copyFile(m.from, m.to);
+      } else {
+        await fs.rename(m.from, m.to);
+      }
+    }
+    logger.info(
+      `[bundle] mounted ${bundle.name}: ${moves.length} file(s), ${tilesVerified} tile hash(es) verified`,
+    );
+    return {
+      name: bundle.name,
+      manifest: path.join(outDir, bundle.manifest),
+      files: moves.map((m) => m.to),
+      original,
+      tilesVerified,
+    };
+  } finally {
+    await fs.rm(staging, { recursive: true, force: true });
+  }
+}
+
+export default {
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  BUNDLE_EXT,
+  BUNDLE_MIME,
+  collectBundle,
+  writeBundle,
+  pipeBundle,
+  importBundle,
+};
@@ -0,0 +1,238 @@
+// coco-export.js
+//
+// Purpose: Convert regions from one or more manifests into a COCO object-detection dataset
+// (images, categories, annotations) for training downstream detectors. Works on loaded
+// GlobalRegistry sources, so a single manifest is simply a registry with one source.
+//
+// Mapping
+// - image: one per manifest; width/height from pixelMatrix or the tile grid extent;
+//   file_name resolved against the input image folder when possible.
+// - category: region.metadata.classLabel, else the first tag, else "region"; ids are
+//   assigned 1..N in alphabetical order so repeated exports are stable.
+// - annotation: bbox [x, y, w, h] from boundary (clamped to the image), score from
+//   metadata.confidence; the region id and URI ride along for traceability. Regions with
+//   a mask (mask.js) export their polygon as `segmentation` and the mask pixel count as
+//   `area`.
+// - frame: coordinates are in the stored (upright) pixel frame; with `frame: 'original'`
+//   they are mapped back onto the file's own pixel grid via the manifest `transform`
+//   (image-transform.js), for tools that ignore EXIF orientation.
+//
+// References
+// - COCO data format: https://cocodataset.org/#format-data
+
+import fs from 'fs';
+import path from 'path';
+import { maskArea } from './mask.js';
+import { regionToOriginal } from './image-transform.js';
+
+const IMAGE_EXT = /\.(jpe?g|png|tiff?|webp)$/i;
+
+/** Category name for a region (classLabel → first tag → "region"). */
+export function regionCategory(region) {
+  const md = region.metadata || {};
+  const label = md.classLabel || region.tags?.[0] || 'region';
+  return String(label);
+}
+
+/** Face regions (privacy-relevant): classLabel or a tag of "face". */
+export function isFaceRegion(region) {
+  const labels = [region.metadata?.classLabel, ...(region.tags || [])];
+  return labels.some((l) => String(l || '').toLowerCase() === 'face');
+}
+
+/** Regions drawn in the viewer rather than produced by a detector. */
+export function isManualRegion(region) {
+  return (
+    String(region.id).startsWith('manual-') ||
+    /\/manual-region\//.test(region.metadata?.uri || '')
+  );
+}
+
+/**
+ * Image size covered by a manifest (single pixelMatrix or tiled grid extent).
+ * @param {object} manifest - parsed manifest JSON
+ * @returns {{width:number,height:number}}
+ */
+export function manifestImageSize(manifest) {
+  if (Array.isArray(manifest.tileManifest)) {
+    let width = 0;
+    let height = 0;
+    for (const t of manifest.tileManifest) {
+      width = Math.max(width, t.x + t.width);
+      height = Math.max(height, t.y + t.height);
+    }
+    return { width, height };
+  }
+  const pm = manifest.pixelMatrix || {};
+  return { width: pm.width || 0, height: pm.height || 0 };
+}
+
+/**
+ * Image entry for a loaded GlobalRegistry source.
+ * @param {{path:string, tiles:Array, pixelMatrix:any, regionManager:{regions:Array}, transform?:object|null}} source
+ * @returns {{name:string, manifest:string, width:number, height:number, regions:Array, transform:object|null}}
+ */
+export function imageFromSource(source) {
+  const tileManifest = (source.tiles || []).map((t) => ({
+    x: t.x,
+    y: t.y,
+    width: t.pixelMatrix.width,
+    height: t.pixelMatrix.height,
+  }));
+  const size = tileManifest.length
+    ? manifestImageSize({ tileManifest })
+    : manifestImageSize({ pixelMatrix: source.pixelMatrix });
+  return {
+    name: path.basename(source.path, '.json'),
+    manifest: source.path,
+    ...size,
+    regions: source.regionManager?.regions || [],
+    transform: source.transform || null,
+  };
+}
+
+/**
+ * Find the original image for a manifest base name in `imageDir`, using the same name
+ * normalisation as the viewer's /images.json (spaces etc. → "_", case-insensitive).
+ * Falls back to `<name>.png` when nothing matches.
+ * @param {string|null} imageDir
+ * @param {string} name - manifest base name
+ * @returns {string}
+ */
+export function resolveImageFile(imageDir, name) {
+  try {
+    const want = name.toLowerCase();
+    for (const f of fs.readdirSync(imageDir)) {
+      if (!IMAGE_EXT.test(f)) continue;
+      const base = path.parse(f).name;
+      if (
+        base.toLowerCase() === want ||
+        base.replace(/\W+/g, '_').toLowerCase() === want
+      )
+        return f;
+    }
+  } catch (_e) {
+    // missing folder → fallback name
+  }
+  return `${name}.png`;
+}
+
+/**
+ * Build a COCO dataset.
+ * @param {Array<{name:string, manifest?:string, width:number, height:number, regions:Array, fileName?:string, transform?:object|null}>} images
+ * @param {{includeDeleted?:boolean, excludeFaces?:boolean, manualOnly?:boolean,
+ *          imageDir?:string|null, description?:string, frame?:'stored'|'original'}} [options]
+ *        includeDeleted – keep soft-deleted regions (default false);
+ *        excludeFaces – drop face regions; manualOnly – only viewer-drawn regions;
+ *        imageDir – where to look up file_name (default: none → `<name>.png`);
+ *        frame – 'original' maps sizes and coordinates onto the file's pixel grid.
+ * @returns {{info:object, licenses:Array, images:Array, annotations:Array, categories:Array}}
+ */
+export function buildCoco(images, options = {}) {
+  const {
+    includeDeleted = false,
+    excludeFaces = false,
+    manualOnly = false,
+    imageDir = null,
+    description = 'SIKG region export',
+    frame = 'stored',
+  } = options;
+
+  // the file's own pixel grid, for tools that ignore EXIF orientation
+  if (frame === 'original')
+    images = images.map((img) =>
+      img.transform
+        ? {
+            ...img,
+            ...img.transform.original,
+            regions: img.regions.map((r) => regionToOriginal(r, img.transform)),
+          }
+        : img,
+    );
+
+  const keep = (r) =>
+    r?.boundary &&
+    (includeDeleted || !r.metadata?.deleted) &&
+    !(excludeFaces && isFaceRegion(r)) &&
+    (!manualOnly || isManualRegion(r));
+
+  const selected = images.map((img) => img.regions.filter(keep));
+  const names = new Set();
+  selected.forEach((rs) => rs.forEach((r) => names.add(regionCategory(r))));
+  const categories = [...names].sort().map((name, i) => ({
+    id: i + 1,
+    name,
+    supercategory: 'object',
+  }));
+  const catId = new Map(categories.map((c) => [c.name, c.id]));
+
+  const cocoImages = [];
+  const annotations = [];
+  images.forEach((img, i) => {
+    const imageId = i + 1;
+    cocoImages.push({
+      id: imageId,
+      file_name: img.fileName || resolveImageFile(imageDir, img.name),
+      width: img.width,
+      height: img.height,
+      ...(img.manifest ? { manifest: path.basename(img.manifest) } : {}),
+    });
+    for (const r of selected[i]) {
+      const b = r.boundary;
+      const x1 = Math.max(0, Math.min(b.x1, b.x2));
+      const y1 = Math.max(0, Math.min(b.y1, b.y2));
+      const x2 = Math.min(img.width || Infinity, Math.max(b.x1, b.x2));
+      const y2 = Math.min(img.height || Infinity, Math.max(b.y1, b.y2));
+      const w = x2 - x1;
+      const h = y2 - y1;
+      if (!(w > 0 && h > 0)) continue;
+      const md = r.metadata || {};
+      annotations.push({
+        id: annotations.length + 1,
+        image_id: imageId,
+        category_id: catId.get(regionCategory(r)),
+        bbox: [x1, y1, w, h],
+        area: r.mask ? maskArea(r.mask) : w * h,
+        iscrowd: 0,
+        segmentation: Array.isArray(r.polygon) ? r.polygon : [],
+        ...(typeof md.confidence === 'number' ? { score: md.confidence } : {}),
+        region_id: r.id,
+        ...(md.uri ? { uri: md.uri } : {}),
+      });
+    }
+  });
+
+  const now = new Date();
+  return {
+    info: {
+      description,
+      version: '1.0',
+      year: now.getUTCFullYear(),
+      date_created: now.toISOString(),
+    },
+    licenses: [],
+    images: cocoImages,
+    annotations,
+    categories,
+  };
+}
+
+/**
+ * COCO dataset for every source of a loaded GlobalRegistry.
+ * @param {import('../global/GlobalRegistry.js').default} registry
+ * @param {Parameters<typeof buildCoco>[1]} [options]
+ */
+export function cocoFromRegistry(registry, options = {}) {
+  return buildCoco(registry.sources.map(imageFromSource), options);
+}
+
+export default {
+  regionCategory,
+  isFaceRegion,
+  isManualRegion,
+  manifestImageSize,
+  imageFromSource,
+  resolveImageFile,
+  buildCoco,
+  cocoFromRegistry,
+};
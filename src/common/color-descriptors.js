@@ -0,0 +1,276 @@
+// color-descriptors.js
+//
+// Purpose: Colour descriptors per region, so "red cars" or "a blue boat" can be asked of the
+// graph. The pipelines read each region's pixels from the PixelMatrix (or the tiles of a
+// tiled run), sort them into eleven named colours and store the result on the region:
+//
+//   <uri://harbour/singleImage/3> md:dominantColor "blue", "white" ;
+//                                 md:colorHistogram "blue:0.58 white:0.27 grey:0.15" .
+//
+// The intent filter `colors` (VoiceService) matches md:dominantColor, so typed SPARQL and
+// chat/voice queries use the same labels.
+//
+// Notes
+// - Names are the eleven basic colour terms of Berlin & Kay: black, white, grey, red,
+//   orange, yellow, green, blue, purple, pink, brown. Pixels are named by fixed HSV rules
+//   (brown is dark orange, pink is light or pale red/magenta); no clustering is done, so
+//   the same colour always gets the same name.
+// - Masks, polygons and rotated boxes only count the pixels inside the shape; boxes count
+//   the whole box. Fully transparent pixels (areas no tile covers) are skipped.
+// - Large regions are sampled on a regular grid of about `maxSamples` pixels; only the
+//   grid rows are read from the source, so memory follows `maxSamples` and the box width,
+//   not the box area.
+// - The histogram keeps colours with at least 1% of the samples, shares to two decimals.
+//   Dominant colours are those with at least `minShare` of the samples (the top colour
+//   always counts), at most `maxColors` of them.
+//
+// References
+// - Berlin & Kay, Basic Color Terms (1969): https://en.wikipedia.org/wiki/Basic_Color_Terms
+// - HSV: https://en.wikipedia.org/wiki/HSL_and_HSV
+
+import PhtReader from './PhtReader.js';
+import { regionContainsPoint, regionShape } from './geometry.js';
+import { upsertRegionMetadata } from './region-metadata.js';
+
+export const MD_DOMINANT_COLOR = 'http://example.org/metadata#dominantColor';
+export const MD_COLOR_HISTOGRAM = 'http://example.org/metadata#colorHistogram';
+
+/** Colour labels written to md:dominantColor, in histogram order. */
+export const COLOR_NAMES = Object.freeze([
+  'black',
+  'white',
+  'grey',
+  'red',
+  'orange',
+  'yellow',
+  'green',
+  'blue',
+  'purple',
+  'pink',
+  'brown',
+]);
+
+// Other spellings and near-synonyms users type or say
+const COLOR_ALIASES = {
+  gray: 'grey',
+  violet: 'purple',
+  magenta: 'purple',
+  lilac: 'purple',
+  cyan: 'blue',
+  turquoise: 'blue',
+  navy: 'blue',
+  maroon: 'red',
+  crimson: 'red',
+  scarlet: 'red',
+  gold: 'yellow',
+  golden: 'yellow',
+  beige: 'brown',
+  tan: 'brown',
+  silver: 'grey',
+};
+
+/** Canonical colour label for a name or alias ("Gray" → "grey"), or null when unknown. */
+export function normalizeColorName(name) {
+  const s = String(name ?? '')
+    .trim()
+    .toLowerCase();
+  if (COLOR_NAMES.includes(s)) return s;
+  return COLOR_ALIASES[s] || null;
+}
+
+/**
+ * Named colour of one RGB pixel.
+ * @param {number} r 0–255
+ * @param {number} g 0–255
+ * @param {number} b 0–255
+ * @returns {string} one of COLOR_NAMES
+ */
+export function classifyColor(r, g, b) {
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const v = max / 255;
+  const s = max ? (max - min) / max : 0;
+  if (v < 0.2) return 'black';
+  if (s < 0.18 || max - min < 24) return v >= 0.85 ? 'white' : 'grey';
+  let h;
+  if (max === r) h = (60 * (g - b)) / (max - min);
+  else if (max === g) h = 60 * ((b - r) / (max - min) + 2);
+  else h = 60 * ((r - g) / (max - min) + 4);
+  if (h < 0) h += 360;
+  if (h < 15 || h >= 345) return v > 0.7 && s < 0.5 ? 'pink' : 'red';
+  if (h < 45) return v < 0.65 ? 'brown' : 'orange';
+  if (h < 70) return v < 0.5 ? 'brown' : 'yellow';
+  if (h < 165) return 'green';
+  if (h < 260) return 'blue';
+  if (h < 290) return 'purple';
+  return v > 0.7 ? 'pink' : 'purple';
+}
+
+/**
+ * Colour histogram and dominant colours of a region from a pixel window covering it.
+ * @param {{boundary:{x1:number,y1:number,x2:number,y2:number}}} region
+ * @param {{x:number,y:number,width:number,height:number,channels:number,data:Uint8Array,step?:number}} win
+ *        pixels in full-image coordinates (PhtReader.readMatrixRect / readTilesRect), or
+ *        only the grid samples of that window when `step` is set (readSampleGrid)
+ * @param {{maxSamples?:number, minShare?:number, maxColors?:number}} [options]
+ * @returns {{histogram:Record<string,number>, dominant:string[], samples:number}}
+ */
+export function regionColors(region, win, options = {}) {
+  const { maxSamples = 4096, minShare = 0.15, maxColors = 3 } = options;
+  const { x: wx, y: wy, width, height, channels: ch, data } = win;
+  const counts = new Map();
+  let samples = 0;
+  const step = win.step || sampleStep(width, height, maxSamples);
+  const off = Math.floor(step / 2);
+  const cols = win.step ? Math.ceil((width - off) / step) : width;
+  const exact = regionShape(region) !== 'box';
+  for (let y = off; y < height; y += step)
+    for (let x = off; x < width; x += step) {
+      if (exact && !regionContainsPoint(region, wx + x + 0.5, wy + y + 0.5))
+        continue;
+      const i = win.step
+        ? (((y - off) / step) * cols + (x - off) / step) * ch
+        : (y * width + x) * ch;
+      if (ch === 4 && data[i + 3] === 0) continue;
+      const name = classifyColor(data[i], data[i + 1], data[i + 2]);
+      counts.set(name, (counts.get(name) || 0) + 1);
+      samples++;
+    }
+  const ranked = [...counts]
+    .map(([name, n]) => [name, n / (samples || 1)])
+    .sort(
+      (a, b) =>
+        b[1] - a[1] || COLOR_NAMES.indexOf(a[0]) - COLOR_NAMES.indexOf(b[0]),
+    );
+  const histogram = {};
+  for (const [name, share] of ranked)
+    if (share >= 0.01) histogram[name] = Math.round(share * 100) / 100;
+  const dominant = ranked
+    .filter(([, share], i) => i === 0 || share >= minShare)
+    .slice(0, maxColors)
+    .map(([name]) => name);
+  return { histogram, dominant, samples };
+}
+
+/** Grid spacing that samples about `maxSamples` pixels of a width × height window. */
+function sampleStep(width, height, maxSamples) {
+  return Math.max(1, Math.ceil(Math.sqrt((width * height) / maxSamples)));
+}
+
+/**
+ * Read only the sampling grid of `rect`: one row window per grid row, of which only the grid
+ * columns are kept. The result is a window for regionColors with `step` set.
+ * @param {object|Array<{x:number,y:number,pixelMatrix:object}>} source
+ * @param {{x:number,y:number,width:number,height:number}} rect
+ * @param {number} maxSamples
+ */
+async function readSampleGrid(source, rect, maxSamples) {
+  const tiled = Array.isArray(source);
+  if (!tiled) {
+    // clip to the image first, as readMatrixRect would
+    const x = Math.max(0, rect.x);
+    const y = Math.max(0, rect.y);
+    rect = {
+      x,
+      y,
+      width: Math.min(source.width, rect.x + rect.width) - x,
+      height: Math.min(source.height, rect.y + rect.height) - y,
+    };
+  }
+  const { width, height } = rect;
+  if (width <= 0 || height <= 0) return { ...rect, width: 0, height: 0 };
+  const step = sampleStep(width, height, maxSamples);
+  const off = Math.floor(step / 2);
+  const cols = Math.ceil((width - off) / step);
+  const rows = Math.ceil((height - off) / step);
+  const data = Buffer.alloc(cols * rows * 4);
+  for (let r = 0; r < rows; r++) {
+    const row = { x: rect.x, y: rect.y + off + r * step, width, height: 1 };
+    const win = tiled
+      ? await PhtReader.readTilesRect(source, row)
+      : await PhtReader.readMatrixRect(source, row);
+    for (let c = 0; c < cols; c++) {
+      const s = (off + c * step) * win.channels;
+      const d = (r * cols + c) * 4;
+      data[d] = win.data[s];
+      data[d + 1] = win.data[s + 1];
+      data[d + 2] = win.data[s + 2];
+      data[d + 3] = win.channels === 4 ? win.data[s + 3] : 255;
+    }
+  }
+  return { ...rect, channels: 4, data, step };
+}
+
+/** Compact literal form of a histogram: "blue:0.58 white:0.27". */
+export function formatColorHistogram(histogram) {
+  return Object.entries(histogram)
+    .map(([name, share]) => `${name}:${share}`)
+    .join(' ');
+}
+
+/** Inverse of formatColorHistogram; unknown names and bad shares are dropped. */
+export function parseColorHistogram(text) {
+  const out = {};
+  for (const part of String(text || '').split(/\s+/)) {
+    const [name, share] = part.split(':');
+    const n = Number(share);
+    if (COLOR_NAMES.includes(name) && Number.isFinite(n)) out[name] = n;
+  }
+  return out;
+}
+
+/**
+ * Compute and store colour descriptors for every region with a URI: md:dominantColor (one
+ * triple per colour) and md:colorHistogram in the graph and index entry, and the same two
+ * values on `region.metadata`. Regions without sampled pixels are left alone.
+ * @param {object[]} regions - RegionManager regions
+ * @param {object|Array<{x:number,y:number,pixelMatrix:object}>} source
+ *        the image's PixelMatrix, or the tiles of a tiled run
+ * @param {import('./MetadataIndex.js').default} metadataIndex
+ * @param {object} [options] - see regionColors
+ * @returns {Promise<number>} number of regions described
+ */
+export async function describeRegionColors(
+  regions,
+  source,
+  metadataIndex,
+  options = {},
+) {
+  let n = 0;
+  for (const region of regions || []) {
+    const uri = region?.metadata?.uri;
+    const b = region?.boundary;
+    if (!uri || !b) continue;
+    const rect = {
+      x: Math.floor(b.x1),
+      y: Math.floor(b.y1),
+      width: Math.ceil(b.x2) - Math.floor(b.x1),
+      height: Math.ceil(b.y2) - Math.floor(b.y1),
+    };
+    if (rect.width <= 0 || rect.height <= 0) continue;
+    const win = await readSampleGrid(source, rect, options.maxSamples ?? 4096);
+    if (!win.width || !win.height) continue;
+    const { histogram, dominant, samples } = regionColors(region, win, options);
+    if (!samples) continue;
+    const patch = {
+      dominantColor: dominant,
+      colorHistogram: formatColorHistogram(histogram),
+    };
+    region.metadata = { ...region.metadata, ...patch };
+    upsertRegionMetadata(metadataIndex, uri, patch);
+    n++;
+  }
+  return n;
+}
+
+export default {
+  MD_DOMINANT_COLOR,
+  MD_COLOR_HISTOGRAM,
+  COLOR_NAMES,
+  normalizeColorName,
+  classifyColor,
+  regionColors,
+  formatColorHistogram,
+  parseColorHistogram,
+  describeRegionColors,
+};
@@ -0,0 +1,413 @@
+// detectors.js
+//
+// Purpose: Detector adapters and their registry, so both pipelines run whatever detectors a
+// profile names instead of hard-wiring COCO-SSD, DeepLab and MediaPipe faces. An adapter
+// wraps one model:
+//
+//   { name, title, model, modelUri, role, classes, load(), infer(image) }
+//
+// `infer` gets raw pixels ({data, width, height, channels}, a whole image or one tile) and
+// resolves to `[{label, confidence, boundary, mask?, classId?}]` in the pixels' own frame.
+// runDetector() cleans that output and moves it into full-image coordinates; the pipelines
+// turn it into regions by role:
+//
+//   objects  – boxes (score thresholds, tile keep-centre filter)      e.g. coco-ssd
+//   segments – one mask per class, confidence = share of the input   e.g. deeplab-ade20k
+//   faces    – boxes that also get a blur md:PrivacyAction            e.g. face-detection
+//
+// Built-ins: coco-ssd (all profiles), deeplab-ade20k (balanced, quality) and face-detection
+// (all profiles, dropped when facePrivacy is off). The tfjs-backed adapters live in
+// tfjs-detectors.js and are imported only when a detector is loaded.
+//
+// Local models: every `<DETECTORS_DIR>/<name>/detector.json` (default `models/detectors`)
+// registers a TF.js graph model from the same directory, checked against its SHA256SUMS like
+// the built-in models (tfjs-models.js). Example:
+//
+//   { "name": "harbour-boats", "type": "tfjs-graph", "role": "objects",
+//     "classes": ["sailboat", "ferry", "buoy"], "classOffset": 1,
+//     "scoreThreshold": 0.4, "profiles": ["balanced", "quality"] }
+//
+// Notes
+// - DETECTORS (comma list) or the pipelines' `detectors` option replace the profile's list.
+// - Registering an existing name replaces it (tests register fakes this way).
+// - Labels are kept as the model reports them; the pipelines derive the ex: class with
+//   safeLocalName. `classes` is the detector's vocabulary (class id → label).
+//
+// References
+// - TF.js graph models: https://js.tensorflow.org/api/latest/#loadGraphModel
+// - TF Object Detection API outputs: https://github.com/tensorflow/models/tree/master/research/object_detection
+
+import path from 'path';
+import { promises as fs } from 'fs';
+import { maskBoundary, maskFromLabelMap, translateMask } from './mask.js';
+import { verifyModelDir } from './tfjs-models.js';
+import { logger } from './logger.js';
+
+export const DETECTOR_ROLES = Object.freeze(['objects', 'segments', 'faces']);
+export const PROFILES = Object.freeze(['fast', 'balanced', 'quality']);
+
+/** Error with code EDETECTOR (unknown detector, bad adapter or detector.json). */
+function detectorError(message) {
+  return Object.assign(new Error(message), { code: 'EDETECTOR' });
+}
+
+// name → { factory, role, profiles } in registration order
+const registry = new Map();
+// name → Promise<adapter> (one load per process)
+const loaded = new Map();
+
+/**
+ * Register a detector.
+ * @param {string} name
+ * @param {() => object|Promise<object>} factory - creates the adapter (not yet loaded)
+ * @param {{role?:string, profiles?:string[]}} [options]
+ *        role – objects | segments | faces (default objects); profiles – where it runs by
+ *        default (default all)
+ */
+export function registerDetector(name, factory, options = {}) {
+  const { role = 'objects', profiles = PROFILES } = options;
+  if (!name || typeof factory !== 'function')
+    throw detectorError('registerDetector needs a name and a factory');
+  if (!DETECTOR_ROLES.includes(role))
+    throw detectorError(`detector ${name}: unknown role "${role}"`);
+  const bad = profiles.find((p) => !PROFILES.includes(p));
+  if (bad) throw detectorError(`detector ${name}: unknown profile "${bad}"`);
+  registry.set(name, { factory, role, profiles: [...profiles] });
+  loaded.delete(name);
+}
+
+/** Remove a detector (and its loaded instance). */
+export function unregisterDetector(name) {
+  registry.delete(name);
+  loaded.delete(name);
+}
+
+/** @returns {Array<{name:string, role:string, profiles:string[]}>} */
+export function registeredDetectors() {
+  return [...registry].map(([name, { role, profiles }]) => ({
+    name,
+    role,
+    profiles: [...profiles],
+  }));
+}
+
+/**
+ * Detector names to run.
+ * @param {string} [profile] - fast | balanced | quality (default balanced)
+ * @param {{detectors?:string[]|string, facePrivacy?:boolean}} [options]
+ *        detectors – explicit list (default DETECTORS, else the profile's detectors);
+ *        facePrivacy – false drops face detectors
+ * @returns {string[]}
+ * @throws {Error} code EDETECTOR for unknown names
+ */
+export function detectorNamesFor(profile = 'balanced', options = {}) {
+  const explicit = options.detectors ?? (process.env.DETECTORS || null);
+  let names = explicit
+    ? (Array.isArray(explicit) ? explicit : String(explicit).split(','))
+        .map((s) => s.trim())
+        .filter(Boolean)
+    : [...registry]
+        .filter(([, d]) => d.profiles.includes(profile))
+        .map(([name]) => name);
+  const unknown = names.find((n) => !registry.has(n));
+  if (unknown)
+    throw detectorError(
+      `unknown detector "${unknown}" (registered: ${[...registry.keys()].join(', ')})`,
+    );
+  if (options.facePrivacy === false)
+    names = names.filter((n) => registry.get(n).role !== 'faces');
+  return [...new Set(names)];
+}
+
+/**
+ * Create and load detectors (cached per name).
+ * @param {string[]} names
+ * @returns {Promise<object[]>} adapters, in the order given
+ */
+export async function loadDetectors(names) {
+  return Promise.all(
+    names.map((name) => {
+      const entry = registry.get(name);
+      if (!entry) throw detectorError(`unknown detector "${name}"`);
+      if (!loaded.has(name))
+        loaded.set(
+          name,
+          (async () => {
+            const adapter = await entry.factory();
+            if (typeof adapter?.infer !== 'function')
+              throw detectorError(`detector ${name}: adapter has no infer()`);
+            await adapter.load?.();
+            return {
+              title: name,
+              model: name,
+              modelUri: `http://example.org/model/${name}`,
+              classes: [],
+              ...adapter,
+              name,
+              role: entry.role,
+            };
+          })().catch((e) => {
+            loaded.delete(name);
+            throw e;
+          }),
+        );
+      return loaded.get(name);
+    }),
+  );
+}
+
+/**
+ * Clean adapter output and move it into full-image coordinates: labels must be non-empty,
+ * confidences are clamped to 0–1 (default 1), boxes are ordered, clipped to the input and
+ * offset by (x, y), masks are offset too. Empty boxes are dropped.
+ * @param {object[]} raw - infer() output
+ * @param {{width:number, height:number, x?:number, y?:number}} frame
+ * @returns {Array<{label:string, confidence:number, boundary:object, mask?:object, classId?:number}>}
+ */
+export function normalizeDetections(raw, frame) {
+  const { width, height, x = 0, y = 0 } = frame;
+  const clamp = (v, hi) => Math.min(Math.max(Number(v) || 0, 0), hi);
+  const out = [];
+  for (const d of raw || []) {
+    const label = d?.label == null ? '' : String(d.label).trim();
+    const b = d?.boundary;
+    if (!label || !b) continue;
+    const x1 = clamp(Math.min(b.x1, b.x2), width);
+    const x2 = clamp(Math.max(b.x1, b.x2), width);
+    const y1 = clamp(Math.min(b.y1, b.y2), height);
+    const y2 = clamp(Math.max(b.y1, b.y2), height);
+    if (x2 <= x1 || y2 <= y1) continue;
+    const c = Number(d.confidence ?? 1);
+    out.push({
+      label,
+      confidence: Number.isFinite(c) ? Math.min(Math.max(c, 0), 1) : 0,
+      boundary: { x1: x1 + x, y1: y1 + y, x2: x2 + x, y2: y2 + y },
+      ...(d.mask && { mask: translateMask(d.mask, x, y) }),
+      ...(Number.isInteger(d.classId) && { classId: d.classId }),
+    });
+  }
+  return out;
+}
+
+/**
+ * Segment detections from a per-pixel class map: one mask per class over the input, with
+ * the class's share of the map as confidence.
+ * @param {ArrayLike<number>} labels - mapWidth*mapHeight class ids, row-major
+ * @param {number} mapWidth
+ * @param {number} mapHeight
+ * @param {{width:number, height:number}} size - input size the map covers
+ * @param {(classId:number) => string|null} labelOf - label of a class, null to skip it
+ *        (background)
+ * @returns {Array<{label:string, classId:number, confidence:number, boundary:object, mask:object}>}
+ */
+export function labelMapSegments(labels, mapWidth, mapHeight, size, labelOf) {
+  const total = mapWidth * mapHeight;
+  const freq = new Map();
+  for (let i = 0; i < total; i++)
+    freq.set(labels[i], (freq.get(labels[i]) || 0) + 1);
+  const out = [];
+  for (const [classId, pix] of freq) {
+    const label = labelOf(classId);
+    if (!label) continue;
+    const mask = maskFromLabelMap(labels, mapWidth, mapHeight, classId, {
+      width: size.width,
+      height: size.height,
+    });
+    if (!mask) continue;
+    out.push({
+      label,
+      classId,
+      confidence: pix / total,
+      boundary: maskBoundary(mask),
+      mask,
+    });
+  }
+  return out;
+}
+
+/**
+ * Run one detector on raw pixels and return its normalised detections.
+ * @param {object} detector - a loaded adapter (loadDetectors)
+ * @param {{data:Uint8Array, width:number, height:number, channels:number}} image
+ * @param {{x?:number, y?:number}} [offset] - position of `image` in the full image (tiles)
+ */
+export async function runDetector(detector, image, offset = {}) {
+  const raw = await detector.infer(image);
+  return normalizeDetections(raw, {
+    width: image.width,
+    height: image.height,
+    ...offset,
+  });
+}
+
+/* ─────────────────── local detector models ─────────────────── */
+
+/** Directory holding local detector models (DETECTORS_DIR, else `<MODELS_DIR>/detectors`). */
+export function detectorsDir() {
+  return path.resolve(
+    process.env.DETECTORS_DIR ||
+      path.join(process.env.MODELS_DIR || 'models', 'detectors'),
+  );
+}
+
+const GRAPH_DEFAULTS = {
+  type: 'tfjs-graph',
+  role: 'objects',
+  classOffset: 0,
+  inputSize: null,
+  inputDtype: 'int32',
+  scoreThreshold: 0.3,
+  maxDetections: 100,
+  profiles: PROFILES,
+  outputs: {
+    boxes: 'detection_boxes',
+    scores: 'detection_scores',
+    classes: 'detection_classes',
+    labels: 'labels',
+  },
+};
+
+/**
+ * Check a detector.json and fill in defaults.
+ * @param {object} config
+ * @returns {object} the complete config
+ * @throws {Error} code EDETECTOR naming the first problem
+ */
+export function validateDetectorConfig(config) {
+  const c = {
+    ...GRAPH_DEFAULTS,
+    ...config,
+    outputs: { ...GRAPH_DEFAULTS.outputs, ...config?.outputs },
+  };
+  const where = `detector.json${config?.name ? ` (${config.name})` : ''}`;
+  const fail = (msg) => {
+    throw detectorError(`${where}: ${msg}`);
+  };
+  if (!/^[A-Za-z0-9._-]+$/.test(c.name || ''))
+    fail('"name" must be letters, digits, ".", "_" or "-"');
+  if (c.type !== 'tfjs-graph') fail(`unsupported type "${c.type}"`);
+  if (!DETECTOR_ROLES.includes(c.role)) fail(`unknown role "${c.role}"`);
+  if (
+    !Array.isArray(c.classes) ||
+    !c.classes.length ||
+    !c.classes.every((s) => typeof s === 'string' && s.trim())
+  )
+    fail('"classes" must be a non-empty array of labels');
+  if (!Number.isInteger(c.classOffset))
+    fail('"classOffset" must be an integer');
+  if (
+    c.inputSize != null &&
+    !(
+      (Number.isInteger(c.inputSize) && c.inputSize > 0) ||
+      (Array.isArray(c.inputSize) &&
+        c.inputSize.length === 2 &&
+        c.inputSize.every((n) => Number.isInteger(n) && n > 0))
+    )
+  )
+    fail('"inputSize" must be a side length or [width, height]');
+  if (!['int32', 'float32'].includes(c.inputDtype))
+    fail('"inputDtype" must be int32 or float32');
+  if (!(c.scoreThreshold >= 0 && c.scoreThreshold <= 1))
+    fail('"scoreThreshold" must be between 0 and 1');
+  if (!(Number.isInteger(c.maxDetections) && c.maxDetections > 0))
+    fail('"maxDetections" must be a positive integer');
+  if (
+    !Array.isArray(c.profiles) ||
+    c.profiles.some((p) => !PROFILES.includes(p))
+  )
+    fail(`"profiles" must list ${PROFILES.join(', ')}`);
+  return c;
+}
+
+// one scan per directory and process
+const configured = new Map();
+
+/**
+ * Register every `<dir>/<name>/detector.json`. The model next to it is verified against
+ * its SHA256SUMS when the detector is first loaded. A missing directory registers nothing.
+ * @param {string} [dir] - default detectorsDir()
+ * @returns {Promise<string[]>} registered names
+ * @throws {Error} code EDETECTOR for an invalid detector.json
+ */
+export function registerConfiguredDetectors(dir = detectorsDir()) {
+  if (!configured.has(dir))
+    configured.set(
+      dir,
+      scanDetectorsDir(dir).catch((e) => {
+        configured.delete(dir);
+        throw e;
+      }),
+    );
+  return configured.get(dir);
+}
+
+async function scanDetectorsDir(dir) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (_e) {
+    return [];
+  }
+  const names = [];
+  for (const ent of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    if (!ent.isDirectory()) continue;
+    const modelDir = path.join(dir, ent.name);
+    let text;
+    try {
+      text = await fs.readFile(path.join(modelDir, 'detector.json'), 'utf-8');
+    } catch (_e) {
+      continue;
+    }
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (e) {
+      throw detectorError(`${modelDir}/detector.json: ${e.message}`);
+    }
+    const config = validateDetectorConfig(parsed);
+    registerDetector(
+      config.name,
+      async () => {
+        await verifyModelDir(modelDir);
+        const { graphModelDetector } = await import('./tfjs-detectors.js');
+        return graphModelDetector(config, modelDir);
+      },
+      { role: config.role, profiles: config.profiles },
+    );
+    logger.info(`[detectors] ${config.name} (${config.role}): ${modelDir}`);
+    names.push(config.name);
+  }
+  return names;
+}
+
+/* ─────────────────────── built-ins ─────────────────────── */
+
+const tfjsAdapter = (factoryName) => async () =>
+  (await import('./tfjs-detectors.js'))[factoryName]();
+
+registerDetector('coco-ssd', tfjsAdapter('cocoSsdDetector'), {
+  role: 'objects',
+});
+registerDetector('deeplab-ade20k', tfjsAdapter('deeplabDetector'), {
+  role: 'segments',
+  profiles: ['balanced', 'quality'],
+});
+registerDetector('face-detection', tfjsAdapter('faceDetector'), {
+  role: 'faces',
+});
+
+export default {
+  DETECTOR_ROLES,
+  PROFILES,
+  registerDetector,
+  unregisterDetector,
+  registeredDetectors,
+  detectorNamesFor,
+  loadDetectors,
+  normalizeDetections,
+  labelMapSegments,
+  runDetector,
+  detectorsDir,
+  validateDetectorConfig,
+  registerConfiguredDetectors,
+};
@@ -0,0 +1,117 @@
+// geojson-export.js
+//
+// Purpose: Export the regions of georeferenced images (georef.js) as a GeoJSON
+// FeatureCollection in WGS84 longitude/latitude, for GIS tools and web maps. Works on
+// loaded GlobalRegistry sources like coco-export.js.
+//
+// Mapping
+// - feature: one per region; geometry is the region's shape (polygon or mask outline,
+//   rotated-box corners, else the box) as a Polygon, or a MultiPolygon for several rings.
+// - properties: id, uri, label (coco-export's category), confidence, tags and the image
+//   (manifest base name).
+// - Images without a georeference, or whose CRS has no WGS84 conversion, are skipped.
+//
+// Notes
+// - Exterior rings are counter-clockwise and closed, as RFC 7946 asks; coordinates keep
+//   seven decimals (~1 cm).
+//
+// References
+// - GeoJSON (RFC 7946): https://www.rfc-editor.org/rfc/rfc7946
+
+import { regionPolygon } from './geometry.js';
+import { hasLonLat, pixelToLonLat } from './georef.js';
+import { imageFromSource, regionCategory } from './coco-export.js';
+
+const round = (v) => Number(v.toFixed(7));
+
+/** Pixel ring [x0, y0, …] → closed, counter-clockwise [[lon, lat], …]. */
+function lonLatRing(ring, georef) {
+  const pts = [];
+  for (let i = 0; i < ring.length; i += 2)
+    pts.push(pixelToLonLat(georef, ring[i], ring[i + 1]).map(round));
+  let twiceArea = 0;
+  for (let i = 0; i < pts.length; i++) {
+    const [x1, y1] = pts[i];
+    const [x2, y2] = pts[(i + 1) % pts.length];
+    twiceArea += x1 * y2 - x2 * y1;
+  }
+  if (twiceArea < 0) pts.reverse();
+  pts.push(pts[0]);
+  return pts;
+}
+
+/**
+ * GeoJSON geometry of a region on a georeferenced image, or null when it has no shape.
+ * @param {object} region
+ * @param {object} georef - manifest `georef` section with a WGS84-convertible CRS
+ * @returns {{type:'Polygon'|'MultiPolygon', coordinates:Array}|null}
+ */
+export function regionGeoJsonGeometry(region, georef) {
+  if (!region?.boundary && !region?.polygon && !region?.rotatedBox) return null;
+  const rings = regionPolygon(region).filter(
+    (r) => r.length >= 6 && r.every(Number.isFinite),
+  );
+  if (!rings.length) return null;
+  const polys = rings.map((r) => [lonLatRing(r, georef)]);
+  return polys.length === 1
+    ? { type: 'Polygon', coordinates: polys[0] }
+    : { type: 'MultiPolygon', coordinates: polys };
+}
+
+/**
+ * Build a GeoJSON FeatureCollection.
+ * @param {Array<{name:string, regions:Array, georef?:object|null}>} images
+ * @param {{includeDeleted?:boolean}} [options]
+ *        includeDeleted – keep soft-deleted regions (default false)
+ * @returns {{type:'FeatureCollection', features:Array}}
+ */
+export function buildGeoJson(images, options = {}) {
+  const { includeDeleted = false } = options;
+  const features = [];
+  for (const img of images) {
+    if (!hasLonLat(img.georef)) continue;
+    for (const r of img.regions) {
+      if (!includeDeleted && r.metadata?.deleted) continue;
+      const geometry = regionGeoJsonGeometry(r, img.georef);
+      if (!geometry) continue;
+      const md = r.metadata || {};
+      features.push({
+        type: 'Feature',
+        id: md.uri || `${img.name}/${r.id}`,
+        geometry,
+        properties: {
+          id: r.id,
+          ...(md.uri ? { uri: md.uri } : {}),
+          label: regionCategory(r),
+          ...(typeof md.confidence === 'number'
+            ? { confidence: md.confidence }
+            : {}),
+          tags: r.tags || [],
+          image: img.name,
+        },
+      });
+    }
+  }
+  return { type: 'FeatureCollection', features };
+}
+
+/**
+ * GeoJSON for every georeferenced source of a loaded GlobalRegistry.
+ * @param {import('../global/GlobalRegistry.js').default} registry
+ * @param {Parameters<typeof buildGeoJson>[1]} [options]
+ */
+export function geojsonFromRegistry(registry, options = {}) {
+  return buildGeoJson(
+    registry.sources.map((s) => ({
+      ...imageFromSource(s),
+      georef: s.georef || null,
+    })),
+    options,
+  );
+}
+
+export default {
+  regionGeoJsonGeometry,
+  buildGeoJson,
+  geojsonFromRegistry,
+};
@@ -0,0 +1,548 @@
+// geometry.js
+//
+// Purpose: Region geometry beyond axis-aligned boxes. A region's shape is, in order of
+// precedence:
+//   - mask       – `region.mask` (RLE pixels, see mask.js); measured in pixels
+//   - polygon    – `region.polygon`, rings [[x0, y0, x1, y1, …], …] (outer rings only,
+//                  assumed not to overlap each other)
+//   - rotatedBox – `region.rotatedBox` { cx, cy, width, height, angle } with `angle` in
+//                  degrees, clockwise on screen (image y grows downwards)
+//   - box        – `region.boundary` { x1, y1, x2, y2 }
+// `boundary` always holds the axis-aligned bounding box of the shape, so code that only
+// needs a box (tiling, crops, COCO bbox) keeps working.
+//
+// Pairs of boxes, and masks compared with masks or boxes, use exact box/pixel arithmetic.
+// As soon as a polygon or rotated box is involved, both sides are compared as polygons
+// (a mask by its outline polygon, a box by its rectangle): intersection areas are exact
+// for the polygons, via ear-clipping triangulation and convex clipping of triangle pairs.
+//
+// References
+// - Shoelace formula: https://en.wikipedia.org/wiki/Shoelace_formula
+// - Ear clipping: https://www.geometrictools.com/Documentation/TriangulationByEarClipping.pdf
+// - Sutherland–Hodgman clipping: https://en.wikipedia.org/wiki/Sutherland%E2%80%93Hodgman_algorithm
+
+import {
+  maskArea,
+  maskBoxArea,
+  maskCentroid,
+  maskFromRows,
+  maskGap,
+  maskHasPixel,
+  maskIntersectionArea,
+} from './mask.js';
+
+/* ─────────────────── boxes ─────────────────── */
+
+const boxArea = (b) => Math.max(0, b.x2 - b.x1) * Math.max(0, b.y2 - b.y1);
+
+function boxIntersectionArea(A, B) {
+  const w = Math.min(A.x2, B.x2) - Math.max(A.x1, B.x1);
+  const h = Math.min(A.y2, B.y2) - Math.max(A.y1, B.y1);
+  return w > 0 && h > 0 ? w * h : 0;
+}
+
+// gap between two boxes, the larger of the x and y gap (0 when they touch or overlap)
+const boxGap = (A, B) =>
+  Math.max(0, A.x1 - B.x2, B.x1 - A.x2, A.y1 - B.y2, B.y1 - A.y2);
+
+// the pixels of a box as a mask
+function boxMask(b) {
+  const y1 = Math.floor(b.y1);
+  const run = [Math.floor(b.x1), Math.ceil(b.x2)];
+  const rows = Array.from({ length: Math.ceil(b.y2) - y1 }, () => [run]);
+  return maskFromRows(rows, y1);
+}
+
+const boxContains = (A, B) =>
+  A.x1 <= B.x1 && A.y1 <= B.y1 && A.x2 >= B.x2 && A.y2 >= B.y2;
+
+/** Rectangle ring of a box. */
+export function boxPolygon(b) {
+  return [b.x1, b.y1, b.x2, b.y1, b.x2, b.y2, b.x1, b.y2];
+}
+
+/** Corner ring of a rotated box (clockwise on screen). */
+export function rotatedBoxPolygon({ cx, cy, width, height, angle = 0 }) {
+  const t = (angle * Math.PI) / 180;
+  const c = Math.cos(t);
+  const s = Math.sin(t);
+  const ring = [];
+  for (const [dx, dy] of [
+    [-width / 2, -height / 2],
+    [width / 2, -height / 2],
+    [width / 2, height / 2],
+    [-width / 2, height / 2],
+  ])
+    ring.push(cx + dx * c - dy * s, cy + dx * s + dy * c);
+  return ring;
+}
+
+/** Bounding box of polygon rings. */
+export function polygonBoundary(rings) {
+  let x1 = Infinity;
+  let y1 = Infinity;
+  let x2 = -Infinity;
+  let y2 = -Infinity;
+  for (const ring of rings)
+    for (let i = 0; i < ring.length; i += 2) {
+      x1 = Math.min(x1, ring[i]);
+      x2 = Math.max(x2, ring[i]);
+      y1 = Math.min(y1, ring[i + 1]);
+      y2 = Math.max(y2, ring[i + 1]);
+    }
+  return { x1, y1, x2, y2 };
+}
+
+/* ─────────────────── polygons ─────────────────── */
+
+/** Signed area of a flat ring (positive when clockwise on screen). */
+function signedArea(ring) {
+  let a = 0;
+  const n = ring.length;
+  for (let i = 0; i < n; i += 2) {
+    const j = (i + 2) % n;
+    a += ring[i] * ring[j + 1] - ring[j] * ring[i + 1];
+  }
+  return a / 2;
+}
+
+/** Area of polygon rings. */
+export function polygonArea(rings) {
+  return rings.reduce((sum, ring) => sum + Math.abs(signedArea(ring)), 0);
+}
+
+/** Area-weighted centroid of polygon rings, or null without area. */
+export function polygonCentroid(rings) {
+  let a = 0;
+  let cx = 0;
+  let cy = 0;
+  for (const ring of rings) {
+    const n = ring.length;
+    let ra = 0;
+    let rx = 0;
+    let ry = 0;
+    for (let i = 0; i < n; i += 2) {
+      const j = (i + 2) % n;
+      const f = ring[i] * ring[j + 1] - ring[j] * ring[i + 1];
+      ra += f;
+      rx += (ring[i] + ring[j]) * f;
+      ry += (ring[i + 1] + ring[j + 1]) * f;
+    }
+    // ra is twice the signed area; the signs cancel in rx / (3 * ra)
+    a += Math.abs(ra) / 2;
+    if (ra) {
+      cx += (rx / (3 * ra)) * (Math.abs(ra) / 2);
+      cy += (ry / (3 * ra)) * (Math.abs(ra) / 2);
+    }
+  }
+  return a ? [cx / a, cy / a] : null;
+}
+
+/** Even-odd point-in-polygon test over all rings. */
+export function pointInPolygon(rings, x, y) {
+  for (const ring of rings) {
+    let inside = false;
+    const n = ring.length;
+    for (let i = 0, j = n - 2; i < n; j = i, i += 2) {
+      const xi = ring[i];
+      const yi = ring[i + 1];
+      const xj = ring[j];
+      const yj = ring[j + 1];
+      if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi)
+        inside = !inside;
+    }
+    if (inside) return true;
+  }
+  return false;
+}
+
+const cross = (ax, ay, bx, by, cx, cy) =>
+  (bx - ax) * (cy - ay) - (by - ay) * (cx - ax);
+
+/**
+ * Triangulate a simple ring by ear clipping.
+ * @returns {number[][]} triangles as flat [x0, y0, x1, y1, x2, y2], all with positive
+ *          orientation
+ */
+function triangulate(ring) {
+  const pts = [];
+  for (let i = 0; i < ring.length; i += 2) pts.push([ring[i], ring[i + 1]]);
+  if (signedArea(ring) < 0) pts.reverse();
+  const tris = [];
+  const idx = pts.map((_, i) => i);
+  const inTri = (p, a, b, c) =>
+    cross(...a, ...b, ...p) >= 0 &&
+    cross(...b, ...c, ...p) >= 0 &&
+    cross(...c, ...a, ...p) >= 0;
+  let guard = idx.length * idx.length;
+  while (idx.length > 3 && guard-- > 0) {
+    let clipped = false;
+    for (let k = 0; k < idx.length; k++) {
+      const a = pts[idx[(k + idx.length - 1) % idx.length]];
+      const b = pts[idx[k]];
+      const c = pts[idx[(k + 1) % idx.length]];
+      const turn = cross(...a, ...b, ...c);
+      if (turn < 0) continue; // reflex vertex
+      if (
+        turn > 0 &&
+        idx.some((v) => {
+          const p = pts[v];
+          return p !== a && p !== b && p !== c && inTri(p, a, b, c);
+        })
+      )
+        continue;
+      if (turn > 0) tris.push([...a, ...b, ...c]);
+      idx.splice(k, 1); // collinear vertices are dropped without a triangle
+      clipped = true;
+      break;
+    }
+    if (!clipped) break; // not simple (self-intersecting); keep what we have
+  }
+  if (idx.length === 3) {
+    const [a, b, c] = idx.map((i) => pts[i]);
+    if (cross(...a, ...b, ...c) > 0) tris.push([...a, ...b, ...c]);
+  }
+  return tris;
+}
+
+/** Area of the intersection of two positively oriented triangles (Sutherland–Hodgman). */
+function triangleOverlap(t, u) {
+  let poly = [
+    [t[0], t[1]],
+    [t[2], t[3]],
+    [t[4], t[5]],
+  ];
+  for (let e = 0; e < 6 && poly.length; e += 2) {
+    const ax = u[e];
+    const ay = u[e + 1];
+    const bx = u[(e + 2) % 6];
+    const by = u[(e + 3) % 6];
+    const side = (p) => cross(ax, ay, bx, by, p[0], p[1]);
+    const out = [];
+    for (let i = 0; i < poly.length; i++) {
+      const p = poly[i];
+      const q = poly[(i + 1) % poly.length];
+      const sp = side(p);
+      const sq = side(q);
+      if (sp >= 0) out.push(p);
+      if (sp >= 0 !== sq >= 0) {
+        const f = sp / (sp - sq);
+        out.push([p[0] + f * (q[0] - p[0]), p[1] + f * (q[1] - p[1])]);
+      }
+    }
+    poly = out;
+  }
+  return poly.length < 3 ? 0 : Math.abs(signedArea(poly.flat()));
+}
+
+// Triangulations are cached per ring array; rings are replaced, not edited, on change
+const trianglesCache = new WeakMap();
+
+function ringTriangles(ring) {
+  let tris = trianglesCache.get(ring);
+  if (!tris) {
+    tris = triangulate(ring).map((t) => ({
+      t,
+      box: polygonBoundary([t]),
+    }));
+    trianglesCache.set(ring, tris);
+  }
+  return tris;
+}
+
+/** Exact area shared by two sets of polygon rings. */
+export function polygonIntersectionArea(ringsA, ringsB) {
+  let sum = 0;
+  for (const ra of ringsA) {
+    const ta = ringTriangles(ra);
+    for (const rb of ringsB) {
+      const tb = ringTriangles(rb);
+      for (const a of ta)
+        for (const b of tb)
+          if (boxIntersectionArea(a.box, b.box) > 0)
+            sum += triangleOverlap(a.t, b.t);
+    }
+  }
+  return sum;
+}
+
+// shortest distance from point (px, py) to segment (ax, ay)–(bx, by)
+function pointSegmentDistance(px, py, ax, ay, bx, by) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const len2 = dx * dx + dy * dy;
+  const t = len2
+    ? Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / len2))
+    : 0;
+  return Math.hypot(px - ax - t * dx, py - ay - t * dy);
+}
+
+// shortest distance between two segments (0 when they cross)
+function segmentDistance(ax, ay, bx, by, cx, cy, dx, dy) {
+  const d1 = cross(ax, ay, bx, by, cx, cy);
+  const d2 = cross(ax, ay, bx, by, dx, dy);
+  const d3 = cross(cx, cy, dx, dy, ax, ay);
+  const d4 = cross(cx, cy, dx, dy, bx, by);
+  if (d1 * d2 < 0 && d3 * d4 < 0) return 0;
+  return Math.min(
+    pointSegmentDistance(ax, ay, cx, cy, dx, dy),
+    pointSegmentDistance(bx, by, cx, cy, dx, dy),
+    pointSegmentDistance(cx, cy, ax, ay, bx, by),
+    pointSegmentDistance(dx, dy, ax, ay, bx, by),
+  );
+}
+
+/** Shortest distance between two sets of polygon rings (0 when they touch or overlap). */
+export function polygonGap(ringsA, ringsB) {
+  // without crossing edges, overlapping shapes have one ring inside the other
+  for (const ra of ringsA) if (pointInPolygon(ringsB, ra[0], ra[1])) return 0;
+  for (const rb of ringsB) if (pointInPolygon(ringsA, rb[0], rb[1])) return 0;
+  let best = Infinity;
+  for (const ra of ringsA)
+    for (const rb of ringsB)
+      for (let i = 0, j = ra.length - 2; i < ra.length; j = i, i += 2)
+        for (let k = 0, l = rb.length - 2; k < rb.length; l = k, k += 2) {
+          const d = segmentDistance(
+            ra[j],
+            ra[j + 1],
+            ra[i],
+            ra[i + 1],
+            rb[l],
+            rb[l + 1],
+            rb[k],
+            rb[k + 1],
+          );
+          if (d < best) best = d;
+          if (!best) return 0;
+        }
+  return best;
+}
+
+/* ─────────────────── regions ─────────────────── */
+
+// Corner rings of rotated boxes, so their triangulations can be cached too
+const rotatedRings = new WeakMap();
+
+const hasPolygon = (r) => Array.isArray(r.polygon) && r.polygon.length > 0;
+
+/** 'mask' | 'polygon' | 'box' – how a region's shape is measured. */
+export function regionShape(region) {
+  if (region.mask) return 'mask';
+  if (hasPolygon(region) || region.rotatedBox) return 'polygon';
+  return 'box';
+}
+
+/** Polygon rings of a region (its polygon, rotated box or box rectangle). */
+export function regionPolygon(region) {
+  if (hasPolygon(region)) return region.polygon;
+  if (region.rotatedBox) {
+    let rings = rotatedRings.get(region.rotatedBox);
+    if (!rings) {
+      rings = [rotatedBoxPolygon(region.rotatedBox)];
+      rotatedRings.set(region.rotatedBox, rings);
+    }
+    return rings;
+  }
+  return [boxPolygon(region.boundary)];
+}
+
+/** Area of a region in its own geometry. */
+export function regionArea(region) {
+  switch (regionShape(region)) {
+    case 'mask':
+      return maskArea(region.mask);
+    case 'polygon':
+      return polygonArea(regionPolygon(region));
+    default:
+      return boxArea(region.boundary);
+  }
+}
+
+/** Overlap of two regions (see the header for which geometry is used). */
+export function regionIntersectionArea(A, B) {
+  if (!boxIntersectionArea(A.boundary, B.boundary)) return 0;
+  const sa = regionShape(A);
+  const sb = regionShape(B);
+  if (sa === 'polygon' || sb === 'polygon')
+    return polygonIntersectionArea(regionPolygon(A), regionPolygon(B));
+  if (sa === 'mask' && sb === 'mask')
+    return maskIntersectionArea(A.mask, B.mask);
+  if (sa === 'mask') return maskBoxArea(A.mask, B.boundary);
+  if (sb === 'mask') return maskBoxArea(B.mask, A.boundary);
+  return boxIntersectionArea(A.boundary, B.boundary);
+}
+
+/** Intersection-over-Union of two regions. */
+export function regionIoU(A, B) {
+  const inter = regionIntersectionArea(A, B);
+  if (!inter) return 0;
+  const union = regionArea(A) + regionArea(B) - inter;
+  return union > 0 ? inter / union : 0;
+}
+
+/**
+ * Whether A contains B: box containment for two boxes, otherwise B's whole area lies
+ * inside A (up to floating-point error).
+ */
+export function regionContains(A, B) {
+  // shapes lie within their boundary, so B's box must lie within A's
+  if (!boxContains(A.boundary, B.boundary)) return false;
+  if (regionShape(A) === 'box' && regionShape(B) === 'box') return true;
+  const areaB = regionArea(B);
+  return areaB > 0 && regionIntersectionArea(A, B) >= areaB * (1 - 1e-9) - 1e-9;
+}
+
+/** Centre of a region: box centre, polygon centroid or mask centre of mass. */
+export function regionCentre(region) {
+  const b = region.boundary;
+  const box = [(b.x1 + b.x2) / 2, (b.y1 + b.y2) / 2];
+  switch (regionShape(region)) {
+    case 'mask':
+      return maskCentroid(region.mask) || box;
+    case 'polygon':
+      return polygonCentroid(regionPolygon(region)) || box;
+    default:
+      return box;
+  }
+}
+
+/** Distance between region centres. */
+export function regionDistance(A, B) {
+  const [ax, ay] = regionCentre(A);
+  const [bx, by] = regionCentre(B);
+  return Math.hypot(ax - bx, ay - by);
+}
+
+/**
+ * Gap between the shapes of two regions, 0 when they touch or overlap. Boxes, and masks
+ * compared with masks or boxes, are measured per axis in pixels (the larger of the x and
+ * y gap, see maskGap); as soon as a polygon or rotated box is involved, the Euclidean
+ * distance between the polygons. Gaps above `maxGap` come back as Infinity.
+ */
+export function regionGap(A, B, maxGap = Infinity) {
+  const box = boxGap(A.boundary, B.boundary);
+  // shapes lie within their boundary, so they are at least as far apart as the boxes
+  if (box > maxGap) return Infinity;
+  const sa = regionShape(A);
+  const sb = regionShape(B);
+  let gap = box;
+  if (sa === 'polygon' || sb === 'polygon')
+    gap = polygonGap(regionPolygon(A), regionPolygon(B));
+  else if (sa === 'mask' || sb === 'mask')
+    gap = maskGap(
+      A.mask || boxMask(A.boundary),
+      B.mask || boxMask(B.boundary),
+      maxGap,
+    );
+  return gap <= maxGap ? gap : Infinity;
+}
+
+/** Whether image point (x, y) lies on the region (boxes include their edges). */
+export function regionContainsPoint(region, x, y) {
+  const b = region.boundary;
+  if (!(x >= b.x1 && x <= b.x2 && y >= b.y1 && y <= b.y2)) return false;
+  switch (regionShape(region)) {
+    case 'mask':
+      return maskHasPixel(region.mask, x, y);
+    case 'polygon':
+      return pointInPolygon(regionPolygon(region), x, y);
+    default:
+      return true;
+  }
+}
+
+/**
+ * Polygon rings from outside input (a flat ring or a list of rings, e.g. a COCO
+ * `segmentation`): keeps rings of at least three finite points; null when none is left.
+ */
+export function parsePolygon(value) {
+  if (!Array.isArray(value) || !value.length) return null;
+  const rings = (Array.isArray(value[0]) ? value : [value])
+    .filter(
+      (ring) =>
+        Array.isArray(ring) &&
+        ring.length >= 6 &&
+        ring.length % 2 === 0 &&
+        ring.every(Number.isFinite),
+    )
+    .map((ring) => ring.map(Number));
+  return rings.length ? rings : null;
+}
+
+/** A rotated box from outside input, or null unless all fields are finite and sized. */
+export function parseRotatedBox(value) {
+  if (!value || typeof value !== 'object') return null;
+  const rb = {
+    cx: Number(value.cx),
+    cy: Number(value.cy),
+    width: Number(value.width),
+    height: Number(value.height),
+    angle: Number(value.angle ?? 0),
+  };
+  if (!Object.values(rb).every(Number.isFinite)) return null;
+  return rb.width > 0 && rb.height > 0 ? rb : null;
+}
+
+/**
+ * Give a region polygon geometry: sets `polygon` and a matching `boundary`, and drops a
+ * mask or rotated box it replaces.
+ * @param {object} region
+ * @param {number[][]} rings
+ * @returns {object} region
+ */
+export function attachPolygon(region, rings) {
+  delete region.mask;
+  delete region.rotatedBox;
+  region.polygon = rings;
+  region.boundary = polygonBoundary(rings);
+  return region;
+}
+
+/**
+ * Give a region rotated-box geometry: sets `rotatedBox` and a matching `boundary`, and
+ * drops a mask or polygon it replaces.
+ * @param {object} region
+ * @param {{cx:number, cy:number, width:number, height:number, angle?:number}} rotatedBox
+ * @returns {object} region
+ */
+export function attachRotatedBox(region, rotatedBox) {
+  delete region.mask;
+  delete region.polygon;
+  region.rotatedBox = { angle: 0, ...rotatedBox };
+  region.boundary = polygonBoundary([rotatedBoxPolygon(region.rotatedBox)]);
+  return region;
+}
+
+/** Drop every non-box shape, leaving the region a plain `boundary` box. */
+export function clearShape(region) {
+  delete region.mask;
+  delete region.polygon;
+  delete region.rotatedBox;
+  return region;
+}
+
+export default {
+  boxPolygon,
+  rotatedBoxPolygon,
+  polygonBoundary,
+  polygonArea,
+  polygonCentroid,
+  pointInPolygon,
+  polygonIntersectionArea,
+  polygonGap,
+  regionShape,
+  regionPolygon,
+  regionArea,
+  regionIntersectionArea,
+  regionIoU,
+  regionContains,
+  regionCentre,
+  regionDistance,
+  regionGap,
+  regionContainsPoint,
+  parsePolygon,
+  parseRotatedBox,
+  attachPolygon,
+  attachRotatedBox,
+  clearShape,
+};
@@ -0,0 +1,359 @@
+// georef.js
+//
+// Purpose: Georeferencing for aerial and satellite imagery. Reads the pixel→CRS affine
+// transform of an input image from a world file or the GeoTIFF tags in the file itself,
+// and converts image pixels to WGS84 longitude/latitude so regions can be published as
+// map geometry (geosparql.js triples, geojson-export.js).
+//
+// The manifest stores the result as a top-level `georef` section:
+//   { geoTransform: [x0, xPx, xRot, y0, yRot, yPx], crs: 'EPSG:32633' | null,
+//     source: 'geotiff' | 'worldfile' }
+// `geoTransform` uses GDAL's order and maps pixel corners (not centres):
+//   X = x0 + col·xPx + row·xRot,  Y = y0 + col·yRot + row·yPx
+//
+// Notes
+// - World files (.tfw, .jgw, .pgw, .wld, `<ext>w`) carry no CRS; it comes from a `.prj`
+//   sidecar (its EPSG authority code) or the caller (`--crs EPSG:…`).
+// - GeoTIFF: ModelTransformation, or one tie point plus ModelPixelScale; the EPSG code
+//   comes from the GeoKey directory. Classic TIFF and BigTIFF, first image only.
+//   PixelIsPoint rasters are shifted by half a pixel, like GDAL.
+// - WGS84 output is implemented for EPSG:4326, Web Mercator (3857) and the UTM zones on
+//   WGS84 (326xx/327xx) and ETRS89 (258xx, treated as WGS84: sub-metre difference).
+//   Other CRSs keep their transform (hover shows CRS coordinates) but get no WGS84 data.
+//
+// References
+// - GDAL geotransform: https://gdal.org/tutorials/geotransforms_tut.html
+// - World file: https://en.wikipedia.org/wiki/World_file
+// - GeoTIFF 1.1 (OGC 19-008r4): https://docs.ogc.org/is/19-008r4/19-008r4.html
+// - Transverse Mercator inverse (Snyder, Map Projections – A Working Manual, p. 63):
+//   https://pubs.usgs.gov/pp/1395/report.pdf
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+
+/* ─────────────────── transforms ─────────────────── */
+
+/** Pixel (x, y) → CRS coordinates [X, Y]. */
+export function pixelToCrs(georef, x, y) {
+  const [x0, a, b, y0, d, e] = georef.geoTransform;
+  return [x0 + x * a + y * b, y0 + x * d + y * e];
+}
+
+const R_WGS84 = 6378137;
+const F_WGS84 = 1 / 298.257223563;
+const DEG = 180 / Math.PI;
+
+function mercatorToLonLat(X, Y) {
+  return [
+    (X / R_WGS84) * DEG,
+    (2 * Math.atan(Math.exp(Y / R_WGS84)) - Math.PI / 2) * DEG,
+  ];
+}
+
+/** Inverse transverse Mercator for a UTM zone on the WGS84 ellipsoid. */
+function utmToLonLat(X, Y, zone, south) {
+  const k0 = 0.9996;
+  const e2 = F_WGS84 * (2 - F_WGS84);
+  const ep2 = e2 / (1 - e2);
+  const x = X - 500000;
+  const M = (south ? Y - 10000000 : Y) / k0;
+  const mu =
+    M / (R_WGS84 * (1 - e2 / 4 - (3 * e2 ** 2) / 64 - (5 * e2 ** 3) / 256));
+  const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2));
+  const phi1 =
+    mu +
+    ((3 * e1) / 2 - (27 * e1 ** 3) / 32) * Math.sin(2 * mu) +
+    ((21 * e1 ** 2) / 16 - (55 * e1 ** 4) / 32) * Math.sin(4 * mu) +
+    ((151 * e1 ** 3) / 96) * Math.sin(6 * mu) +
+    ((1097 * e1 ** 4) / 512) * Math.sin(8 * mu);
+  const sin = Math.sin(phi1);
+  const cos = Math.cos(phi1);
+  const tan = Math.tan(phi1);
+  const N1 = R_WGS84 / Math.sqrt(1 - e2 * sin * sin);
+  const T1 = tan * tan;
+  const C1 = ep2 * cos * cos;
+  const R1 = (R_WGS84 * (1 - e2)) / (1 - e2 * sin * sin) ** 1.5;
+  const D = x / (N1 * k0);
+  const lat =
+    phi1 -
+    ((N1 * tan) / R1) *
+      (D ** 2 / 2 -
+        ((5 + 3 * T1 + 10 * C1 - 4 * C1 ** 2 - 9 * ep2) * D ** 4) / 24 +
+        ((61 + 90 * T1 + 298 * C1 + 45 * T1 ** 2 - 252 * ep2 - 3 * C1 ** 2) *
+          D ** 6) /
+          720);
+  const lon =
+    (D -
+      ((1 + 2 * T1 + C1) * D ** 3) / 6 +
+      ((5 - 2 * C1 + 28 * T1 - 3 * C1 ** 2 + 8 * ep2 + 24 * T1 ** 2) * D ** 5) /
+        120) /
+    cos;
+  return [(zone - 1) * 6 - 177 + lon * DEG, lat * DEG];
+}
+
+/**
+ * CRS coordinates → [lon, lat] converter for a CRS, or null when unsupported.
+ * @param {string|null} crs - e.g. 'EPSG:32633'
+ * @returns {((X:number, Y:number) => number[])|null}
+ */
+export function lonLatConverter(crs) {
+  const code = Number(/^EPSG:(\d+)$/i.exec(crs || '')?.[1]);
+  if (code === 4326) return (X, Y) => [X, Y];
+  if (code === 3857 || code === 3785 || code === 900913)
+    return mercatorToLonLat;
+  const utm =
+    (code > 32600 && code <= 32660 && [code - 32600, false]) ||
+    (code > 32700 && code <= 32760 && [code - 32700, true]) ||
+    (code >= 25828 && code <= 25838 && [code - 25800, false]);
+  if (utm) return (X, Y) => utmToLonLat(X, Y, ...utm);
+  return null;
+}
+
+/** Whether regions of this georeference can be placed in WGS84. */
+export function hasLonLat(georef) {
+  return !!(georef?.geoTransform && lonLatConverter(georef.crs));
+}
+
+/**
+ * Pixel (x, y) → [lon, lat], or null when the CRS is not supported.
+ * @param {object} georef - manifest `georef` section
+ */
+export function pixelToLonLat(georef, x, y) {
+  const conv = georef?.geoTransform && lonLatConverter(georef.crs);
+  return conv ? conv(...pixelToCrs(georef, x, y)) : null;
+}
+
+/**
+ * Affine pixel → [lon, lat] fit through three image corners, for cheap per-mousemove
+ * readouts in the viewer: exact for EPSG:4326, otherwise within the projection's
+ * curvature over the image extent. Null when the CRS is not supported.
+ * @returns {number[]|null} [lon0, lonX, lonY, lat0, latX, latY]
+ */
+export function lonLatAffine(georef, width, height) {
+  const o = pixelToLonLat(georef, 0, 0);
+  if (!o) return null;
+  const w = Math.max(1, width);
+  const h = Math.max(1, height);
+  const r = pixelToLonLat(georef, w, 0);
+  const b = pixelToLonLat(georef, 0, h);
+  return [
+    o[0],
+    (r[0] - o[0]) / w,
+    (b[0] - o[0]) / h,
+    o[1],
+    (r[1] - o[1]) / w,
+    (b[1] - o[1]) / h,
+  ];
+}
+
+/* ─────────────────── world files ─────────────────── */
+
+/** Candidate world-file paths for an image (same base name). */
+function worldFileCandidates(imagePath) {
+  const ext = path.extname(imagePath).slice(1).toLowerCase();
+  const base = imagePath.slice(0, imagePath.length - ext.length - 1);
+  const short = ext.length >= 2 ? `${ext[0]}${ext[ext.length - 1]}w` : null;
+  const exts = [short, `${ext}w`, 'wld'].filter(Boolean);
+  return [...new Set(exts)].flatMap((e) => [
+    `${base}.${e}`,
+    `${base}.${e.toUpperCase()}`,
+  ]);
+}
+
+/**
+ * Geotransform from world-file text (six lines: xPx, yRot, xRot, yPx, x, y of the
+ * upper-left pixel's centre), or null when malformed.
+ * @param {string} text
+ * @returns {number[]|null}
+ */
+export function parseWorldFile(text) {
+  const v = String(text).trim().split(/\s+/).map(Number);
+  if (v.length < 6 || !v.slice(0, 6).every(Number.isFinite)) return null;
+  const [a, d, b, e, c, f] = v;
+  if (!a || !e) return null;
+  return [c - a / 2 - b / 2, a, b, f - d / 2 - e / 2, d, e];
+}
+
+/**
+ * EPSG code from .prj WKT text: the last AUTHORITY["EPSG", …] / ID["EPSG", …] entry,
+ * which belongs to the outermost CRS definition.
+ * @returns {string|null} e.g. 'EPSG:32633'
+ */
+export function parsePrjEpsg(text) {
+  const all = [
+    ...String(text).matchAll(
+      /(?:AUTHORITY|ID)\[\s*"EPSG"\s*,\s*"?(\d+)"?\s*\]/gi,
+    ),
+  ];
+  return all.length ? `EPSG:${all[all.length - 1][1]}` : null;
+}
+
+/* ─────────────────── GeoTIFF ─────────────────── */
+
+const TAG = {
+  pixelScale: 33550,
+  tiePoint: 33922,
+  transformation: 34264,
+  geoKeys: 34735,
+};
+const TYPE_SIZE = {
+  1: 1,
+  2: 1,
+  3: 2,
+  4: 4,
+  5: 8,
+  6: 1,
+  7: 1,
+  8: 2,
+  9: 4,
+  10: 8,
+  11: 4,
+  12: 8,
+  16: 8,
+  17: 8,
+};
+
+/** Tags of the first IFD as arrays of numbers (only the types GeoTIFF uses). */
+function readFirstIfd(buf) {
+  const order = buf.toString('latin1', 0, 2);
+  if (order !== 'II' && order !== 'MM') return null;
+  const le = order === 'II';
+  const u16 = (o) => (le ? buf.readUInt16LE(o) : buf.readUInt16BE(o));
+  const u32 = (o) => (le ? buf.readUInt32LE(o) : buf.readUInt32BE(o));
+  const u64 = (o) =>
+    Number(le ? buf.readBigUInt64LE(o) : buf.readBigUInt64BE(o));
+  const f64 = (o) => (le ? buf.readDoubleLE(o) : buf.readDoubleBE(o));
+  const big = u16(2) === 43;
+  if (!big && u16(2) !== 42) return null;
+  let at = big ? u64(8) : u32(4);
+  const count = big ? u64(at) : u16(at);
+  at += big ? 8 : 2;
+  const entrySize = big ? 20 : 12;
+  const inline = big ? 8 : 4;
+  const tags = new Map();
+  for (let i = 0; i < count; i++, at += entrySize) {
+    const tag = u16(at);
+    if (!Object.values(TAG).includes(tag)) continue;
+    const type = u16(at + 2);
+    const n = big ? u64(at + 4) : u32(at + 4);
+    const size = TYPE_SIZE[type];
+    if (!size) continue;
+    const valueAt = at + (big ? 12 : 8);
+    const data =
+      n * size <= inline ? valueAt : big ? u64(valueAt) : u32(valueAt);
+    if (data + n * size > buf.length) continue;
+    const read = { 3: u16, 4: u32, 12: f64, 16: u64 }[type];
+    if (!read) continue;
+    tags.set(
+      tag,
+      Array.from({ length: n }, (_, k) => read(data + k * size)),
+    );
+  }
+  return tags;
+}
+
+/** GeoKey id → inline SHORT value from a GeoKeyDirectory. */
+function geoKeyValues(dir) {
+  const keys = new Map();
+  if (!dir || dir.length < 4) return keys;
+  for (let i = 0; i < dir[3]; i++) {
+    const [id, location, , value] = dir.slice(4 + i * 4, 8 + i * 4);
+    if (location === 0) keys.set(id, value);
+  }
+  return keys;
+}
+
+/**
+ * Georeference from GeoTIFF tags, or null when the buffer is not a georeferenced TIFF.
+ * @param {Buffer} buf - image file contents
+ * @returns {{geoTransform:number[], crs:string|null, source:'geotiff'}|null}
+ */
+export function readGeoTiff(buf) {
+  if (!Buffer.isBuffer(buf) || buf.length < 16) return null;
+  let tags;
+  try {
+    tags = readFirstIfd(buf);
+  } catch (_e) {
+    return null; // truncated or not a TIFF
+  }
+  if (!tags) return null;
+  let gt = null;
+  const m = tags.get(TAG.transformation);
+  const tie = tags.get(TAG.tiePoint);
+  const scale = tags.get(TAG.pixelScale);
+  if (m?.length >= 16) gt = [m[3], m[0], m[1], m[7], m[4], m[5]];
+  else if (tie?.length >= 6 && scale?.length >= 2) {
+    const [i, j, , X, Y] = tie;
+    gt = [X - i * scale[0], scale[0], 0, Y + j * scale[1], 0, -scale[1]];
+  }
+  if (!gt || !gt.every(Number.isFinite)) return null;
+  const keys = geoKeyValues(tags.get(TAG.geoKeys));
+  if (keys.get(1025) === 2) {
+    // PixelIsPoint: tie points address pixel centres
+    gt[0] -= (gt[1] + gt[2]) / 2;
+    gt[3] -= (gt[4] + gt[5]) / 2;
+  }
+  const epsg = keys.get(3072) || keys.get(2048);
+  const crs = epsg && epsg !== 32767 ? `EPSG:${epsg}` : null;
+  return { geoTransform: gt, crs, source: 'geotiff' };
+}
+
+/* ─────────────────── loading ─────────────────── */
+
+async function readText(file) {
+  try {
+    return await fs.readFile(file, 'utf-8');
+  } catch (_e) {
+    return null;
+  }
+}
+
+/**
+ * Georeference of an input image: its world file when present, else its GeoTIFF tags.
+ * @param {string} imagePath
+ * @param {Buffer} [buf] - the image contents, when already read
+ * @param {{crs?:string}} [options] - crs: override / fill in the CRS (e.g. 'EPSG:32633')
+ * @returns {Promise<{geoTransform:number[], crs:string|null, source:string}|null>}
+ */
+export async function readGeoreference(imagePath, buf, options = {}) {
+  let georef = null;
+  for (const file of worldFileCandidates(imagePath)) {
+    const text = await readText(file);
+    const gt = text && parseWorldFile(text);
+    if (gt) {
+      georef = { geoTransform: gt, crs: null, source: 'worldfile' };
+      break;
+    }
+  }
+  if (!georef) {
+    const data = buf || (await fs.readFile(imagePath).catch(() => null));
+    georef = data && readGeoTiff(data);
+  }
+  if (!georef) return null;
+  if (!georef.crs) {
+    const ext = path.extname(imagePath);
+    const prj = await readText(
+      `${imagePath.slice(0, -ext.length || undefined)}.prj`,
+    );
+    georef.crs = prj ? parsePrjEpsg(prj) : null;
+  }
+  if (options.crs) georef.crs = String(options.crs).toUpperCase();
+  if (!hasLonLat(georef))
+    logger.warn(
+      `georef: ${path.basename(imagePath)} has CRS ${georef.crs || 'unknown'}; no WGS84 output`,
+    );
+  return georef;
+}
+
+export default {
+  pixelToCrs,
+  lonLatConverter,
+  hasLonLat,
+  pixelToLonLat,
+  lonLatAffine,
+  parseWorldFile,
+  parsePrjEpsg,
+  readGeoTiff,
+  readGeoreference,
+};
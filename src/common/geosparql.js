@@ -0,0 +1,410 @@
+// geosparql.js
+//
+// Purpose: GeoSPARQL view of region geometry. Every region gets a geo:Geometry node whose
+// geo:asWKT literal holds its shape in pixel space, and the SPARQL endpoints get the
+// GeoSPARQL filter functions as Comunica extension functions, so spatial questions can
+// use any threshold instead of only the precomputed md:near / md:contains links:
+//
+//   ?a geo:hasGeometry/geo:asWKT ?wa . ?b geo:hasGeometry/geo:asWKT ?wb .
+//   FILTER(geof:distance(?wa, ?wb) < 250 && !geof:sfIntersects(?wa, ?wb))
+//
+// Notes
+// - Literals carry the pixel CRS <http://example.org/crs/pixel>: x grows right, y grows
+//   down, one unit per pixel. geof:distance returns pixels and geof:area px²; their
+//   optional unit argument is accepted and ignored. Literals without a CRS are read as
+//   pixels too; CRSs other than pixels and CRS84 are an error.
+// - Shapes come from geometry.js (polygon or mask outline, rotated-box corners, else the
+//   box): one ring is written as POLYGON, several as MULTIPOLYGON.
+// - Parsing reads POINT, POLYGON and MULTIPOLYGON. Interior rings (holes) are dropped,
+//   as geometry.js treats every ring as an outer ring.
+// - Geometry nodes are named <urn:geometry:<image>/<segment>/<id>> rather than uri://…
+//   so image scoping (ex:within inference) never mistakes them for regions.
+// - Bad arguments (unsupported WKT, another CRS, non-literals) fail the whole query with
+//   the function's message, which the endpoints return as a 400.
+// - Georeferenced images (georef.js) also get WGS84 shapes in CRS84 lon/lat: a
+//   geo:hasCentroid POINT and an md:footprint POLYGON. They sit on their own properties
+//   so geo:hasGeometry stays in pixels; comparing a pixel literal with a CRS84 one is an
+//   error. On CRS84 literals geof:distance returns metres and geof:area m² (local
+//   equirectangular approximation, fine at image scale).
+//
+// References
+// - OGC GeoSPARQL 1.1: https://docs.ogc.org/is/22-047r1/22-047r1.html
+// - WKT in OGC Simple Features (06-103r4): https://www.ogc.org/standard/sfa/
+// - Comunica extension functions: https://comunica.dev/docs/query/advanced/extension_functions/
+
+import { DataFactory } from 'n3';
+import {
+  pointInPolygon,
+  polygonArea,
+  polygonBoundary,
+  polygonIntersectionArea,
+  regionCentre,
+  regionPolygon,
+} from './geometry.js';
+import { hasLonLat, pixelToLonLat } from './georef.js';
+
+const { namedNode, literal, quad } = DataFactory;
+
+export const GEO = 'http://www.opengis.net/ont/geosparql#';
+export const GEOF = 'http://www.opengis.net/def/function/geosparql/';
+export const WKT_LITERAL = `${GEO}wktLiteral`;
+export const PIXEL_CRS = 'http://example.org/crs/pixel';
+export const CRS84 = 'http://www.opengis.net/def/crs/OGC/1.3/CRS84';
+export const MD_FOOTPRINT = 'http://example.org/metadata#footprint';
+
+const RDF_TYPE = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type';
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+const HAS_GEOMETRY = namedNode(`${GEO}hasGeometry`);
+const AS_WKT = namedNode(`${GEO}asWKT`);
+const HAS_CENTROID = namedNode(`${GEO}hasCentroid`);
+const FOOTPRINT = namedNode(MD_FOOTPRINT);
+
+/* ─────────────────── writing ─────────────────── */
+
+// three decimals keep rotated-box corners readable without losing sub-pixel detail;
+// seven for degrees are ~1 cm
+const num = (v, digits = 3) => String(Number(v.toFixed(digits)));
+
+function ringWkt(ring, digits) {
+  const pts = [];
+  for (let i = 0; i < ring.length; i += 2)
+    pts.push(`${num(ring[i], digits)} ${num(ring[i + 1], digits)}`);
+  pts.push(pts[0]); // WKT rings are closed
+  return `(${pts.join(', ')})`;
+}
+
+/**
+ * WKT literal text of a region's shape, or null when it has no usable geometry.
+ * @param {object} region
+ * @returns {string|null} e.g. `<http://example.org/crs/pixel> POLYGON((0 0, 4 0, …))`
+ */
+export function regionWkt(region) {
+  if (!region?.boundary && !region?.polygon && !region?.rotatedBox) return null;
+  const rings = regionPolygon(region).filter(
+    (ring) => ring.length >= 6 && ring.every(Number.isFinite),
+  );
+  if (!rings.length) return null;
+  return `<${PIXEL_CRS}> ${polygonWkt(rings)}`;
+}
+
+function polygonWkt(rings, digits) {
+  return rings.length === 1
+    ? `POLYGON(${ringWkt(rings[0], digits)})`
+    : `MULTIPOLYGON(${rings.map((r) => `(${ringWkt(r, digits)})`).join(', ')})`;
+}
+
+/**
+ * CRS84 (lon/lat) WKT of a region's centroid and footprint on a georeferenced image, or
+ * null when the region has no shape or the image CRS has no WGS84 conversion.
+ * @param {object} region
+ * @param {object} georef - manifest `georef` section (see georef.js)
+ * @returns {{centroid:string, footprint:string}|null}
+ */
+export function regionLonLatWkt(region, georef) {
+  if (!hasLonLat(georef)) return null;
+  if (!regionWkt(region)) return null;
+  const rings = regionPolygon(region).map((ring) => {
+    const out = [];
+    for (let i = 0; i < ring.length; i += 2)
+      out.push(...pixelToLonLat(georef, ring[i], ring[i + 1]));
+    return out;
+  });
+  const [cx, cy] = regionCentre(region);
+  const [lon, lat] = pixelToLonLat(georef, cx, cy);
+  return {
+    centroid: `<${CRS84}> POINT(${num(lon, 7)} ${num(lat, 7)})`,
+    footprint: `<${CRS84}> ${polygonWkt(rings, 7)}`,
+  };
+}
+
+/** IRI of the geometry node for a region URI. */
+export function geometryIri(uri) {
+  return `urn:geometry:${uri.replace(/^uri:\/\//, '')}`;
+}
+
+function addGeometry(store, subj, predicate, iri, wkt) {
+  const geom = namedNode(iri);
+  store.addQuad(quad(subj, predicate, geom));
+  store.addQuad(quad(geom, namedNode(RDF_TYPE), namedNode(`${GEO}Geometry`)));
+  store.addQuad(quad(geom, AS_WKT, literal(wkt, namedNode(WKT_LITERAL))));
+}
+
+/**
+ * Replace a region's geo:hasGeometry / geo:asWKT triples with its current shape, plus
+ * its geo:hasCentroid / md:footprint lon/lat geometry when the image is georeferenced.
+ * @param {import('./MetadataIndex.js').default} metadataIndex
+ * @param {object} region - needs `metadata.uri`
+ * @param {{georef?:object|null}} [options]
+ * @returns {boolean} true when a geometry was written
+ */
+export function upsertRegionGeometry(metadataIndex, region, options = {}) {
+  const uri = region?.metadata?.uri;
+  if (!uri) return false;
+  const { store } = metadataIndex;
+  const subj = namedNode(uri);
+  for (const p of [HAS_GEOMETRY, HAS_CENTROID, FOOTPRINT])
+    for (const q of store.getQuads(subj, p, null, null)) {
+      store.removeQuads(store.getQuads(q.object, null, null, null));
+      store.removeQuad(q);
+    }
+  const wkt = regionWkt(region);
+  if (!wkt) return false;
+  const iri = geometryIri(uri);
+  addGeometry(store, subj, HAS_GEOMETRY, iri, wkt);
+  const wgs = options.georef ? regionLonLatWkt(region, options.georef) : null;
+  if (wgs) {
+    addGeometry(store, subj, HAS_CENTROID, `${iri}/centroid`, wgs.centroid);
+    addGeometry(store, subj, FOOTPRINT, `${iri}/footprint`, wgs.footprint);
+  }
+  return true;
+}
+
+/**
+ * Write the geometry of every region that has a URI (see upsertRegionGeometry).
+ * @param {{georef?:object|null}} [options]
+ * @returns {number} geometries written
+ */
+export function syncRegionGeometry(metadataIndex, regions, options = {}) {
+  let n = 0;
+  for (const r of regions || [])
+    if (upsertRegionGeometry(metadataIndex, r, options)) n++;
+  return n;
+}
+
+/* ─────────────────── reading ─────────────────── */
+
+function parseCoords(text) {
+  const pts = text.split(',').map((pair) => {
+    const [x, y] = pair.trim().split(/\s+/).map(Number);
+    if (!Number.isFinite(x) || !Number.isFinite(y))
+      throw new Error(`bad WKT coordinate "${pair.trim()}"`);
+    return [x, y];
+  });
+  return pts;
+}
+
+function parseRing(text) {
+  const pts = parseCoords(text);
+  const [f, l] = [pts[0], pts[pts.length - 1]];
+  if (pts.length > 1 && f[0] === l[0] && f[1] === l[1]) pts.pop();
+  if (pts.length < 3) throw new Error('WKT ring needs three distinct points');
+  return pts.flat();
+}
+
+// First (outer) ring of each "((…), (…))" polygon body
+function firstRing(body) {
+  const ring = body.match(/\(([^()]*)\)/);
+  if (!ring) throw new Error('WKT polygon without a ring');
+  return parseRing(ring[1]);
+}
+
+const parsed = new Map();
+const PARSE_CACHE_LIMIT = 4096;
+
+/**
+ * Parse WKT (optionally CRS-prefixed) into points and outer rings. Results are cached by
+ * text, so repeated calls return the same rings (and reuse their triangulations).
+ * @param {string} text
+ * @returns {{crs:string, points:number[][], rings:number[][], box:{x1:number,y1:number,x2:number,y2:number}}}
+ * @throws {Error} on unsupported geometry types, CRSs or malformed coordinates
+ */
+export function parseWkt(text) {
+  const key = String(text);
+  const hit = parsed.get(key);
+  if (hit) return hit;
+  let s = key.trim();
+  const crs = s.match(/^<([^>]*)>\s*/);
+  if (crs) {
+    if (crs[1] !== PIXEL_CRS && crs[1] !== CRS84)
+      throw new Error(`unsupported CRS <${crs[1]}>`);
+    s = s.slice(crs[0].length);
+  }
+  const m = s.match(/^(POINT|POLYGON|MULTIPOLYGON)\s*\((.*)\)$/is);
+  if (!m) throw new Error(`unsupported WKT "${s.slice(0, 40)}"`);
+  const type = m[1].toUpperCase();
+  const body = m[2];
+  const geom = { crs: crs ? crs[1] : PIXEL_CRS, points: [], rings: [] };
+  if (type === 'POINT') {
+    const pts = parseCoords(body);
+    if (pts.length !== 1) throw new Error('WKT POINT takes one coordinate');
+    geom.points = pts;
+  } else if (type === 'POLYGON') {
+    geom.rings = [firstRing(body)];
+  } else {
+    const polys = body.match(/\(\s*\([^()]*\)(\s*,\s*\([^()]*\))*\s*\)/g);
+    if (!polys) throw new Error('empty WKT MULTIPOLYGON');
+    geom.rings = polys.map(firstRing);
+  }
+  geom.box = polygonBoundary([...geom.rings, ...geom.points]);
+  if (parsed.size >= PARSE_CACHE_LIMIT) parsed.clear();
+  parsed.set(key, geom);
+  return geom;
+}
+
+/* ─────────────────── predicates ─────────────────── */
+
+function* vertices(g) {
+  yield* g.points;
+  for (const ring of g.rings)
+    for (let i = 0; i < ring.length; i += 2) yield [ring[i], ring[i + 1]];
+}
+
+function* edges(g) {
+  for (const ring of g.rings)
+    for (let i = 0, n = ring.length; i < n; i += 2)
+      yield [ring[i], ring[i + 1], ring[(i + 2) % n], ring[(i + 3) % n]];
+}
+
+function segmentDistance(px, py, [x1, y1, x2, y2]) {
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  const len = dx * dx + dy * dy;
+  const t = len
+    ? Math.max(0, Math.min(1, ((px - x1) * dx + (py - y1) * dy) / len))
+    : 0;
+  return Math.hypot(px - (x1 + t * dx), py - (y1 + t * dy));
+}
+
+const orient = (ax, ay, bx, by, cx, cy) =>
+  Math.sign((bx - ax) * (cy - ay) - (by - ay) * (cx - ax));
+
+/** Whether two segments cross in their interiors (touching is left to distances). */
+function segmentsCross([ax, ay, bx, by], [cx, cy, dx, dy]) {
+  const o1 = orient(ax, ay, bx, by, cx, cy);
+  const o2 = orient(ax, ay, bx, by, dx, dy);
+  const o3 = orient(cx, cy, dx, dy, ax, ay);
+  const o4 = orient(cx, cy, dx, dy, bx, by);
+  return o1 * o2 < 0 && o3 * o4 < 0;
+}
+
+const boxesMeet = (a, b) =>
+  a.x1 <= b.x2 && b.x1 <= a.x2 && a.y1 <= b.y2 && b.y1 <= a.y2;
+
+/** Whether part of A lies strictly inside B or A's edges cross B's. */
+function reaches(A, B) {
+  if (!B.rings.length) return false;
+  for (const [x, y] of vertices(A))
+    if (pointInPolygon(B.rings, x, y)) return true;
+  for (const e of edges(A))
+    for (const f of edges(B)) if (segmentsCross(e, f)) return true;
+  return false;
+}
+
+function pointDistance(g, x, y) {
+  let d = Infinity;
+  for (const [px, py] of g.points) d = Math.min(d, Math.hypot(px - x, py - y));
+  for (const e of edges(g)) d = Math.min(d, segmentDistance(x, y, e));
+  return d;
+}
+
+/** Shortest distance between two parsed geometries; 0 when they intersect. */
+export function wktDistance(A, B) {
+  if (boxesMeet(A.box, B.box) && (reaches(A, B) || reaches(B, A))) return 0;
+  let d = Infinity;
+  for (const [x, y] of vertices(A)) d = Math.min(d, pointDistance(B, x, y));
+  for (const [x, y] of vertices(B)) d = Math.min(d, pointDistance(A, x, y));
+  return d;
+}
+
+/** Whether two parsed geometries share at least one point (boundaries included). */
+export function wktIntersects(A, B) {
+  return boxesMeet(A.box, B.box) && wktDistance(A, B) <= 1e-9;
+}
+
+/** Whether A lies inside B (B needs an area; A's area must be covered up to rounding). */
+export function wktWithin(A, B) {
+  if (!B.rings.length || !boxesMeet(A.box, B.box)) return false;
+  if (!A.points.every(([x, y]) => pointInPolygon(B.rings, x, y))) return false;
+  if (!A.rings.length) return A.points.length > 0;
+  const area = polygonArea(A.rings);
+  return (
+    area > 0 &&
+    polygonIntersectionArea(A.rings, B.rings) >= area * (1 - 1e-9) - 1e-9
+  );
+}
+
+/** Area of a parsed geometry in px² (points have none). */
+export function wktArea(g) {
+  return polygonArea(g.rings);
+}
+
+/* ─────────────────── SPARQL functions ─────────────────── */
+
+function geometryArg(term) {
+  if (term?.termType !== 'Literal')
+    throw new TypeError('GeoSPARQL function expects a WKT literal');
+  const dt = term.datatype?.value;
+  if (dt !== WKT_LITERAL && dt !== `${XSD}string`)
+    throw new TypeError(`not a geo:wktLiteral: ${dt}`);
+  return parseWkt(term.value);
+}
+
+const bool = (v) => literal(String(v), namedNode(`${XSD}boolean`));
+const double = (v) => literal(String(v), namedNode(`${XSD}double`));
+
+const EARTH_RADIUS = 6371008.8; // mean radius, metres
+
+/** Lon/lat geometries → local metres (equirectangular about their mean latitude). */
+function toMetres(geoms) {
+  const lat0 =
+    geoms.reduce((s, g) => s + (g.box.y1 + g.box.y2) / 2, 0) / geoms.length;
+  const kx = (EARTH_RADIUS * Math.PI * Math.cos((lat0 * Math.PI) / 180)) / 180;
+  const ky = (EARTH_RADIUS * Math.PI) / 180;
+  return geoms.map((g) => {
+    const rings = g.rings.map((r) => r.map((v, i) => v * (i % 2 ? ky : kx)));
+    const points = g.points.map(([x, y]) => [x * kx, y * ky]);
+    return { ...g, points, rings, box: polygonBoundary([...rings, ...points]) };
+  });
+}
+
+/** Parsed arguments in one planar unit: pixels, or metres for CRS84. */
+function planar(terms) {
+  const geoms = terms.map(geometryArg);
+  const crs = geoms[0].crs;
+  if (geoms.some((g) => g.crs !== crs))
+    throw new TypeError(
+      `mixed CRSs <${crs}> and <${geoms.find((g) => g.crs !== crs).crs}>`,
+    );
+  return crs === CRS84 ? toMetres(geoms) : geoms;
+}
+
+const binary = (fn, wrap) => async (args) => {
+  if (args.length < 2) throw new TypeError('expects two geometries');
+  return wrap(fn(...planar(args.slice(0, 2))));
+};
+
+/**
+ * GeoSPARQL functions for Comunica's `extensionFunctions` query context entry.
+ * geof:sfIntersects, geof:sfWithin and geof:sfContains return xsd:boolean; geof:distance
+ * (pixels, or metres in CRS84) and geof:area (px² or m²) return xsd:double.
+ */
+export const GEO_FUNCTIONS = {
+  [`${GEOF}sfIntersects`]: binary(wktIntersects, bool),
+  [`${GEOF}sfWithin`]: binary(wktWithin, bool),
+  [`${GEOF}sfContains`]: binary((a, b) => wktWithin(b, a), bool),
+  [`${GEOF}distance`]: binary(wktDistance, double),
+  [`${GEOF}area`]: async (args) => {
+    if (!args.length) throw new TypeError('expects a geometry');
+    return double(wktArea(planar(args.slice(0, 1))[0]));
+  },
+};
+
+export default {
+  GEO,
+  GEOF,
+  WKT_LITERAL,
+  PIXEL_CRS,
+  CRS84,
+  MD_FOOTPRINT,
+  GEO_FUNCTIONS,
+  regionWkt,
+  regionLonLatWkt,
+  geometryIri,
+  upsertRegionGeometry,
+  syncRegionGeometry,
+  parseWkt,
+  wktDistance,
+  wktIntersects,
+  wktWithin,
+  wktArea,
+};
@@ -0,0 +1,301 @@
+// iiif.js
+//
+// Purpose: Pure helpers for the IIIF endpoints in the viewer: parse the Image API request
+// grammar ({region}/{size}/{rotation}/{quality}.{format}) into pixel geometry, and build the
+// Image API info.json and a Presentation manifest whose annotations are the image's regions.
+// No I/O here; the viewer resolves pixels through the pyramid/tile readers.
+//
+// Parsers return null for syntactically invalid or unsatisfiable requests (the route maps
+// that to 400, as the spec requires).
+//
+// References
+// - IIIF Image API 3.0: https://iiif.io/api/image/3.0/
+// - IIIF Presentation API 3.0: https://iiif.io/api/presentation/3.0/
+
+export const IMAGE_CONTEXT = 'http://iiif.io/api/image/3/context.json';
+export const PRESENTATION_CONTEXT =
+  'http://iiif.io/api/presentation/3/context.json';
+
+/** Output formats → sharp format name and MIME type. */
+export const FORMATS = {
+  jpg: { sharp: 'jpeg', mime: 'image/jpeg' },
+  png: { sharp: 'png', mime: 'image/png' },
+  webp: { sharp: 'webp', mime: 'image/webp' },
+  tif: { sharp: 'tiff', mime: 'image/tiff' },
+};
+
+export const QUALITIES = ['default', 'color', 'gray', 'bitonal'];
+
+const NUM = '\\d+(?:\\.\\d+)?';
+
+/**
+ * Parse the region segment against the full image size.
+ * Accepts: full | square | x,y,w,h | pct:x,y,w,h
+ * @returns {{x:number,y:number,width:number,height:number}|null} clamped to the image
+ */
+export function parseRegion(segment, width, height) {
+  const s = String(segment || '');
+  let x, y, w, h;
+  if (s === 'full') return { x: 0, y: 0, width, height };
+  if (s === 'square') {
+    const side = Math.min(width, height);
+    return {
+      x: Math.floor((width - side) / 2),
+      y: Math.floor((height - side) / 2),
+      width: side,
+      height: side,
+    };
+  }
+  let m = s.match(/^(\d+),(\d+),(\d+),(\d+)$/);
+  if (m) [x, y, w, h] = m.slice(1).map(Number);
+  else {
+    m = s.match(new RegExp(`^pct:(${NUM}),(${NUM}),(${NUM}),(${NUM})$`));
+    if (!m) return null;
+    const [px, py, pw, ph] = m.slice(1).map(Number);
+    x = Math.round((px / 100) * width);
+    y = Math.round((py / 100) * height);
+    w = Math.round((pw / 100) * width);
+    h = Math.round((ph / 100) * height);
+  }
+  if (w <= 0 || h <= 0 || x >= width || y >= height) return null;
+  return {
+    x,
+    y,
+    width: Math.min(w, width - x),
+    height: Math.min(h, height - y),
+  };
+}
+
+/**
+ * Size of `full/max` for a width×height region: scaled down (aspect ratio kept) to fit
+ * the server limits, never up.
+ * @param {{maxWidth?:number,maxHeight?:number,maxArea?:number}} [limits]
+ * @returns {{width:number,height:number}}
+ */
+export function maxSize(width, height, limits = {}) {
+  const f = Math.min(
+    1,
+    limits.maxWidth ? limits.maxWidth / width : 1,
+    limits.maxHeight ? limits.maxHeight / height : 1,
+    limits.maxArea ? Math.sqrt(limits.maxArea / (width * height)) : 1,
+  );
+  return {
+    width: Math.max(1, Math.floor(width * f)),
+    height: Math.max(1, Math.floor(height * f)),
+  };
+}
+
+/**
+ * Parse the size segment for a region of regionWidth×regionHeight.
+ * Accepts (each optionally prefixed with ^ to allow upscaling):
+ * max | w, | ,h | pct:n | w,h | !w,h  (and the 2.x alias `full`)
+ * @param {{maxWidth?:number,maxHeight?:number,maxArea?:number}} [limits]
+ * @returns {{width:number,height:number}|null}
+ */
+export function parseSize(segment, regionWidth, regionHeight, limits = {}) {
+  let s = String(segment || '');
+  const upscale = s.startsWith('^');
+  if (upscale) s = s.slice(1);
+  const rw = regionWidth;
+  const rh = regionHeight;
+  let w, h;
+  let m;
+  if (s === 'max' || s === 'full') {
+    // max honours the server limits (scale down, keep aspect ratio)
+    ({ width: w, height: h } = maxSize(rw, rh, limits));
+  } else if ((m = s.match(/^(\d+),$/))) {
+    w = Number(m[1]);
+    h = Math.round((w / rw) * rh);
+  } else if ((m = s.match(/^,(\d+)$/))) {
+    h = Number(m[1]);
+    w = Math.round((h / rh) * rw);
+  } else if ((m = s.match(new RegExp(`^pct:(${NUM})$`)))) {
+    const p = Number(m[1]) / 100;
+    w = Math.round(rw * p);
+    h = Math.round(rh * p);
+  } else if ((m = s.match(/^(\d+),(\d+)$/))) {
+    w = Number(m[1]);
+    h = Number(m[2]);
+  } else if ((m = s.match(/^!(\d+),(\d+)$/))) {
+    let f = Math.min(Number(m[1]) / rw, Number(m[2]) / rh);
+    // best fit within w×h, but only ^!w,h may exceed the region
+    if (!upscale) f = Math.min(f, 1);
+    w = Math.floor(rw * f);
+    h = Math.floor(rh * f);
+  } else return null;
+  w = Math.max(1, w);
+  h = Math.max(1, h);
+  if (!upscale && (w > rw || h > rh)) return null;
+  if (limits.maxWidth && w > limits.maxWidth) return null;
+  if (limits.maxHeight && h > limits.maxHeight) return null;
+  if (limits.maxArea && w * h > limits.maxArea) return null;
+  return { width: w, height: h };
+}
+
+/**
+ * Parse the rotation segment: n | !n with 0 ≤ n ≤ 360 (! = mirror first).
+ * @returns {{mirror:boolean,degrees:number}|null}
+ */
+export function parseRotation(segment) {
+  const m = String(segment || '').match(new RegExp(`^(!)?(${NUM})$`));
+  if (!m) return null;
+  const degrees = Number(m[2]);
+  if (degrees > 360) return null;
+  return { mirror: !!m[1], degrees: degrees % 360 };
+}
+
+/**
+ * Parse `{quality}.{format}`.
+ * @returns {{quality:string,format:string}|null}
+ */
+export function parseQualityFormat(segment) {
+  const m = String(segment || '').match(/^([a-z]+)\.([a-z]+)$/);
+  if (!m || !QUALITIES.includes(m[1]) || !FORMATS[m[2]]) return null;
+  return { quality: m[1], format: m[2] };
+}
+
+/** Downsample factors a client may request as whole tiles (1, 2, 4, … until one tile). */
+export function scaleFactors(width, height, tileSize) {
+  const out = [1];
+  while (Math.max(width, height) / out[out.length - 1] > tileSize)
+    out.push(out[out.length - 1] * 2);
+  return out;
+}
+
+/**
+ * Image API 3.0 info.json.
+ * @param {string} id - base URI of the image service (no trailing slash)
+ * @param {{width:number,height:number,tileSize?:number,sizes?:Array<{width:number,height:number}>,limits?:object}} opts
+ */
+export function buildImageInfo(id, opts) {
+  const { width, height } = opts;
+  const tileSize = opts.tileSize || 256;
+  const info = {
+    '@context': IMAGE_CONTEXT,
+    id,
+    type: 'ImageService3',
+    protocol: 'http://iiif.io/api/image',
+    profile: 'level2',
+    width,
+    height,
+    tiles: [
+      { width: tileSize, scaleFactors: scaleFactors(width, height, tileSize) },
+    ],
+    extraFormats: ['webp', 'tif'],
+    extraQualities: ['color', 'gray', 'bitonal'],
+    extraFeatures: ['mirroring', 'rotationArbitrary', 'sizeUpscaling'],
+  };
+  if (opts.sizes?.length) info.sizes = opts.sizes;
+  const limits = opts.limits || {};
+  if (limits.maxWidth) info.maxWidth = limits.maxWidth;
+  if (limits.maxHeight) info.maxHeight = limits.maxHeight;
+  if (limits.maxArea) info.maxArea = limits.maxArea;
+  return info;
+}
+
+/**
+ * One region → Web Annotation on the canvas (class label as a tagging body, confidence as a
+ * describing body, the region's URI linked via seeAlso).
+ */
+export function regionAnnotation(region, canvasId, annoBase) {
+  const b = region.boundary || {};
+  const md = region.metadata || {};
+  const label = md.classLabel || region.tags?.[0] || 'region';
+  const body = [
+    { type: 'TextualBody', value: String(label), purpose: 'tagging' },
+  ];
+  if (typeof md.confidence === 'number')
+    body.push({
+      type: 'TextualBody',
+      value: `confidence: ${md.confidence.toFixed(3)}`,
+      purpose: 'describing',
+    });
+  const anno = {
+    id: `${annoBase}/${encodeURIComponent(region.id)}`,
+    type: 'Annotation',
+    motivation: 'tagging',
+    label: { none: [String(label)] },
+    body,
+    target: `${canvasId}#xywh=${Math.round(b.x1)},${Math.round(b.y1)},${Math.round(b.x2 - b.x1)},${Math.round(b.y2 - b.y1)}`,
+  };
+  if (md.uri)
+    anno.seeAlso = [{ id: md.uri, type: 'Dataset', label: { none: [md.uri] } }];
+  return anno;
+}
+
+/**
+ * Presentation API 3.0 manifest with a single canvas painted by the image service and an
+ * annotation page holding one annotation per (non-deleted) region. The painting body is
+ * `full/max`, so its size is what the server returns for that under `limits`.
+ * @param {string} base - base URI for this image under /iiif (no trailing slash)
+ * @param {{label:string,width:number,height:number,regions?:Array,limits?:object}} opts
+ */
+export function buildPresentationManifest(base, opts) {
+  const { width, height } = opts;
+  const body = maxSize(width, height, opts.limits);
+  const canvasId = `${base}/canvas/1`;
+  const regions = (opts.regions || []).filter((r) => !r.metadata?.deleted);
+  return {
+    '@context': PRESENTATION_CONTEXT,
+    id: `${base}/manifest`,
+    type: 'Manifest',
+    label: { none: [opts.label] },
+    items: [
+      {
+        id: canvasId,
+        type: 'Canvas',
+        width,
+        height,
+        items: [
+          {
+            id: `${canvasId}/page/1`,
+            type: 'AnnotationPage',
+            items: [
+              {
+                id: `${canvasId}/page/1/image`,
+                type: 'Annotation',
+                motivation: 'painting',
+                body: {
+                  id: `${base}/full/max/0/default.jpg`,
+                  type: 'Image',
+                  format: 'image/jpeg',
+                  width: body.width,
+                  height: body.height,
+                  service: [
+                    { id: base, type: 'ImageService3', profile: 'level2' },
+                  ],
+                },
+                target: canvasId,
+              },
+            ],
+          },
+        ],
+        annotations: [
+          {
+            id: `${canvasId}/regions`,
+            type: 'AnnotationPage',
+            items: regions.map((r) =>
+              regionAnnotation(r, canvasId, `${canvasId}/regions`),
+            ),
+          },
+        ],
+      },
+    ],
+  };
+}
+
+export default {
+  IMAGE_CONTEXT,
+  PRESENTATION_CONTEXT,
+  FORMATS,
+  QUALITIES,
+  parseRegion,
+  maxSize,
+  parseSize,
+  parseRotation,
+  parseQualityFormat,
+  scaleFactors,
+  buildImageInfo,
+  regionAnnotation,
+  buildPresentationManifest,
+};
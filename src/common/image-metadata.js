@@ -0,0 +1,418 @@
+// image-metadata.js
+//
+// Purpose: Camera and catalogue metadata of the source file (EXIF, XMP, IPTC) on the
+// image node. The pipelines read it with sharp's metadata() and write typed literals on
+// <urn:image:<name>>, so images can be found by capture time, camera, keywords or place:
+//
+//   <urn:image:harbour> md:captureTime "2024-05-01T10:22:03+02:00"^^xsd:dateTime ;
+//       md:cameraModel "X100V" ; md:keyword "harbour", "boats" ;
+//       md:gpsLatitude 48.2085^^xsd:decimal ; md:gpsLongitude 16.3731^^xsd:decimal .
+//
+// Fields: captureTime (EXIF DateTimeOriginal + OffsetTimeOriginal, else XMP / IPTC
+// dates), cameraMake, cameraModel, lens, orientation (EXIF 1–8), focalLength (mm), fNumber,
+// exposureTime (s), iso, gpsLatitude / gpsLongitude (WGS84 degrees) / gpsAltitude (m),
+// keyword (IPTC 2:25, XMP dc:subject) and caption (IPTC 2:120, XMP dc:description).
+// EXIF wins over XMP, XMP over IPTC.
+//
+// Notes
+// - GPS privacy: with `stripGps` (pipelines: --strip-gps / STRIP_GPS=1) no GPS value is
+//   read into the graph at all. The .pht pixel files never carry source metadata.
+// - Times without an EXIF offset stay local (xsd:dateTime without a zone), as the camera
+//   wrote them.
+// - The parsers read only the tags above and give up quietly on malformed blocks: a bad
+//   maker note must never fail an ingest.
+//
+// References
+// - EXIF 2.32 (CIPA DC-008): https://www.cipa.jp/std/documents/e/DC-008-Translation-2019-E.pdf
+// - XMP (ISO 16684-1) and the dc/xmp/photoshop/exif namespaces: https://developer.adobe.com/xmp/docs/
+// - IPTC IIM 4.2: https://www.iptc.org/std/IIM/4.2/specification/IIMV4.2.pdf
+// - sharp metadata(): https://sharp.pixelplumbing.com/api-input#metadata
+
+import sharp from 'sharp';
+import { DataFactory } from 'n3';
+import { logger } from './logger.js';
+
+const { namedNode, literal, quad } = DataFactory;
+const MD = 'http://example.org/metadata#';
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+
+/** Image-node properties written by upsertImageMetadata, with their literal types. */
+export const IMAGE_METADATA_FIELDS = {
+  captureTime: 'dateTime',
+  cameraMake: 'string',
+  cameraModel: 'string',
+  lens: 'string',
+  orientation: 'integer',
+  focalLength: 'decimal',
+  fNumber: 'decimal',
+  exposureTime: 'decimal',
+  iso: 'integer',
+  gpsLatitude: 'decimal',
+  gpsLongitude: 'decimal',
+  gpsAltitude: 'decimal',
+  keyword: 'string',
+  caption: 'string',
+};
+const GPS_FIELDS = ['gpsLatitude', 'gpsLongitude', 'gpsAltitude'];
+
+/* ─────────────────── EXIF ─────────────────── */
+
+const TYPE_SIZE = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+/** Tags of one IFD as {tag: value}; rationals as numbers, ASCII as trimmed strings. */
+function readIfd(tiff, at, le) {
+  const u16 = (o) => (le ? tiff.readUInt16LE(o) : tiff.readUInt16BE(o));
+  const u32 = (o) => (le ? tiff.readUInt32LE(o) : tiff.readUInt32BE(o));
+  const i32 = (o) => (le ? tiff.readInt32LE(o) : tiff.readInt32BE(o));
+  const out = {};
+  const count = u16(at);
+  for (let i = 0; i < count; i++) {
+    const e = at + 2 + i * 12;
+    const tag = u16(e);
+    const type = u16(e + 2);
+    const n = u32(e + 4);
+    const size = TYPE_SIZE[type];
+    if (!size) continue;
+    const data = n * size <= 4 ? e + 8 : u32(e + 8);
+    if (data + n * size > tiff.length) continue;
+    let v;
+    if (type === 2 || type === 7) {
+      v = tiff
+        .toString('latin1', data, data + n)
+        .replace(/\0[\s\S]*$/, '')
+        .trim();
+    } else {
+      const read = (k) => {
+        const o = data + k * size;
+        if (type === 1) return tiff[o];
+        if (type === 3) return u16(o);
+        if (type === 4) return u32(o);
+        if (type === 9) return i32(o);
+        const den = type === 5 ? u32(o + 4) : i32(o + 4);
+        return den ? (type === 5 ? u32(o) : i32(o)) / den : NaN;
+      };
+      v = Array.from({ length: n }, (_, k) => read(k));
+      if (n === 1) v = v[0];
+    }
+    out[tag] = v;
+  }
+  return out;
+}
+
+// "2024:05:01 10:22:03" (+ "+02:00") → "2024-05-01T10:22:03+02:00"
+function exifDate(text, offset) {
+  const m = /^(\d{4})[:-](\d{2})[:-](\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(
+    String(text || ''),
+  );
+  if (!m || m[1] === '0000') return null;
+  const zone = /^[+-]\d{2}:\d{2}$/.test(offset || '') ? offset : '';
+  return `${m[1]}-${m[2]}-${m[3]}T${m[4]}:${m[5]}:${m[6]}${zone}`;
+}
+
+function dms(v, ref) {
+  if (!Array.isArray(v) || v.length < 3 || !v.every(Number.isFinite))
+    return null;
+  const deg = v[0] + v[1] / 60 + v[2] / 3600;
+  return /^[SW]/i.test(ref || '') ? -deg : deg;
+}
+
+/**
+ * Fields from an EXIF block (as returned by sharp: "Exif\0\0" + TIFF structure).
+ * @param {Buffer} buf
+ * @returns {Record<string, any>}
+ */
+export function parseExif(buf) {
+  if (!Buffer.isBuffer(buf) || buf.length < 14) return {};
+  try {
+    const tiff =
+      buf.toString('latin1', 0, 4) === 'Exif' ? buf.subarray(6) : buf;
+    const order = tiff.toString('latin1', 0, 2);
+    if (order !== 'II' && order !== 'MM') return {};
+    const le = order === 'II';
+    const u32 = (o) => (le ? tiff.readUInt32LE(o) : tiff.readUInt32BE(o));
+    const ifd0 = readIfd(tiff, u32(4), le);
+    const exif = ifd0[0x8769] ? readIfd(tiff, ifd0[0x8769], le) : {};
+    const gps = ifd0[0x8825] ? readIfd(tiff, ifd0[0x8825], le) : {};
+    const alt = Number.isFinite(gps[6])
+      ? gps[5] === 1
+        ? -gps[6]
+        : gps[6]
+      : null;
+    return {
+      captureTime:
+        exifDate(exif[0x9003], exif[0x9011]) ||
+        exifDate(exif[0x9004], exif[0x9012]) ||
+        exifDate(ifd0[0x0132], exif[0x9010]),
+      cameraMake: ifd0[0x010f] || null,
+      cameraModel: ifd0[0x0110] || null,
+      lens: exif[0xa434] || null,
+      orientation: ifd0[0x0112] || null,
+      focalLength: exif[0x920a] ?? null,
+      fNumber: exif[0x829d] ?? null,
+      exposureTime: exif[0x829a] ?? null,
+      iso: Array.isArray(exif[0x8827])
+        ? exif[0x8827][0]
+        : (exif[0x8827] ?? null),
+      gpsLatitude: dms(gps[2], gps[1]),
+      gpsLongitude: dms(gps[4], gps[3]),
+      gpsAltitude: alt,
+    };
+  } catch (_e) {
+    return {}; // truncated or malformed EXIF
+  }
+}
+
+/* ─────────────────── XMP ─────────────────── */
+
+const unescapeXml = (s) =>
+  s
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+
+// Value of a simple property, written as an attribute or an element
+function xmpProp(xml, name) {
+  const attr = new RegExp(`\\b${name}="([^"]*)"`).exec(xml);
+  if (attr) return unescapeXml(attr[1]).trim();
+  const el = new RegExp(`<${name}>([^<]*)</${name}>`).exec(xml);
+  return el ? unescapeXml(el[1]).trim() : null;
+}
+
+// rdf:li items of a Bag/Seq/Alt property
+function xmpList(xml, name) {
+  const block = new RegExp(`<${name}>([\\s\\S]*?)</${name}>`).exec(xml);
+  if (!block) return [];
+  return [...block[1].matchAll(/<rdf:li[^>]*>([^<]*)<\/rdf:li>/g)]
+    .map((m) => unescapeXml(m[1]).trim())
+    .filter(Boolean);
+}
+
+// XMP GPS coordinate "48,12.5N" / "48,12,30N" → signed degrees
+function xmpCoord(text) {
+  const m = /^(\d+),(\d+(?:\.\d+)?)(?:,(\d+(?:\.\d+)?))?([NSEW])$/i.exec(
+    String(text || '').trim(),
+  );
+  if (!m) return null;
+  return dms([+m[1], +m[2], +(m[3] || 0)], m[4]);
+}
+
+// ISO 8601 date as written by XMP ("2024-05-01T10:22:03+02:00", "2024-05-01")
+function isoDate(text) {
+  const m =
+    /^(\d{4}-\d{2}-\d{2})(?:T(\d{2}:\d{2})(:\d{2})?(?:\.\d+)?(Z|[+-]\d{2}:\d{2})?)?$/.exec(
+      String(text || '').trim(),
+    );
+  if (!m) return null;
+  return m[2]
+    ? `${m[1]}T${m[2]}${m[3] || ':00'}${m[4] || ''}`
+    : `${m[1]}T00:00:00`;
+}
+
+/**
+ * Fields from an XMP packet.
+ * @param {Buffer|string} xmp
+ * @returns {Record<string, any>}
+ */
+export function parseXmp(xmp) {
+  if (!xmp) return {};
+  const xml = Buffer.isBuffer(xmp) ? xmp.toString('utf8') : String(xmp);
+  const alt = Number(
+    xmpProp(xml, 'exif:GPSAltitude')
+      ?.split('/')
+      .reduce((a, b) => a / b),
+  );
+  return {
+    captureTime: isoDate(
+      xmpProp(xml, 'exif:DateTimeOriginal') ||
+        xmpProp(xml, 'photoshop:DateCreated') ||
+        xmpProp(xml, 'xmp:CreateDate'),
+    ),
+    cameraMake: xmpProp(xml, 'tiff:Make'),
+    cameraModel: xmpProp(xml, 'tiff:Model'),
+    lens: xmpProp(xml, 'exifEX:LensModel') || xmpProp(xml, 'aux:Lens'),
+    gpsLatitude: xmpCoord(xmpProp(xml, 'exif:GPSLatitude')),
+    gpsLongitude: xmpCoord(xmpProp(xml, 'exif:GPSLongitude')),
+    gpsAltitude: Number.isFinite(alt) ? alt : null,
+    keyword: xmpList(xml, 'dc:subject'),
+    caption: xmpList(xml, 'dc:description')[0] || null,
+  };
+}
+
+/* ─────────────────── IPTC ─────────────────── */
+
+// IIM datasets inside a Photoshop image resource block (8BIM 0x0404) or a bare IIM stream
+function iimDatasets(buf) {
+  let iim = buf;
+  if (buf.includes('8BIM')) {
+    iim = null;
+    let at = buf.indexOf('8BIM');
+    while (at >= 0 && at + 12 <= buf.length) {
+      const id = buf.readUInt16BE(at + 4);
+      const nameLen = buf[at + 6];
+      const nameEnd = at + 7 + nameLen + ((nameLen + 1) % 2);
+      const size = buf.readUInt32BE(nameEnd);
+      if (id === 0x0404) {
+        iim = buf.subarray(nameEnd + 4, nameEnd + 4 + size);
+        break;
+      }
+      at = buf.indexOf('8BIM', nameEnd + 4 + size + (size % 2));
+    }
+    if (!iim) return [];
+  }
+  const out = [];
+  let at = iim.indexOf(0x1c);
+  while (at >= 0 && at + 5 <= iim.length && iim[at] === 0x1c) {
+    const len = iim.readUInt16BE(at + 3);
+    if (len & 0x8000) break; // extended datasets are not used for text fields
+    out.push({
+      record: iim[at + 1],
+      dataset: iim[at + 2],
+      value: iim.toString('utf8', at + 5, at + 5 + len).trim(),
+    });
+    at += 5 + len;
+  }
+  return out;
+}
+
+/**
+ * Fields from an IPTC block (as returned by sharp).
+ * @param {Buffer} buf
+ * @returns {Record<string, any>}
+ */
+export function parseIptc(buf) {
+  if (!Buffer.isBuffer(buf) || !buf.length) return {};
+  try {
+    const ds = iimDatasets(buf).filter((d) => d.record === 2);
+    if (!ds.length) return {};
+    const one = (n) => ds.find((d) => d.dataset === n)?.value || null;
+    const date = /^(\d{4})(\d{2})(\d{2})$/.exec(one(55) || '');
+    const time = /^(\d{2})(\d{2})(\d{2})([+-]\d{2})?(\d{2})?/.exec(
+      one(60) || '',
+    );
+    let captureTime = null;
+    if (date) {
+      const zone = time?.[4] ? `${time[4]}:${time[5] || '00'}` : '';
+      captureTime = `${date[1]}-${date[2]}-${date[3]}T${
+        time ? `${time[1]}:${time[2]}:${time[3]}${zone}` : '00:00:00'
+      }`;
+    }
+    return {
+      captureTime,
+      keyword: ds.filter((d) => d.dataset === 25).map((d) => d.value),
+      caption: one(120),
+    };
+  } catch (_e) {
+    return {};
+  }
+}
+
+/* ─────────────────── combined ─────────────────── */
+
+const present = (v) =>
+  v != null && v !== '' && !(Array.isArray(v) && !v.length) && !Number.isNaN(v);
+
+/**
+ * Merge sharp metadata() output into one field record (EXIF > XMP > IPTC).
+ * @param {{exif?:Buffer, xmp?:Buffer, iptc?:Buffer, orientation?:number}} meta
+ * @param {{stripGps?:boolean}} [options]
+ * @returns {Record<string, any>} only fields that have a value
+ */
+export function combineImageMetadata(meta, options = {}) {
+  const sources = [
+    parseExif(meta?.exif),
+    parseXmp(meta?.xmp),
+    parseIptc(meta?.iptc),
+  ];
+  const out = {};
+  for (const key of Object.keys(IMAGE_METADATA_FIELDS)) {
+    if (options.stripGps && GPS_FIELDS.includes(key)) continue;
+    if (key === 'keyword') {
+      const all = sources.flatMap((s) => s.keyword || []);
+      if (all.length) out.keyword = [...new Set(all)];
+      continue;
+    }
+    const v = sources.map((s) => s[key]).find(present);
+    if (present(v)) out[key] = v;
+  }
+  if (!out.orientation && meta?.orientation) out.orientation = meta.orientation;
+  return out;
+}
+
+/**
+ * Read the camera/catalogue metadata of an encoded image.
+ * @param {Buffer} imageBuffer
+ * @param {{stripGps?:boolean}} [options]
+ * @returns {Promise<Record<string, any>>} ({} when the file has none or sharp fails)
+ */
+export async function readImageMetadata(imageBuffer, options = {}) {
+  try {
+    const meta = await sharp(imageBuffer, { failOnError: false }).metadata();
+    return combineImageMetadata(meta, options);
+  } catch (e) {
+    logger.warn(`image metadata unreadable: ${e.message}`);
+    return {};
+  }
+}
+
+function typedLiteral(value, type) {
+  if (type === 'string') return literal(String(value));
+  if (type === 'integer')
+    return literal(String(Math.round(value)), namedNode(`${XSD}integer`));
+  if (type === 'decimal')
+    return literal(
+      String(Number(value.toFixed(7))),
+      namedNode(`${XSD}decimal`),
+    );
+  return literal(String(value), namedNode(`${XSD}${type}`));
+}
+
+/**
+ * Replace the metadata triples of `<urn:image:<imageName>>` with `fields`. All
+ * IMAGE_METADATA_FIELDS are cleared first, so stripping GPS on a re-ingest also removes
+ * previously stored coordinates.
+ * @param {import('./MetadataIndex.js').default} metadataIndex
+ * @param {string} imageName
+ * @param {Record<string, any>} fields - from readImageMetadata / combineImageMetadata
+ * @param {{stripGps?:boolean}} [options]
+ * @returns {number} triples written
+ */
+export function upsertImageMetadata(
+  metadataIndex,
+  imageName,
+  fields,
+  options = {},
+) {
+  const { store } = metadataIndex;
+  const subj = namedNode(`urn:image:${imageName}`);
+  for (const key of Object.keys(IMAGE_METADATA_FIELDS))
+    store.removeQuads(
+      store.getQuads(subj, namedNode(`${MD}${key}`), null, null),
+    );
+  let n = 0;
+  for (const [key, type] of Object.entries(IMAGE_METADATA_FIELDS)) {
+    if (options.stripGps && GPS_FIELDS.includes(key)) continue;
+    const v = fields?.[key];
+    if (!present(v)) continue;
+    for (const one of Array.isArray(v) ? v : [v]) {
+      if (type !== 'string' && type !== 'dateTime' && !Number.isFinite(one))
+        continue;
+      store.addQuad(
+        quad(subj, namedNode(`${MD}${key}`), typedLiteral(one, type)),
+      );
+      n++;
+    }
+  }
+  return n;
+}
+
+export default {
+  IMAGE_METADATA_FIELDS,
+  parseExif,
+  parseXmp,
+  parseIptc,
+  combineImageMetadata,
+  readImageMetadata,
+  upsertImageMetadata,
+};
@@ -0,0 +1,363 @@
+// image-transform.js
+//
+// Purpose: The pipelines store pixels upright (EXIF orientation applied, as photo apps
+// show them), so region coordinates live in the stored frame. The manifest records how
+// that frame was derived from the original file in a top-level `transform` section, and
+// the helpers here map points and regions between the two frames for exports and
+// overlays drawn on the original file.
+//
+//   { source: 'exif-orientation', orientation: 6,
+//     original: { width: 4000, height: 3000 }, stored: { width: 3000, height: 4000 },
+//     steps: [{ op: 'rotate', angle: 90 }] }
+//
+// Steps apply in order to the original image, with sharp's vocabulary:
+//   rotate { angle: 90|180|270 }   clockwise
+//   flip                           mirror top ↔ bottom
+//   flop                           mirror left ↔ right
+//   crop   { left, top, width, height }
+//   resize { width, height }       new size
+// Coordinates are continuous pixel-edge coordinates (a box [x1, x2) covers pixels x1…x2-1),
+// so every step is an affine map and a whole transform is one matrix.
+//
+// Notes
+// - Masks are resampled nearest-neighbour on pixel centres: exact for rotations, flips and
+//   crops, approximate for resizes.
+// - A rotated box stays a rotated box unless a non-uniform resize shears it; it then
+//   becomes a polygon.
+//
+// References
+// - EXIF 2.32 Orientation tag (0x0112): https://www.cipa.jp/std/documents/e/DC-008-Translation-2019-E.pdf
+// - sharp rotate/flip/flop: https://sharp.pixelplumbing.com/api-operation
+
+import sharp from 'sharp';
+import { polygonBoundary, rotatedBoxPolygon } from './geometry.js';
+import { decodeMask, encodeMask } from './mask.js';
+import { logger } from './logger.js';
+
+export const TRANSFORM_OPS = ['rotate', 'flip', 'flop', 'crop', 'resize'];
+
+// Upright steps per EXIF orientation (what sharp's argument-less rotate() applies)
+const ORIENTATION_STEPS = {
+  1: [],
+  2: [{ op: 'flop' }],
+  3: [{ op: 'rotate', angle: 180 }],
+  4: [{ op: 'flip' }],
+  5: [{ op: 'rotate', angle: 90 }, { op: 'flop' }],
+  6: [{ op: 'rotate', angle: 90 }],
+  7: [{ op: 'rotate', angle: 90 }, { op: 'flip' }],
+  8: [{ op: 'rotate', angle: 270 }],
+};
+
+/** Steps that turn an image with EXIF `orientation` (1–8) upright; [] when unknown. */
+export function orientationSteps(orientation) {
+  return (ORIENTATION_STEPS[orientation] || []).map((s) => ({ ...s }));
+}
+
+/* ─────────────────── matrices ─────────────────── */
+
+// Affine [a, b, c, d, e, f]: x' = a·x + b·y + c, y' = d·x + e·y + f
+const IDENTITY = [1, 0, 0, 0, 1, 0];
+
+// M2 ∘ M1 (M1 first)
+function compose(m1, m2) {
+  const [a1, b1, c1, d1, e1, f1] = m1;
+  const [a2, b2, c2, d2, e2, f2] = m2;
+  return [
+    a2 * a1 + b2 * d1,
+    a2 * b1 + b2 * e1,
+    a2 * c1 + b2 * f1 + c2,
+    d2 * a1 + e2 * d1,
+    d2 * b1 + e2 * e1,
+    d2 * c1 + e2 * f1 + f2,
+  ];
+}
+
+function invert([a, b, c, d, e, f]) {
+  const det = a * e - b * d;
+  if (!det) throw new Error('transform is not invertible');
+  return [
+    e / det,
+    -b / det,
+    (b * f - c * e) / det,
+    -d / det,
+    a / det,
+    (c * d - a * f) / det,
+  ];
+}
+
+/** Matrix and output size of one step applied to a w×h image. */
+function stepMatrix(step, w, h) {
+  switch (step.op) {
+    case 'rotate': {
+      const angle = (((Number(step.angle) % 360) + 360) % 360) / 90;
+      if (angle === 1) return { m: [0, -1, h, 1, 0, 0], w: h, h: w };
+      if (angle === 2) return { m: [-1, 0, w, 0, -1, h], w, h };
+      if (angle === 3) return { m: [0, 1, 0, -1, 0, w], w: h, h: w };
+      if (angle === 0) return { m: IDENTITY, w, h };
+      throw new Error(
+        `rotate: angle must be a multiple of 90, got ${step.angle}`,
+      );
+    }
+    case 'flip':
+      return { m: [1, 0, 0, 0, -1, h], w, h };
+    case 'flop':
+      return { m: [-1, 0, w, 0, 1, 0], w, h };
+    case 'crop':
+      return {
+        m: [1, 0, -step.left, 0, 1, -step.top],
+        w: step.width,
+        h: step.height,
+      };
+    case 'resize':
+      return {
+        m: [step.width / w, 0, 0, 0, step.height / h, 0],
+        w: step.width,
+        h: step.height,
+      };
+    default:
+      throw new Error(`unknown transform step: ${step.op}`);
+  }
+}
+
+/**
+ * Transform record for an original image and the steps applied to it.
+ * @param {{width:number, height:number}} original
+ * @param {Array<{op:string}>} steps
+ * @param {{source?:string, orientation?:number}} [info] - provenance fields kept on the record
+ * @returns {{original:object, stored:object, steps:Array, source?:string, orientation?:number}}
+ */
+export function createTransform(original, steps, info = {}) {
+  let w = original.width;
+  let h = original.height;
+  for (const s of steps) ({ w, h } = stepMatrix(s, w, h));
+  return {
+    ...info,
+    original: { width: original.width, height: original.height },
+    stored: { width: w, height: h },
+    steps: steps.map((s) => ({ ...s })),
+  };
+}
+
+/** True when a transform is missing or leaves coordinates unchanged. */
+export function isIdentityTransform(transform) {
+  return !transform?.steps?.length;
+}
+
+const matrixCache = new WeakMap();
+
+/**
+ * Original → stored matrix of a transform, and its inverse.
+ * @returns {{toStored:number[], toOriginal:number[]}}
+ */
+export function transformMatrices(transform) {
+  if (isIdentityTransform(transform))
+    return { toStored: IDENTITY, toOriginal: IDENTITY };
+  let m = matrixCache.get(transform);
+  if (m) return m;
+  let toStored = IDENTITY;
+  let w = transform.original.width;
+  let h = transform.original.height;
+  for (const s of transform.steps) {
+    const step = stepMatrix(s, w, h);
+    toStored = compose(toStored, step.m);
+    ({ w, h } = step);
+  }
+  m = { toStored, toOriginal: invert(toStored) };
+  matrixCache.set(transform, m);
+  return m;
+}
+
+const apply = ([a, b, c, d, e, f], x, y) => [
+  a * x + b * y + c,
+  d * x + e * y + f,
+];
+
+/** Original-image point → stored frame. */
+export function toStoredPoint(transform, x, y) {
+  return apply(transformMatrices(transform).toStored, x, y);
+}
+
+/** Stored-frame point → original image. */
+export function toOriginalPoint(transform, x, y) {
+  return apply(transformMatrices(transform).toOriginal, x, y);
+}
+
+/* ─────────────────── regions ─────────────────── */
+
+const mapRing = (m, ring) => {
+  const out = [];
+  for (let i = 0; i < ring.length; i += 2)
+    out.push(...apply(m, ring[i], ring[i + 1]));
+  return out;
+};
+
+function mapBox(m, b) {
+  return polygonBoundary([
+    mapRing(m, [b.x1, b.y1, b.x2, b.y1, b.x2, b.y2, b.x1, b.y2]),
+  ]);
+}
+
+// Nearest-neighbour resampling of a mask's window onto the mapped window
+function mapMask(m, mask) {
+  const inv = invert(m);
+  const win = mapBox(m, {
+    x1: mask.x,
+    y1: mask.y,
+    x2: mask.x + mask.width,
+    y2: mask.y + mask.height,
+  });
+  const x = Math.round(win.x1);
+  const y = Math.round(win.y1);
+  const width = Math.max(1, Math.round(win.x2) - x);
+  const height = Math.max(1, Math.round(win.y2) - y);
+  const src = decodeMask(mask);
+  const bits = new Uint8Array(width * height);
+  for (let r = 0; r < height; r++)
+    for (let c = 0; c < width; c++) {
+      const [sx, sy] = apply(inv, x + c + 0.5, y + r + 0.5);
+      const col = Math.floor(sx) - mask.x;
+      const row = Math.floor(sy) - mask.y;
+      if (col >= 0 && row >= 0 && col < mask.width && row < mask.height)
+        bits[r * width + c] = src[row * mask.width + col];
+    }
+  return encodeMask(bits, width, height, x, y);
+}
+
+function mapRotatedBox(m, rb) {
+  const t = ((rb.angle || 0) * Math.PI) / 180;
+  const [a, b, , d, e] = m;
+  // images of the box's unit axes under the linear part
+  const u = [
+    a * Math.cos(t) + b * Math.sin(t),
+    d * Math.cos(t) + e * Math.sin(t),
+  ];
+  const v = [
+    -a * Math.sin(t) + b * Math.cos(t),
+    -d * Math.sin(t) + e * Math.cos(t),
+  ];
+  if (Math.abs(u[0] * v[0] + u[1] * v[1]) > 1e-9) return null; // sheared
+  const [cx, cy] = apply(m, rb.cx, rb.cy);
+  return {
+    cx,
+    cy,
+    width: rb.width * Math.hypot(...u),
+    height: rb.height * Math.hypot(...v),
+    angle: (Math.atan2(u[1], u[0]) * 180) / Math.PI,
+  };
+}
+
+function mapRegion(region, m) {
+  const out = { ...region };
+  if (region.mask) out.mask = mapMask(m, region.mask);
+  if (Array.isArray(region.polygon))
+    out.polygon = region.polygon.map((ring) => mapRing(m, ring));
+  if (region.rotatedBox) {
+    const rb = mapRotatedBox(m, region.rotatedBox);
+    if (rb) out.rotatedBox = rb;
+    else {
+      delete out.rotatedBox;
+      out.polygon = [mapRing(m, rotatedBoxPolygon(region.rotatedBox))];
+    }
+  }
+  if (region.boundary) out.boundary = mapBox(m, region.boundary);
+  return out;
+}
+
+/**
+ * Copy of a region in original-image coordinates (boundary, polygon, rotated box, mask).
+ * @param {object} region - stored-frame region
+ * @param {object|null} transform - manifest `transform` section
+ * @returns {object}
+ */
+export function regionToOriginal(region, transform) {
+  if (isIdentityTransform(transform)) return region;
+  return mapRegion(region, transformMatrices(transform).toOriginal);
+}
+
+/**
+ * Copy of a region in stored-frame coordinates (e.g. an annotation drawn on the file).
+ * @param {object} region - original-image region
+ * @param {object|null} transform
+ * @returns {object}
+ */
+export function regionToStored(region, transform) {
+  if (isIdentityTransform(transform)) return region;
+  return mapRegion(region, transformMatrices(transform).toStored);
+}
+
+/**
+ * Georeference of the stored frame, from one of the original file (georef.js).
+ * @param {{geoTransform:number[]}|null} georef
+ * @param {object|null} transform
+ */
+export function georefToStored(georef, transform) {
+  if (!georef?.geoTransform || isIdentityTransform(transform)) return georef;
+  const [x0, xa, xb, y0, yd, ye] = georef.geoTransform;
+  // stored pixel → original pixel → CRS
+  const [p, q, r, s, t, u] = transformMatrices(transform).toOriginal;
+  return {
+    ...georef,
+    geoTransform: [
+      x0 + xa * r + xb * u,
+      xa * p + xb * s,
+      xa * q + xb * t,
+      y0 + yd * r + ye * u,
+      yd * p + ye * s,
+      yd * q + ye * t,
+    ],
+  };
+}
+
+/* ─────────────────── decoding ─────────────────── */
+
+/**
+ * Decode an image to raw RGBA in the stored frame. With `autoOrient`, EXIF orientation is
+ * applied (sharp rotate()) and recorded; otherwise pixels keep the file's layout.
+ * @param {Buffer} buf
+ * @param {{autoOrient?:boolean}} [options] - default true
+ * @returns {Promise<{data:Buffer, info:object, transform:object|null}>}
+ *          transform is null when the stored frame equals the file's
+ */
+export async function decodeImage(buf, options = {}) {
+  const { autoOrient = true } = options;
+  let transform = null;
+  let img = sharp(buf, { failOnError: false });
+  if (autoOrient) {
+    const meta = await img.metadata();
+    const steps = orientationSteps(meta.orientation);
+    if (steps.length) {
+      transform = createTransform(meta, steps, {
+        source: 'exif-orientation',
+        orientation: meta.orientation,
+      });
+      img = img.rotate();
+    }
+  }
+  const { data, info } = await img
+    .raw()
+    .ensureAlpha()
+    .toBuffer({ resolveWithObject: true });
+  if (
+    transform &&
+    (info.width !== transform.stored.width ||
+      info.height !== transform.stored.height)
+  )
+    logger.warn(
+      `decodeImage: oriented size ${info.width}×${info.height} differs from the recorded ${transform.stored.width}×${transform.stored.height}`,
+    );
+  return { data, info, transform };
+}
+
+export default {
+  TRANSFORM_OPS,
+  orientationSteps,
+  createTransform,
+  isIdentityTransform,
+  transformMatrices,
+  toStoredPoint,
+  toOriginalPoint,
+  regionToOriginal,
+  regionToStored,
+  georefToStored,
+  decodeImage,
+};
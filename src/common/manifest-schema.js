@@ -0,0 +1,280 @@
+// manifest-schema.js
+//
+// Purpose: Versioning for JSON manifests. Serializers stamp `schemaVersion` on save; on load
+// older manifests are migrated in memory and every manifest is validated against
+// `manifest.schema.json`. The `migrate` CLI (src/cli/migrate.js) applies the same migrations
+// to files on disk so legacy outputs stop depending on load-time patching.
+//
+// Versions
+// - 1: unversioned manifests (before `schemaVersion`). IDs may be bare strings, regions may
+//      lack `metadata.uri`, `metadataIndex.relMeta` may be missing, pixel entries have no
+//      `phtVersion`/`codec`.
+// - 2: current. Region IDs are stored as integers (pipeline output) or `region-*` /
+//      `manual-*` strings; `3` and `region-3` name the same region, and normaliseRegionId
+//      gives the string form the viewer, URIs and migrated files use. `relMeta` is always
+//      present; pixel entries state their `.pht` container version. Migrating from 1 also
+//      rewrites ids to the string form, assigns missing region URIs and adds the
+//      `ex:within` triples the viewer otherwise injects on every load.
+//
+// The validator implements the JSON Schema keywords the schema file uses (type, const,
+// enum, required, properties, additionalProperties, items, allOf, anyOf, minimum, maximum,
+// pattern, local $ref) so no schema library is needed at runtime.
+//
+// References
+// - JSON Schema 2020-12 validation: https://json-schema.org/draft/2020-12/json-schema-validation
+
+import fs from 'fs';
+import { Parser } from 'n3';
+import { logger } from './logger.js';
+
+export const SCHEMA_VERSION = 2;
+
+/** The formal JSON Schema (draft 2020-12) for the current version. */
+export const MANIFEST_SCHEMA = JSON.parse(
+  fs.readFileSync(new URL('./manifest.schema.json', import.meta.url), 'utf-8'),
+);
+
+const WITHIN = 'http://example.org/within';
+
+/* ─────────────────── Validation ─────────────────── */
+
+function typeOf(v) {
+  if (v === null) return 'null';
+  if (Array.isArray(v)) return 'array';
+  if (typeof v === 'number' && Number.isInteger(v)) return 'integer';
+  return typeof v;
+}
+
+function typeMatches(v, t) {
+  const actual = typeOf(v);
+  return actual === t || (t === 'number' && actual === 'integer');
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#/')) throw new Error(`Unsupported $ref: ${ref}`);
+  return ref
+    .slice(2)
+    .split('/')
+    .reduce((node, key) => node?.[key], root);
+}
+
+function check(schema, value, at, root, errors) {
+  if (schema.$ref) schema = resolveRef(root, schema.$ref);
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((t) => typeMatches(value, t))) {
+      errors.push(`${at}: expected ${types.join('|')}, got ${typeOf(value)}`);
+      return;
+    }
+  }
+  if ('const' in schema && value !== schema.const)
+    errors.push(`${at}: must be ${JSON.stringify(schema.const)}`);
+  if (schema.enum && !schema.enum.includes(value))
+    errors.push(`${at}: must be one of ${JSON.stringify(schema.enum)}`);
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum)
+      errors.push(`${at}: must be ≥ ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum)
+      errors.push(`${at}: must be ≤ ${schema.maximum}`);
+  }
+  if (typeof value === 'string' && schema.pattern)
+    if (!new RegExp(schema.pattern).test(value))
+      errors.push(`${at}: must match ${schema.pattern}`);
+  for (const sub of schema.allOf || []) check(sub, value, at, root, errors);
+  if (schema.anyOf) {
+    const ok = schema.anyOf.some((sub) => {
+      const e = [];
+      check(sub, value, at, root, e);
+      return e.length === 0;
+    });
+    if (!ok) errors.push(`${at}: does not match any allowed shape`);
+  }
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || [])
+      if (!(key in value)) errors.push(`${at}: missing "${key}"`);
+    for (const [key, v] of Object.entries(value)) {
+      const sub =
+        schema.properties?.[key] ??
+        (typeof schema.additionalProperties === 'object'
+          ? schema.additionalProperties
+          : null);
+      if (sub) check(sub, v, `${at}.${key}`, root, errors);
+      else if (schema.additionalProperties === false)
+        errors.push(`${at}: unexpected "${key}"`);
+    }
+  }
+  if (Array.isArray(value) && schema.items)
+    value.forEach((v, i) =>
+      check(schema.items, v, `${at}[${i}]`, root, errors),
+    );
+}
+
+/**
+ * Validate a manifest against the current schema.
+ * @param {object} manifest
+ * @returns {{valid:boolean, errors:string[]}}
+ */
+export function validateManifest(manifest) {
+  const errors = [];
+  check(MANIFEST_SCHEMA, manifest, '$', MANIFEST_SCHEMA, errors);
+  return { valid: errors.length === 0, errors };
+}
+
+/* ─────────────────── Migration ─────────────────── */
+
+/** Version of a parsed manifest (unversioned → 1). */
+export function manifestVersion(manifest) {
+  return Number.isInteger(manifest?.schemaVersion) ? manifest.schemaVersion : 1;
+}
+
+/**
+ * Region id as the viewer and migrated manifests use it: region-* and manual-* are kept,
+ * anything else (numeric pipeline ids included) gets the region- prefix.
+ */
+export function normaliseRegionId(id) {
+  const s = String(id);
+  return /^(region|manual)-/.test(s) ? s : `region-${s}`;
+}
+
+// 1 → 2: everything the loaders and the viewer used to patch at load time
+function migrate1to2(m, imageName, changes) {
+  const tiled = Array.isArray(m.tileManifest);
+  const pipeline = tiled ? 'tiledImage' : 'singleImage';
+
+  m.metadataIndex = m.metadataIndex || {};
+  const mi = m.metadataIndex;
+  if (!mi.index || typeof mi.index !== 'object') mi.index = {};
+  if (typeof mi.rdf !== 'string') mi.rdf = '';
+  if (!mi.relMeta || typeof mi.relMeta !== 'object') {
+    mi.relMeta = {};
+    changes.push('added empty metadataIndex.relMeta');
+  }
+
+  m.regionManager = m.regionManager || {};
+  if (!Array.isArray(m.regionManager.regions)) m.regionManager.regions = [];
+  const regions = m.regionManager.regions;
+
+  let ids = 0;
+  let uris = 0;
+  for (const r of regions) {
+    const id = normaliseRegionId(r.id);
+    if (id !== r.id) {
+      r.id = id;
+      ids++;
+    }
+    if (!r.metadata || typeof r.metadata !== 'object') r.metadata = {};
+    if (!Array.isArray(r.tags)) r.tags = r.tags == null ? [] : [r.tags];
+    if (!r.metadata.uri && imageName) {
+      const seg = String(r.id).startsWith('manual-')
+        ? 'manual-region'
+        : pipeline;
+      r.metadata.uri = `uri://${imageName}/${seg}/${r.id}`;
+      uris++;
+    }
+    if ('deleted' in r.metadata) r.metadata.deleted = !!r.metadata.deleted;
+  }
+  if (ids) changes.push(`normalised ${ids} region id(s)`);
+  if (uris) changes.push(`assigned ${uris} region URI(s)`);
+
+  // ex:within for every region URI (the viewer injected these on each load)
+  if (imageName && regions.length) {
+    let existing = new Set();
+    try {
+      existing = new Set(
+        new Parser()
+          .parse(mi.rdf)
+          .filter((q) => q.predicate.value === WITHIN)
+          .map((q) => q.subject.value),
+      );
+    } catch (_e) {
+      // unparsable RDF is reported by MetadataIndex.fromJSON; leave it untouched
+      existing = null;
+    }
+    if (existing) {
+      const lines = regions
+        .map((r) => r.metadata.uri)
+        .filter((u) => u && !existing.has(u))
+        .map((u) => `<${u}> <${WITHIN}> <urn:image:${imageName}> .`);
+      if (lines.length) {
+        mi.rdf = `${mi.rdf.replace(/\s*$/, '')}\n${lines.join('\n')}\n`;
+        changes.push(`added ${lines.length} ex:within triple(s)`);
+      }
+    }
+  }
+
+  // Pixel entries written before the .pht v2 container are raw v1 files
+  const pixelEntries = [
+    ...(m.pixelMatrix ? [m.pixelMatrix] : []),
+    ...(tiled ? m.tileManifest : []),
+  ];
+  let px = 0;
+  for (const e of pixelEntries) {
+    if (e.phtVersion === undefined) {
+      e.phtVersion = 1;
+      e.codec = e.codec || 'none';
+      px++;
+    }
+  }
+  if (px) changes.push(`recorded phtVersion on ${px} pixel entry(ies)`);
+
+  if (m.integrity && !m.integrity.algorithm) m.integrity.algorithm = 'sha256';
+}
+
+const MIGRATIONS = { 1: migrate1to2 };
+
+/**
+ * Upgrade a parsed manifest to SCHEMA_VERSION (mutates and returns it).
+ * @param {object} manifest
+ * @param {{imageName?:string}} [opts] - image prefix used for URIs (manifest basename)
+ * @returns {{manifest:object, fromVersion:number, changes:string[]}}
+ */
+export function migrateManifest(manifest, opts = {}) {
+  const fromVersion = manifestVersion(manifest);
+  if (fromVersion > SCHEMA_VERSION)
+    throw new Error(
+      `Manifest schemaVersion ${fromVersion} is newer than supported (${SCHEMA_VERSION})`,
+    );
+  const changes = [];
+  if (fromVersion === SCHEMA_VERSION) return { manifest, fromVersion, changes };
+  for (let v = fromVersion; v < SCHEMA_VERSION; v++)
+    MIGRATIONS[v](manifest, opts.imageName, changes);
+  // Keep schemaVersion as the first key, as the serializers write it
+  const stamped = { schemaVersion: SCHEMA_VERSION, ...manifest };
+  stamped.schemaVersion = SCHEMA_VERSION;
+  for (const k of Object.keys(manifest)) delete manifest[k];
+  Object.assign(manifest, stamped);
+  return { manifest, fromVersion, changes };
+}
+
+/**
+ * Loader entry point: migrate in memory when older, then validate.
+ * @param {object} manifest - parsed JSON
+ * @param {{path?:string,imageName?:string}} [opts]
+ * @returns {object} the (possibly migrated) manifest
+ * @throws when the manifest is newer than supported or fails validation
+ */
+export function prepareManifest(manifest, opts = {}) {
+  const where = opts.path || 'manifest';
+  const { fromVersion, changes } = migrateManifest(manifest, opts);
+  if (fromVersion < SCHEMA_VERSION)
+    logger.info(
+      `[manifest] ${where}: migrated v${fromVersion} → v${SCHEMA_VERSION} in memory (${changes.length} change(s)); run "npm run migrate" to upgrade the file`,
+    );
+  const { valid, errors } = validateManifest(manifest);
+  if (!valid) {
+    const shown = errors.slice(0, 10).join('; ');
+    const more = errors.length > 10 ? ` (+${errors.length - 10} more)` : '';
+    throw new Error(`Invalid manifest ${where}: ${shown}${more}`);
+  }
+  return manifest;
+}
+
+export default {
+  SCHEMA_VERSION,
+  MANIFEST_SCHEMA,
+  validateManifest,
+  manifestVersion,
+  normaliseRegionId,
+  migrateManifest,
+  prepareManifest,
+};
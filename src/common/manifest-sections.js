@@ -0,0 +1,53 @@
+// manifest-sections.js
+//
+// Purpose: Serializers rebuild a manifest from in-memory state on every save (the viewer
+// autosaves after each edit). Sections not owned by the in-memory objects (pyramid levels,
+// georeference and frame transform from ingest, the last signature, tile integrity hashes) would be
+// dropped by such a rewrite; this helper carries them over from the manifest on disk.
+
+import { promises as fs } from 'fs';
+
+/** Top-level manifest keys preserved across re-saves. */
+export const PRESERVED_SECTIONS = [
+  'pyramid',
+  'georef',
+  'transform',
+  'signature',
+  'integrity',
+];
+
+/**
+ * Read preserved sections from an existing manifest (missing/invalid file → {}).
+ * @param {string} jsonPath
+ * @param {string[]} [keys]
+ * @returns {Promise<Record<string, any>>}
+ */
+export async function readPreservedSections(
+  jsonPath,
+  keys = PRESERVED_SECTIONS,
+) {
+  try {
+    const prev = JSON.parse(await fs.readFile(jsonPath, 'utf-8'));
+    const out = {};
+    for (const k of keys) if (prev[k] !== undefined) out[k] = prev[k];
+    return out;
+  } catch (_e) {
+    return {};
+  }
+}
+
+/**
+ * Manifest entries that point at a pixel file (`phtFile`): the single image, tiles and
+ * pyramid levels, in that order.
+ * @param {object} manifest
+ * @returns {Array<{phtFile:string}>}
+ */
+export function pixelEntries(manifest) {
+  const out = [];
+  if (manifest.pixelMatrix?.phtFile) out.push(manifest.pixelMatrix);
+  for (const t of manifest.tileManifest || []) out.push(t);
+  for (const l of manifest.pyramid?.levels || []) out.push(l);
+  return out;
+}
+
+export default { PRESERVED_SECTIONS, readPreservedSections, pixelEntries };
@@ -0,0 +1,619 @@
+// mask.js
+//
+// Purpose: Pixel masks for regions. A region may carry `mask` (run-length encoded pixels)
+// and `polygon` (its outline) next to its bounding `boundary`; geometry.js then measures
+// area, intersection and IoU in mask pixels instead of box area.
+//
+// Mask format (stored in the manifest as `region.mask`)
+//   { x, y, width, height, counts: [bg, fg, bg, fg, …] }
+//   The RLE covers the window [x, x+width) × [y, y+height) in image pixels, read row by row
+//   (row-major), and always starts with a background run (possibly 0), as in COCO's
+//   uncompressed RLE. The window is the mask's tight bounding box.
+//
+// Polygon format (`region.polygon`)
+//   [[x0, y0, x1, y1, …], …] – one closed ring per connected part (outer outline only, no
+//   holes), vertices on pixel corners, simplified with Douglas–Peucker. Same layout as a
+//   COCO polygon `segmentation`.
+//
+// References
+// - COCO RLE: https://github.com/cocodataset/cocoapi/blob/master/PythonAPI/pycocotools/mask.py
+// - Ramer–Douglas–Peucker: https://en.wikipedia.org/wiki/Ramer%E2%80%93Douglas%E2%80%93Peucker_algorithm
+
+/* ─────────────────── row intervals ─────────────────── */
+
+// Masks are compared and combined as per-row lists of [start, end) x-intervals, which
+// keeps the work proportional to the number of runs rather than the number of pixels.
+const rowsCache = new WeakMap();
+
+/**
+ * Per-row foreground intervals of a mask, in absolute image x (cached per mask object).
+ * @param {{x:number,y:number,width:number,height:number,counts:number[]}} mask
+ * @returns {Array<Array<[number, number]>>} rows[r] for image row mask.y + r
+ */
+export function maskRows(mask) {
+  let rows = rowsCache.get(mask);
+  if (rows) return rows;
+  const { x, width, height, counts } = mask;
+  rows = Array.from({ length: height }, () => []);
+  let p = 0;
+  for (let i = 0; i < counts.length; i++) {
+    const n = counts[i];
+    if (i % 2 === 1) {
+      let start = p;
+      const end = Math.min(p + n, width * height);
+      while (start < end) {
+        const r = Math.floor(start / width);
+        const rowEnd = Math.min(end, (r + 1) * width);
+        rows[r].push([x + (start - r * width), x + (rowEnd - r * width)]);
+        start = rowEnd;
+      }
+    }
+    p += n;
+  }
+  rowsCache.set(mask, rows);
+  return rows;
+}
+
+/**
+ * Encode per-row intervals (absolute x, row 0 = image row `y`) as a mask with a tight window.
+ * @param {Array<Array<[number, number]>>} rows
+ * @param {number} y - image row of rows[0]
+ * @returns {object|null} mask, or null when no pixel is set
+ */
+export function maskFromRows(rows, y = 0) {
+  let r0 = -1;
+  let r1 = -1;
+  let x1 = Infinity;
+  let x2 = -Infinity;
+  rows.forEach((row, r) => {
+    if (!row.length) return;
+    if (r0 === -1) r0 = r;
+    r1 = r;
+    x1 = Math.min(x1, row[0][0]);
+    x2 = Math.max(x2, row[row.length - 1][1]);
+  });
+  if (r0 === -1) return null;
+  const width = x2 - x1;
+  const counts = [];
+  let p = 0; // position within the window
+  let fgRun = false;
+  const push = (fg, n) => {
+    if (!n) return;
+    if (fg === fgRun && counts.length) counts[counts.length - 1] += n;
+    else {
+      if (!counts.length && fg) counts.push(0);
+      counts.push(n);
+      fgRun = fg;
+    }
+  };
+  for (let r = r0; r <= r1; r++) {
+    const base = (r - r0) * width;
+    for (const [s, e] of rows[r]) {
+      push(false, base + (s - x1) - p);
+      push(true, e - s);
+      p = base + (e - x1);
+    }
+  }
+  push(false, (r1 - r0 + 1) * width - p);
+  if (!counts.length) counts.push(0);
+  return { x: x1, y: y + r0, width, height: r1 - r0 + 1, counts };
+}
+
+/**
+ * Encode a bitmap (1 = foreground) covering [x, x+width) × [y, y+height).
+ * @param {ArrayLike<number>} bits - row-major, width*height entries
+ * @returns {object|null}
+ */
+export function encodeMask(bits, width, height, x = 0, y = 0) {
+  const rows = [];
+  for (let r = 0; r < height; r++) {
+    const row = [];
+    let start = -1;
+    for (let c = 0; c <= width; c++) {
+      const on = c < width && bits[r * width + c];
+      if (on && start === -1) start = c;
+      else if (!on && start !== -1) {
+        row.push([x + start, x + c]);
+        start = -1;
+      }
+    }
+    rows.push(row);
+  }
+  return maskFromRows(rows, y);
+}
+
+/**
+ * Decode a mask to a bitmap over its own window.
+ * @returns {Uint8Array} width*height entries
+ */
+export function decodeMask(mask) {
+  const bits = new Uint8Array(mask.width * mask.height);
+  maskRows(mask).forEach((row, r) => {
+    for (const [s, e] of row)
+      bits.fill(1, r * mask.width + s - mask.x, r * mask.width + e - mask.x);
+  });
+  return bits;
+}
+
+/**
+ * Mask of the pixels labelled `label` in a label map (e.g. DeepLab's per-pixel class ids),
+ * scaled nearest-neighbour onto an image area.
+ * @param {ArrayLike<number>} labels - mapWidth*mapHeight class ids, row-major
+ * @param {number} mapWidth
+ * @param {number} mapHeight
+ * @param {number} label
+ * @param {{x?:number, y?:number, width?:number, height?:number}} [area]
+ *        image area the map covers (default: the map's own size at 0,0)
+ * @returns {object|null}
+ */
+export function maskFromLabelMap(
+  labels,
+  mapWidth,
+  mapHeight,
+  label,
+  area = {},
+) {
+  const { x = 0, y = 0, width = mapWidth, height = mapHeight } = area;
+  const sx = mapWidth / width;
+  const sy = mapHeight / height;
+  const rows = [];
+  for (let iy = 0; iy < height; iy++) {
+    const my = Math.min(mapHeight - 1, Math.floor(iy * sy));
+    const row = [];
+    let start = -1;
+    for (let ix = 0; ix <= width; ix++) {
+      const on =
+        ix < width &&
+        labels[my * mapWidth + Math.min(mapWidth - 1, Math.floor(ix * sx))] ===
+          label;
+      if (on && start === -1) start = ix;
+      else if (!on && start !== -1) {
+        row.push([x + start, x + ix]);
+        start = -1;
+      }
+    }
+    rows.push(row);
+  }
+  return maskFromRows(rows, y);
+}
+
+/* ─────────────────── measures ─────────────────── */
+
+/** Bounding box of a mask window. */
+export function maskBoundary(mask) {
+  return {
+    x1: mask.x,
+    y1: mask.y,
+    x2: mask.x + mask.width,
+    y2: mask.y + mask.height,
+  };
+}
+
+/** Number of foreground pixels. */
+export function maskArea(mask) {
+  let n = 0;
+  for (let i = 1; i < mask.counts.length; i += 2) n += mask.counts[i];
+  return n;
+}
+
+/** Length of the overlap of two sorted interval lists. */
+function overlapLength(a, b) {
+  let n = 0;
+  for (let i = 0, j = 0; i < a.length && j < b.length; ) {
+    const s = Math.max(a[i][0], b[j][0]);
+    const e = Math.min(a[i][1], b[j][1]);
+    if (e > s) n += e - s;
+    if (a[i][1] < b[j][1]) i++;
+    else j++;
+  }
+  return n;
+}
+
+/** Foreground pixels of `mask` inside an axis-aligned box. */
+export function maskBoxArea(mask, box) {
+  const rows = maskRows(mask);
+  // a row counts when its pixel centre lies inside the box
+  const r0 = Math.max(0, Math.ceil(box.y1 - 0.5) - mask.y);
+  const r1 = Math.min(mask.height, Math.ceil(box.y2 - 0.5) - mask.y);
+  const span = [[box.x1, box.x2]];
+  let n = 0;
+  for (let r = r0; r < r1; r++) n += overlapLength(rows[r], span);
+  return n;
+}
+
+/** Pixels set in both masks. */
+export function maskIntersectionArea(a, b) {
+  const y1 = Math.max(a.y, b.y);
+  const y2 = Math.min(a.y + a.height, b.y + b.height);
+  if (y2 <= y1 || Math.max(a.x, b.x) >= Math.min(a.x + a.width, b.x + b.width))
+    return 0;
+  const ra = maskRows(a);
+  const rb = maskRows(b);
+  let n = 0;
+  for (let y = y1; y < y2; y++) n += overlapLength(ra[y - a.y], rb[y - b.y]);
+  return n;
+}
+
+/** Union of two masks (a new mask). */
+export function unionMasks(a, b) {
+  const y1 = Math.min(a.y, b.y);
+  const y2 = Math.max(a.y + a.height, b.y + b.height);
+  const ra = maskRows(a);
+  const rb = maskRows(b);
+  const rows = [];
+  for (let y = y1; y < y2; y++) {
+    const row = [...(ra[y - a.y] || []), ...(rb[y - b.y] || [])].sort(
+      (p, q) => p[0] - q[0],
+    );
+    const merged = [];
+    for (const [s, e] of row) {
+      const last = merged[merged.length - 1];
+      if (last && s <= last[1]) last[1] = Math.max(last[1], e);
+      else merged.push([s, e]);
+    }
+    rows.push(merged);
+  }
+  return maskFromRows(rows, y1);
+}
+
+/** Restrict a mask to an axis-aligned box (null when nothing is left). */
+export function clipMask(mask, box) {
+  const rows = maskRows(mask).map((row, r) => {
+    const y = mask.y + r;
+    if (y < box.y1 || y >= box.y2) return [];
+    return row
+      .map(([s, e]) => [Math.max(s, box.x1), Math.min(e, box.x2)])
+      .filter(([s, e]) => e > s);
+  });
+  return maskFromRows(rows, mask.y);
+}
+
+/** The same mask moved by (dx, dy) pixels (RLE counts are window-relative). */
+export function translateMask(mask, dx, dy) {
+  return { ...mask, x: mask.x + dx, y: mask.y + dy };
+}
+
+/* ─────────────────── connected components ─────────────────── */
+
+// Two runs on the same or neighbouring rows are 8-connected when their x-ranges overlap
+// or meet at a corner: [s1, e1) and [s2, e2) with s1 <= e2 and s2 <= e1.
+const runsTouch = (a, b) => a[0] <= b[1] && b[0] <= a[1];
+
+/**
+ * Split a mask into its 8-connected parts, in reading order of their first pixel.
+ * @param {object} mask
+ * @param {{minArea?:number}} [opts] - minArea: drop parts with fewer pixels (default 0)
+ * @returns {object[]} one mask per part
+ */
+export function maskComponents(mask, opts = {}) {
+  const { minArea = 0 } = opts;
+  const rows = maskRows(mask);
+  // Union-find over runs; runs are numbered in reading order
+  const parent = [];
+  const find = (i) => {
+    while (parent[i] !== i) i = parent[i] = parent[parent[i]];
+    return i;
+  };
+  const ids = [];
+  let n = 0;
+  for (let r = 0; r < rows.length; r++) {
+    ids.push(rows[r].map(() => n++));
+    for (let k = 0; k < rows[r].length; k++) {
+      const id = ids[r][k];
+      parent[id] = id;
+      if (!r) continue;
+      rows[r - 1].forEach((above, j) => {
+        if (!runsTouch(rows[r][k], above)) return;
+        const a = find(id);
+        const b = find(ids[r - 1][j]);
+        if (a !== b) parent[Math.max(a, b)] = Math.min(a, b);
+      });
+    }
+  }
+  const parts = new Map(); // root → { rows, area }
+  for (let r = 0; r < rows.length; r++)
+    rows[r].forEach((run, k) => {
+      const root = find(ids[r][k]);
+      if (!parts.has(root)) parts.set(root, { first: r, rows: [], area: 0 });
+      const part = parts.get(root);
+      (part.rows[r - part.first] ||= []).push([...run]);
+      part.area += run[1] - run[0];
+    });
+  const out = [];
+  for (const part of parts.values()) {
+    if (part.area < minArea) continue;
+    const partRows = Array.from(part.rows, (row) => row || []);
+    out.push(maskFromRows(partRows, mask.y + part.first));
+  }
+  return out;
+}
+
+/** Whether two masks share a pixel or have 8-adjacent pixels. */
+export function masksTouch(a, b) {
+  const y1 = Math.max(a.y, b.y - 1);
+  const y2 = Math.min(a.y + a.height, b.y + b.height + 1);
+  if (y2 <= y1 || Math.max(a.x, b.x) > Math.min(a.x + a.width, b.x + b.width))
+    return false;
+  const ra = maskRows(a);
+  const rb = maskRows(b);
+  for (let y = y1; y < y2; y++)
+    for (let dy = -1; dy <= 1; dy++) {
+      const other = rb[y + dy - b.y];
+      if (!other) continue;
+      for (const run of ra[y - a.y])
+        if (other.some((o) => runsTouch(run, o))) return true;
+    }
+  return false;
+}
+
+/**
+ * Gap in pixels between two masks: 0 when they overlap or are 8-adjacent, else the larger
+ * of the column and row distance between their closest pixels (so two box-shaped masks
+ * are as far apart as their boxes). Gaps above `maxGap` come back as Infinity.
+ */
+export function maskGap(a, b, maxGap = Infinity) {
+  const ra = maskRows(a);
+  const rb = maskRows(b);
+  const reach = Math.floor(maxGap) + 1;
+  let best = Infinity;
+  for (let i = 0; i < ra.length; i++) {
+    if (!ra[i].length) continue;
+    const y = a.y + i;
+    const from = Math.max(b.y, y - reach);
+    const to = Math.min(b.y + b.height - 1, y + reach);
+    for (let yb = from; yb <= to; yb++) {
+      const dy = Math.max(0, Math.abs(y - yb) - 1);
+      if (dy >= best) continue;
+      for (const run of ra[i])
+        for (const o of rb[yb - b.y]) {
+          const gap = Math.max(dy, o[0] - run[1], run[0] - o[1]);
+          if (gap < best) best = gap;
+        }
+      if (best === 0) return 0;
+    }
+  }
+  return best <= maxGap ? best : Infinity;
+}
+
+/**
+ * Join masks that share a key and touch (overlap or 8-adjacent), transitively — e.g. the
+ * pieces of one object cut apart by tile borders.
+ * @param {Array<{key:*, mask:object}>} parts
+ * @returns {Array<{key:*, mask:object, parts:object[]}>} one union per group, ordered by
+ *          the group's first part
+ */
+export function stitchMasks(parts) {
+  const parent = parts.map((_, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) i = parent[i] = parent[parent[i]];
+    return i;
+  };
+  for (let i = 0; i < parts.length; i++)
+    for (let j = i + 1; j < parts.length; j++) {
+      if (parts[i].key !== parts[j].key) continue;
+      const a = find(i);
+      const b = find(j);
+      if (a !== b && masksTouch(parts[i].mask, parts[j].mask))
+        parent[Math.max(a, b)] = Math.min(a, b);
+    }
+  const groups = new Map();
+  parts.forEach((part, i) => {
+    const root = find(i);
+    const g = groups.get(root);
+    if (!g) groups.set(root, { key: part.key, mask: part.mask, parts: [part] });
+    else {
+      g.mask = unionMasks(g.mask, part.mask);
+      g.parts.push(part);
+    }
+  });
+  return [...groups.values()];
+}
+
+/** Whether the pixel containing image point (x, y) is set. */
+export function maskHasPixel(mask, x, y) {
+  const row = maskRows(mask)[Math.floor(y) - mask.y];
+  if (!row) return false;
+  const px = Math.floor(x);
+  return row.some(([s, e]) => px >= s && px < e);
+}
+
+/** Centre of mass of the foreground pixels (pixel centres), or null for an empty mask. */
+export function maskCentroid(mask) {
+  let n = 0;
+  let sx = 0;
+  let sy = 0;
+  maskRows(mask).forEach((row, r) => {
+    for (const [s, e] of row) {
+      const len = e - s;
+      n += len;
+      sx += (len * (s + e)) / 2;
+      sy += len * (mask.y + r + 0.5);
+    }
+  });
+  return n ? [sx / n, sy / n] : null;
+}
+
+/* ─────────────────── outlines ─────────────────── */
+
+// Corner-walk directions: right, down, left, up (image y grows downwards)
+const DX = [1, 0, -1, 0];
+const DY = [0, 1, 0, -1];
+
+/**
+ * Outer outline of the 8-connected component containing the top-left-most pixel (px, py),
+ * walked clockwise along pixel edges with the component on the right-hand side.
+ * @returns {number[]} flat [x0, y0, x1, y1, …] in window coordinates
+ */
+function traceOutline(on, px, py) {
+  // Pixels ahead-left / ahead-right of corner (cx, cy) when facing d
+  const ahead = (cx, cy, d) => {
+    switch (d) {
+      case 0:
+        return [on(cx, cy - 1), on(cx, cy)];
+      case 1:
+        return [on(cx, cy), on(cx - 1, cy)];
+      case 2:
+        return [on(cx - 1, cy), on(cx - 1, cy - 1)];
+      default:
+        return [on(cx - 1, cy - 1), on(cx, cy - 1)];
+    }
+  };
+  const pts = [px, py];
+  let cx = px + 1;
+  let cy = py;
+  let d = 0;
+  for (let guard = 0; guard < 1e7; guard++) {
+    if (cx === px && cy === py) break;
+    const [left, right] = ahead(cx, cy, d);
+    let nd;
+    if (left) nd = (d + 3) % 4;
+    else if (right) nd = d;
+    else nd = (d + 1) % 4;
+    if (nd !== d) pts.push(cx, cy);
+    d = nd;
+    cx += DX[d];
+    cy += DY[d];
+  }
+  return pts;
+}
+
+/** Douglas–Peucker on a closed ring (flat coordinates). */
+function simplifyRing(flat, tolerance) {
+  const n = flat.length / 2;
+  if (n <= 4 || tolerance <= 0) return flat;
+  const keep = new Uint8Array(n);
+  const px = (i) => flat[2 * (i % n)];
+  const py = (i) => flat[2 * (i % n) + 1];
+  const segments = [];
+  const simplify = (i, j) => {
+    let max = 0;
+    let idx = -1;
+    const ax = px(i);
+    const ay = py(i);
+    const bx = px(j);
+    const by = py(j);
+    const len = Math.hypot(bx - ax, by - ay) || 1;
+    for (let k = i + 1; k < j; k++) {
+      const dist =
+        Math.abs((bx - ax) * (ay - py(k)) - (ax - px(k)) * (by - ay)) / len;
+      if (dist > max) {
+        max = dist;
+        idx = k;
+      }
+    }
+    if (max > tolerance) {
+      keep[idx % n] = 1;
+      segments.push([i, idx], [idx, j]);
+    }
+  };
+  // Split the ring at its first vertex and the vertex farthest from it
+  let far = 0;
+  let best = -1;
+  for (let k = 1; k < n; k++) {
+    const dd = Math.hypot(px(k) - px(0), py(k) - py(0));
+    if (dd > best) {
+      best = dd;
+      far = k;
+    }
+  }
+  keep[0] = 1;
+  keep[far] = 1;
+  segments.push([0, far], [far, n]);
+  while (segments.length) simplify(...segments.pop());
+  const out = [];
+  for (let k = 0; k < n; k++) if (keep[k]) out.push(px(k), py(k));
+  return out;
+}
+
+/**
+ * Outline polygons of a mask: one simplified outer ring per 8-connected part, largest first.
+ * @param {object} mask
+ * @param {{tolerance?:number, minArea?:number, maxPolygons?:number}} [opts]
+ *        tolerance   – Douglas–Peucker tolerance in px (default 1)
+ *        minArea     – skip parts with fewer pixels (default 16)
+ *        maxPolygons – keep at most this many rings (default 32)
+ * @returns {number[][]} rings in image coordinates
+ */
+export function maskToPolygons(mask, opts = {}) {
+  const { tolerance = 1, minArea = 16, maxPolygons = 32 } = opts;
+  const { width, height } = mask;
+  const bits = decodeMask(mask);
+  const on = (x, y) =>
+    x >= 0 && y >= 0 && x < width && y < height && bits[y * width + x] === 1;
+  const seen = new Uint8Array(width * height);
+  const parts = [];
+  const stack = [];
+  for (let i = 0; i < bits.length; i++) {
+    if (!bits[i] || seen[i]) continue;
+    // Flood-fill (8-connected) to size the part; i is its top-left-most pixel
+    let size = 0;
+    seen[i] = 1;
+    stack.push(i);
+    while (stack.length) {
+      const p = stack.pop();
+      size++;
+      const x = p % width;
+      const y = (p - x) / width;
+      for (let dy = -1; dy <= 1; dy++)
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (!on(nx, ny)) continue;
+          const q = ny * width + nx;
+          if (!seen[q]) {
+            seen[q] = 1;
+            stack.push(q);
+          }
+        }
+    }
+    if (size < minArea) continue;
+    const x = i % width;
+    parts.push({ size, ring: traceOutline(on, x, (i - x) / width) });
+  }
+  return parts
+    .sort((a, b) => b.size - a.size)
+    .slice(0, maxPolygons)
+    .map(({ ring }) =>
+      simplifyRing(ring, tolerance).map((v, k) =>
+        k % 2 ? v + mask.y : v + mask.x,
+      ),
+    );
+}
+
+/**
+ * Give a region a mask: sets `mask`, `polygon` and a `boundary` tightened to the mask.
+ * @param {{boundary:object}} region
+ * @param {object} mask
+ * @param {object} [polygonOpts] - see maskToPolygons
+ * @returns {typeof region}
+ */
+export function attachMask(region, mask, polygonOpts) {
+  delete region.rotatedBox;
+  region.mask = mask;
+  region.polygon = maskToPolygons(mask, polygonOpts);
+  region.boundary = maskBoundary(mask);
+  return region;
+}
+
+export default {
+  maskRows,
+  maskFromRows,
+  encodeMask,
+  decodeMask,
+  maskFromLabelMap,
+  maskBoundary,
+  maskArea,
+  maskBoxArea,
+  maskIntersectionArea,
+  unionMasks,
+  clipMask,
+  translateMask,
+  maskComponents,
+  masksTouch,
+  maskGap,
+  stitchMasks,
+  maskHasPixel,
+  maskCentroid,
+  maskToPolygons,
+  attachMask,
+};
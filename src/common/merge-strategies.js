@@ -0,0 +1,310 @@
+// merge-strategies.js
+//
+// Purpose: The ways RegionManager.mergeOverlappingRegions can resolve overlapping
+// detections. Both pipelines pick one with `mergeStrategy` (default MERGE_STRATEGY, else
+// `nms`):
+//
+//   union    – any two regions above the IoU threshold become one with the combined box
+//              and both tags, whatever their class (the original behaviour)
+//   nms      – greedy non-maximum suppression per class: the most confident region of an
+//              overlapping group survives unchanged, the others are dropped
+//   soft-nms – per class, overlapping regions lose confidence instead of being dropped
+//              (linear: × (1 − IoU) above the threshold; gaussian: × exp(−IoU²/σ) for
+//              any overlap); a region is dropped, and counted as absorbed by the
+//              survivor that decayed it, once that decay takes it below `minScore`.
+//              Confidences soft-nms never lowers are kept as they are, whatever
+//              their value, for survivors and standalone regions alike
+//   wbf      – weighted box fusion per class: each group becomes one box whose corners
+//              are the confidence-weighted mean of its members, with their mean confidence
+//
+// The class of a region is its `metadata.classLabel` (else its first tag); only regions
+// of the same class are compared by nms, soft-nms and wbf. `classThresholds` maps a class
+// to its own IoU threshold. Confidence defaults to 1 (e.g. manual regions).
+//
+// Notes
+// - Every strategy returns groups `{region, sources, changed}` in the order of the
+//   surviving region's original position; `sources` lists the ids it absorbed (itself
+//   first) and `changed` says whether its box or confidence differs from the input.
+// - Masks: union and wbf union the masks when every member has one (the box then follows
+//   the mask); otherwise the merged region keeps just the box. nms and soft-nms keep the
+//   survivor's shape.
+// - Soft-NMS survivors keep their first confidence as `provenance.originalConfidence`.
+//
+// References
+// - Bodla et al., Soft-NMS (2017): https://arxiv.org/abs/1704.04503
+// - Solovyev et al., Weighted boxes fusion (2021): https://arxiv.org/abs/1910.13302
+
+import { clearShape, regionIoU } from './geometry.js';
+import { attachMask, unionMasks } from './mask.js';
+
+export const MERGE_STRATEGIES = Object.freeze([
+  'union',
+  'nms',
+  'soft-nms',
+  'wbf',
+]);
+
+/** Error with code EMERGE (unknown strategy or bad option). */
+function mergeError(message) {
+  return Object.assign(new Error(message), { code: 'EMERGE' });
+}
+
+/** Strategy the pipelines use unless told otherwise (MERGE_STRATEGY, else nms). */
+export function defaultMergeStrategy() {
+  const s = String(process.env.MERGE_STRATEGY || '')
+    .trim()
+    .toLowerCase();
+  return MERGE_STRATEGIES.includes(s) ? s : 'nms';
+}
+
+/** Class a region is merged within: metadata.classLabel, else its first tag. */
+export function regionClass(region) {
+  return region.metadata?.classLabel ?? region.tags?.[0] ?? null;
+}
+
+/** Detection confidence of a region (1 when it has none). */
+export function regionConfidence(region) {
+  const c = Number(region.metadata?.confidence);
+  return Number.isFinite(c) ? c : 1;
+}
+
+function mergeBoundaries(b1, b2) {
+  return {
+    x1: Math.min(b1.x1, b2.x1),
+    y1: Math.min(b1.y1, b2.y1),
+    x2: Math.max(b1.x2, b2.x2),
+    y2: Math.max(b1.y2, b2.y2),
+  };
+}
+
+// the masks of all members unioned, or null unless every member has one
+function unionOfMasks(members) {
+  if (!members.every((r) => r.mask)) return null;
+  return members
+    .slice(1)
+    .reduce((m, r) => unionMasks(m, r.mask), members[0].mask);
+}
+
+// regions with their input position, most confident first (stable)
+function byConfidence(regions) {
+  return regions
+    .map((region, pos) => ({ region, pos, score: regionConfidence(region) }))
+    .sort((a, b) => b.score - a.score || a.pos - b.pos);
+}
+
+const inPositionOrder = (groups) =>
+  groups.sort((a, b) => a.pos - b.pos).map(({ pos: _pos, ...g }) => g);
+
+/** Original behaviour: greedy union in input order, class-agnostic. */
+function unionStrategy(regions, { iouThreshold }) {
+  const groups = [];
+  for (const current of regions) {
+    const g = groups.find((m) => regionIoU(current, m.region) > iouThreshold);
+    if (!g) {
+      groups.push({ region: current, sources: [current.id], changed: false });
+      continue;
+    }
+    const mask =
+      g.region.mask && current.mask
+        ? unionMasks(g.region.mask, current.mask)
+        : null;
+    g.region.boundary = mergeBoundaries(g.region.boundary, current.boundary);
+    clearShape(g.region);
+    if (mask) attachMask(g.region, mask);
+    g.region.tags = Array.from(new Set([...g.region.tags, ...current.tags]));
+    g.sources.push(current.id);
+    g.changed = true;
+  }
+  return groups;
+}
+
+/** Greedy class-aware NMS: survivors are returned unchanged. */
+function nmsStrategy(regions, { thresholdFor }) {
+  const order = byConfidence(regions);
+  const groups = [];
+  const suppressed = new Set();
+  order.forEach((a, i) => {
+    if (suppressed.has(a)) return;
+    const g = { region: a.region, sources: [a.region.id], changed: false };
+    const cls = regionClass(a.region);
+    for (const b of order.slice(i + 1)) {
+      if (suppressed.has(b) || regionClass(b.region) !== cls) continue;
+      if (regionIoU(a.region, b.region) > thresholdFor(cls)) {
+        suppressed.add(b);
+        g.sources.push(b.region.id);
+      }
+    }
+    groups.push({ ...g, pos: a.pos });
+  });
+  return inPositionOrder(groups);
+}
+
+/** Soft-NMS: decay same-class overlaps, drop those decayed below minScore. */
+function softNmsStrategy(regions, { thresholdFor, method, sigma, minScore }) {
+  const pending = byConfidence(regions);
+  const groups = [];
+  while (pending.length) {
+    let best = 0;
+    for (let i = 1; i < pending.length; i++)
+      if (
+        pending[i].score > pending[best].score ||
+        (pending[i].score === pending[best].score &&
+          pending[i].pos < pending[best].pos)
+      )
+        best = i;
+    const [m] = pending.splice(best, 1);
+    const cls = regionClass(m.region);
+    const g = { region: m.region, sources: [m.region.id], pos: m.pos };
+    g.changed = m.score !== regionConfidence(m.region);
+    if (g.changed)
+      g.region = {
+        ...m.region,
+        metadata: { ...m.region.metadata, confidence: m.score },
+        provenance: {
+          ...m.region.provenance,
+          originalConfidence: regionConfidence(m.region),
+        },
+      };
+    for (let i = pending.length - 1; i >= 0; i--) {
+      const p = pending[i];
+      if (regionClass(p.region) !== cls) continue;
+      const iou = regionIoU(m.region, p.region);
+      const decay =
+        method === 'gaussian'
+          ? iou > 0
+            ? Math.exp(-(iou * iou) / sigma)
+            : 1
+          : iou > thresholdFor(cls)
+            ? 1 - iou
+            : 1;
+      if (decay === 1) continue;
+      p.score *= decay;
+      if (p.score < minScore) {
+        pending.splice(i, 1);
+        g.sources.push(p.region.id);
+      }
+    }
+    groups.push(g);
+  }
+  return inPositionOrder(groups);
+}
+
+/** Weighted box fusion per class. */
+function wbfStrategy(regions, { thresholdFor }) {
+  const clusters = [];
+  for (const it of byConfidence(regions)) {
+    const cls = regionClass(it.region);
+    let match = null;
+    let bestIoU = thresholdFor(cls);
+    for (const c of clusters) {
+      if (c.cls !== cls) continue;
+      const iou = regionIoU(
+        { boundary: c.box },
+        { boundary: it.region.boundary },
+      );
+      if (iou > bestIoU) {
+        bestIoU = iou;
+        match = c;
+      }
+    }
+    if (!match) {
+      clusters.push({ cls, members: [it], box: { ...it.region.boundary } });
+      continue;
+    }
+    match.members.push(it);
+    const w = match.members.reduce((s, m) => s + m.score, 0);
+    const avg = (k) =>
+      w > 0
+        ? match.members.reduce(
+            (s, m) => s + m.score * m.region.boundary[k],
+            0,
+          ) / w
+        : match.members.reduce((s, m) => s + m.region.boundary[k], 0) /
+          match.members.length;
+    match.box = { x1: avg('x1'), y1: avg('y1'), x2: avg('x2'), y2: avg('y2') };
+  }
+  return inPositionOrder(
+    clusters.map(({ members, box }) => {
+      const lead = members[0];
+      const g = {
+        region: lead.region,
+        sources: members.map((m) => m.region.id),
+        changed: members.length > 1,
+        pos: Math.min(...members.map((m) => m.pos)),
+      };
+      if (!g.changed) return g;
+      const region = {
+        ...lead.region,
+        boundary: box,
+        metadata: {
+          ...lead.region.metadata,
+          confidence: members.reduce((s, m) => s + m.score, 0) / members.length,
+        },
+      };
+      const mask = unionOfMasks(members.map((m) => m.region));
+      clearShape(region);
+      if (mask) attachMask(region, mask);
+      return { ...g, region };
+    }),
+  );
+}
+
+/**
+ * Resolve overlapping regions with one strategy.
+ * @param {object[]} regions - RegionManager regions (not modified for nms/soft-nms/wbf;
+ *        union grows the surviving region in place as it always has)
+ * @param {object} [options]
+ * @param {string} [options.strategy] - union | nms | soft-nms | wbf (default union)
+ * @param {number} [options.iouThreshold] - default 0.5
+ * @param {Record<string, number>} [options.classThresholds] - IoU threshold per class
+ *        (nms, soft-nms, wbf)
+ * @param {'linear'|'gaussian'} [options.softNmsMethod] - default linear
+ * @param {number} [options.softNmsSigma] - gaussian σ (default 0.5)
+ * @param {number} [options.softNmsMinScore] - drop regions decayed below this confidence
+ *        (default 0.3)
+ * @returns {Array<{region:object, sources:number[], changed:boolean}>}
+ * @throws {Error} code EMERGE for an unknown strategy
+ */
+export function resolveOverlaps(regions, options = {}) {
+  const {
+    strategy = 'union',
+    iouThreshold = 0.5,
+    classThresholds = {},
+    softNmsMethod = 'linear',
+    softNmsSigma = 0.5,
+    softNmsMinScore = 0.3,
+  } = options;
+  const thresholdFor = (cls) =>
+    Number.isFinite(classThresholds?.[cls])
+      ? classThresholds[cls]
+      : iouThreshold;
+  switch (strategy) {
+    case 'union':
+      return unionStrategy(regions, { iouThreshold });
+    case 'nms':
+      return nmsStrategy(regions, { thresholdFor });
+    case 'soft-nms':
+      if (!['linear', 'gaussian'].includes(softNmsMethod))
+        throw mergeError(`unknown Soft-NMS method "${softNmsMethod}"`);
+      return softNmsStrategy(regions, {
+        thresholdFor,
+        method: softNmsMethod,
+        sigma: softNmsSigma,
+        minScore: softNmsMinScore,
+      });
+    case 'wbf':
+      return wbfStrategy(regions, { thresholdFor });
+    default:
+      throw mergeError(
+        `unknown merge strategy "${strategy}" (use ${MERGE_STRATEGIES.join(', ')})`,
+      );
+  }
+}
+
+export default {
+  MERGE_STRATEGIES,
+  defaultMergeStrategy,
+  regionClass,
+  regionConfidence,
+  resolveOverlaps,
+};
@@ -0,0 +1,119 @@
+// merkle.js
+//
+// Purpose: Binary SHA-256 Merkle tree over the per-tile file hashes of a manifest's
+// `integrity.tiles`. The root commits to the whole tile list, and a short inclusion proof
+// lets one tile be checked against it without re-hashing every other tile.
+//
+// Construction
+// - Leaves are sha256(0x00 ‖ fileHash) and inner nodes sha256(0x01 ‖ left ‖ right), so a
+//   leaf can never be passed off as an inner node.
+// - An odd node at the end of a level is promoted unchanged (no duplication, which would
+//   let [a, b, c] and [a, b, c, c] share a root).
+//
+// References
+// - RFC 6962 §2.1 (Merkle Hash Trees): https://www.rfc-editor.org/rfc/rfc6962#section-2.1
+
+import { createHash } from 'crypto';
+
+const LEAF = Buffer.from([0]);
+const NODE = Buffer.from([1]);
+
+function sha256(...parts) {
+  const h = createHash('sha256');
+  for (const p of parts) h.update(p);
+  return h.digest('hex');
+}
+
+/**
+ * Leaf hash for one tile.
+ * @param {string} fileHash - hex SHA-256 of the tile file
+ * @returns {string} hex
+ */
+export function leafHash(fileHash) {
+  return sha256(LEAF, Buffer.from(fileHash, 'hex'));
+}
+
+/**
+ * Inner node hash.
+ * @param {string} left - hex
+ * @param {string} right - hex
+ * @returns {string} hex
+ */
+export function nodeHash(left, right) {
+  return sha256(NODE, Buffer.from(left, 'hex'), Buffer.from(right, 'hex'));
+}
+
+/**
+ * Build every level of the tree, leaves first and the root level last.
+ * @param {string[]} fileHashes - hex SHA-256 per tile, in manifest order
+ * @returns {string[][]}
+ */
+export function buildMerkleLevels(fileHashes) {
+  const levels = [fileHashes.map(leafHash)];
+  while (levels[levels.length - 1].length > 1) {
+    const prev = levels[levels.length - 1];
+    const next = [];
+    for (let i = 0; i < prev.length; i += 2)
+      next.push(i + 1 < prev.length ? nodeHash(prev[i], prev[i + 1]) : prev[i]);
+    levels.push(next);
+  }
+  return levels;
+}
+
+/**
+ * Root of a (possibly empty) tile list; the empty tree hashes to sha256('').
+ * @param {string[]|string[][]} fileHashesOrLevels - file hashes, or levels from buildMerkleLevels
+ * @returns {string} hex
+ */
+export function merkleRoot(fileHashesOrLevels) {
+  const levels = Array.isArray(fileHashesOrLevels[0])
+    ? fileHashesOrLevels
+    : buildMerkleLevels(fileHashesOrLevels);
+  const top = levels[levels.length - 1];
+  return top.length ? top[0] : sha256(Buffer.alloc(0));
+}
+
+/**
+ * Inclusion proof for leaf `index`: sibling hashes from the leaf level upwards.
+ * Promoted nodes have no sibling at that level and contribute no step.
+ * @param {string[][]} levels - from buildMerkleLevels
+ * @param {number} index
+ * @returns {Array<{hash:string, side:'left'|'right'}>}
+ */
+export function merkleProof(levels, index) {
+  if (!(index >= 0 && index < levels[0].length))
+    throw new RangeError(`merkleProof: leaf ${index} out of range`);
+  const proof = [];
+  let i = index;
+  for (let l = 0; l < levels.length - 1; l++) {
+    const level = levels[l];
+    const sib = i % 2 ? i - 1 : i + 1;
+    if (sib < level.length)
+      proof.push({ hash: level[sib], side: i % 2 ? 'left' : 'right' });
+    i = Math.floor(i / 2);
+  }
+  return proof;
+}
+
+/**
+ * Check that `fileHash` is included under `root` via `proof`.
+ * @param {string} fileHash - hex SHA-256 of the tile file
+ * @param {Array<{hash:string, side:'left'|'right'}>} proof
+ * @param {string} root - hex
+ * @returns {boolean}
+ */
+export function verifyMerkleProof(fileHash, proof, root) {
+  let h = leafHash(fileHash);
+  for (const step of proof)
+    h = step.side === 'left' ? nodeHash(step.hash, h) : nodeHash(h, step.hash);
+  return h === root;
+}
+
+export default {
+  leafHash,
+  nodeHash,
+  buildMerkleLevels,
+  merkleRoot,
+  merkleProof,
+  verifyMerkleProof,
+};
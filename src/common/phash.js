@@ -0,0 +1,166 @@
+// phash.js
+//
+// Purpose: Perceptual hashes for spotting the same photo twice in a corpus (resized copies,
+// re-exports, recompressed JPEGs). ingest.js hashes every input first and reports (or skips)
+// near-duplicates; the pipelines store the hash on the image node; GlobalRegistry links
+// images whose hashes are close:
+//
+//   <urn:image:harbour> md:perceptualHash "c3a1…"^^xsd:hexBinary .
+//   <urn:image:harbour_small> md:nearDuplicateOf <urn:image:harbour> .
+//
+// Hash: DCT pHash as in the `imagehash` Python package – the upright image is reduced to
+// 32×32 grey, the 8×8 lowest DCT frequencies are compared with their median, giving 64 bits
+// (16 hex digits). Two images are near-duplicates when the Hamming distance of their hashes
+// is at most `maxDistance` (default NEAR_DUPLICATE_DISTANCE, else 8 of 64 bits).
+//
+// Notes
+// - Resizing, mild recompression and colour tweaks move a hash by a few bits; crops and
+//   rotations by more than a few degrees do not match (EXIF orientation is applied first).
+// - Pairwise comparison is quadratic, which is fine for an ingest batch; a BK-tree would be
+//   the next step for very large corpora.
+//
+// References
+// - imagehash phash: https://github.com/JohannesBuchner/imagehash/blob/master/imagehash/__init__.py
+// - Zauner, Implementation and Benchmarking of Perceptual Image Hash Functions (2010):
+//   https://www.phash.org/docs/pubs/thesis_zauner.pdf
+
+import sharp from 'sharp';
+import { DataFactory } from 'n3';
+
+const { namedNode, literal, quad } = DataFactory;
+const MD = 'http://example.org/metadata#';
+const XSD_HEX = 'http://www.w3.org/2001/XMLSchema#hexBinary';
+export const MD_PERCEPTUAL_HASH = `${MD}perceptualHash`;
+export const MD_NEAR_DUPLICATE_OF = `${MD}nearDuplicateOf`;
+
+const N = 32; // reduced image side
+const K = 8; // kept frequencies per axis
+
+/** Default Hamming distance (bits) up to which two hashes count as near-duplicates. */
+export function defaultMaxDistance() {
+  const v = parseInt(process.env.NEAR_DUPLICATE_DISTANCE || '', 10);
+  return Number.isFinite(v) && v >= 0 ? v : 8;
+}
+
+// cos((2x+1)uπ / 2N) for u < K, x < N
+const COS = Array.from({ length: K }, (_, u) =>
+  Float64Array.from({ length: N }, (_, x) =>
+    Math.cos(((2 * x + 1) * u * Math.PI) / (2 * N)),
+  ),
+);
+
+/**
+ * 64-bit DCT perceptual hash of an image, as 16 hex digits.
+ * @param {Buffer|string} input - encoded image or file path (or raw pixels with `raw`)
+ * @param {{raw?:{width:number,height:number,channels:number}}} [options]
+ *        raw – `input` is decoded pixels already in the stored frame (no orientation step)
+ * @returns {Promise<string>}
+ */
+export async function perceptualHash(input, options = {}) {
+  const img = options.raw
+    ? sharp(input, { raw: options.raw })
+    : sharp(input, { failOnError: false }).rotate();
+  const grey = await img
+    .removeAlpha()
+    .greyscale()
+    .resize(N, N, { fit: 'fill', kernel: 'lanczos3' })
+    .raw()
+    .toBuffer();
+  // separable DCT-II, low frequencies only: rows first, then columns
+  const rows = Array.from({ length: N }, (_, y) =>
+    Float64Array.from({ length: K }, (_, u) => {
+      let s = 0;
+      for (let x = 0; x < N; x++) s += grey[y * N + x] * COS[u][x];
+      return s;
+    }),
+  );
+  const coeffs = [];
+  for (let v = 0; v < K; v++)
+    for (let u = 0; u < K; u++) {
+      let s = 0;
+      for (let y = 0; y < N; y++) s += rows[y][u] * COS[v][y];
+      coeffs.push(s);
+    }
+  const sorted = [...coeffs].sort((a, b) => a - b);
+  const median = (sorted[(K * K) / 2 - 1] + sorted[(K * K) / 2]) / 2;
+  let bits = 0n;
+  for (const c of coeffs) bits = (bits << 1n) | (c > median ? 1n : 0n);
+  return bits.toString(16).padStart(16, '0');
+}
+
+/** Number of differing bits between two hex hashes. */
+export function hammingDistance(a, b) {
+  let x = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let n = 0;
+  while (x) {
+    x &= x - 1n;
+    n++;
+  }
+  return n;
+}
+
+/**
+ * Near-duplicates in a batch. Larger images are kept as originals (then input order);
+ * every other image within `maxDistance` bits of a kept one is reported against the
+ * closest of them.
+ * @template {{perceptualHash:string, width?:number, height?:number}} T
+ * @param {T[]} items
+ * @param {{maxDistance?:number}} [options]
+ * @returns {Array<{item:T, duplicateOf:T, distance:number}>}
+ */
+export function findNearDuplicates(items, options = {}) {
+  const { maxDistance = defaultMaxDistance() } = options;
+  const px = (it) => (it.width || 0) * (it.height || 0);
+  const order = items
+    .map((it, i) => ({ it, i }))
+    .filter(({ it }) => it.perceptualHash)
+    .sort((a, b) => px(b.it) - px(a.it) || a.i - b.i);
+  const kept = [];
+  const out = [];
+  for (const { it } of order) {
+    let best = null;
+    for (const k of kept) {
+      const d = hammingDistance(it.perceptualHash, k.perceptualHash);
+      if (d <= maxDistance && (!best || d < best.distance))
+        best = { duplicateOf: k, distance: d };
+    }
+    if (best) out.push({ item: it, ...best });
+    else kept.push(it);
+  }
+  return out;
+}
+
+/**
+ * Store an image's hash as md:perceptualHash on <urn:image:<name>> (replacing an old one).
+ * @param {import('./MetadataIndex.js').default} metadataIndex
+ * @param {string} imageName - safe image name (the pipelines' safeName)
+ * @param {string|null} hash
+ */
+export function upsertPerceptualHash(metadataIndex, imageName, hash) {
+  const store = metadataIndex.store;
+  const img = namedNode(`urn:image:${imageName}`);
+  const p = namedNode(MD_PERCEPTUAL_HASH);
+  store.removeQuads(store.getQuads(img, p, null, null));
+  if (hash) store.addQuad(quad(img, p, literal(hash, namedNode(XSD_HEX))));
+}
+
+/**
+ * Hashed image nodes of a store.
+ * @returns {Array<{image:string, perceptualHash:string}>}
+ */
+export function imageHashes(store) {
+  return store
+    .getQuads(null, namedNode(MD_PERCEPTUAL_HASH), null, null)
+    .map((q) => ({ image: q.subject.value, perceptualHash: q.object.value }));
+}
+
+export default {
+  MD_PERCEPTUAL_HASH,
+  MD_NEAR_DUPLICATE_OF,
+  defaultMaxDistance,
+  perceptualHash,
+  hammingDistance,
+  findNearDuplicates,
+  upsertPerceptualHash,
+  imageHashes,
+};
@@ -0,0 +1,339 @@
+// pht-format.js
+//
+// Purpose: Encode/decode the self-describing `.pht` v2 pixel container. A v2 file starts with a
+// fixed header (magic, version, dimensions, channel layout, bit depth, codec), followed by a
+// block table and the pixel rows split into independently compressed row blocks, each carrying
+// its own CRC-32 so corruption is pinned to a block. Legacy v1 files are headerless raw
+// interleaved bytes; every reader goes through decodePhtAny() so both load transparently.
+//
+// Layout (little-endian)
+//   0  'PHT2' magic            4 bytes
+//   4  version                 u16 (2)
+//   6  header size             u16 (offset of the block table)
+//   8  width                   u32
+//  12  height                  u32
+//  16  channels                u8
+//  17  bit depth               u8 (8)
+//  18  codec                   u8 (0 none, 1 deflate, 2 brotli)
+//  19  checksum                u8 (1 crc32)
+//  20  rows per block          u32
+//  24  block count             u32
+//  28  channel layout          8 bytes ASCII, NUL padded ('RGBA', 'RGB', ...)
+//  36  block table             blockCount × { u32 byteLength, u32 rawLength, u32 crc32 }
+//  ..  block payloads          concatenated in row order
+//
+// References
+// - Node.js zlib (deflate / brotli): https://nodejs.org/api/zlib.html
+// - CRC-32 (IEEE 802.3 polynomial): https://www.rfc-editor.org/rfc/rfc1952#section-8
+
+import zlib from 'zlib';
+
+export const PHT_MAGIC = 'PHT2';
+export const PHT_VERSION = 2;
+const HEADER_SIZE = 36;
+const BLOCK_ENTRY_SIZE = 12;
+const CHECKSUM_CRC32 = 1;
+
+/** Codec name ↔ on-disk id. */
+export const CODECS = Object.freeze({ none: 0, deflate: 1, brotli: 2 });
+const CODEC_NAMES = Object.fromEntries(
+  Object.entries(CODECS).map(([k, v]) => [v, k]),
+);
+
+const DEFAULT_LAYOUTS = { 1: 'G', 2: 'GA', 3: 'RGB', 4: 'RGBA' };
+
+let CRC_TABLE = null;
+/** CRC-32 (IEEE) of a byte array. */
+export function crc32(bytes) {
+  if (!CRC_TABLE) {
+    CRC_TABLE = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      CRC_TABLE[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++)
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Write options derived from the environment:
+ *  - PHT_FORMAT_VERSION=1 keeps writing legacy raw files (default 2)
+ *  - PHT_CODEC=none|deflate|brotli (default deflate)
+ *  - PHT_ROWS_PER_BLOCK (default 64)
+ */
+export function phtWriteOptionsFromEnv(env = process.env) {
+  const version = String(env.PHT_FORMAT_VERSION || '2').trim() === '1' ? 1 : 2;
+  const codec = String(env.PHT_CODEC || 'deflate')
+    .trim()
+    .toLowerCase();
+  const rows = Number(env.PHT_ROWS_PER_BLOCK || 64);
+  return {
+    version,
+    codec: codec in CODECS ? codec : 'deflate',
+    rowsPerBlock: Number.isFinite(rows) && rows > 0 ? Math.floor(rows) : 64,
+  };
+}
+
+function compress(codec, raw) {
+  if (codec === CODECS.deflate) return zlib.deflateSync(raw);
+  if (codec === CODECS.brotli)
+    return zlib.brotliCompressSync(raw, {
+      params: {
+        // Quality 11 is far too slow for multi-megapixel tiles; 5 keeps most of the gain.
+        [zlib.constants.BROTLI_PARAM_QUALITY]: 5,
+        [zlib.constants.BROTLI_PARAM_SIZE_HINT]: raw.length,
+      },
+    });
+  return Buffer.from(raw.buffer, raw.byteOffset, raw.byteLength);
+}
+
+function decompress(codec, payload) {
+  if (codec === CODECS.deflate) return zlib.inflateSync(payload);
+  if (codec === CODECS.brotli) return zlib.brotliDecompressSync(payload);
+  if (codec === CODECS.none) return payload;
+  throw new Error(`pht: unsupported codec id ${codec}`);
+}
+
+/**
+ * Encode raw interleaved 8-bit pixels into a v2 container.
+ * @param {Uint8Array|Buffer} pixels - width*height*channels bytes
+ * @param {{width:number,height:number,channels:number,layout?:string,bitDepth?:number,codec?:string,rowsPerBlock?:number}} info
+ * @returns {Buffer}
+ */
+export function encodePht(pixels, info) {
+  const { width, height, channels } = info;
+  const bitDepth = info.bitDepth || 8;
+  if (bitDepth !== 8) throw new Error(`pht: unsupported bit depth ${bitDepth}`);
+  const rowBytes = width * channels;
+  if (pixels.length !== rowBytes * height)
+    throw new Error(
+      `pht: pixel buffer is ${pixels.length} bytes, expected ${rowBytes * height}`,
+    );
+  const codecName = info.codec || 'deflate';
+  if (!(codecName in CODECS))
+    throw new Error(`pht: unknown codec ${codecName}`);
+  const codec = CODECS[codecName];
+  const rowsPerBlock = Math.max(1, Math.floor(info.rowsPerBlock || 64));
+  const layout = String(info.layout || DEFAULT_LAYOUTS[channels] || '').slice(
+    0,
+    8,
+  );
+
+  const blockCount = height ? Math.ceil(height / rowsPerBlock) : 0;
+  const table = Buffer.alloc(blockCount * BLOCK_ENTRY_SIZE);
+  const payloads = [];
+  for (let b = 0; b < blockCount; b++) {
+    const start = b * rowsPerBlock * rowBytes;
+    const end = Math.min(height, (b + 1) * rowsPerBlock) * rowBytes;
+    const raw = pixels.subarray(start, end);
+    const payload = compress(codec, raw);
+    table.writeUInt32LE(payload.length, b * BLOCK_ENTRY_SIZE);
+    table.writeUInt32LE(raw.length, b * BLOCK_ENTRY_SIZE + 4);
+    table.writeUInt32LE(crc32(raw), b * BLOCK_ENTRY_SIZE + 8);
+    payloads.push(payload);
+  }
+
+  const header = Buffer.alloc(HEADER_SIZE);
+  header.write(PHT_MAGIC, 0, 'ascii');
+  header.writeUInt16LE(PHT_VERSION, 4);
+  header.writeUInt16LE(HEADER_SIZE, 6);
+  header.writeUInt32LE(width, 8);
+  header.writeUInt32LE(height, 12);
+  header.writeUInt8(channels, 16);
+  header.writeUInt8(bitDepth, 17);
+  header.writeUInt8(codec, 18);
+  header.writeUInt8(CHECKSUM_CRC32, 19);
+  header.writeUInt32LE(rowsPerBlock, 20);
+  header.writeUInt32LE(blockCount, 24);
+  header.write(layout, 28, 'ascii');
+  return Buffer.concat([header, table, ...payloads]);
+}
+
+/** True when the buffer starts with the v2 magic. */
+export function isPhtV2(buffer) {
+  return (
+    !!buffer &&
+    buffer.length >= HEADER_SIZE &&
+    buffer[0] === 0x50 && // P
+    buffer[1] === 0x48 && // H
+    buffer[2] === 0x54 && // T
+    buffer[3] === 0x32 // 2
+  );
+}
+
+/**
+ * Parse the fixed header (first 36 bytes) of a v2 file.
+ * @param {Buffer} buffer
+ */
+export function parsePhtHeader(buffer) {
+  if (!isPhtV2(buffer)) throw new Error('pht: not a v2 container');
+  const version = buffer.readUInt16LE(4);
+  if (version !== PHT_VERSION)
+    throw new Error(`pht: unsupported container version ${version}`);
+  const codec = buffer.readUInt8(18);
+  return {
+    version,
+    headerSize: buffer.readUInt16LE(6),
+    width: buffer.readUInt32LE(8),
+    height: buffer.readUInt32LE(12),
+    channels: buffer.readUInt8(16),
+    bitDepth: buffer.readUInt8(17),
+    codec,
+    codecName: CODEC_NAMES[codec] || `unknown(${codec})`,
+    checksum: buffer.readUInt8(19),
+    rowsPerBlock: buffer.readUInt32LE(20),
+    blockCount: buffer.readUInt32LE(24),
+    layout: buffer.toString('ascii', 28, 36).replace(/\0+$/, ''),
+  };
+}
+
+/**
+ * Parse the block table that follows the header. Offsets are absolute file offsets.
+ * @param {ReturnType<typeof parsePhtHeader>} header
+ * @param {Buffer} tableBytes - blockCount*12 bytes starting at header.headerSize
+ */
+export function parsePhtBlockTable(header, tableBytes) {
+  const blocks = [];
+  let offset = header.headerSize + header.blockCount * BLOCK_ENTRY_SIZE;
+  for (let b = 0; b < header.blockCount; b++) {
+    const o = b * BLOCK_ENTRY_SIZE;
+    const byteLength = tableBytes.readUInt32LE(o);
+    blocks.push({
+      offset,
+      byteLength,
+      rawLength: tableBytes.readUInt32LE(o + 4),
+      crc32: tableBytes.readUInt32LE(o + 8),
+      firstRow: b * header.rowsPerBlock,
+      rowCount: Math.min(
+        header.rowsPerBlock,
+        header.height - b * header.rowsPerBlock,
+      ),
+    });
+    offset += byteLength;
+  }
+  return blocks;
+}
+
+/** Byte length of the block table for a parsed header. */
+export function blockTableSize(header) {
+  return header.blockCount * BLOCK_ENTRY_SIZE;
+}
+
+/**
+ * Decompress one block payload and check its CRC.
+ * @param {ReturnType<typeof parsePhtHeader>} header
+ * @param {{rawLength:number,crc32:number}} block
+ * @param {Buffer} payload
+ * @param {number} index - block index (used in error messages)
+ */
+export function decodePhtBlock(header, block, payload, index) {
+  const raw = decompress(header.codec, payload);
+  if (raw.length !== block.rawLength)
+    throw new Error(
+      `pht: block ${index} decoded to ${raw.length} bytes, expected ${block.rawLength}`,
+    );
+  if (header.checksum === CHECKSUM_CRC32 && crc32(raw) !== block.crc32)
+    throw new Error(`pht: checksum mismatch in row block ${index}`);
+  return raw;
+}
+
+/**
+ * Decode a complete v2 container.
+ * @param {Buffer} buffer
+ * @returns {{width:number,height:number,channels:number,bitDepth:number,layout:string,codec:string,version:number,pixels:Buffer}}
+ */
+export function decodePht(buffer) {
+  const header = parsePhtHeader(buffer);
+  const tableEnd = header.headerSize + blockTableSize(header);
+  const blocks = parsePhtBlockTable(
+    header,
+    buffer.subarray(header.headerSize, tableEnd),
+  );
+  const pixels = Buffer.alloc(header.width * header.height * header.channels);
+  let pos = 0;
+  blocks.forEach((block, i) => {
+    const payload = buffer.subarray(
+      block.offset,
+      block.offset + block.byteLength,
+    );
+    const raw = decodePhtBlock(header, block, payload, i);
+    raw.copy(pixels, pos);
+    pos += raw.length;
+  });
+  return {
+    version: header.version,
+    width: header.width,
+    height: header.height,
+    channels: header.channels,
+    bitDepth: header.bitDepth,
+    layout: header.layout,
+    codec: header.codecName,
+    pixels,
+  };
+}
+
+// A raw v1 file whose first pixel happens to spell 'PHT2' has exactly w*h*c bytes and a
+// header that does not describe it; treat that as raw rather than failing.
+function looksLikeRawV1(head, totalLength, fallback) {
+  const { width, height, channels } = fallback || {};
+  if (!width || !height || !channels) return false;
+  if (totalLength !== width * height * channels) return false;
+  try {
+    const h = parsePhtHeader(head);
+    return !(h.width === width && h.height === height);
+  } catch (_e) {
+    return true;
+  }
+}
+
+/**
+ * Decide which container a file uses from its first bytes (>= 36) and total length.
+ * @param {Buffer} head - leading bytes of the file
+ * @param {number} totalLength - full file size in bytes
+ * @param {{width?:number,height?:number,channels?:number}} [fallback] - manifest info
+ * @returns {1|2}
+ */
+export function detectPhtVersion(head, totalLength, fallback = {}) {
+  return isPhtV2(head) && !looksLikeRawV1(head, totalLength, fallback) ? 2 : 1;
+}
+
+/**
+ * Decode either format. v1 buffers are returned as-is with the manifest-supplied geometry.
+ * @param {Buffer} buffer
+ * @param {{width?:number,height?:number,channels?:number}} [fallback] - manifest info for v1
+ */
+export function decodePhtAny(buffer, fallback = {}) {
+  if (detectPhtVersion(buffer, buffer.length, fallback) === 2)
+    return decodePht(buffer);
+  return {
+    version: 1,
+    width: fallback.width,
+    height: fallback.height,
+    channels: fallback.channels,
+    bitDepth: 8,
+    layout: DEFAULT_LAYOUTS[fallback.channels] || '',
+    codec: 'none',
+    pixels: buffer,
+  };
+}
+
+export default {
+  PHT_MAGIC,
+  PHT_VERSION,
+  CODECS,
+  crc32,
+  phtWriteOptionsFromEnv,
+  encodePht,
+  isPhtV2,
+  parsePhtHeader,
+  parsePhtBlockTable,
+  blockTableSize,
+  decodePhtBlock,
+  decodePht,
+  detectPhtVersion,
+  decodePhtAny,
+};
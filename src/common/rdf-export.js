@@ -0,0 +1,219 @@
+// rdf-export.js
+//
+// Purpose: Stream an N3 store as Turtle, N-Triples, N-Quads, TriG or JSON-LD without first
+// building the whole document as one string. Quads are read lazily from the store and
+// written to any Writable (an HTTP response, a file) with backpressure.
+//
+// Notes
+// - N-Quads and TriG put each region in a named graph per image (`urn:image:<name>`),
+//   taken from the subject's ex:within link or, failing that, its uri://<image>/… IRI.
+//   The image node itself (camera metadata, image-metadata.js) goes into its own graph.
+//   Turtle, N-Triples and JSON-LD are graph-less.
+// - JSON-LD is written as flat node objects under @graph with a @context that maps the
+//   project prefixes (ex:, md:, geo:, rdf:, rdfs:, xsd:), so keys come out as compact IRIs.
+//   Nodes are streamed one subject at a time, like the other formats.
+//
+// References
+// - N3.js StreamWriter: https://github.com/rdfjs/N3.js#writing
+// - JSON-LD 1.1: https://www.w3.org/TR/json-ld11/
+// - HTTP content negotiation (Accept, q-values): https://www.rfc-editor.org/rfc/rfc9110#section-12.5.1
+
+import { Readable } from 'stream';
+import { once } from 'events';
+import { DataFactory, StreamWriter } from 'n3';
+
+const { quad, namedNode, defaultGraph } = DataFactory;
+
+export const PREFIXES = {
+  ex: 'http://example.org/',
+  md: 'http://example.org/metadata#',
+  geo: 'http://www.opengis.net/ont/geosparql#',
+  rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+  rdfs: 'http://www.w3.org/2000/01/rdf-schema#',
+  xsd: 'http://www.w3.org/2001/XMLSchema#',
+};
+
+/** Export formats: query name → media type, file extension, N3 writer format. */
+export const RDF_FORMATS = {
+  turtle: { mime: 'text/turtle', ext: 'ttl', n3: 'Turtle' },
+  ntriples: { mime: 'application/n-triples', ext: 'nt', n3: 'N-Triples' },
+  nquads: { mime: 'application/n-quads', ext: 'nq', n3: 'N-Quads' },
+  trig: { mime: 'application/trig', ext: 'trig', n3: 'TriG' },
+  jsonld: { mime: 'application/ld+json', ext: 'jsonld', n3: null },
+};
+
+const ALIASES = {
+  ttl: 'turtle',
+  nt: 'ntriples',
+  'n-triples': 'ntriples',
+  nq: 'nquads',
+  'n-quads': 'nquads',
+  'json-ld': 'jsonld',
+  json: 'jsonld',
+};
+
+const RDF_TYPE = `${PREFIXES.rdf}type`;
+const WITHIN = `${PREFIXES.ex}within`;
+const XSD_STRING = `${PREFIXES.xsd}string`;
+
+/**
+ * Pick an export format from an explicit `format=` value, else the Accept header
+ * (q-values honoured, wildcards → Turtle). Returns null when nothing acceptable matches.
+ * @param {string|undefined} format
+ * @param {string|undefined} accept
+ * @returns {keyof RDF_FORMATS|null}
+ */
+export function negotiateRdfFormat(format, accept) {
+  if (format) {
+    const f = String(format).toLowerCase();
+    const key = ALIASES[f] || f;
+    if (RDF_FORMATS[key]) return key;
+    const byMime = Object.keys(RDF_FORMATS).find(
+      (k) => RDF_FORMATS[k].mime === f,
+    );
+    return byMime || null;
+  }
+  if (!accept) return 'turtle';
+  const ranges = String(accept)
+    .split(',')
+    .map((part, i) => {
+      const [type, ...params] = part.trim().toLowerCase().split(';');
+      const q = params.map((p) => p.trim()).find((p) => p.startsWith('q='));
+      return { type: type.trim(), q: q ? Number(q.slice(2)) : 1, i };
+    })
+    .filter((r) => r.type && r.q > 0)
+    .sort((a, b) => b.q - a.q || a.i - b.i);
+  for (const r of ranges) {
+    if (r.type === '*/*' || r.type === 'text/*') return 'turtle';
+    if (r.type === 'application/json') return 'jsonld';
+    const key = Object.keys(RDF_FORMATS).find(
+      (k) => RDF_FORMATS[k].mime === r.type,
+    );
+    if (key) return key;
+  }
+  return null;
+}
+
+/**
+ * Subject IRI → image graph, from ex:within links (uri://<image>/… or a region's
+ * urn:geometry:<image>/… node as fallback); an urn:image:… subject is its own graph.
+ * @param {import('n3').Store} store
+ * @returns {(subject:import('n3').Term) => import('n3').Term}
+ */
+export function imageGraphResolver(store) {
+  const within = new Map();
+  for (const q of store.readQuads(null, namedNode(WITHIN), null, null))
+    if (q.object.termType === 'NamedNode')
+      within.set(q.subject.value, q.object.value);
+  return (subject) => {
+    const img = within.get(subject.value);
+    if (img) return namedNode(img);
+    if (subject.value.startsWith('urn:image:')) return namedNode(subject.value);
+    const m = /^(?:uri:\/\/|urn:geometry:)([^/]+)\//.exec(subject.value);
+    return m ? namedNode(`urn:image:${m[1]}`) : defaultGraph();
+  };
+}
+
+/** Quads of the store with graphs adjusted for the target format. */
+function* exportQuads(store, format) {
+  const perImage = format === 'nquads' || format === 'trig';
+  const graphOf = perImage ? imageGraphResolver(store) : null;
+  for (const q of store.readQuads(null, null, null, null))
+    yield quad(
+      q.subject,
+      q.predicate,
+      q.object,
+      perImage ? graphOf(q.subject) : defaultGraph(),
+    );
+}
+
+async function write(out, chunk) {
+  if (!out.write(chunk)) await once(out, 'drain');
+}
+
+/** Compact an IRI with the project prefixes (ex: after md: so md: wins). */
+function compact(iri) {
+  for (const p of ['md', 'geo', 'rdf', 'rdfs', 'xsd', 'ex']) {
+    const ns = PREFIXES[p];
+    const local = iri.startsWith(ns) ? iri.slice(ns.length) : null;
+    if (local && /^[A-Za-z_][\w.-]*$/.test(local)) return `${p}:${local}`;
+  }
+  return iri;
+}
+
+const termId = (t) => (t.termType === 'BlankNode' ? `_:${t.value}` : t.value);
+
+function jsonLdValue(o) {
+  if (o.termType !== 'Literal') return { '@id': termId(o) };
+  if (o.language) return { '@value': o.value, '@language': o.language };
+  if (o.datatype && o.datatype.value !== XSD_STRING)
+    return { '@value': o.value, '@type': compact(o.datatype.value) };
+  return o.value;
+}
+
+/** The JSON-LD @context used for exports. */
+export function jsonLdContext() {
+  return { ...PREFIXES };
+}
+
+// One pass over the store: its index yields the quads of a subject together (per graph),
+// so only the node being built is held in memory. A subject stated in several graphs
+// comes out as several node objects with the same @id, which JSON-LD processors merge.
+async function writeJsonLd(store, out) {
+  await write(out, `{\n  "@context": ${JSON.stringify(jsonLdContext())},\n`);
+  await write(out, '  "@graph": [');
+  let first = true;
+  let node = null;
+  const flush = async () => {
+    if (!node) return;
+    await write(out, `${first ? '\n' : ',\n'}    ${JSON.stringify(node)}`);
+    first = false;
+  };
+  for (const q of store.readQuads(null, null, null, null)) {
+    const id = termId(q.subject);
+    if (node?.['@id'] !== id) {
+      await flush();
+      node = { '@id': id };
+    }
+    const isType =
+      q.predicate.value === RDF_TYPE && q.object.termType !== 'Literal';
+    const key = isType ? '@type' : compact(q.predicate.value);
+    const val = isType ? compact(q.object.value) : jsonLdValue(q.object);
+    if (node[key] === undefined) node[key] = val;
+    else if (Array.isArray(node[key])) node[key].push(val);
+    else node[key] = [node[key], val];
+  }
+  await flush();
+  await write(out, `${first ? '' : '\n  '}]\n}\n`);
+}
+
+/**
+ * Stream `store` to `out` in `format`. Does not end `out`.
+ * @param {import('n3').Store} store
+ * @param {keyof RDF_FORMATS} format
+ * @param {import('stream').Writable} out
+ * @returns {Promise<void>}
+ */
+export async function writeRdf(store, format, out) {
+  const spec = RDF_FORMATS[format];
+  if (!spec) throw new Error(`Unsupported RDF format: ${format}`);
+  if (!spec.n3) return writeJsonLd(store, out);
+  const usesPrefixes = format === 'turtle' || format === 'trig';
+  const writer = new StreamWriter({
+    format: spec.n3,
+    ...(usesPrefixes ? { prefixes: PREFIXES } : {}),
+  });
+  const source = Readable.from(exportQuads(store, format));
+  source.on('error', (e) => writer.destroy(e));
+  source.pipe(writer);
+  for await (const chunk of writer) await write(out, chunk);
+}
+
+export default {
+  PREFIXES,
+  RDF_FORMATS,
+  negotiateRdfFormat,
+  imageGraphResolver,
+  jsonLdContext,
+  writeRdf,
+};
@@ -0,0 +1,102 @@
+// region-metadata.js
+//
+// Purpose: The one place that writes a region's editable metadata into a MetadataIndex:
+// the flat JSON index entry plus one md:<prop> triple per value, and the ex:within link
+// that scopes the region to its image. Used by the viewer's edit path and by annotation
+// import, so regions from either source look the same in the graph.
+
+import { DataFactory } from 'n3';
+
+const { namedNode, literal, quad } = DataFactory;
+const MD = 'http://example.org/metadata#';
+const EX = 'http://example.org/';
+const XSD_DECIMAL = 'http://www.w3.org/2001/XMLSchema#decimal';
+const XSD_INTEGER = 'http://www.w3.org/2001/XMLSchema#integer';
+const WITHIN = 'http://example.org/within';
+
+/**
+ * Merge `patch` into the region's index entry and rebuild only the md:* triples for the
+ * properties in `patch` (numbers as xsd:decimal, arrays as one triple per value).
+ * `deleted` is a JSON-only flag and never becomes a triple.
+ * @param {import('./MetadataIndex.js').default} metadataIndex
+ * @param {string} uri - region URI
+ * @param {Record<string, any>} patch - only the edited properties
+ */
+export function upsertRegionMetadata(metadataIndex, uri, patch) {
+  /* merge into hash table ----------------------------------------- */
+  const h = metadataIndex.hashURI(uri);
+  metadataIndex.index[h] = { ...metadataIndex.index[h], ...patch };
+
+  /* rebuild *only* the md:property triples we touched -------------- */
+  const propsWeSet = new Set(Object.keys(patch));
+  const subj = namedNode(uri);
+  metadataIndex.store
+    .getQuads(subj, null, null, null)
+    .filter(
+      (q) =>
+        q.predicate.value.startsWith(MD) &&
+        propsWeSet.has(q.predicate.value.split('#').pop()),
+    )
+    .forEach((q) => metadataIndex.store.removeQuad(q));
+
+  for (const [prop, val] of Object.entries(patch)) {
+    if (prop === 'deleted') continue; // flag only in JSON
+    const pred = namedNode(`${MD}${prop}`);
+    (Array.isArray(val) ? val : [val]).forEach((v) => {
+      const obj =
+        typeof v === 'number'
+          ? literal(v.toString(), namedNode(XSD_DECIMAL))
+          : literal(v);
+      metadataIndex.store.addQuad(quad(subj, pred, obj));
+    });
+  }
+}
+
+/**
+ * Replace a detected region's box and/or confidence after a merge moved them: the index
+ * entry and md:* values (via upsertRegionMetadata) and the plain ex:x/y/w/h/confidence
+ * triples the pipelines write (integers as xsd:integer, other numbers as xsd:decimal).
+ * @param {import('./MetadataIndex.js').default} metadataIndex
+ * @param {string} uri
+ * @param {{x?:number, y?:number, w?:number, h?:number, confidence?:number}} values
+ */
+export function updateRegionDetection(metadataIndex, uri, values) {
+  const patch = Object.fromEntries(
+    Object.entries(values).filter(([, v]) => Number.isFinite(v)),
+  );
+  upsertRegionMetadata(metadataIndex, uri, patch);
+  const subj = namedNode(uri);
+  for (const [prop, v] of Object.entries(patch)) {
+    const pred = namedNode(`${EX}${prop}`);
+    metadataIndex.store
+      .getQuads(subj, pred, null, null)
+      .forEach((q) => metadataIndex.store.removeQuad(q));
+    const type = Number.isInteger(v) ? XSD_INTEGER : XSD_DECIMAL;
+    metadataIndex.store.addQuad(
+      quad(subj, pred, literal(v.toString(), namedNode(type))),
+    );
+  }
+}
+
+/**
+ * Add `<uri> ex:within <urn:image:<imageName>>` unless the region is already scoped.
+ * @param {import('./MetadataIndex.js').default} metadataIndex
+ * @param {string} uri
+ * @param {string} imageName
+ * @returns {boolean} true when a triple was added
+ */
+export function ensureImageWithin(metadataIndex, uri, imageName) {
+  const subj = namedNode(uri);
+  const pred = namedNode(WITHIN);
+  if (metadataIndex.store.getQuads(subj, pred, null, null).length) return false;
+  metadataIndex.store.addQuad(
+    quad(subj, pred, namedNode(`urn:image:${imageName}`)),
+  );
+  return true;
+}
+
+export default {
+  upsertRegionMetadata,
+  updateRegionDetection,
+  ensureImageWithin,
+};
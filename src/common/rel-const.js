@@ -1,46 +1,45 @@
 // rel-const.js
 // Canonical relationship IRIs used across the project.
+// Each key has an active predicate (REL) and a soft-deleted variant (DELREL) that the
+// viewer toggles between.
+
+const MD = 'http://example.org/metadata#';
 
 export const REL = {
-  near: 'http://example.org/metadata#near',
-  contains: 'http://example.org/metadata#contains',
-  sameObjectAs: 'http://example.org/metadata#sameObjectAs',
-  overlaps: 'http://example.org/metadata#overlaps',
-  clusterLinkedTo: 'http://example.org/metadata#clusterLinkedTo',
+  near: `${MD}near`,
+  contains: `${MD}contains`,
+  sameObjectAs: `${MD}sameObjectAs`,
+  overlaps: `${MD}overlaps`,
+  clusterLinkedTo: `${MD}clusterLinkedTo`,
+  // directional (image frame: y grows downwards) and depth order, see spatial-links.js
+  leftOf: `${MD}leftOf`,
+  rightOf: `${MD}rightOf`,
+  above: `${MD}above`,
+  below: `${MD}below`,
+  adjacentTo: `${MD}adjacentTo`,
+  inFrontOf: `${MD}inFrontOf`,
+  behind: `${MD}behind`,
 };
 
-export const DELREL = {
-  near: 'http://example.org/metadata#deletedNear',
-  contains: 'http://example.org/metadata#deletedContains',
-  sameObjectAs: 'http://example.org/metadata#deletedSameObjectAs',
-  overlaps: 'http://example.org/metadata#deletedOverlaps',
-  clusterLinkedTo: 'http://example.org/metadata#deletedClusterLinkedTo',
-};
+export const DELREL = Object.fromEntries(
+  Object.keys(REL).map((k) => [
+    k,
+    `${MD}deleted${k.charAt(0).toUpperCase()}${k.slice(1)}`,
+  ]),
+);
 
 export const ALL_REL_P = new Set([
-  REL.near,
-  REL.contains,
-  REL.sameObjectAs,
-  REL.overlaps,
-  REL.clusterLinkedTo,
-  DELREL.near,
-  DELREL.contains,
-  DELREL.sameObjectAs,
-  DELREL.overlaps,
-  DELREL.clusterLinkedTo,
+  ...Object.values(REL),
+  ...Object.values(DELREL),
 ]);
 
-export const toKey = (p) =>
-  p === REL.near || p === DELREL.near
-    ? 'near'
-    : p === REL.contains || p === DELREL.contains
-      ? 'contains'
-      : p === REL.sameObjectAs || p === DELREL.sameObjectAs
-        ? 'sameObjectAs'
-        : p === REL.overlaps || p === DELREL.overlaps
-          ? 'overlaps'
-          : p === REL.clusterLinkedTo || p === DELREL.clusterLinkedTo
-            ? 'clusterLinkedTo'
-            : null;
+const KEY_OF = new Map(
+  Object.keys(REL).flatMap((k) => [
+    [REL[k], k],
+    [DELREL[k], k],
+  ]),
+);
+
+export const toKey = (p) => KEY_OF.get(p) ?? null;
 
 export default { REL, DELREL, ALL_REL_P, toKey };
@@ -0,0 +1,98 @@
+// rtree.js
+//
+// Purpose: A packed R-tree over axis-aligned boxes for RegionManager – pixel hit-tests,
+// viewport queries and candidate pairs for spatial relationships without scanning every
+// region (or every pair of regions).
+//
+// Notes
+// - Static: built once from a list of boxes with Sort-Tile-Recursive packing and rebuilt
+//   by the owner when its regions change. Items are the positions of the boxes in that
+//   list; entries without a finite box are left out.
+// - `search` uses closed intervals, so boxes that only touch the query are returned too;
+//   callers apply their own exact test (shape, strict overlap, distance) to the hits.
+//
+// References
+// - Leutenegger, Lopez & Edgington, STR: A Simple and Efficient Algorithm for R-Tree
+//   Packing (1997): https://doi.org/10.1109/ICDE.1997.582015
+
+const isBox = (b) =>
+  b != null && [b.x1, b.y1, b.x2, b.y2].every((v) => Number.isFinite(v));
+
+// bounding box of a group of nodes/leaves
+function enclose(entries) {
+  const out = { x1: Infinity, y1: Infinity, x2: -Infinity, y2: -Infinity };
+  for (const e of entries) {
+    if (e.x1 < out.x1) out.x1 = e.x1;
+    if (e.y1 < out.y1) out.y1 = e.y1;
+    if (e.x2 > out.x2) out.x2 = e.x2;
+    if (e.y2 > out.y2) out.y2 = e.y2;
+  }
+  return out;
+}
+
+// one STR level: vertical slices by centre x, then runs of `size` by centre y
+function packLevel(entries, size) {
+  const cx = (e) => e.x1 + e.x2;
+  const cy = (e) => e.y1 + e.y2;
+  const slices = Math.ceil(Math.sqrt(Math.ceil(entries.length / size)));
+  const perSlice = slices * size;
+  const sorted = [...entries].sort((a, b) => cx(a) - cx(b));
+  const nodes = [];
+  for (let s = 0; s < sorted.length; s += perSlice) {
+    const slice = sorted.slice(s, s + perSlice).sort((a, b) => cy(a) - cy(b));
+    for (let i = 0; i < slice.length; i += size) {
+      const children = slice.slice(i, i + size);
+      nodes.push({ ...enclose(children), children });
+    }
+  }
+  return nodes;
+}
+
+/** Packed R-tree; see the header. */
+export class RTree {
+  /**
+   * @param {Array<{x1:number,y1:number,x2:number,y2:number}|null>} boxes - item i is boxes[i]
+   * @param {number} [nodeSize] - entries per node (default 16)
+   */
+  constructor(boxes = [], nodeSize = 16) {
+    const size = Math.max(2, Math.floor(nodeSize));
+    let level = [];
+    boxes.forEach((b, item) => {
+      if (!isBox(b)) return;
+      level.push({
+        x1: Math.min(b.x1, b.x2),
+        y1: Math.min(b.y1, b.y2),
+        x2: Math.max(b.x1, b.x2),
+        y2: Math.max(b.y1, b.y2),
+        item,
+      });
+    });
+    this.size = level.length;
+    while (level.length > size) level = packLevel(level, size);
+    this.root = level.length ? { ...enclose(level), children: level } : null;
+  }
+
+  /**
+   * Items whose box intersects or touches `box`, in ascending order.
+   * @param {{x1:number,y1:number,x2:number,y2:number}} box
+   * @returns {number[]}
+   */
+  search(box) {
+    const out = [];
+    if (!this.root || !isBox(box)) return out;
+    const hit = (e) =>
+      e.x1 <= box.x2 && e.x2 >= box.x1 && e.y1 <= box.y2 && e.y2 >= box.y1;
+    const stack = [this.root];
+    while (stack.length) {
+      const node = stack.pop();
+      for (const e of node.children) {
+        if (!hit(e)) continue;
+        if (e.children) stack.push(e);
+        else out.push(e.item);
+      }
+    }
+    return out.sort((a, b) => a - b);
+  }
+}
+
+export default RTree;
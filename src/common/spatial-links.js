@@ -1,14 +1,155 @@
 // spatial-links.js
 //
 // Purpose: Derive spatial relationships between region pairs using deterministic,
-// geometry-based predicates (near, contains, overlaps, inside, intersectsEdge).
-// Thresholds are configurable and shared with evaluation to ensure parity.
+// geometry-based predicates (near, contains, overlaps, inside, intersectsEdge, leftOf,
+// rightOf, above, below, adjacentTo, inFrontOf, behind). Thresholds are configurable and
+// shared with evaluation to ensure parity.
+//
+// Regions are compared in their own geometry (geometry.js): mask pixels, polygons and
+// rotated boxes where present, AABB arithmetic for plain boxes. Containment means the
+// whole shape lies inside the other; distance is measured between shape centres.
+//
+// Directional and depth-order predicates (neither is emitted when one region contains the
+// other):
+//   leftOf/rightOf/above/below – the direction from B's centre to A's centre lies within
+//     `directionTolerance` degrees (default 30, at most 45) of the axis, and the centres
+//     are closer than `directionalDistance` (default nearDistance). Image y grows
+//     downwards, so "A above B" means A's centre has the smaller y. Inverses are emitted
+//     too (A leftOf B ⇒ B rightOf A).
+//   adjacentTo – the shapes are at most `adjacencyGap` px apart (default 5; regionGap:
+//     per axis for boxes and masks, Euclidean for polygons) and overlap by less than
+//     minOverlapArea; symmetric.
+//   inFrontOf/behind – a heuristic from occlusion for shapes overlapping by at least
+//     minOverlapArea: the region whose shape covers more of the shared box (the other one
+//     looks cut away there) is in front, if the coverage differs by at least
+//     `minOcclusionContrast` (default 0.1); otherwise the region whose box reaches lower
+//     in the image is in front (ground-plane cue). Plain boxes always use the second rule.
+//
+// Only pairs whose boxes, grown by the largest distance an enabled predicate looks at
+// (nearDistance, directionalDistance, adjacencyGap), meet are compared
+// (RegionManager.candidatePairs, R-tree): every other pair is too far apart for any
+// predicate, since a shape and its centre lie within its box. Pairs are visited in the
+// same (i, j) order as a full scan. `maxNearPairs` is an optional cap (default none).
 //
 // References
+// - Directional relations with angular tolerance follow the cone-based model of
+//   cardinal directions: Frank, Qualitative spatial reasoning about distances and
+//   directions in geographic space, J. Visual Languages & Computing 3 (1992)
 // - IoU (Jaccard index): https://en.wikipedia.org/wiki/Jaccard_index
 // - Axis-aligned rectangle containment/overlap heuristics are standard in CV tooling;
 //   the implementation follows straightforward AABB arithmetic.
 
+import {
+  regionArea,
+  regionCentre,
+  regionContains,
+  regionDistance,
+  regionGap,
+  regionIntersectionArea,
+  regionIoU,
+} from './geometry.js';
+import RegionManager from './RegionManager.js';
+
+// candidate pairs of a plain region list (see the header)
+function candidatePairs(regions, margin) {
+  return RegionManager.fromJSON({ regions }).candidatePairs(margin);
+}
+
+const INVERSE = {
+  leftOf: 'rightOf',
+  rightOf: 'leftOf',
+  above: 'below',
+  below: 'above',
+};
+
+// directional/adjacency/depth-order options with their defaults (both functions below)
+function orderOptions(o) {
+  return {
+    directionalEnabled: o.directionalEnabled !== false,
+    directionTolerance: Math.min(45, Math.max(0, o.directionTolerance ?? 30)),
+    directionalDistance: o.directionalDistance ?? o.nearDistance ?? 100,
+    adjacencyEnabled: o.adjacencyEnabled !== false,
+    adjacencyGap: o.adjacencyGap ?? 5,
+    depthOrderEnabled: o.depthOrderEnabled !== false,
+    minOcclusionContrast: o.minOcclusionContrast ?? 0.1,
+  };
+}
+
+// largest distance between boxes at which an enabled predicate can still hold
+function pairMargin(useNear, nearDistance, order) {
+  return Math.max(
+    useNear ? nearDistance : 0,
+    order.directionalEnabled ? order.directionalDistance : 0,
+    order.adjacencyEnabled ? order.adjacencyGap : 0,
+  );
+}
+
+// direction of A as seen from B (leftOf | rightOf | above | below), or null
+function directionOf(A, B, tolerance, maxDistance) {
+  const [ax, ay] = regionCentre(A);
+  const [bx, by] = regionCentre(B);
+  const d = Math.hypot(ax - bx, ay - by);
+  if (!d || d >= maxDistance) return null;
+  // angle in degrees with y pointing up: 0 = right, 90 = above
+  const angle = (Math.atan2(by - ay, ax - bx) * 180) / Math.PI;
+  if (Math.abs(angle) <= tolerance) return 'rightOf';
+  if (180 - Math.abs(angle) <= tolerance) return 'leftOf';
+  if (Math.abs(angle - 90) <= tolerance) return 'above';
+  if (Math.abs(angle + 90) <= tolerance) return 'below';
+  return null;
+}
+
+// the region in front of the other (see the header), or null
+function frontOf(A, B, minContrast) {
+  const a = A.boundary;
+  const b = B.boundary;
+  const shared = {
+    x1: Math.max(a.x1, b.x1),
+    y1: Math.max(a.y1, b.y1),
+    x2: Math.min(a.x2, b.x2),
+    y2: Math.min(a.y2, b.y2),
+  };
+  if (!(shared.x2 > shared.x1 && shared.y2 > shared.y1)) return null;
+  const sharedArea = (shared.x2 - shared.x1) * (shared.y2 - shared.y1);
+  const fillA = regionIntersectionArea(A, { boundary: shared }) / sharedArea;
+  const fillB = regionIntersectionArea(B, { boundary: shared }) / sharedArea;
+  const contrast = Math.abs(fillA - fillB);
+  if (contrast > 0 && contrast >= minContrast) return fillA > fillB ? A : B;
+  if (a.y2 !== b.y2) return a.y2 > b.y2 ? A : B;
+  return null;
+}
+
+/**
+ * Directional, adjacency and depth-order relations of one pair.
+ * @returns {Array<[string, object, object]>} [predicate, subject, object] triples
+ */
+function orderRelations(A, B, ia, minOverlapArea, order) {
+  const out = [];
+  if (order.directionalEnabled) {
+    const dir = directionOf(
+      A,
+      B,
+      order.directionTolerance,
+      order.directionalDistance,
+    );
+    if (dir) out.push([dir, A, B], [INVERSE[dir], B, A]);
+  }
+  if (
+    order.adjacencyEnabled &&
+    ia < minOverlapArea &&
+    regionGap(A, B, order.adjacencyGap) <= order.adjacencyGap
+  )
+    out.push(['adjacentTo', A, B], ['adjacentTo', B, A]);
+  if (order.depthOrderEnabled && ia >= minOverlapArea) {
+    const front = frontOf(A, B, order.minOcclusionContrast);
+    if (front) {
+      const back = front === A ? B : A;
+      out.push(['inFrontOf', front, back], ['behind', back, front]);
+    }
+  }
+  return out;
+}
+
 export function autoCreateRelationships(
   regions,
   options,
@@ -23,107 +164,94 @@ export function autoCreateRelationships(
   const useEdge = options.edgeTouchEnabled !== false;
   const useInsideR = options.insideRatioEnabled !== false;
   const D = options.nearDistance ?? 100;
-  const maxNear = options.maxNearPairs ?? 1000;
+  const maxNear = options.maxNearPairs ?? Infinity;
   const minAreaNear = options.minRegionAreaForNear ?? 25;
   const minOverlapIoU = options.minOverlapIoU ?? 0.05;
   const minOverlapArea = options.minOverlapArea ?? 50;
   const minInsideRatio = options.minInsideRatio ?? 0.9;
-  const area = (b) => (b.x2 - b.x1) * (b.y2 - b.y1);
-  const ctr = (b) => [(b.x1 + b.x2) / 2, (b.y1 + b.y2) / 2];
-  const dist = (a, b) => {
-    const [ax, ay] = ctr(a),
-      [bx, by] = ctr(b);
-    return Math.hypot(ax - bx, ay - by);
-  };
-  const contains = (A, B) =>
-    A.x1 <= B.x1 && A.y1 <= B.y1 && A.x2 >= B.x2 && A.y2 >= B.y2;
-  const interArea = (A, B) => {
-    const x1 = Math.max(A.x1, B.x1),
-      y1 = Math.max(A.y1, B.y1),
-      x2 = Math.min(A.x2, B.x2),
-      y2 = Math.min(A.y2, B.y2);
-    if (x2 <= x1 || y2 <= y1) return 0;
-    return (x2 - x1) * (y2 - y1);
-  };
-  const unionArea = (A, B) => area(A) + area(B) - interArea(A, B);
-  const iou = (A, B) => {
-    const ia = interArea(A, B);
-    if (!ia) return 0;
-    return ia / unionArea(A, B);
-  };
+  const order = orderOptions(options);
   let nearCount = 0;
-  for (let i = 0; i < regs.length; i++) {
+  const areas = [];
+  const areaOf = (i) => (areas[i] ??= regionArea(regs[i]));
+  for (const [i, j] of candidatePairs(regs, pairMargin(useNear, D, order))) {
     const A = regs[i];
+    const B = regs[j];
     const uriA = A?.metadata?.uri;
-    if (!uriA) continue;
-    const areaA = area(A.boundary);
-    for (let j = i + 1; j < regs.length; j++) {
-      const B = regs[j];
-      const uriB = B?.metadata?.uri;
-      if (!uriB) continue;
-      const areaB = area(B.boundary);
-      if (
-        useNear &&
-        nearCount < maxNear &&
-        areaA >= minAreaNear &&
-        areaB >= minAreaNear
-      ) {
-        if (dist(A.boundary, B.boundary) < D) {
-          OntologyExt.insertNearRelationship(metadataIndex, uriA, uriB);
-          OntologyExt.insertNearRelationship(metadataIndex, uriB, uriA);
-          nearCount++;
-        }
+    const uriB = B?.metadata?.uri;
+    if (!uriA || !uriB) continue;
+    const areaA = areaOf(i);
+    const areaB = areaOf(j);
+    const ia = regionIntersectionArea(A, B);
+    const aContainsB = regionContains(A, B);
+    const bContainsA = regionContains(B, A);
+    if (
+      useNear &&
+      nearCount < maxNear &&
+      areaA >= minAreaNear &&
+      areaB >= minAreaNear
+    ) {
+      if (regionDistance(A, B) < D) {
+        OntologyExt.insertNearRelationship(metadataIndex, uriA, uriB);
+        OntologyExt.insertNearRelationship(metadataIndex, uriB, uriA);
+        nearCount++;
       }
-      if (useOverlaps) {
-        const ia = interArea(A.boundary, B.boundary);
-        if (ia >= minOverlapArea) {
-          const isContain =
-            contains(A.boundary, B.boundary) ||
-            contains(B.boundary, A.boundary);
-          if (!isContain) {
-            const ovIoU = iou(A.boundary, B.boundary);
-            if (ovIoU >= minOverlapIoU) {
-              OntologyExt.insertOverlaps(metadataIndex, uriA, uriB);
-              OntologyExt.insertOverlaps(metadataIndex, uriB, uriA);
-            } else if (useEdge && ovIoU === 0 && ia > 0) {
-              OntologyExt.insertIntersectsEdge(metadataIndex, uriA, uriB);
-              OntologyExt.insertIntersectsEdge(metadataIndex, uriB, uriA);
-            }
+    }
+    if (useOverlaps) {
+      if (ia >= minOverlapArea) {
+        const isContain = aContainsB || bContainsA;
+        if (!isContain) {
+          const ovIoU = regionIoU(A, B);
+          if (ovIoU >= minOverlapIoU) {
+            OntologyExt.insertOverlaps(metadataIndex, uriA, uriB);
+            OntologyExt.insertOverlaps(metadataIndex, uriB, uriA);
+          } else if (useEdge && ovIoU === 0 && ia > 0) {
+            OntologyExt.insertIntersectsEdge(metadataIndex, uriA, uriB);
+            OntologyExt.insertIntersectsEdge(metadataIndex, uriB, uriA);
           }
         }
       }
-      if (useInsideR) {
-        const ia = interArea(A.boundary, B.boundary);
-        if (ia) {
-          if (contains(A.boundary, B.boundary)) {
-            const ratio = ia / area(A.boundary);
-            if (ratio >= minInsideRatio) {
-              OntologyExt.insertInsideWithRatio(
-                metadataIndex,
-                uriA,
-                uriB,
-                ratio.toFixed(3),
-              );
-            }
-          } else if (contains(B.boundary, A.boundary)) {
-            const ratio = ia / area(B.boundary);
-            if (ratio >= minInsideRatio) {
-              OntologyExt.insertInsideWithRatio(
-                metadataIndex,
-                uriB,
-                uriA,
-                ratio.toFixed(3),
-              );
-            }
+    }
+    if (useInsideR) {
+      if (ia) {
+        if (aContainsB) {
+          const ratio = ia / areaA;
+          if (ratio >= minInsideRatio) {
+            OntologyExt.insertInsideWithRatio(
+              metadataIndex,
+              uriA,
+              uriB,
+              ratio.toFixed(3),
+            );
+          }
+        } else if (bContainsA) {
+          const ratio = ia / areaB;
+          if (ratio >= minInsideRatio) {
+            OntologyExt.insertInsideWithRatio(
+              metadataIndex,
+              uriB,
+              uriA,
+              ratio.toFixed(3),
+            );
           }
         }
       }
-      if (useContains) {
-        if (contains(A.boundary, B.boundary))
-          OntologyExt.insertContainsRelationship(metadataIndex, uriA, uriB);
-        if (contains(B.boundary, A.boundary))
-          OntologyExt.insertContainsRelationship(metadataIndex, uriB, uriA);
-      }
+    }
+    if (useContains) {
+      if (aContainsB)
+        OntologyExt.insertContainsRelationship(metadataIndex, uriA, uriB);
+      if (bContainsA)
+        OntologyExt.insertContainsRelationship(metadataIndex, uriB, uriA);
+    }
+    if (aContainsB || bContainsA) continue;
+    for (const [p, S, O] of orderRelations(A, B, ia, minOverlapArea, order)) {
+      const [uriS, uriO] = [S.metadata.uri, O.metadata.uri];
+      if (p === 'adjacentTo')
+        OntologyExt.insertAdjacentTo(metadataIndex, uriS, uriO);
+      else if (p === 'inFrontOf')
+        OntologyExt.insertInFrontOf(metadataIndex, uriS, uriO);
+      else if (p === 'behind')
+        OntologyExt.insertBehind(metadataIndex, uriS, uriO);
+      else OntologyExt.insertDirectional(metadataIndex, uriS, p, uriO);
     }
   }
 }
@@ -134,14 +262,18 @@ export function computeRelationsPure(regions, opts = {}) {
   //  - nearDistance, maxNearPairs, minRegionAreaForNear
   //  - minOverlapIoU, minOverlapArea
   //  - minInsideRatio
+  //  - directionTolerance, directionalDistance, adjacencyGap, minOcclusionContrast
   const options = {
     nearEnabled: true,
     containsEnabled: true,
     overlapsEnabled: true,
     edgeTouchEnabled: true,
     insideRatioEnabled: true,
+    directionalEnabled: true,
+    adjacencyEnabled: true,
+    depthOrderEnabled: true,
     nearDistance: 100,
-    maxNearPairs: 1000,
+    maxNearPairs: Infinity,
     minRegionAreaForNear: 25,
     minOverlapIoU: 0.05,
     minOverlapArea: 50,
@@ -150,85 +282,76 @@ export function computeRelationsPure(regions, opts = {}) {
   };
   const regs = regions || [];
   const out = [];
-  const area = (b) => (b.x2 - b.x1) * (b.y2 - b.y1);
-  const ctr = (b) => [(b.x1 + b.x2) / 2, (b.y1 + b.y2) / 2];
-  const dist = (a, b) => {
-    const [ax, ay] = ctr(a),
-      [bx, by] = ctr(b);
-    return Math.hypot(ax - bx, ay - by);
-  };
-  const contains = (A, B) =>
-    A.x1 <= B.x1 && A.y1 <= B.y1 && A.x2 >= B.x2 && A.y2 >= B.y2;
-  const interArea = (A, B) => {
-    const x1 = Math.max(A.x1, B.x1),
-      y1 = Math.max(A.y1, B.y1),
-      x2 = Math.min(A.x2, B.x2),
-      y2 = Math.min(A.y2, B.y2);
-    if (x2 <= x1 || y2 <= y1) return 0;
-    return (x2 - x1) * (y2 - y1);
-  };
-  const unionArea = (A, B) => area(A) + area(B) - interArea(A, B);
-  const iou = (A, B) => {
-    const ia = interArea(A, B);
-    return ia ? ia / unionArea(A, B) : 0;
-  };
+  const maxNear = options.maxNearPairs ?? Infinity;
   let nearCount = 0;
-  for (let i = 0; i < regs.length; i++) {
+  const areas = [];
+  const areaOf = (i) => (areas[i] ??= regionArea(regs[i]));
+  const order = orderOptions(options);
+  const margin = pairMargin(options.nearEnabled, options.nearDistance, order);
+  for (const [i, j] of candidatePairs(regs, margin)) {
     const A = regs[i];
-    for (let j = i + 1; j < regs.length; j++) {
-      const B = regs[j];
-      if (
-        options.nearEnabled &&
-        nearCount < options.maxNearPairs &&
-        area(A.boundary) >= options.minRegionAreaForNear &&
-        area(B.boundary) >= options.minRegionAreaForNear
-      ) {
-        if (dist(A.boundary, B.boundary) < options.nearDistance) {
-          out.push({ predicate: 'near', source: A.id, target: B.id });
-          out.push({ predicate: 'near', source: B.id, target: A.id });
-          nearCount++;
-        }
+    const B = regs[j];
+    if (
+      options.nearEnabled &&
+      nearCount < maxNear &&
+      areaOf(i) >= options.minRegionAreaForNear &&
+      areaOf(j) >= options.minRegionAreaForNear
+    ) {
+      if (regionDistance(A, B) < options.nearDistance) {
+        out.push({ predicate: 'near', source: A.id, target: B.id });
+        out.push({ predicate: 'near', source: B.id, target: A.id });
+        nearCount++;
       }
-      const ia = interArea(A.boundary, B.boundary);
-      if (options.overlapsEnabled && ia >= options.minOverlapArea) {
-        const isContain =
-          contains(A.boundary, B.boundary) || contains(B.boundary, A.boundary);
-        if (!isContain) {
-          const ovIoU = iou(A.boundary, B.boundary);
-          if (ovIoU >= options.minOverlapIoU) {
-            out.push({ predicate: 'overlaps', source: A.id, target: B.id });
-            out.push({ predicate: 'overlaps', source: B.id, target: A.id });
-          }
-        }
-      }
-      if (options.insideRatioEnabled && ia) {
-        if (contains(A.boundary, B.boundary)) {
-          const ratio = ia / area(A.boundary);
-          if (ratio >= options.minInsideRatio)
-            out.push({
-              predicate: 'inside',
-              source: A.id,
-              target: B.id,
-              ratio: +ratio.toFixed(3),
-            });
-        } else if (contains(B.boundary, A.boundary)) {
-          const ratio = ia / area(B.boundary);
-          if (ratio >= options.minInsideRatio)
-            out.push({
-              predicate: 'inside',
-              source: B.id,
-              target: A.id,
-              ratio: +ratio.toFixed(3),
-            });
+    }
+    const ia = regionIntersectionArea(A, B);
+    const aContainsB = regionContains(A, B);
+    const bContainsA = regionContains(B, A);
+    if (options.overlapsEnabled && ia >= options.minOverlapArea) {
+      const isContain = aContainsB || bContainsA;
+      if (!isContain) {
+        const ovIoU = regionIoU(A, B);
+        if (ovIoU >= options.minOverlapIoU) {
+          out.push({ predicate: 'overlaps', source: A.id, target: B.id });
+          out.push({ predicate: 'overlaps', source: B.id, target: A.id });
         }
       }
-      if (options.containsEnabled) {
-        if (contains(A.boundary, B.boundary))
-          out.push({ predicate: 'contains', source: A.id, target: B.id });
-        if (contains(B.boundary, A.boundary))
-          out.push({ predicate: 'contains', source: B.id, target: A.id });
+    }
+    if (options.insideRatioEnabled && ia) {
+      if (aContainsB) {
+        const ratio = ia / areaOf(i);
+        if (ratio >= options.minInsideRatio)
+          out.push({
+            predicate: 'inside',
+            source: A.id,
+            target: B.id,
+            ratio: +ratio.toFixed(3),
+          });
+      } else if (bContainsA) {
+        const ratio = ia / areaOf(j);
+        if (ratio >= options.minInsideRatio)
+          out.push({
+            predicate: 'inside',
+            source: B.id,
+            target: A.id,
+            ratio: +ratio.toFixed(3),
+          });
       }
     }
+    if (options.containsEnabled) {
+      if (aContainsB)
+        out.push({ predicate: 'contains', source: A.id, target: B.id });
+      if (bContainsA)
+        out.push({ predicate: 'contains', source: B.id, target: A.id });
+    }
+    if (aContainsB || bContainsA) continue;
+    for (const [predicate, S, O] of orderRelations(
+      A,
+      B,
+      ia,
+      options.minOverlapArea,
+      order,
+    ))
+      out.push({ predicate, source: S.id, target: O.id });
   }
   return out;
 }
@@ -0,0 +1,179 @@
+// tar.js
+//
+// Purpose: Minimal streaming reader/writer for POSIX ustar archives, enough for .sikg
+// bundles (src/common/bundle.js): regular files only, names up to 255 bytes via the ustar
+// prefix field, sizes below 8 GiB. Entries are streamed in both directions, so a bundle is
+// never held in memory as a whole.
+//
+// Layout
+// - Each entry is a 512-byte header followed by its data, zero-padded to a 512-byte boundary.
+// - The archive ends with two zero blocks.
+//
+// References
+// - POSIX pax/ustar interchange format: https://pubs.opengroup.org/onlinepubs/9699919799/utilities/pax.html#tag_20_92_13_06
+
+import fs from 'fs';
+
+const BLOCK = 512;
+const EMPTY = Buffer.alloc(0);
+
+const padding = (size) => (BLOCK - (size % BLOCK)) % BLOCK;
+
+/** Split a path into ustar prefix (≤155 bytes) and name (≤100 bytes). */
+function splitName(name) {
+  if (Buffer.byteLength(name) <= 100) return { prefix: '', base: name };
+  for (let i = name.indexOf('/'); i !== -1; i = name.indexOf('/', i + 1)) {
+    const prefix = name.slice(0, i);
+    const base = name.slice(i + 1);
+    if (Buffer.byteLength(prefix) <= 155 && Buffer.byteLength(base) <= 100)
+      return { prefix, base };
+  }
+  throw new Error(`tar: path too long for ustar: ${name}`);
+}
+
+function octal(h, value, offset, length) {
+  h.write(
+    `${Math.floor(value)
+      .toString(8)
+      .padStart(length - 1, '0')}\0`,
+    offset,
+    length,
+    'ascii',
+  );
+}
+
+function checksum(h) {
+  let sum = 0;
+  for (let i = 0; i < BLOCK; i++) sum += i >= 148 && i < 156 ? 0x20 : h[i];
+  return sum;
+}
+
+function header({ name, size, mtime }) {
+  const h = Buffer.alloc(BLOCK);
+  const { prefix, base } = splitName(name);
+  h.write(base, 0, 100, 'utf8');
+  octal(h, 0o644, 100, 8); // mode
+  octal(h, 0, 108, 8); // uid
+  octal(h, 0, 116, 8); // gid
+  octal(h, size, 124, 12);
+  octal(h, (mtime ?? Date.now()) / 1000, 136, 12);
+  h.write('0', 156, 1, 'ascii'); // regular file
+  h.write('ustar\0', 257, 6, 'ascii');
+  h.write('00', 263, 2, 'ascii');
+  h.write(prefix, 345, 155, 'utf8');
+  h.write(`${checksum(h).toString(8).padStart(6, '0')}\0 `, 148, 8, 'ascii');
+  return h;
+}
+
+const field = (h, offset, length) => {
+  const end = h.indexOf(0, offset);
+  return h.toString(
+    'utf8',
+    offset,
+    end === -1 || end > offset + length ? offset + length : end,
+  );
+};
+
+function parseHeader(h) {
+  const sum = parseInt(field(h, 148, 8).trim(), 8);
+  if (sum !== checksum(h)) throw new Error('tar: bad header checksum');
+  const base = field(h, 0, 100);
+  const prefix = field(h, 257, 6) === 'ustar' ? field(h, 345, 155) : '';
+  return {
+    name: prefix ? `${prefix}/${base}` : base,
+    size: parseInt(field(h, 124, 12).trim() || '0', 8),
+    type: String.fromCharCode(h[156] || 0x30), // NUL = old-style regular file
+  };
+}
+
+/**
+ * Serialise entries as a tar stream. `source` is a Buffer or a file path (read streamed).
+ * @param {Array<{name:string, size:number, source:Buffer|string, mtime?:number}>} entries
+ * @returns {AsyncGenerator<Buffer>}
+ */
+export async function* writeTar(entries) {
+  for (const e of entries) {
+    yield header(e);
+    let written = 0;
+    if (Buffer.isBuffer(e.source)) {
+      yield e.source;
+      written = e.source.length;
+    } else {
+      for await (const chunk of fs.createReadStream(e.source)) {
+        written += chunk.length;
+        yield chunk;
+      }
+    }
+    if (written !== e.size)
+      throw new Error(
+        `tar: ${e.name} changed while archiving (${written} ≠ ${e.size} bytes)`,
+      );
+    const pad = padding(e.size);
+    if (pad) yield Buffer.alloc(pad);
+  }
+  yield Buffer.alloc(BLOCK * 2);
+}
+
+/**
+ * Read a tar stream entry by entry. For each header, `onEntry({name, size, type})` returns
+ * a sink `{write(buf), end()}` (both may be async) receiving the entry's data, or null to
+ * skip it. Throws on a corrupt header or a truncated archive.
+ * @param {AsyncIterable<Buffer>} source
+ * @param {(entry:{name:string,size:number,type:string}) => Promise<object|null>|object|null} onEntry
+ * @returns {Promise<void>}
+ */
+export async function extractTar(source, onEntry) {
+  let buf = EMPTY;
+  let sink = null;
+  let remaining = 0; // data bytes left in the current entry
+  let pad = 0; // padding after the current entry's data
+  let skip = 0; // bytes to discard (skipped entry data + padding)
+  let ended = false;
+  for await (const chunk of source) {
+    buf = buf.length ? Buffer.concat([buf, chunk]) : chunk;
+    for (;;) {
+      if (remaining) {
+        if (!buf.length) break;
+        const n = Math.min(remaining, buf.length);
+        if (sink) await sink.write(buf.subarray(0, n));
+        buf = buf.subarray(n);
+        remaining -= n;
+        if (remaining) break;
+        if (sink) await sink.end();
+        sink = null;
+        skip = pad;
+      }
+      if (skip) {
+        const n = Math.min(skip, buf.length);
+        buf = buf.subarray(n);
+        skip -= n;
+        if (skip) break;
+      }
+      if (ended) {
+        buf = EMPTY; // trailing zero blocks
+        break;
+      }
+      if (buf.length < BLOCK) break;
+      const h = buf.subarray(0, BLOCK);
+      buf = buf.subarray(BLOCK);
+      if (h.every((b) => b === 0)) {
+        ended = true;
+        continue;
+      }
+      const entry = parseHeader(h);
+      const target = await onEntry(entry);
+      if (target && entry.size) {
+        sink = target;
+        remaining = entry.size;
+        pad = padding(entry.size);
+      } else {
+        if (target) await target.end();
+        skip = entry.size + padding(entry.size);
+      }
+    }
+  }
+  if (remaining || skip || (!ended && buf.length))
+    throw new Error('tar: archive is truncated');
+}
+
+export default { writeTar, extractTar };
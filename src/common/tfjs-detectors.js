@@ -0,0 +1,287 @@
+// tfjs-detectors.js
+//
+// Purpose: TF.js detector adapters for the registry in detectors.js – the built-in COCO-SSD,
+// DeepLab ADE20K and MediaPipe face detectors, and graph models configured by a
+// detector.json. Each adapter loads its model once and maps the model's output to
+// `{label, confidence, boundary, mask?}` in the input's pixel frame.
+//
+// Notes
+// - Inputs are raw RGB(A) pixels; alpha is dropped before inference.
+// - DeepLab masks come from the raw class map (`predict`), not the coloured `segment` image.
+// - Face detection runs on the CPU backend (some of its kernels are missing elsewhere).
+// - Graph models: objects/faces read TF Object Detection API style outputs (boxes as
+//   normalised [ymin, xmin, ymax, xmax], scores, class ids); segments read one class-id map
+//   ([1,h,w], or per-class scores [1,h,w,C] reduced with argMax).
+//
+// References
+// - COCO-SSD: https://github.com/tensorflow/tfjs-models/tree/master/coco-ssd
+// - DeepLab: https://github.com/tensorflow/tfjs-models/tree/master/deeplab
+// - Face detection: https://github.com/tensorflow/tfjs-models/tree/master/face-detection
+// - GraphModel.executeAsync: https://js.tensorflow.org/api/latest/#tf.GraphModel.executeAsync
+
+import path from 'path';
+import * as tf from '@tensorflow/tfjs-node';
+import '@tensorflow/tfjs-backend-cpu';
+import * as cocoSsd from '@tensorflow-models/coco-ssd';
+import * as deeplab from '@tensorflow-models/deeplab';
+import * as faceDetection from '@tensorflow-models/face-detection';
+import { resolveTfjsModel } from './tfjs-models.js';
+import { labelMapSegments } from './detectors.js';
+import ADE20K_LABELS from '../../models/ade20k_labels.js';
+import COCO_LABELS from '../../models/coco_labels.js';
+
+/** int32 [h, w, 3] tensor of raw RGB(A) pixels. */
+function rgbTensor({ data, width, height, channels }) {
+  return tf.tidy(() => {
+    const t = tf.tensor3d(data, [height, width, channels], 'int32');
+    return channels === 3 ? t : t.slice([0, 0, 0], [height, width, 3]);
+  });
+}
+
+/** COCO-SSD object detector (80 COCO classes). */
+export function cocoSsdDetector() {
+  let model = null;
+  return {
+    title: 'COCO-SSD',
+    model: 'coco-ssd',
+    modelUri: 'http://example.org/model/coco-ssd',
+    classes: Object.values(COCO_LABELS),
+    async load() {
+      const modelUrl = await resolveTfjsModel('coco-ssd');
+      model ??= await cocoSsd.load({
+        base: 'lite_mobilenet_v2',
+        modelUrl: modelUrl || undefined,
+      });
+    },
+    async infer(image) {
+      const input = rgbTensor(image);
+      try {
+        return (await model.detect(input)).map((det) => ({
+          label: det.class,
+          confidence: det.score,
+          boundary: {
+            x1: det.bbox[0],
+            y1: det.bbox[1],
+            x2: det.bbox[0] + det.bbox[2],
+            y2: det.bbox[1] + det.bbox[3],
+          },
+        }));
+      } finally {
+        input.dispose();
+      }
+    },
+  };
+}
+
+/** DeepLab ADE20K semantic segmentation (150 classes, one mask per class present). */
+export function deeplabDetector() {
+  let model = null;
+  return {
+    title: 'DeepLab',
+    model: 'deeplab',
+    modelUri: 'http://example.org/model/deeplab-ade20k',
+    classes: Object.values(ADE20K_LABELS),
+    async load() {
+      // base still picks the ADE20K label set when modelUrl points at a local copy
+      const modelUrl = await resolveTfjsModel('deeplab-ade20k');
+      model ??= await deeplab.load({
+        base: 'ade20k',
+        quantizationBytes: 2,
+        modelUrl: modelUrl || undefined,
+      });
+    },
+    async infer(image) {
+      const input = rgbTensor(image);
+      let map = null;
+      try {
+        map = model.predict(input); // [h, w] class ids, long side 513
+        const [mapH, mapW] = map.shape;
+        return labelMapSegments(await map.data(), mapW, mapH, image, (id) =>
+          id === 0 ? null : ADE20K_LABELS[id] || `class-${id}`,
+        );
+      } finally {
+        input.dispose();
+        map?.dispose();
+      }
+    },
+  };
+}
+
+/** Box of one face-detection result in pixels, or null when it has none. */
+function faceBox(f) {
+  const b = f.box || f.boundingBox || {};
+  if (
+    (b.xMin !== undefined || b.xmin !== undefined) &&
+    (b.yMin !== undefined || b.ymin !== undefined) &&
+    (b.xMax !== undefined || b.xmax !== undefined) &&
+    (b.yMax !== undefined || b.ymax !== undefined)
+  )
+    return {
+      x1: b.xMin ?? b.xmin,
+      y1: b.yMin ?? b.ymin,
+      x2: b.xMax ?? b.xmax,
+      y2: b.yMax ?? b.ymax,
+    };
+  const tl = b.topLeft ?? f.topLeft;
+  const br = b.bottomRight ?? f.bottomRight;
+  if (tl && br) return { x1: tl[0], y1: tl[1], x2: br[0], y2: br[1] };
+  if (b.left !== undefined)
+    return {
+      x1: b.left,
+      y1: b.top,
+      x2: b.left + (b.width ?? 0),
+      y2: b.top + (b.height ?? 0),
+    };
+  return null;
+}
+
+/** MediaPipe face detector (short range, up to 50 faces). */
+export function faceDetector() {
+  let model = null;
+  return {
+    title: 'MediaPipe Face Detection',
+    model: 'face-detection',
+    modelUri: 'http://example.org/model/face-detection',
+    classes: ['face'],
+    async load() {
+      const detectorModelUrl = await resolveTfjsModel('face-detection');
+      model ??= await faceDetection.createDetector(
+        faceDetection.SupportedModels.MediaPipeFaceDetector,
+        {
+          runtime: 'tfjs',
+          maxFaces: 50,
+          ...(detectorModelUrl && { detectorModelUrl }),
+        },
+      );
+    },
+    async infer(image) {
+      const prev = tf.getBackend();
+      let input = null;
+      let faces = [];
+      try {
+        if (prev !== 'cpu') await tf.setBackend('cpu');
+        input = rgbTensor(image);
+        faces = await model.estimateFaces(input);
+      } finally {
+        input?.dispose();
+        if (tf.getBackend() !== prev) await tf.setBackend(prev);
+      }
+      return (faces || []).flatMap((f) => {
+        const boundary = faceBox(f);
+        if (!boundary) return [];
+        return [
+          {
+            label: 'face',
+            confidence:
+              f.score ??
+              f.scores?.[0] ??
+              f.probability?.[0] ??
+              f.probability ??
+              1,
+            boundary,
+          },
+        ];
+      });
+    },
+  };
+}
+
+/**
+ * Adapter for a local TF.js graph model described by a detector.json.
+ * @param {object} config - validated detector.json (detectors.validateDetectorConfig)
+ * @param {string} dir - directory holding model.json and its shards
+ */
+export function graphModelDetector(config, dir) {
+  const { name, role, classes, classOffset, inputSize, inputDtype, outputs } =
+    config;
+  const labelOf = (id) => classes[Math.round(id) - classOffset] || null;
+  let model = null;
+  return {
+    title: name,
+    model: name,
+    modelUri: `http://example.org/model/${name}`,
+    classes,
+    async load() {
+      model ??= await tf.loadGraphModel(
+        `file://${path.join(dir, 'model.json')}`,
+      );
+    },
+    async infer(image) {
+      const [w, h] = Array.isArray(inputSize)
+        ? inputSize
+        : inputSize
+          ? [inputSize, inputSize]
+          : [image.width, image.height];
+      const input = tf.tidy(() => {
+        const rgb = rgbTensor(image);
+        const sized =
+          w === image.width && h === image.height
+            ? rgb
+            : tf.image.resizeBilinear(rgb, [h, w]);
+        return sized.cast(inputDtype).expandDims(0);
+      });
+      try {
+        return role === 'segments'
+          ? await segmentsOf(input, image)
+          : await boxesOf(input, image);
+      } finally {
+        input.dispose();
+      }
+    },
+  };
+
+  async function segmentsOf(input, image) {
+    const out = await model.executeAsync(input, outputs.labels);
+    const map = tf.tidy(() => {
+      const t = out.rank === 4 ? out.argMax(-1) : out;
+      return t.rank === 3 ? t.squeeze([0]) : t.clone();
+    });
+    out.dispose();
+    try {
+      const [mapH, mapW] = map.shape;
+      return labelMapSegments(await map.data(), mapW, mapH, image, labelOf);
+    } finally {
+      map.dispose();
+    }
+  }
+
+  async function boxesOf(input, image) {
+    const out = await model.executeAsync(input, [
+      outputs.boxes,
+      outputs.scores,
+      outputs.classes,
+    ]);
+    let boxes, scores, ids;
+    try {
+      [boxes, scores, ids] = await Promise.all(out.map((t) => t.array()));
+    } finally {
+      tf.dispose(out);
+    }
+    const dets = [];
+    scores[0].forEach((score, i) => {
+      const label = labelOf(ids[0][i]);
+      if (!label || score < config.scoreThreshold) return;
+      const [ymin, xmin, ymax, xmax] = boxes[0][i];
+      dets.push({
+        label,
+        confidence: score,
+        boundary: {
+          x1: xmin * image.width,
+          y1: ymin * image.height,
+          x2: xmax * image.width,
+          y2: ymax * image.height,
+        },
+      });
+    });
+    return dets
+      .sort((a, b) => b.confidence - a.confidence)
+      .slice(0, config.maxDetections);
+  }
+}
+
+export default {
+  cocoSsdDetector,
+  deeplabDetector,
+  faceDetector,
+  graphModelDetector,
+};
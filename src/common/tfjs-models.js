@@ -0,0 +1,203 @@
+// tfjs-models.js
+//
+// Purpose: Local copies of the TF.js graph models the pipelines run (COCO-SSD, DeepLab
+// ADE20K, MediaPipe face detection), so detection works on machines without internet.
+// install.sh downloads each model into its own directory and records SHA-256 sums:
+//
+//   models/tfjs/coco-ssd/{model.json, group1-shard1of1.bin, …, SHA256SUMS}
+//
+// The loaders in MLProcessor.js and TiledMLProcessor.js ask resolveTfjsModel() for a
+// `file://…/model.json` URL. A local model is checked against its SHA256SUMS before the
+// first load. A model that was never installed (no directory for it, e.g. install.sh had
+// no pinned sums for it yet) is loaded from its hosted URL; one whose directory exists but
+// lacks model.json fails with EMODEL and a message that says how to reinstall it.
+// TFJS_ALLOW_HOSTED=1 allows the hosted URL in both cases, TFJS_ALLOW_HOSTED=0 in neither.
+//
+// Notes
+// - TFJS_MODELS_DIR overrides the directory (default `<MODELS_DIR or models>/tfjs`).
+// - SHA256SUMS uses the `sha256sum` format and must list model.json and every weight shard
+//   named in its weightsManifest. A mismatch or a missing file always fails: a damaged
+//   local model is never replaced by the hosted one silently.
+// - For an air-gapped machine, run install.sh on a connected one and copy `models/` over;
+//   the sums travel with the files.
+//
+// References
+// - tfjs-node file system loading: https://www.tensorflow.org/js/guide/save_load#loading_a_tfmodel
+// - COCO-SSD: https://github.com/tensorflow/tfjs-models/tree/master/coco-ssd
+// - DeepLab: https://github.com/tensorflow/tfjs-models/tree/master/deeplab
+// - Face detection: https://github.com/tensorflow/tfjs-models/tree/master/face-detection
+
+import path from 'path';
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import { logger } from './logger.js';
+
+/**
+ * The models the pipelines load: local directory name and the hosted model.json the
+ * tfjs-models packages use by default (install.sh downloads from the same URLs).
+ */
+export const TFJS_MODELS = Object.freeze({
+  'coco-ssd': {
+    dir: 'coco-ssd',
+    url: 'https://storage.googleapis.com/tfjs-models/savedmodel/ssdlite_mobilenet_v2/model.json',
+  },
+  'deeplab-ade20k': {
+    dir: 'deeplab-ade20k',
+    url: 'https://tfhub.dev/tensorflow/tfjs-model/deeplab/ade20k/1/quantized/2/1/model.json?tfjs-format=file',
+  },
+  'face-detection': {
+    dir: 'face-detection',
+    url: 'https://tfhub.dev/mediapipe/tfjs-model/face_detection/short/1/model.json?tfjs-format=file',
+  },
+});
+
+const SUMS_FILE = 'SHA256SUMS';
+
+/** Error with code EMODEL (model missing, incomplete or failing its hash check). */
+function modelError(message) {
+  return Object.assign(new Error(message), { code: 'EMODEL' });
+}
+
+/** Directory holding the local TF.js models. */
+export function tfjsModelsDir() {
+  return path.resolve(
+    process.env.TFJS_MODELS_DIR ||
+      path.join(process.env.MODELS_DIR || 'models', 'tfjs'),
+  );
+}
+
+/**
+ * Whether a missing local model may be loaded from its hosted URL (TFJS_ALLOW_HOSTED):
+ * true or false when set, null when unset (only models that were never installed).
+ */
+export function tfjsAllowHosted() {
+  const v = String(process.env.TFJS_ALLOW_HOSTED || '').trim();
+  if (/^(1|true|yes)$/i.test(v)) return true;
+  if (/^(0|false|no)$/i.test(v)) return false;
+  return null;
+}
+
+/** Parse `sha256sum` output: Map of file name → lowercase hex digest. */
+export function parseSha256Sums(text) {
+  const sums = new Map();
+  for (const line of String(text).split(/\r?\n/)) {
+    const m = /^([0-9a-fA-F]{64}) [ *](.+)$/.exec(line.trim());
+    if (m) sums.set(m[2].replace(/^\.\//, ''), m[1].toLowerCase());
+  }
+  return sums;
+}
+
+const sha256File = async (file) =>
+  createHash('sha256')
+    .update(await fs.readFile(file))
+    .digest('hex');
+
+/**
+ * Check a model directory: model.json and all its weight shards are listed in SHA256SUMS
+ * and every listed file matches its sum.
+ * @param {string} dir
+ * @returns {Promise<string[]>} the verified file names
+ * @throws {Error} code EMODEL, naming the first problem
+ */
+export async function verifyModelDir(dir) {
+  const modelJson = path.join(dir, 'model.json');
+  let model;
+  try {
+    model = JSON.parse(await fs.readFile(modelJson, 'utf-8'));
+  } catch (e) {
+    throw modelError(
+      e.code === 'ENOENT'
+        ? `model.json not found in ${dir}`
+        : `unreadable model.json in ${dir}: ${e.message}`,
+    );
+  }
+  let sums;
+  try {
+    sums = parseSha256Sums(await fs.readFile(path.join(dir, SUMS_FILE)));
+  } catch (_e) {
+    throw modelError(
+      `${SUMS_FILE} missing in ${dir}; re-run install.sh or create it with ` +
+        `\`sha256sum model.json *.bin > ${SUMS_FILE}\` from a trusted copy`,
+    );
+  }
+  const needed = [
+    'model.json',
+    ...(model.weightsManifest || []).flatMap((g) => g.paths || []),
+  ];
+  for (const f of needed)
+    if (!sums.has(f))
+      throw modelError(`${f} is not listed in ${dir}/${SUMS_FILE}`);
+  for (const [f, want] of sums) {
+    let have;
+    try {
+      have = await sha256File(path.join(dir, f));
+    } catch (_e) {
+      throw modelError(`${f} listed in ${SUMS_FILE} is missing from ${dir}`);
+    }
+    if (have !== want)
+      throw modelError(
+        `hash mismatch for ${path.join(dir, f)} (expected ${want}, got ${have})`,
+      );
+  }
+  return [...sums.keys()];
+}
+
+// one verification per directory and process
+const verified = new Map();
+
+/**
+ * URL to load a model from: `file://<dir>/model.json` for a verified local copy, or null
+ * to use the package's hosted default (see the header for when that is allowed).
+ * @param {keyof typeof TFJS_MODELS} name
+ * @param {{dir?:string, allowHosted?:boolean|null}} [options]
+ *        dir – models directory (default tfjsModelsDir()); allowHosted – fall back to the
+ *        hosted model when the local copy is missing (default TFJS_ALLOW_HOSTED; null:
+ *        only when the model was never installed)
+ * @returns {Promise<string|null>}
+ * @throws {Error} code EMODEL when the local copy is damaged, or missing and hosted
+ *         models are not allowed
+ */
+export async function resolveTfjsModel(name, options = {}) {
+  const spec = TFJS_MODELS[name];
+  if (!spec) throw modelError(`unknown TF.js model "${name}"`);
+  const { dir = tfjsModelsDir(), allowHosted = tfjsAllowHosted() } = options;
+  const modelDir = path.join(dir, spec.dir);
+  const present = await fs
+    .access(path.join(modelDir, 'model.json'))
+    .then(() => true)
+    .catch(() => false);
+  if (!present) {
+    const installed = await fs
+      .stat(modelDir)
+      .then((st) => st.isDirectory())
+      .catch(() => false);
+    if (!(allowHosted ?? !installed))
+      throw modelError(
+        `TF.js model ${name} not found in ${modelDir}; run install.sh (it downloads ` +
+          `the models to ${dir}), or on an air-gapped machine copy that directory over ` +
+          `from one where it ran. TFJS_ALLOW_HOSTED=1 loads ${spec.url} instead`,
+      );
+    logger.warn(
+      `[tfjs-models] ${name} not found in ${modelDir}; loading ${spec.url}`,
+    );
+    return null;
+  }
+  if (!verified.has(modelDir)) verified.set(modelDir, verifyModelDir(modelDir));
+  try {
+    await verified.get(modelDir);
+  } catch (e) {
+    verified.delete(modelDir);
+    throw e;
+  }
+  logger.info(`[tfjs-models] ${name}: ${modelDir}`);
+  return `file://${path.join(modelDir, 'model.json')}`;
+}
+
+export default {
+  TFJS_MODELS,
+  tfjsModelsDir,
+  tfjsAllowHosted,
+  parseSha256Sums,
+  verifyModelDir,
+  resolveTfjsModel,
+};
@@ -2,19 +2,39 @@
 //
 // Purpose: Load multiple manifests (single or tiled), merge RDF stores and region
 // lists into a single in‑memory registry for cross‑image operations (clusters, queries).
+// Pixels are not loaded: sources hold lazy pixel matrices that read .pht windows on demand.
+// Images whose perceptual hashes (phash.js) are close get an md:nearDuplicateOf link.
 
 import MetadataIndex from '../common/MetadataIndex.js';
 import RegionManager from '../common/RegionManager.js';
 import Serializer from '../common/Serializer.js';
 import TiledMLSerializer from '../tiled/TiledMLSerializer.js';
+import { syncRegionGeometry } from '../common/geosparql.js';
+import {
+  MD_NEAR_DUPLICATE_OF,
+  defaultMaxDistance,
+  hammingDistance,
+  imageHashes,
+} from '../common/phash.js';
+import { DataFactory } from 'n3';
 import { promises as fs } from 'fs';
 import { logger } from '../common/logger.js';
 
+const { namedNode, quad } = DataFactory;
+
 class GlobalRegistry {
-  constructor() {
+  /**
+   * @param {{nearDuplicateDistance?:number}} [options]
+   *        nearDuplicateDistance – max pHash Hamming distance for md:nearDuplicateOf
+   *        (default NEAR_DUPLICATE_DISTANCE, else 8)
+   */
+  constructor(options = {}) {
     this.metadataIndex = new MetadataIndex();
     this.regionManager = new RegionManager();
     this.sources = []; // e.g. { path, tiles, metadataIndex, regionManager }
+    this.nearDuplicates = []; // [{image, duplicateOf, distance}] image IRIs
+    this.nearDuplicateDistance =
+      options.nearDuplicateDistance ?? defaultMaxDistance();
   }
 
   /**
@@ -38,19 +58,23 @@ class GlobalRegistry {
         tiles: t,
         metadataIndex: mi,
         regionManager: rm,
-      } = await TiledMLSerializer.load(jsonFilePath);
+      } = await TiledMLSerializer.load(jsonFilePath, { lazy: true });
       tiles = t;
       metadataIndex = mi;
       regionManager = rm;
     } else {
       // single-file approach
       const ser = new Serializer(null, null, null);
-      const result = await ser.load(jsonFilePath);
+      const result = await ser.load(jsonFilePath, { lazy: true });
       metadataIndex = result.metadataIndex;
       regionManager = result.regionManager;
       pixelMatrix = result.pixelMatrix || null;
     }
 
+    // Manifests written before GeoSPARQL support have no geo:asWKT triples yet
+    const georef = rawData.georef || null;
+    syncRegionGeometry(metadataIndex, regionManager.regions, { georef });
+
     // Merge into global
     for (const [hashKey, md] of Object.entries(metadataIndex.index)) {
       this.metadataIndex.index[hashKey] = md;
@@ -68,12 +92,48 @@ class GlobalRegistry {
       pixelMatrix,
       metadataIndex,
       regionManager,
+      georef,
+      transform: rawData.transform || null,
     });
+    this.linkNearDuplicates(metadataIndex.store);
 
     logger.info(
       `GlobalRegistry: Merged data from ${jsonFilePath} (tiled=${isTiled}).`,
     );
   }
+
+  /**
+   * Link the hashed images of a newly merged source to earlier images within
+   * `nearDuplicateDistance` bits: <new> md:nearDuplicateOf <earlier>. Manifests written
+   * before perceptual hashes existed have none and are skipped.
+   * @param {import('n3').Store} sourceStore
+   */
+  linkNearDuplicates(sourceStore) {
+    const added = imageHashes(sourceStore);
+    if (!added.length) return;
+    const own = new Set(added.map((h) => h.image));
+    const earlier = imageHashes(this.metadataIndex.store).filter(
+      (h) => !own.has(h.image),
+    );
+    const store = this.metadataIndex.store;
+    const p = namedNode(MD_NEAR_DUPLICATE_OF);
+    for (const a of added)
+      for (const b of earlier) {
+        const distance = hammingDistance(a.perceptualHash, b.perceptualHash);
+        if (distance > this.nearDuplicateDistance) continue;
+        const q = quad(namedNode(a.image), p, namedNode(b.image));
+        if (store.has(q)) continue;
+        store.addQuad(q);
+        this.nearDuplicates.push({
+          image: a.image,
+          duplicateOf: b.image,
+          distance,
+        });
+        logger.info(
+          `GlobalRegistry: ${a.image} is a near-duplicate of ${b.image} (${distance} bits)`,
+        );
+      }
+  }
 }
 
 export default GlobalRegistry;
@@ -1,7 +1,8 @@
 // ImageProcessor.js
 //
 // 1.  Decodes the *entire* image (Sharp) so the viewer shows exact pixels.
-// 2.  Runs COCO-SSD + DeepLab once on the full frame.
+// 2.  Runs the profile's detectors (COCO-SSD + DeepLab + faces by default,
+//     detectors.js) once on the full frame.
 // 3.  Writes only **region‑level** metadata and provenance triples
 //     - no per-pixel metadata at all.
 // 4.  Uses a worker-thread pool to copy pixels into PixelMatrix
@@ -10,17 +11,26 @@
 
 import { Worker, isMainThread, parentPort, workerData } from 'worker_threads';
 import os from 'os';
-import sharp from 'sharp';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 
 import PixelMatrix from '../common/PixelMatrix.js';
 import MetadataIndex, { safeLocalName } from '../common/MetadataIndex.js';
 import RegionManager from '../common/RegionManager.js';
+import { defaultMergeStrategy } from '../common/merge-strategies.js';
 import MLProcessor from './MLProcessor.js';
 import OntologyExt from '../common/OntologyExtensions.js';
 import { autoCreateRelationships as linkSpatial } from '../common/spatial-links.js';
-import ADE20K_LABELS from '../../models/ade20k_labels.js';
+import { syncRegionGeometry } from '../common/geosparql.js';
+import {
+  readImageMetadata,
+  upsertImageMetadata,
+} from '../common/image-metadata.js';
+import { attachMask, maskBoundary, maskComponents } from '../common/mask.js';
+import { decodeImage } from '../common/image-transform.js';
+import { perceptualHash, upsertPerceptualHash } from '../common/phash.js';
+import { describeRegionColors } from '../common/color-descriptors.js';
+import { updateRegionDetection } from '../common/region-metadata.js';
 import { logger } from '../common/logger.js';
 import fs from 'fs/promises';
 
@@ -46,10 +56,15 @@ class ImageProcessor {
    * @param {Object} [options]
    *        mergeRegions              - boolean, default true
    *        mergeIoUThreshold         - number,  default 0.5
+   *        mergeStrategy             - union | nms | soft-nms | wbf (default MERGE_STRATEGY, else nms)
+   *        mergeClassThresholds      - per-class IoU thresholds { localName: iou }
+   *        softNmsMethod             - linear | gaussian (default linear)
+   *        softNmsSigma              - gaussian σ (default 0.5)
+   *        softNmsMinScore           - Soft-NMS drops regions below this confidence (default 0.3)
    *        minSegmentationConfidence - number,  default 0.7 (70%)
    *        spatialRelationships      - boolean (default true)
    *        nearDistance              - px distance for near (default 100)
-   *        maxNearPairs              - cap near pairs (default 500)
+   *        maxNearPairs              - optional cap on near pairs (default none)
    *        containsEnabled           - toggle contains (default true)
    *        nearEnabled               - toggle near (default true)
    *        minRegionAreaForNear      - skip tiny regions for near (default 25)
@@ -59,6 +74,21 @@ class ImageProcessor {
    *        edgeTouchEnabled          - emit intersectsEdge when only touching edge (default true)
    *        insideRatioEnabled        - emit inside + insideRatio (default true)
    *        minInsideRatio            - minimum (A inside B area / A area) to count (default 0.9)
+   *        directionalEnabled        - emit leftOf/rightOf/above/below (default true)
+   *        directionTolerance        - degrees off the axis still counted as a direction (default 30)
+   *        directionalDistance       - max centre distance for directions (default nearDistance)
+   *        adjacencyEnabled          - emit adjacentTo for boxes within adjacencyGap (default true)
+   *        adjacencyGap              - px gap between boxes still adjacent (default 5)
+   *        depthOrderEnabled         - emit inFrontOf/behind from occlusion (default true)
+   *        minOcclusionContrast      - coverage difference that decides front/behind (default 0.1)
+   *        segmentationMasks         - store DeepLab regions as RLE mask + polygon (default true)
+   *        splitSegments             - one DeepLab region per connected part of a class (default true)
+   *        minSegmentArea            - drop parts smaller than this many px (default 1024)
+   *        stripGps                  - keep EXIF/XMP GPS out of the graph (default STRIP_GPS)
+   *        autoOrient                - store pixels upright per EXIF orientation (default AUTO_ORIENT, on)
+   *        perceptualHash            - precomputed pHash (ingest.js); computed from the pixels when null
+   *        colorDescriptors          - store md:dominantColor / md:colorHistogram per region (default COLOR_DESCRIPTORS, on)
+   *        detectors                 - detector names to run (default DETECTORS, else the performanceProfile's)
    */
   constructor(imageBuffer, imageName, options = {}) {
     this.imageBuffer = imageBuffer;
@@ -66,10 +96,15 @@ class ImageProcessor {
     this.options = {
       mergeRegions: true,
       mergeIoUThreshold: 0.5,
+      mergeStrategy: defaultMergeStrategy(),
+      mergeClassThresholds: {},
+      softNmsMethod: 'linear',
+      softNmsSigma: 0.5,
+      softNmsMinScore: 0.3,
       minSegmentationConfidence: 0.7,
       spatialRelationships: true,
       nearDistance: 100,
-      maxNearPairs: 500,
+      maxNearPairs: null, // no cap: candidate pairs come from the R-tree
       containsEnabled: true,
       nearEnabled: true,
       minRegionAreaForNear: 25,
@@ -80,8 +115,24 @@ class ImageProcessor {
       edgeTouchEnabled: true,
       insideRatioEnabled: true,
       minInsideRatio: 0.9,
+      directionalEnabled: true,
+      directionTolerance: 30,
+      directionalDistance: null, // null: nearDistance
+      adjacencyEnabled: true,
+      adjacencyGap: 5,
+      depthOrderEnabled: true,
+      minOcclusionContrast: 0.1,
+      segmentationMasks: true,
+      splitSegments: true,
+      minSegmentArea: 1024,
       facePrivacy: true, // default on: enable face detection + blur action triples
       minFaceConfidence: 0.6,
+      stripGps: /^(1|true|yes)$/i.test(process.env.STRIP_GPS || ''),
+      autoOrient: /^(1|true|yes)$/i.test(process.env.AUTO_ORIENT || '1'),
+      perceptualHash: null,
+      colorDescriptors: /^(1|true|yes)$/i.test(
+        process.env.COLOR_DESCRIPTORS || '1',
+      ),
       ...options,
     };
 
@@ -89,6 +140,7 @@ class ImageProcessor {
     this.safeName = sanitizeName(options.safeName || 'singleImage');
 
     this.pixelMatrix = null;
+    this.transform = null; // original → stored frame (image-transform.js), null when upright
     this.metadataIndex = new MetadataIndex();
     this.regionManager = new RegionManager();
     this.mlProcessor = new MLProcessor();
@@ -97,31 +149,23 @@ class ImageProcessor {
 
   /* ─────────────────── automated ML regions ─────────────────── */
 
-  async defineAutomatedRegions(timer) {
-    await this.mlProcessor.loadCocoModel();
-    if (this.options.performanceProfile !== 'fast') {
-      await this.mlProcessor.loadDeepLabModel();
-    }
-    if (this.options.facePrivacy !== false) {
-      await this.mlProcessor.loadFaceDetectorModel();
-    }
+  async defineAutomatedRegions(timer, image) {
+    await this.mlProcessor.loadDetectors(this.options);
     if (timer) timer.mark('loadModels');
 
-    const { detections, deeplabSegmentation, faces } =
-      await this.mlProcessor.detectRegions(this.imageBuffer);
+    const { objects, segments, faces } =
+      await this.mlProcessor.detectRegions(image);
     if (timer) timer.mark('detect');
 
-    const _COCO_URI = 'http://example.org/model#COCO_SSD'; // unused (reserved for future provenance)
-    const _DL_URI = 'http://example.org/model#DeepLab'; // unused (reserved for future provenance)
-
-    /* ---------- COCO‑SSD ------------------------------------- */
-    detections.forEach((det) => {
-      const raw = det.class || det.label; // what TF-JS actually gives
+    /* ---------- object detectors (COCO‑SSD) ------------------ */
+    objects.forEach((det) => {
+      const { detector } = det;
+      const raw = det.label; // what the model reports
       const local = safeLocalName(raw); // traffic light → traffic_light
       const regId = this.regionManager.defineRegion(det.boundary, [local], {
         description: `Auto: ${raw}`,
-        confidence: det.score ?? det.confidence, // tfjs → score
-        model: 'coco-ssd',
+        confidence: det.confidence,
+        model: detector.model,
         classLabel: local,
       });
 
@@ -130,7 +174,9 @@ class ImageProcessor {
       this.regionManager.regions[regId].metadata.uri = uri;
 
       // provenance (for eval)
-      this.regionManager.regions[regId].provenance = { detectedBy: 'coco-ssd' };
+      this.regionManager.regions[regId].provenance = {
+        detectedBy: detector.model,
+      };
 
       /* flat JSON metadata */
       this.metadataIndex.insert(
@@ -139,12 +185,12 @@ class ImageProcessor {
         { regionId: regId },
         {
           description: `Auto: ${raw}`,
-          confidence: det.score ?? det.confidence,
+          confidence: det.confidence,
           x: bb.x1,
           y: bb.y1,
           w: bb.x2 - bb.x1,
           h: bb.y2 - bb.y1,
-          model: 'coco-ssd',
+          model: detector.model,
           classLabel: local,
         },
         'singleImage',
@@ -161,13 +207,13 @@ class ImageProcessor {
       ex:y          ${bb.y1} ;
       ex:w          ${bb.x2 - bb.x1} ;
       ex:h          ${bb.y2 - bb.y1} ;
-      ex:confidence ${det.score ?? det.confidence} ;
-      ex:detectedBy <http://example.org/model/coco-ssd> .
+      ex:confidence ${det.confidence} ;
+      ex:detectedBy <${detector.modelUri}> .
       `);
       // raw model dump capture
       this._rawModel.detections.push({
         class: local,
-        score: det.score ?? det.confidence,
+        score: det.confidence,
         x: bb.x1,
         y: bb.y1,
         w: bb.x2 - bb.x1,
@@ -175,56 +221,50 @@ class ImageProcessor {
       });
     });
 
-    /* ---------- DeepLab segmentation ------------------------- */
-    if (deeplabSegmentation && this.options.performanceProfile !== 'fast') {
-      const { legend, segmentationMap, width, height } = deeplabSegmentation;
-      const total = segmentationMap.length;
-
-      /* count pixels / class */
-      const freq = new Map();
-      for (let i = 0; i < total; i++) {
-        const id = segmentationMap[i];
-        freq.set(id, (freq.get(id) || 0) + 1);
-      }
-
-      freq.forEach((pix, id) => {
-        if (id === 0) return; // background
-        const conf = pix / total;
-        if (conf < this.options.minSegmentationConfidence) return;
-
-        const entry = legend[id] ?? {};
-        const raw = entry.name || entry.label || ADE20K_LABELS[id];
-        const lbl = safeLocalName(raw || `class-${id}`);
-
+    /* ---------- segmentation (DeepLab) ----------------------- */
+    segments.forEach((seg) => {
+      const { detector } = seg;
+      const conf = seg.confidence; // share of the frame
+      if (conf < this.options.minSegmentationConfidence) return;
+      const lbl = safeLocalName(seg.label);
+      const id = seg.classId;
+
+      // one region per connected part of the class (or one full-frame region
+      // when neither masks nor splitting are enabled)
+      for (const mask of this.segmentParts(seg.mask)) {
         const regId = this.regionManager.defineRegion(
-          { x1: 0, y1: 0, x2: width, y2: height },
+          mask
+            ? maskBoundary(mask)
+            : { x1: 0, y1: 0, x2: image.width, y2: image.height },
           [lbl],
           {
-            description: `DeepLab class: ${lbl}`,
+            description: `${detector.title} class: ${lbl}`,
             confidence: conf,
             classId: id,
             classLabel: lbl,
-            model: 'deeplab',
+            model: detector.model,
           },
         );
+        if (mask && this.options.segmentationMasks)
+          attachMask(this.regionManager.regions[regId], mask);
 
         const uri = `uri://${this.imageName}/singleImage/${regId}`; // unified scheme
         const bb = this.regionManager.regions[regId].boundary; // get real bbox
         this.regionManager.regions[regId].metadata.uri = uri;
 
         this.regionManager.regions[regId].provenance = {
-          detectedBy: 'deeplab',
+          detectedBy: detector.model,
         };
         this.metadataIndex.insert(
           'region',
           this.imageName,
           { regionId: regId },
           {
-            description: `DeepLab class: ${lbl}`,
+            description: `${detector.title} class: ${lbl}`,
             confidence: conf,
             classId: id,
             classLabel: lbl,
-            model: 'deeplab',
+            model: detector.model,
             x: bb.x1,
             y: bb.y1,
             w: bb.x2 - bb.x1,
@@ -245,76 +285,76 @@ class ImageProcessor {
                     ex:w          ${bb.x2 - bb.x1} ;
                     ex:h          ${bb.y2 - bb.y1} ;
                     ex:confidence ${conf} ;
-                    ex:detectedBy <http://example.org/model/deeplab-ade20k> .
+                    ex:detectedBy <${detector.modelUri}> .
   `);
         this._rawModel.deeplab.push({ class: lbl, score: conf });
-      });
-    }
+      }
+    });
 
     /* ---------- Face Detection (privacy) --------------------- */
-    if (Array.isArray(faces) && faces.length) {
-      faces
-        .filter((f) => (f.confidence ?? 1) >= this.options.minFaceConfidence)
-        .forEach((f) => {
-          const regId = this.regionManager.defineRegion(f.boundary, ['face'], {
-            description: 'Auto: face',
-            confidence: f.confidence ?? 1,
-            model: 'face-detection',
-            classLabel: 'face',
-          });
-          const uri = `uri://${this.imageName}/singleImage/${regId}`;
-          const bb = this.regionManager.regions[regId].boundary;
-          this.regionManager.regions[regId].metadata.uri = uri;
-
-          this.regionManager.regions[regId].provenance = {
-            detectedBy: 'face-detection',
-          };
-          this.metadataIndex.insert(
-            'region',
-            this.imageName,
-            { regionId: regId },
-            {
-              description: 'Auto: face',
-              confidence: f.confidence ?? 1,
-              x: bb.x1,
-              y: bb.y1,
-              w: bb.x2 - bb.x1,
-              h: bb.y2 - bb.y1,
-              model: 'face-detection',
-              classLabel: 'face',
-            },
-            'singleImage',
-          );
+    faces
+      .filter((f) => f.confidence >= this.options.minFaceConfidence)
+      .forEach((f) => {
+        const { detector } = f;
+        const lbl = safeLocalName(f.label);
+        const regId = this.regionManager.defineRegion(f.boundary, [lbl], {
+          description: `Auto: ${f.label}`,
+          confidence: f.confidence,
+          model: detector.model,
+          classLabel: lbl,
+        });
+        const uri = `uri://${this.imageName}/singleImage/${regId}`;
+        const bb = this.regionManager.regions[regId].boundary;
+        this.regionManager.regions[regId].metadata.uri = uri;
 
-          // RDF: detectedBy and privacy action (planned/actual)
-          this.metadataIndex.insertQuads(`
-            @prefix ex:  <http://example.org/> .
-            @prefix md:  <http://example.org/metadata#> .
-            <${uri}>  a             ex:face ;
-                      ex:within     <urn:image:${this.safeName}> ;
-                      ex:x          ${bb.x1} ;
-                      ex:y          ${bb.y1} ;
-                      ex:w          ${bb.x2 - bb.x1} ;
-                      ex:h          ${bb.y2 - bb.y1} ;
-                      ex:confidence ${f.confidence ?? 1} ;
-                      md:detectedBy <http://example.org/model/face-detection> .
-          `);
-          // Record that a blur privacy action is applicable/performed
-          const action = `urn:privacy:blur:${Date.now()}:${regId}`;
-          this.metadataIndex.insertQuads(`
-            @prefix ex:  <http://example.org/> .
-            @prefix md:  <http://example.org/metadata#> .
-            <${action}> a md:PrivacyAction ; md:action "blur" ; md:target <${uri}> .
-          `);
-          this._rawModel.faces.push({
-            confidence: f.confidence ?? 1,
+        this.regionManager.regions[regId].provenance = {
+          detectedBy: detector.model,
+        };
+        this.metadataIndex.insert(
+          'region',
+          this.imageName,
+          { regionId: regId },
+          {
+            description: `Auto: ${f.label}`,
+            confidence: f.confidence,
             x: bb.x1,
             y: bb.y1,
             w: bb.x2 - bb.x1,
             h: bb.y2 - bb.y1,
-          });
+            model: detector.model,
+            classLabel: lbl,
+          },
+          'singleImage',
+        );
+
+        // RDF: detectedBy and privacy action (planned/actual)
+        this.metadataIndex.insertQuads(`
+          @prefix ex:  <http://example.org/> .
+          @prefix md:  <http://example.org/metadata#> .
+          <${uri}>  a             ex:${lbl} ;
+                    ex:within     <urn:image:${this.safeName}> ;
+                    ex:x          ${bb.x1} ;
+                    ex:y          ${bb.y1} ;
+                    ex:w          ${bb.x2 - bb.x1} ;
+                    ex:h          ${bb.y2 - bb.y1} ;
+                    ex:confidence ${f.confidence} ;
+                    md:detectedBy <${detector.modelUri}> .
+        `);
+        // Record that a blur privacy action is applicable/performed
+        const action = `urn:privacy:blur:${Date.now()}:${regId}`;
+        this.metadataIndex.insertQuads(`
+          @prefix ex:  <http://example.org/> .
+          @prefix md:  <http://example.org/metadata#> .
+          <${action}> a md:PrivacyAction ; md:action "blur" ; md:target <${uri}> .
+        `);
+        this._rawModel.faces.push({
+          confidence: f.confidence,
+          x: bb.x1,
+          y: bb.y1,
+          w: bb.x2 - bb.x1,
+          h: bb.y2 - bb.y1,
         });
-    }
+      });
 
     if (this.options.mergeRegions) {
       const preUriMap = new Map(
@@ -323,7 +363,29 @@ class ImageProcessor {
       const preMergeCount = this.regionManager.regions.length;
       const prov = this.regionManager.mergeOverlappingRegions(
         this.options.mergeIoUThreshold,
+        {
+          strategy: this.options.mergeStrategy,
+          classThresholds: this.options.mergeClassThresholds,
+          softNmsMethod: this.options.softNmsMethod,
+          softNmsSigma: this.options.softNmsSigma,
+          softNmsMinScore: this.options.softNmsMinScore,
+        },
       );
+      // survivors whose box or confidence the strategy moved
+      prov
+        .filter((p) => p.changed)
+        .forEach((p) => {
+          const { boundary: bb, metadata } =
+            this.regionManager.regions[p.target];
+          if (!metadata?.uri) return;
+          updateRegionDetection(this.metadataIndex, metadata.uri, {
+            x: bb.x1,
+            y: bb.y1,
+            w: bb.x2 - bb.x1,
+            h: bb.y2 - bb.y1,
+            confidence: metadata.confidence,
+          });
+        });
       if (prov && prov.some((p) => p.sources.length > 1)) {
         const ts = Date.now();
         prov.forEach((p) => {
@@ -334,7 +396,7 @@ class ImageProcessor {
             targetRegion.metadata.uri = `uri://${this.imageName}/singleImage/${targetRegion.id}`; // unified scheme
           const eventNode = `urn:merge:${this.imageName}:${ts}:${p.target}`;
           this.metadataIndex.insertQuads(
-            `@prefix ex:<http://example.org/> . <${eventNode}> a ex:MergeEvent .`,
+            `@prefix ex:<http://example.org/> . <${eventNode}> a ex:MergeEvent ; ex:mergeStrategy "${p.strategy}" .`,
           );
           p.sources.forEach((srcId) => {
             const srcUri =
@@ -392,23 +454,54 @@ class ImageProcessor {
     }
   }
 
+  /**
+   * Regions to define for one segmentation class mask (image pixels): one per 8-connected
+   * part of at least `minSegmentArea` pixels when `splitSegments` is on, else the whole
+   * class. Returns [null] when neither masks nor splitting are enabled (full-frame box).
+   */
+  segmentParts(mask) {
+    const { segmentationMasks, splitSegments, minSegmentArea } = this.options;
+    if (!segmentationMasks && !splitSegments) return [null];
+    if (!mask) return [];
+    return splitSegments
+      ? maskComponents(mask, { minArea: minSegmentArea })
+      : [mask];
+  }
+
   /* ───────────────────── pipeline driver ───────────────────── */
 
   async processImage(timer) {
     logger.info(`── ImageProcessor ▶ ${this.imageName}`);
 
-    /* Decode pixels (RGBA) */
-    const { data, info } = await sharp(this.imageBuffer, { failOnError: false })
-      .raw()
-      .ensureAlpha()
-      .toBuffer({ resolveWithObject: true });
+    /* Decode pixels (RGBA), upright per EXIF orientation */
+    const { data, info, transform } = await decodeImage(this.imageBuffer, {
+      autoOrient: this.options.autoOrient,
+    });
+    const { width, height, channels } = info;
+    this.transform = transform;
     if (timer) timer.mark('decode');
 
-    const { width, height, channels } = info;
     this.pixelMatrix = new PixelMatrix(width, height, channels);
 
+    /* Camera metadata (EXIF/XMP/IPTC) on the image node */
+    const stripGps = this.options.stripGps;
+    this.imageMetadata = await readImageMetadata(this.imageBuffer, {
+      stripGps,
+    });
+    upsertImageMetadata(this.metadataIndex, this.safeName, this.imageMetadata, {
+      stripGps,
+    });
+    this.perceptualHash =
+      this.options.perceptualHash ||
+      (await perceptualHash(data, { raw: { width, height, channels } }));
+    upsertPerceptualHash(
+      this.metadataIndex,
+      this.safeName,
+      this.perceptualHash,
+    );
+
     /* Run ML & create regions */
-    await this.defineAutomatedRegions(timer);
+    await this.defineAutomatedRegions(timer, { data, width, height, channels });
 
     /* Materialize pixels into PixelMatrix
        - Default: worker-thread copy (existing behavior)
@@ -488,6 +581,15 @@ class ImageProcessor {
       await Promise.all(tasks);
     }
     if (timer) timer.mark('pixelCopy');
+    if (this.options.colorDescriptors) {
+      await describeRegionColors(
+        this.regionManager.regions,
+        this.pixelMatrix,
+        this.metadataIndex,
+      );
+      if (timer) timer.mark('colors');
+    }
+    syncRegionGeometry(this.metadataIndex, this.regionManager.regions);
     this.emitProcessingParams();
     this.autoCreateRelationships();
     if (timer) timer.mark('relations');
@@ -540,6 +642,10 @@ ImageProcessor.prototype.emitProcessingParams = function () {
     const params = {
       mergeRegions: this.options.mergeRegions,
       mergeIoUThreshold: this.options.mergeIoUThreshold,
+      mergeStrategy: this.options.mergeStrategy,
+      softNmsMethod: this.options.softNmsMethod,
+      softNmsSigma: this.options.softNmsSigma,
+      softNmsMinScore: this.options.softNmsMinScore,
       minSegmentationConfidence: this.options.minSegmentationConfidence,
       spatialRelationships: this.options.spatialRelationships,
       nearDistance: this.options.nearDistance,
@@ -547,6 +653,9 @@ ImageProcessor.prototype.emitProcessingParams = function () {
       containsEnabled: this.options.containsEnabled,
       nearEnabled: this.options.nearEnabled,
       minRegionAreaForNear: this.options.minRegionAreaForNear,
+      directionalEnabled: this.options.directionalEnabled,
+      adjacencyEnabled: this.options.adjacencyEnabled,
+      depthOrderEnabled: this.options.depthOrderEnabled,
       regionCount: this.regionManager.regions.length,
     };
     const lines = [
@@ -555,10 +664,18 @@ ImageProcessor.prototype.emitProcessingParams = function () {
       `<${run}> a ex:ProcessingRun .`,
     ];
     Object.entries(params).forEach(([k, v]) => {
+      if (v === undefined || v === null) return;
       lines.push(
         `<${run}> ex:processingParam [ ex:key "${k}" ; ex:value "${v}" ] .`,
       );
     });
+    Object.entries(this.options.mergeClassThresholds || {}).forEach(
+      ([cls, thr]) => {
+        lines.push(
+          `<${run}> ex:processingParam [ ex:key "mergeClassThreshold" ; ex:class "${cls}" ; ex:value "${thr}" ] .`,
+        );
+      },
+    );
     this.metadataIndex.insertQuads(lines.join('\n'));
   } catch (e) {
     import('../common/logger.js').then(({ logger }) =>
@@ -29,7 +29,7 @@ const __dirname = path.dirname(__filename);
 /**
  * Process a single image end‑to‑end (decode → ML → relationships → serialize → integrity).
  * @param {string} srcPath - path to input image
- * @param {{performanceProfile?:string,facePrivacy?:boolean}} opts
+ * @param {{performanceProfile?:string,facePrivacy?:boolean,stripGps?:boolean,autoOrient?:boolean,perceptualHash?:string}} opts
  */
 export async function processImage(srcPath, opts = {}) {
   try {
@@ -57,6 +57,11 @@ export async function processImage(srcPath, opts = {}) {
       safeName: safeName,
       performanceProfile: opts.performanceProfile || 'balanced',
       facePrivacy: opts.facePrivacy,
+      ...(opts.stripGps !== undefined ? { stripGps: !!opts.stripGps } : {}),
+      ...(opts.autoOrient !== undefined
+        ? { autoOrient: !!opts.autoOrient }
+        : {}),
+      ...(opts.perceptualHash ? { perceptualHash: opts.perceptualHash } : {}),
     });
     await ip.processImage(timer);
     timer.mark('ml+copy+relations');
@@ -68,7 +73,7 @@ export async function processImage(srcPath, opts = {}) {
       ip.metadataIndex,
       ip.regionManager,
     );
-    await ser.save(jsonPath); // writes <safeName>.pht too
+    await ser.save(jsonPath, { transform: ip.transform }); // writes <safeName>.pht too
     timer.mark('serialize');
     // Write raw model dump (detections) for transformation fidelity eval
     if (ip._rawModel && !process.env.SKIP_RAW_DUMP) {
@@ -86,7 +91,8 @@ export async function processImage(srcPath, opts = {}) {
     const phtPath = path.join(outDir, `${safeName}.pht`);
 
     await IntegrityManager.storeFileHashes(jsonPath, phtPath);
-    await IntegrityManager.verifyFileHashes(jsonPath);
+    const report = await IntegrityManager.verifyFileHashes(jsonPath);
+    if (!report.ok) throw new Error(IntegrityManager.formatReport(report));
     timer.mark('integrity');
     timer.flush({ ok: true });
 
@@ -122,9 +128,9 @@ if (import.meta.url === pathToFileURL(process.argv[1]).href) {
   }
   if (!img) {
     logger.error(
-      `Usage: node Main.js <image> [--profile fast|balanced|quality] [--privacy on|off] (default: ${
+      `Usage: node Main.js <image> [--profile fast|balanced|quality] [--privacy on|off (default: ${
         defaultPrivacy ? 'on' : 'off'
-      })`,
+      })] [--strip-gps] [--no-auto-orient]`,
     );
     process.exit(1);
   }
@@ -132,7 +138,12 @@ if (import.meta.url === pathToFileURL(process.argv[1]).href) {
   let profile = process.env.PERF_PROFILE || 'balanced';
   if (profileFlagIdx !== -1 && args[profileFlagIdx + 1])
     profile = args[profileFlagIdx + 1];
-  processImage(img, { performanceProfile: profile, facePrivacy }).catch(
-    () => (process.exitCode = 1),
-  );
+  const stripGps = args.includes('--strip-gps') ? true : undefined;
+  const autoOrient = args.includes('--no-auto-orient') ? false : undefined;
+  processImage(img, {
+    performanceProfile: profile,
+    facePrivacy,
+    stripGps,
+    autoOrient,
+  }).catch(() => (process.exitCode = 1));
 }
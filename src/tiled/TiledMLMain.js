@@ -14,6 +14,7 @@ import IntegrityManager from '../common/IntegrityManager.js';
 import { logger } from '../common/logger.js';
 import { ensureDefaultSlimJson } from '../common/env-defaults.js';
 import { StageTimer } from '../common/perf-metrics.js';
+import { readGeoreference } from '../common/georef.js';
 
 // Default PHT_SLIM_JSON to 0 only if unset
 ensureDefaultSlimJson('TiledMLMain');
@@ -31,6 +32,12 @@ export async function processImage(srcPath, opts = {}) {
     });
     const buf = await fs.readFile(srcPath);
     timer.mark('readFile');
+    // World file / GeoTIFF tags → pixel→CRS transform for aerial & satellite images
+    const georef = await readGeoreference(srcPath, buf, { crs: opts.crs });
+    if (georef)
+      logger.info(
+        `${path.basename(srcPath)}: georeferenced (${georef.source}, ${georef.crs || 'no CRS'})`,
+      );
 
     const rawName = path.basename(srcPath, path.extname(srcPath));
     const safeName = rawName
@@ -53,6 +60,13 @@ export async function processImage(srcPath, opts = {}) {
         opts.performanceProfile || process.env.PERF_PROFILE || 'balanced',
       facePrivacy:
         opts.facePrivacy !== undefined ? !!opts.facePrivacy : defaultPrivacy,
+      ...(opts.pyramid !== undefined ? { pyramid: !!opts.pyramid } : {}),
+      ...(opts.stripGps !== undefined ? { stripGps: !!opts.stripGps } : {}),
+      ...(opts.autoOrient !== undefined
+        ? { autoOrient: !!opts.autoOrient }
+        : {}),
+      ...(opts.perceptualHash ? { perceptualHash: opts.perceptualHash } : {}),
+      georef,
     });
     await tp.processImage(timer);
     timer.mark('tile+detect+merge+relations');
@@ -64,6 +78,7 @@ export async function processImage(srcPath, opts = {}) {
       tp.metadataIndex,
       tp.regionManager,
       jsonPath,
+      { pyramid: tp.pyramid, georef: tp.georef, transform: tp.transform },
     );
     timer.mark('serialize');
 
@@ -83,7 +98,8 @@ export async function processImage(srcPath, opts = {}) {
       path.join(outDir, `${safeName}_tile_${i}.pht`),
     );
     await IntegrityManager.storeTileHashes(jsonPath, tilePaths);
-    await IntegrityManager.verifyTileHashes(jsonPath);
+    const report = await IntegrityManager.verifyTileHashes(jsonPath);
+    if (!report.ok) throw new Error(IntegrityManager.formatReport(report));
     timer.mark('integrity');
     timer.flush({ ok: true });
 
@@ -117,7 +133,7 @@ if (import.meta.url === pathToFileURL(process.argv[1]).href) {
   }
   if (!img) {
     logger.error(
-      `Usage: node TiledMLMain.js <image> [--profile fast|balanced|quality] [--privacy on|off] (default: ${
+      `Usage: node TiledMLMain.js <image> [--profile fast|balanced|quality] [--privacy on|off] [--pyramid] [--crs EPSG:<code>] [--strip-gps] [--no-auto-orient] (default: ${
         defaultPrivacy ? 'on' : 'off'
       })`,
     );
@@ -126,7 +142,15 @@ if (import.meta.url === pathToFileURL(process.argv[1]).href) {
   let profile = process.env.PERF_PROFILE || 'balanced';
   const pIdx = args.indexOf('--profile');
   if (pIdx !== -1 && args[pIdx + 1]) profile = args[pIdx + 1];
-  processImage(img, { performanceProfile: profile, facePrivacy }).catch(() =>
-    process.exit(1),
-  );
+  const pyramid = args.includes('--pyramid') ? true : undefined;
+  const cIdx = args.indexOf('--crs');
+  const crs = cIdx !== -1 ? args[cIdx + 1] : undefined;
+  processImage(img, {
+    performanceProfile: profile,
+    facePrivacy,
+    pyramid,
+    crs,
+    stripGps: args.includes('--strip-gps') ? true : undefined,
+    autoOrient: args.includes('--no-auto-orient') ? false : undefined,
+  }).catch(() => process.exit(1));
 }
@@ -2,54 +2,55 @@
 //
 // Purpose: Tile‑based processing for very large images. Generates PixelMatrix tiles,
 // runs detections/segmentations per tile, transforms coordinates to global space,
-// merges overlapping regions by IoU, and records merge provenance.
+// merges overlapping regions by IoU (per-class NMS by default, merge-strategies.js), and
+// records merge provenance.
 //
-// Tile-based COCO-SSD + DeepLab pipeline that stores **exactly** the same
+// Tile-based pipeline running the profile's detectors (COCO-SSD + DeepLab + faces by
+// default, detectors.js) that stores **exactly** the same
 // region‑metadata schema as ImageProcessor.  DeepLab classes are persisted
 // only when tile coverage >= minSegmentationConfidence (default 70%).
+// Each class is split into connected parts; parts of one class that meet across tile
+// borders are stitched into a single region after all tiles are processed.
 //
 // Key tweaks
 // ------------------------------------------------------------------
-// -  Zero-copy -> tensors are built directly from the tile's Uint8Array
+// -  Zero-copy -> detectors get the tile's Uint8Array directly
 //    (no Array.from()).
 // -  Default minSegmentationConfidence raised to 0.7 to match the
 //    single-image pipeline.
 // -  Comments & logging tidied.
 // ------------------------------------------------------------------
 
-import sharp from 'sharp';
-import * as tf from '@tensorflow/tfjs-node';
-import * as cocoSsd from '@tensorflow-models/coco-ssd';
-import * as deeplab from '@tensorflow-models/deeplab';
-import * as faceDetection from '@tensorflow-models/face-detection';
-import '@tensorflow/tfjs-backend-cpu';
-
-// module level PROMISE caches so multiple processors share model instances
-let cocoPromise = null;
-let deeplabPromise = null;
-let faceDetPromise = null;
-
-function getCoco() {
-  return (cocoPromise ??= cocoSsd.load({ base: 'lite_mobilenet_v2' }));
-}
-function getDeeplab() {
-  return (deeplabPromise ??= deeplab.load({
-    base: 'ade20k',
-    quantizationBytes: 2,
-  }));
-}
-function getFaceDetector() {
-  const model = faceDetection.SupportedModels.MediaPipeFaceDetector;
-  const cfg = { runtime: 'tfjs', maxFaces: 50 };
-  return (faceDetPromise ??= faceDetection.createDetector(model, cfg));
-}
-
 import PixelMatrix from '../common/PixelMatrix.js';
 import MetadataIndex from '../common/MetadataIndex.js';
 import RegionManager from '../common/RegionManager.js';
+import { defaultMergeStrategy } from '../common/merge-strategies.js';
+import { updateRegionDetection } from '../common/region-metadata.js';
 import OntologyExt from '../common/OntologyExtensions.js';
-import ADE20K_LABELS from '../../models/ade20k_labels.js';
 import { autoCreateRelationships as linkSpatial } from '../common/spatial-links.js';
+import { syncRegionGeometry } from '../common/geosparql.js';
+import {
+  readImageMetadata,
+  upsertImageMetadata,
+} from '../common/image-metadata.js';
+import {
+  attachMask,
+  clipMask,
+  maskArea,
+  maskBoundary,
+  maskComponents,
+  stitchMasks,
+} from '../common/mask.js';
+import { buildPyramidLevels } from './pyramid.js';
+import { decodeImage, georefToStored } from '../common/image-transform.js';
+import { perceptualHash, upsertPerceptualHash } from '../common/phash.js';
+import { describeRegionColors } from '../common/color-descriptors.js';
+import {
+  detectorNamesFor,
+  loadDetectors,
+  registerConfiguredDetectors,
+  runDetector,
+} from '../common/detectors.js';
 
 class TiledMLProcessor {
   /**
@@ -58,6 +59,11 @@ class TiledMLProcessor {
    *        tileSize                  - integer, default 512
    *        mergeRegions              - boolean, default true
    *        iouThreshold              - number,  default 0.5
+   *        mergeStrategy             - union | nms | soft-nms | wbf (default MERGE_STRATEGY, else nms)
+   *        mergeClassThresholds      - per-class IoU thresholds { localName: iou }
+   *        softNmsMethod             - linear | gaussian (default linear)
+   *        softNmsSigma              - gaussian σ (default 0.5)
+   *        softNmsMinScore           - Soft-NMS drops regions below this confidence (default 0.3)
    *        minSegmentationConfidence - number,  default 0.7 (70%)
    *        halo                      - static halo (px) when haloMode==='static'
    *        haloMode                  – 'static' | 'fraction' | 'auto'
@@ -66,11 +72,30 @@ class TiledMLProcessor {
    *        cocoClassThresholds       - per-class thresholds { localName: score }
    *        maxTiles                  - safety cap on number of tiles (optional)
    *        nearDistance              - px distance for "near" relationship (default 100)
+   *        maxNearPairs              - optional cap on near pairs (default none)
+   *        directionalEnabled        - emit leftOf/rightOf/above/below (default true)
+   *        directionTolerance        - degrees off the axis still counted as a direction (default 30)
+   *        directionalDistance       - max centre distance for directions (default nearDistance)
+   *        adjacencyEnabled          - emit adjacentTo for boxes within adjacencyGap (default true)
+   *        adjacencyGap              - px gap between boxes still adjacent (default 5)
+   *        depthOrderEnabled         - emit inFrontOf/behind from occlusion (default true)
+   *        minOcclusionContrast      - coverage difference that decides front/behind (default 0.1)
    *        tileStride                - override stride between tile keep areas (default computed = tileSize - 2*halo)
    *        adaptiveStride            - enable adaptive refinement pass (default false)
    *        densityThreshold          - avg regions/tile triggering refinement (default 5)
    *        strideReductionFactor     - factor to multiply stride for refinement (default 0.5)
    *        maxAdaptiveRounds         - max refinement passes (default 1)
+   *        pyramid                   - build downsampled pyramid levels while tiling (default PHT_PYRAMID)
+   *        pyramidMinSize            - stop adding levels once the longest side is <= this (default 256)
+   *        segmentationMasks         - store DeepLab regions as RLE mask + polygon, clipped to the keep area (default true)
+   *        splitSegments             - one DeepLab region per connected part of a class, stitched across tiles (default true)
+   *        minSegmentArea            - drop (stitched) parts smaller than this many px (default 1024)
+   *        georef                    - pixel→CRS georeference (georef.js) for WGS84 centroids/footprints (default null)
+   *        stripGps                  - keep EXIF/XMP GPS out of the graph (default STRIP_GPS)
+   *        autoOrient                - store pixels upright per EXIF orientation (default AUTO_ORIENT, on)
+   *        perceptualHash            - precomputed pHash (ingest.js); computed from the pixels when null
+   *        colorDescriptors          - store md:dominantColor / md:colorHistogram per region (default COLOR_DESCRIPTORS, on)
+   *        detectors                 - detector names to run (default DETECTORS, else the performanceProfile's)
    */
   constructor(imageBuffer, options = {}) {
     this.imageBuffer = imageBuffer;
@@ -81,6 +106,11 @@ class TiledMLProcessor {
       haloFraction: 0.1, // 10% fraction when haloMode!='static'
       mergeRegions: true,
       iouThreshold: 0.5,
+      mergeStrategy: defaultMergeStrategy(),
+      mergeClassThresholds: {},
+      softNmsMethod: 'linear',
+      softNmsSigma: 0.5,
+      softNmsMinScore: 0.3,
       minSegmentationConfidence: 0.7,
       cocoScoreThreshold: 0.5,
       cocoClassThresholds: {},
@@ -89,8 +119,15 @@ class TiledMLProcessor {
       spatialRelationships: true,
       nearEnabled: true,
       containsEnabled: true,
-      maxNearPairs: 1000,
+      maxNearPairs: null, // no cap: candidate pairs come from the R-tree
       minRegionAreaForNear: 25,
+      directionalEnabled: true,
+      directionTolerance: 30,
+      directionalDistance: null, // null: nearDistance
+      adjacencyEnabled: true,
+      adjacencyGap: 5,
+      depthOrderEnabled: true,
+      minOcclusionContrast: 0.1,
       tileStride: undefined,
       adaptiveStride: false,
       densityThreshold: 5,
@@ -99,6 +136,18 @@ class TiledMLProcessor {
       facePrivacy: true,
       minFaceConfidence: 0.6,
       performanceProfile: 'balanced', // 'fast' | 'balanced' | 'quality'
+      pyramid: /^(1|true|yes)$/i.test(process.env.PHT_PYRAMID || ''),
+      pyramidMinSize: 256,
+      segmentationMasks: true,
+      splitSegments: true,
+      minSegmentArea: 1024,
+      georef: null,
+      stripGps: /^(1|true|yes)$/i.test(process.env.STRIP_GPS || ''),
+      autoOrient: /^(1|true|yes)$/i.test(process.env.AUTO_ORIENT || '1'),
+      perceptualHash: null,
+      colorDescriptors: /^(1|true|yes)$/i.test(
+        process.env.COLOR_DESCRIPTORS || '1',
+      ),
       ...options,
     };
 
@@ -108,6 +157,11 @@ class TiledMLProcessor {
     this.metadataIndex = new MetadataIndex();
     this.regionManager = new RegionManager();
     this.tiles = [];
+    this.pyramid = []; // [{level, scale, pixelMatrix}] when options.pyramid
+    this.transform = null; // original → stored frame (image-transform.js), null when upright
+    this.georef = this.options.georef; // in stored-frame pixels once tiled
+    this.detectors = []; // loaded adapters (loadModels)
+    this._segments = []; // segment parts awaiting cross-tile stitching
     this._rawModel = {
       detections: [],
       deeplab: [],
@@ -117,24 +171,26 @@ class TiledMLProcessor {
     };
   }
 
-  /* ─────────────────── Load both TF‑JS models ─────────────────── */
+  /* ─────────────────── Load the profile's detectors ─────────────────── */
 
   async loadModels(timer) {
-    this.coco = await getCoco();
-    this.deeplab = await getDeeplab();
-    this.faceDetector = await getFaceDetector();
+    await registerConfiguredDetectors();
+    this.detectors = await loadDetectors(
+      detectorNamesFor(this.options.performanceProfile, this.options),
+    );
     if (timer) timer.mark('loadModels');
   }
 
   /* ─────────────────── Split image into tiles ─────────────────── */
 
   async tileImage(timer) {
-    // Similar raw pixel extraction: sharp raw() + toBuffer()
-    // https://sharp.pixelplumbing.com/api-output#raw
-    const { data, info } = await sharp(this.imageBuffer, { failOnError: false })
-      .raw()
-      .ensureAlpha()
-      .toBuffer({ resolveWithObject: true });
+    // Raw RGBA in the stored frame (EXIF orientation applied and recorded)
+    const { data, info, transform } = await decodeImage(this.imageBuffer, {
+      autoOrient: this.options.autoOrient,
+    });
+    this.transform = transform;
+    // a georeference describes the file's pixel grid; regions live in the stored one
+    this.georef = georefToStored(this.options.georef, transform);
 
     const { width, height, channels } = info;
     const N = this.options.tileSize;
@@ -212,364 +268,266 @@ class TiledMLProcessor {
       }
     }
     if (timer) timer.mark('tiling');
+
+    // Optional overview levels for zoomable viewing (Deep Zoom / IIIF)
+    if (this.options.pyramid) {
+      this.pyramid = buildPyramidLevels(data, width, height, channels, {
+        minSize: this.options.pyramidMinSize,
+      });
+      if (timer) timer.mark('pyramid');
+    }
   }
 
-  /* ─────────────────── Infer COCO & DL per tile ───────────────── */
+  /* ─────────────────── Run the detectors per tile ───────────────── */
 
   async detectForEachTile(tiles = this.tiles, timer) {
-    const _COCO_URI = 'http://example.org/model#COCO_SSD'; // unused (future provenance)
-    const _DL_URI = 'http://example.org/model#DeepLab'; // unused (future provenance)
-
     let tileIdx = 0;
     for (const tile of tiles) {
-      /* build a tensor directly from the tile’s Uint8Array (zero‑copy) */
-      const raw = tile.pixelMatrix.toBinary(); // Buffer ≡ Uint8Array
-      const h = tile.pixelMatrix.height;
-      const w = tile.pixelMatrix.width;
-      const ch = tile.pixelMatrix.channels;
-      let tensor = tf.tensor3d(raw, [h, w, ch], 'int32');
-
-      if (ch === 4) {
-        // drop alpha for DL/COCO
-        tensor = tensor.slice([0, 0, 0], [h, w, 3]).toInt();
-      }
-
-      /* ───── COCO-SSD bounding boxes ───── */
-      for (const det of await this.coco.detect(tensor)) {
-        const [lx, ly, lw, lh] = det.bbox;
-        const fullX1 = tile.x + lx;
-        const fullY1 = tile.y + ly;
-        const fullX2 = fullX1 + lw;
-        const fullY2 = fullY1 + lh;
-        const rawClass = det.class || det.label;
-        const localLabel = MetadataIndex.safeLocalName(rawClass);
-        const perClassThresh = this.options.cocoClassThresholds[localLabel];
-        const thresh =
-          perClassThresh != null
-            ? perClassThresh
-            : this.options.cocoScoreThreshold;
-        if (det.score < thresh) {
-          if (process.env.PHT_DEBUG_DISCARD)
-            this._rawModel.scoreFiltered.push({
-              class: rawClass,
-              score: det.score,
-            });
-          continue;
-        } // score filter
-        // Filter by center inside keep area to suppress duplicates
-        if (
-          tile.keep &&
-          ((fullX1 + fullX2) / 2 < tile.keep.x1 ||
-            (fullX1 + fullX2) / 2 > tile.keep.x2 ||
-            (fullY1 + fullY2) / 2 < tile.keep.y1 ||
-            (fullY1 + fullY2) / 2 > tile.keep.y2)
-        ) {
-          if (process.env.PHT_DEBUG_DISCARD)
-            this._rawModel.centerFiltered.push({
-              class: rawClass,
-              score: det.score,
-            });
-          continue;
-        }
-        const B = { x1: fullX1, y1: fullY1, x2: fullX2, y2: fullY2 };
-
-        // sanitise the class label once
-        const local = localLabel;
-
-        const rid = this.regionManager.defineRegion(B, [local], {
-          description: `Auto: ${det.class}`,
-          confidence: det.score,
-          model: 'coco-ssd',
-          classLabel: local,
-        });
-
-        const uri = `uri://${this.safeName}/tiledImage/${rid}`; // unified scheme <image>/<pipeline>/<id>
-        const bb = this.regionManager.regions[rid].boundary; // real bbox
-        this.regionManager.regions[rid].metadata.uri = uri;
-
-        /* flat JSON metadata (viewer + Serializer still use this) */
-        this.metadataIndex.insert(
-          'region',
-          this.safeName,
-          { regionId: rid },
-          {
-            description: `Auto: ${det.class}`,
-            confidence: det.score,
-            x: bb.x1,
-            y: bb.y1,
-            w: bb.x2 - bb.x1,
-            h: bb.y2 - bb.y1,
-            model: 'coco-ssd',
-            classLabel: local,
-          },
-          'tiledImage',
-        );
-
-        /* Turtle quads for SPARQL – self-contained with prefixes */
-        this.regionManager.regions[rid].provenance = { detectedBy: 'coco-ssd' };
-        this.metadataIndex.insertQuads(`
-          @prefix ex:  <http://example.org/> .
-          @prefix xsd: <http://www.w3.org/2001/XMLSchema#> .
-
-          <${uri}>  a             ex:${local} ;
-                    ex:within     <urn:image:${this.safeName}> ;
-                    ex:x          ${bb.x1} ;
-                    ex:y          ${bb.y1} ;
-                    ex:w          ${bb.x2 - bb.x1} ;
-                    ex:h          ${bb.y2 - bb.y1} ;
-                    ex:confidence ${det.score} ;
-                    ex:detectedBy <http://example.org/model/coco-ssd> .
-  `);
-        this._rawModel.detections.push({
-          class: local,
-          score: det.score,
-          x: bb.x1,
-          y: bb.y1,
-          w: bb.x2 - bb.x1,
-          h: bb.y2 - bb.y1,
-        });
-      }
-
-      /* ───── DeepLab semantic classes (optional based on performance) ───── */
-      if (this.options.performanceProfile !== 'fast')
+      const { pixels, width, height, channels } = tile.pixelMatrix;
+      const image = { data: pixels, width, height, channels };
+      for (const detector of this.detectors) {
+        let dets;
         try {
-          const resized = tf.image.resizeBilinear(tensor, [513, 513]).toInt();
-          const { legend, segmentationMap } =
-            await this.deeplab.segment(resized);
-          resized.dispose();
-
-          const total = segmentationMap.length;
-          const freq = new Map();
-          for (let i = 0; i < total; i++) {
-            const id = segmentationMap[i];
-            freq.set(id, (freq.get(id) || 0) + 1);
-          }
-
-          freq.forEach((pix, id) => {
-            if (id === 0) return; // background
-            const conf = pix / total;
-            if (conf < this.options.minSegmentationConfidence) return;
-
-            const entry = legend[id] ?? {};
-            const raw =
-              entry.name || entry.label || ADE20K_LABELS[id] || `class-${id}`;
-            const local = MetadataIndex.safeLocalName(raw);
-
-            // Use keep area as canonical bounding region to align with de-dup logic
-            const useKeep = tile.keep || {
-              x1: tile.x,
-              y1: tile.y,
-              x2: tile.x + w,
-              y2: tile.y + h,
-            };
-            const rid = this.regionManager.defineRegion(
-              {
-                x1: useKeep.x1,
-                y1: useKeep.y1,
-                x2: useKeep.x2,
-                y2: useKeep.y2,
-              },
-              [local],
-              {
-                description: `DeepLab class: ${local}`,
-                confidence: conf,
-                classId: id,
-                classLabel: local,
-                model: 'deeplab',
-              },
-            );
-
-            const uri = `uri://${this.safeName}/tiledImage/${rid}`; // unified scheme
-            const bb = this.regionManager.regions[rid].boundary;
-            this.regionManager.regions[rid].metadata.uri = uri;
-
-            /* flat JSON metadata */
-            this.metadataIndex.insert(
-              'region',
-              this.safeName,
-              { regionId: rid },
-              {
-                description: `DeepLab class: ${local}`,
-                confidence: conf,
-                classId: id,
-                classLabel: local,
-                model: 'deeplab',
-                x: bb.x1,
-                y: bb.y1,
-                w: bb.x2 - bb.x1,
-                h: bb.y2 - bb.y1,
-              },
-              'tiledImage',
-            );
-
-            /* Turtle triples with prefixes */
-            this.regionManager.regions[rid].provenance = {
-              detectedBy: 'deeplab',
-            };
-            this.metadataIndex.insertQuads(`
-            @prefix ex:  <http://example.org/> .
-            @prefix xsd: <http://www.w3.org/2001/XMLSchema#> .
-
-            <${uri}>  a             ex:${local} ;
-                      ex:within     <urn:image:${this.safeName}> ;
-                      ex:x          ${bb.x1} ;
-                      ex:y          ${bb.y1} ;
-                      ex:w          ${bb.x2 - bb.x1} ;
-                      ex:h          ${bb.y2 - bb.y1} ;
-                      ex:confidence ${conf} ;
-                      ex:detectedBy <http://example.org/model/deeplab-ade20k> .
-          `);
-            this._rawModel.deeplab.push({ class: local, score: conf });
-          });
+          dets = await runDetector(detector, image, { x: tile.x, y: tile.y });
         } catch (e) {
+          // object detection failing stops the run; segments and faces are skipped per tile
+          if (detector.role === 'objects') throw e;
           import('../common/logger.js').then(({ logger }) =>
-            logger.error(`DeepLab tile #${tileIdx} failed`, e),
+            logger.error(`${detector.name} tile #${tileIdx} failed`, e),
           );
+          continue;
         }
-
-      /* ───── Face Detection (privacy) ───── */
-      if (this.options.facePrivacy !== false && this.faceDetector) {
-        try {
-          const prev = tf.getBackend();
-          let cpuTensor = null;
-          let faces = [];
-          try {
-            if (prev !== 'cpu') await tf.setBackend('cpu');
-            const h = tensor.shape[0],
-              w = tensor.shape[1];
-            const data = tensor.dataSync();
-            cpuTensor = tf.tensor3d(data, [h, w, 3], 'int32');
-            faces = await this.faceDetector.estimateFaces(cpuTensor);
-          } finally {
-            cpuTensor?.dispose?.();
-            if (tf.getBackend() !== prev) await tf.setBackend(prev);
-          }
-          for (const f of faces || []) {
-            const prob =
-              f.score ??
-              f.scores?.[0] ??
-              f.probability?.[0] ??
-              f.probability ??
-              1;
-            if (prob < this.options.minFaceConfidence) continue;
-            const b = f.box || f.boundingBox || {};
-            let lx, ly, rx, by;
-            if (
-              (b.xMin !== undefined || b.xmin !== undefined) &&
-              (b.yMin !== undefined || b.ymin !== undefined) &&
-              (b.xMax !== undefined || b.xmax !== undefined) &&
-              (b.yMax !== undefined || b.ymax !== undefined)
-            ) {
-              lx = b.xMin ?? b.xmin;
-              ly = b.yMin ?? b.ymin;
-              rx = b.xMax ?? b.xmax;
-              by = b.yMax ?? b.ymax;
-            } else if (b.topLeft && b.bottomRight) {
-              lx = b.topLeft[0];
-              ly = b.topLeft[1];
-              rx = b.bottomRight[0];
-              by = b.bottomRight[1];
-            } else if (b.left !== undefined) {
-              lx = b.left;
-              ly = b.top;
-              rx = b.left + (b.width ?? 0);
-              by = b.top + (b.height ?? 0);
-            } else if (f.topLeft && f.bottomRight) {
-              lx = f.topLeft[0];
-              ly = f.topLeft[1];
-              rx = f.bottomRight[0];
-              by = f.bottomRight[1];
-            } else {
-              continue;
-            }
-            const fullX1 = tile.x + lx;
-            const fullY1 = tile.y + ly;
-            const fullX2 = tile.x + rx;
-            const fullY2 = tile.y + by;
-            // Filter by centre in keep
-            const cx = (fullX1 + fullX2) / 2;
-            const cy = (fullY1 + fullY2) / 2;
-            if (
-              tile.keep &&
-              (cx < tile.keep.x1 ||
-                cx > tile.keep.x2 ||
-                cy < tile.keep.y1 ||
-                cy > tile.keep.y2)
-            )
-              continue;
-            const B = { x1: fullX1, y1: fullY1, x2: fullX2, y2: fullY2 };
-            const rid = this.regionManager.defineRegion(B, ['face'], {
-              description: 'Auto: face',
-              confidence: prob,
-              model: 'face-detection',
-              classLabel: 'face',
-            });
-            const uri = `uri://${this.safeName}/tiledImage/${rid}`;
-            const bb = this.regionManager.regions[rid].boundary;
-            this.regionManager.regions[rid].metadata.uri = uri;
-
-            this.metadataIndex.insert(
-              'region',
-              this.safeName,
-              { regionId: rid },
-              {
-                description: 'Auto: face',
-                confidence: prob,
-                x: bb.x1,
-                y: bb.y1,
-                w: bb.x2 - bb.x1,
-                h: bb.y2 - bb.y1,
-                model: 'face-detection',
-                classLabel: 'face',
-              },
-              'tiledImage',
-            );
-            this.regionManager.regions[rid].provenance = {
-              detectedBy: 'face-detection',
-            };
-            this.metadataIndex.insertQuads(`
-              @prefix ex:  <http://example.org/> .
-              @prefix md:  <http://example.org/metadata#> .
-              <${uri}>  a             ex:face ;
-                        ex:within     <urn:image:${this.safeName}> ;
-                        ex:x          ${bb.x1} ;
-                        ex:y          ${bb.y1} ;
-                        ex:w          ${bb.x2 - bb.x1} ;
-                        ex:h          ${bb.y2 - bb.y1} ;
-                        ex:confidence ${prob} ;
-                        md:detectedBy <http://example.org/model/face-detection> .
-            `);
-            const action = `urn:privacy:blur:${Date.now()}:${rid}`;
-            this.metadataIndex.insertQuads(`
-              @prefix md:  <http://example.org/metadata#> .
-              <${action}> a md:PrivacyAction ; md:action "blur" ; md:target <${uri}> .
-            `);
-            this._rawModel.faces.push({
-              confidence: prob,
-              x: bb.x1,
-              y: bb.y1,
-              w: bb.x2 - bb.x1,
-              h: bb.y2 - bb.y1,
-            });
-          }
-        } catch (e) {
-          import('../common/logger.js').then(({ logger }) =>
-            logger.error(`Face-detection tile #${tileIdx} failed`, e),
-          );
+        for (const det of dets) {
+          if (detector.role === 'objects')
+            this.defineObjectRegion(det, detector, tile);
+          else if (detector.role === 'segments')
+            this.collectSegment(det, detector, tile);
+          else if (this.options.facePrivacy !== false)
+            this.defineFaceRegion(det, detector, tile);
         }
       }
-
-      tensor.dispose();
       tileIdx++;
     }
     if (timer) timer.mark('detectTiles');
   }
 
+  /** Whether a box's centre lies outside the tile's keep area (left to the neighbour tile). */
+  outsideKeep(tile, b) {
+    const cx = (b.x1 + b.x2) / 2;
+    const cy = (b.y1 + b.y2) / 2;
+    return (
+      !!tile.keep &&
+      (cx < tile.keep.x1 ||
+        cx > tile.keep.x2 ||
+        cy < tile.keep.y1 ||
+        cy > tile.keep.y2)
+    );
+  }
+
+  /** Define one object-detector box (COCO-SSD) after the score and keep-centre filters. */
+  defineObjectRegion(det, detector, tile) {
+    const rawClass = det.label;
+    const local = MetadataIndex.safeLocalName(rawClass);
+    const perClassThresh = this.options.cocoClassThresholds[local];
+    const thresh =
+      perClassThresh != null ? perClassThresh : this.options.cocoScoreThreshold;
+    if (det.confidence < thresh) {
+      if (process.env.PHT_DEBUG_DISCARD)
+        this._rawModel.scoreFiltered.push({
+          class: rawClass,
+          score: det.confidence,
+        });
+      return;
+    } // score filter
+    // Filter by center inside keep area to suppress duplicates
+    if (this.outsideKeep(tile, det.boundary)) {
+      if (process.env.PHT_DEBUG_DISCARD)
+        this._rawModel.centerFiltered.push({
+          class: rawClass,
+          score: det.confidence,
+        });
+      return;
+    }
+
+    const rid = this.regionManager.defineRegion(det.boundary, [local], {
+      description: `Auto: ${rawClass}`,
+      confidence: det.confidence,
+      model: detector.model,
+      classLabel: local,
+    });
+
+    const uri = `uri://${this.safeName}/tiledImage/${rid}`; // unified scheme <image>/<pipeline>/<id>
+    const bb = this.regionManager.regions[rid].boundary; // real bbox
+    this.regionManager.regions[rid].metadata.uri = uri;
+
+    /* flat JSON metadata (viewer + Serializer still use this) */
+    this.metadataIndex.insert(
+      'region',
+      this.safeName,
+      { regionId: rid },
+      {
+        description: `Auto: ${rawClass}`,
+        confidence: det.confidence,
+        x: bb.x1,
+        y: bb.y1,
+        w: bb.x2 - bb.x1,
+        h: bb.y2 - bb.y1,
+        model: detector.model,
+        classLabel: local,
+      },
+      'tiledImage',
+    );
+
+    /* Turtle quads for SPARQL – self-contained with prefixes */
+    this.regionManager.regions[rid].provenance = {
+      detectedBy: detector.model,
+    };
+    this.metadataIndex.insertQuads(`
+      @prefix ex:  <http://example.org/> .
+      @prefix xsd: <http://www.w3.org/2001/XMLSchema#> .
+
+      <${uri}>  a             ex:${local} ;
+                ex:within     <urn:image:${this.safeName}> ;
+                ex:x          ${bb.x1} ;
+                ex:y          ${bb.y1} ;
+                ex:w          ${bb.x2 - bb.x1} ;
+                ex:h          ${bb.y2 - bb.y1} ;
+                ex:confidence ${det.confidence} ;
+                ex:detectedBy <${detector.modelUri}> .
+    `);
+    this._rawModel.detections.push({
+      class: local,
+      score: det.confidence,
+      x: bb.x1,
+      y: bb.y1,
+      w: bb.x2 - bb.x1,
+      h: bb.y2 - bb.y1,
+    });
+  }
+
+  /**
+   * One class mask of a segmentation detector (DeepLab) on a tile: kept when it covers at
+   * least minSegmentationConfidence of the tile, clipped to the keep area, and split into
+   * parts that defineSegmentRegions stitches across tiles.
+   */
+  collectSegment(det, detector, tile) {
+    const conf = det.confidence;
+    if (conf < this.options.minSegmentationConfidence) return;
+    const { pixelMatrix: pm } = tile;
+    // Use keep area as canonical bounding region to align with de-dup logic
+    const useKeep = tile.keep || {
+      x1: tile.x,
+      y1: tile.y,
+      x2: tile.x + pm.width,
+      y2: tile.y + pm.height,
+    };
+    const seg = {
+      classId: det.classId,
+      label: MetadataIndex.safeLocalName(det.label),
+      conf,
+      detector,
+    };
+    if (!this.options.segmentationMasks && !this.options.splitSegments) {
+      this.defineSegmentRegion({ ...seg, boundary: { ...useKeep } });
+      return;
+    }
+    // the mask spans the whole tile (halo included); keep only the keep area
+    const mask = det.mask && clipMask(det.mask, useKeep);
+    if (!mask) return;
+    if (!this.options.splitSegments) {
+      this.defineSegmentRegion({ ...seg, mask });
+      return;
+    }
+    // parts are stitched across tiles once every tile is done
+    const key = `${detector.name}:${seg.label}`;
+    for (const part of maskComponents(mask))
+      this._segments.push({ ...seg, key, mask: part, tile });
+  }
+
+  /** Define one face box with its blur privacy action, after the confidence and keep-centre filters. */
+  defineFaceRegion(f, detector, tile) {
+    const prob = f.confidence;
+    if (prob < this.options.minFaceConfidence) return;
+    // Filter by centre in keep
+    if (this.outsideKeep(tile, f.boundary)) return;
+    const lbl = MetadataIndex.safeLocalName(f.label);
+    const rid = this.regionManager.defineRegion(f.boundary, [lbl], {
+      description: `Auto: ${f.label}`,
+      confidence: prob,
+      model: detector.model,
+      classLabel: lbl,
+    });
+    const uri = `uri://${this.safeName}/tiledImage/${rid}`;
+    const bb = this.regionManager.regions[rid].boundary;
+    this.regionManager.regions[rid].metadata.uri = uri;
+
+    this.metadataIndex.insert(
+      'region',
+      this.safeName,
+      { regionId: rid },
+      {
+        description: `Auto: ${f.label}`,
+        confidence: prob,
+        x: bb.x1,
+        y: bb.y1,
+        w: bb.x2 - bb.x1,
+        h: bb.y2 - bb.y1,
+        model: detector.model,
+        classLabel: lbl,
+      },
+      'tiledImage',
+    );
+    this.regionManager.regions[rid].provenance = {
+      detectedBy: detector.model,
+    };
+    this.metadataIndex.insertQuads(`
+      @prefix ex:  <http://example.org/> .
+      @prefix md:  <http://example.org/metadata#> .
+      <${uri}>  a             ex:${lbl} ;
+                ex:within     <urn:image:${this.safeName}> ;
+                ex:x          ${bb.x1} ;
+                ex:y          ${bb.y1} ;
+                ex:w          ${bb.x2 - bb.x1} ;
+                ex:h          ${bb.y2 - bb.y1} ;
+                ex:confidence ${prob} ;
+                md:detectedBy <${detector.modelUri}> .
+    `);
+    const action = `urn:privacy:blur:${Date.now()}:${rid}`;
+    this.metadataIndex.insertQuads(`
+      @prefix md:  <http://example.org/metadata#> .
+      <${action}> a md:PrivacyAction ; md:action "blur" ; md:target <${uri}> .
+    `);
+    this._rawModel.faces.push({
+      confidence: prob,
+      x: bb.x1,
+      y: bb.y1,
+      w: bb.x2 - bb.x1,
+      h: bb.y2 - bb.y1,
+    });
+  }
+
   /* ─────────────────── Pipeline driver ─────────────────── */
 
   async processImage(timer) {
     await this.loadModels(timer);
     await this.tileImage(timer);
+
+    /* Camera metadata (EXIF/XMP/IPTC) on the image node */
+    const stripGps = this.options.stripGps;
+    this.imageMetadata = await readImageMetadata(this.imageBuffer, {
+      stripGps,
+    });
+    upsertImageMetadata(this.metadataIndex, this.safeName, this.imageMetadata, {
+      stripGps,
+    });
+    this.perceptualHash =
+      this.options.perceptualHash ||
+      (await perceptualHash(this._rawImage, { raw: this.imageInfo }));
+    upsertPerceptualHash(
+      this.metadataIndex,
+      this.safeName,
+      this.perceptualHash,
+    );
     await this.detectForEachTile(this.tiles, timer);
 
     // Adaptive stride refinement (skip for fast profile)
@@ -589,13 +547,37 @@ class TiledMLProcessor {
       }
     }
 
+    this.defineSegmentRegions();
+
     if (this.options.mergeRegions) {
       const preUriMap = new Map(
         this.regionManager.regions.map((r) => [r.id, r.metadata?.uri]),
       );
       const prov = this.regionManager.mergeOverlappingRegions(
         this.options.iouThreshold,
+        {
+          strategy: this.options.mergeStrategy,
+          classThresholds: this.options.mergeClassThresholds,
+          softNmsMethod: this.options.softNmsMethod,
+          softNmsSigma: this.options.softNmsSigma,
+          softNmsMinScore: this.options.softNmsMinScore,
+        },
       );
+      // survivors whose box or confidence the strategy moved
+      prov
+        .filter((p) => p.changed)
+        .forEach((p) => {
+          const { boundary: bb, metadata } =
+            this.regionManager.regions[p.target];
+          if (!metadata?.uri) return;
+          updateRegionDetection(this.metadataIndex, metadata.uri, {
+            x: bb.x1,
+            y: bb.y1,
+            w: bb.x2 - bb.x1,
+            h: bb.y2 - bb.y1,
+            confidence: metadata.confidence,
+          });
+        });
       if (prov && prov.some((p) => p.sources.length > 1)) {
         const ts = Date.now();
         prov.forEach((p) => {
@@ -606,7 +588,7 @@ class TiledMLProcessor {
             target.metadata.uri = `uri://${this.safeName}/tiledImage/${target.id}`; // unified scheme
           const eventNode = `urn:merge:tiled:${ts}:${p.target}`;
           this.metadataIndex.insertQuads(
-            `@prefix ex:<http://example.org/> . <${eventNode}> a ex:MergeEvent .`,
+            `@prefix ex:<http://example.org/> . <${eventNode}> a ex:MergeEvent ; ex:mergeStrategy "${p.strategy}" .`,
           );
           p.sources.forEach((srcId) => {
             const srcUri =
@@ -643,11 +625,108 @@ class TiledMLProcessor {
       }
     }
 
+    if (this.options.colorDescriptors)
+      await describeRegionColors(
+        this.regionManager.regions,
+        this.tiles,
+        this.metadataIndex,
+      );
+    syncRegionGeometry(this.metadataIndex, this.regionManager.regions, {
+      georef: this.georef,
+    });
     this.emitProcessingParams();
     this.autoCreateRelationships();
     if (timer) timer.mark('relations');
   }
 
+  /**
+   * Turn the segment parts collected per tile into regions: parts of the same class that
+   * touch across a tile border (or overlap in adaptive tiles) become one region, and
+   * stitched parts below minSegmentArea are dropped.
+   */
+  defineSegmentRegions() {
+    for (const g of stitchMasks(this._segments.splice(0))) {
+      if (maskArea(g.mask) < this.options.minSegmentArea) continue;
+      this.defineSegmentRegion({
+        classId: g.parts[0].classId,
+        label: g.parts[0].label,
+        detector: g.parts[0].detector,
+        conf: Math.max(...g.parts.map((p) => p.conf)),
+        mask: g.mask,
+        tiles: new Set(g.parts.map((p) => p.tile)).size,
+      });
+    }
+  }
+
+  /** Define one segmentation region (mask, or a plain boundary) with its metadata and triples. */
+  defineSegmentRegion({
+    classId,
+    label,
+    conf,
+    detector,
+    mask,
+    boundary,
+    tiles = 1,
+  }) {
+    const rid = this.regionManager.defineRegion(
+      mask ? maskBoundary(mask) : boundary,
+      [label],
+      {
+        description: `${detector.title} class: ${label}`,
+        confidence: conf,
+        classId,
+        classLabel: label,
+        model: detector.model,
+      },
+    );
+    if (mask && this.options.segmentationMasks)
+      attachMask(this.regionManager.regions[rid], mask);
+
+    const uri = `uri://${this.safeName}/tiledImage/${rid}`; // unified scheme
+    const bb = this.regionManager.regions[rid].boundary;
+    this.regionManager.regions[rid].metadata.uri = uri;
+
+    /* flat JSON metadata */
+    this.metadataIndex.insert(
+      'region',
+      this.safeName,
+      { regionId: rid },
+      {
+        description: `${detector.title} class: ${label}`,
+        confidence: conf,
+        classId,
+        classLabel: label,
+        model: detector.model,
+        x: bb.x1,
+        y: bb.y1,
+        w: bb.x2 - bb.x1,
+        h: bb.y2 - bb.y1,
+      },
+      'tiledImage',
+    );
+
+    /* Turtle triples with prefixes */
+    this.regionManager.regions[rid].provenance = {
+      detectedBy: detector.model,
+      ...(tiles > 1 ? { stitchedTiles: tiles } : {}),
+    };
+    this.metadataIndex.insertQuads(`
+      @prefix ex:  <http://example.org/> .
+      @prefix xsd: <http://www.w3.org/2001/XMLSchema#> .
+
+      <${uri}>  a             ex:${label} ;
+                ex:within     <urn:image:${this.safeName}> ;
+                ex:x          ${bb.x1} ;
+                ex:y          ${bb.y1} ;
+                ex:w          ${bb.x2 - bb.x1} ;
+                ex:h          ${bb.y2 - bb.y1} ;
+                ex:confidence ${conf} ;
+                ex:detectedBy <${detector.modelUri}> .
+    `);
+    this._rawModel.deeplab.push({ class: label, score: conf });
+    return rid;
+  }
+
   refineAdaptiveTiling() {
     const { width, height, channels } = this.imageInfo || {};
     if (!width) return [];
@@ -720,14 +799,22 @@ class TiledMLProcessor {
         minSegmentationConf: this.options.minSegmentationConfidence,
         mergeRegions: this.options.mergeRegions,
         iouThreshold: this.options.iouThreshold,
+        mergeStrategy: this.options.mergeStrategy,
+        softNmsMethod: this.options.softNmsMethod,
+        softNmsSigma: this.options.softNmsSigma,
+        softNmsMinScore: this.options.softNmsMinScore,
         nearDistance: this.options.nearDistance,
         spatialRelationships: this.options.spatialRelationships,
         nearEnabled: this.options.nearEnabled,
         containsEnabled: this.options.containsEnabled,
         maxNearPairs: this.options.maxNearPairs,
         minRegionAreaForNear: this.options.minRegionAreaForNear,
+        directionalEnabled: this.options.directionalEnabled,
+        adjacencyEnabled: this.options.adjacencyEnabled,
+        depthOrderEnabled: this.options.depthOrderEnabled,
         maxTiles: this.options.maxTiles,
         totalTiles: this.tiles.length,
+        pyramidLevels: this.pyramid.length,
         totalRegions: this.regionManager.regions.length,
       };
       const lines = [
@@ -749,6 +836,13 @@ class TiledMLProcessor {
           );
         },
       );
+      Object.entries(this.options.mergeClassThresholds || {}).forEach(
+        ([cls, thr]) => {
+          lines.push(
+            `<${run}> ex:processingParam [ ex:key "mergeClassThreshold" ; ex:class "${cls}" ; ex:value "${thr}" ] .`,
+          );
+        },
+      );
       this.metadataIndex.insertQuads(lines.join('\n'));
     } catch (e) {
       import('../common/logger.js').then(({ logger }) =>
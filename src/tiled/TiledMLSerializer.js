@@ -7,10 +7,16 @@
 import { promises as fs } from 'fs';
 import path from 'path';
 import PixelMatrix from '../common/PixelMatrix.js';
+import PhtReader from '../common/PhtReader.js';
 import MetadataIndex from '../common/MetadataIndex.js';
 import RegionManager from '../common/RegionManager.js';
 import { logger } from '../common/logger.js';
 import { slimMetadataIndex } from '../common/slim-json.js';
+import { phtWriteOptionsFromEnv } from '../common/pht-format.js';
+import { readPreservedSections } from '../common/manifest-sections.js';
+import ManifestSigner from '../common/ManifestSigner.js';
+import IntegrityManager from '../common/IntegrityManager.js';
+import { SCHEMA_VERSION, prepareManifest } from '../common/manifest-schema.js';
 
 class TiledMLSerializer {
   /**
@@ -29,33 +35,104 @@ class TiledMLSerializer {
    * @param {MetadataIndex} metadataIndex
    * @param {RegionManager} regionManager
    * @param {string} basePath - JSON path to write
+   * @param {{pyramid?:Array<{level:number,scale:number,pixelMatrix:PixelMatrix}>, georef?:object, transform?:object|null}} [options]
+   *        pyramid – downsampled levels (TiledMLProcessor.pyramid) written as `<base>_pyramid_<k>.pht`;
+   *        an empty list drops an existing `pyramid` section (and its level files); when
+   *        omitted, an existing section is kept as-is.
+   *        georef – pixel→CRS georeference (georef.js); null removes it, omitted keeps it.
+   *        transform – original → stored frame (image-transform.js); null removes it, omitted keeps it.
    */
-  static async save(tiles, metadataIndex, regionManager, basePath) {
+  static async save(
+    tiles,
+    metadataIndex,
+    regionManager,
+    basePath,
+    options = {},
+  ) {
     const baseName = path.basename(basePath, '.json');
     const dirName = path.dirname(basePath);
-
-    // Save each tile to .pht
+    const { pyramid: prevPyramid, ...preserved } =
+      await readPreservedSections(basePath);
+    if (options.georef) preserved.georef = options.georef;
+    else if (options.georef === null) delete preserved.georef;
+    if (options.transform) preserved.transform = options.transform;
+    else if (options.transform === null) delete preserved.transform;
+
+    // Save each tile to .pht (v2 container unless PHT_FORMAT_VERSION=1)
+    const phtOpts = phtWriteOptionsFromEnv();
     const tileManifest = [];
+    const rewritten = [];
     let tileIndex = 0;
     for (const tile of tiles) {
       const tileName = `${baseName}_tile_${tileIndex}.pht`;
       const tilePath = path.join(dirName, tileName);
 
-      const buffer = tile.pixelMatrix.toBinary();
-      await fs.writeFile(tilePath, buffer);
+      // Lazy tiles that already live at the target path are untouched (pixels never change
+      // after ingest); anything else is (re-)encoded.
+      const pm = tile.pixelMatrix;
+      const unchanged =
+        pm.lazy && path.resolve(pm.phtPath) === path.resolve(tilePath);
+      if (!unchanged) {
+        await fs.writeFile(tilePath, pm.toPht(phtOpts));
+        rewritten.push(tilePath);
+      }
+      const version = unchanged ? pm.phtVersion : phtOpts.version;
 
       tileManifest.push({
         x: tile.x,
         y: tile.y,
-        width: tile.pixelMatrix.width,
-        height: tile.pixelMatrix.height,
-        channels: tile.pixelMatrix.channels,
+        width: pm.width,
+        height: pm.height,
+        channels: pm.channels,
         phtFile: tileName,
+        phtVersion: version,
+        codec: unchanged ? pm.codec : version === 1 ? 'none' : phtOpts.codec,
       });
 
       tileIndex++;
     }
 
+    // Optional pyramid levels (one row-blocked .pht per level for windowed reads)
+    let pyramid = prevPyramid;
+    if (Array.isArray(options.pyramid)) pyramid = undefined;
+    if (Array.isArray(options.pyramid) && options.pyramid.length) {
+      const levels = [];
+      for (const lv of options.pyramid) {
+        const phtFile = `${baseName}_pyramid_${lv.level}.pht`;
+        const version = phtOpts.version === 1 ? 2 : phtOpts.version; // levels need the block table
+        await fs.writeFile(
+          path.join(dirName, phtFile),
+          lv.pixelMatrix.toPht({ ...phtOpts, version }),
+        );
+        levels.push({
+          level: lv.level,
+          scale: lv.scale,
+          width: lv.pixelMatrix.width,
+          height: lv.pixelMatrix.height,
+          channels: lv.pixelMatrix.channels,
+          phtFile,
+          phtVersion: version,
+          codec: phtOpts.codec,
+        });
+      }
+      pyramid = { tileSize: 256, overlap: 0, levels };
+    }
+    // Levels of a previous run that this one did not write would serve stale pixels
+    if (pyramid !== prevPyramid)
+      for (const lv of prevPyramid?.levels || [])
+        if (!pyramid?.levels.some((l) => l.phtFile === lv.phtFile))
+          await fs.rm(path.join(dirName, path.basename(lv.phtFile)), {
+            force: true,
+          });
+
+    // Keep stored integrity hashes (and the Merkle root) in step with rewritten tiles
+    if (preserved.integrity && rewritten.length)
+      preserved.integrity = await IntegrityManager.refreshTileHashes(
+        preserved.integrity,
+        dirName,
+        rewritten,
+      );
+
     // Convert metadataIndex + regionManager to JSON
     const metadataIndexData = await metadataIndex.toJSON();
     const regionManagerData = regionManager.toJSON();
@@ -72,13 +149,18 @@ class TiledMLSerializer {
 
     // Combine into a single JSON object
     const data = {
+      schemaVersion: SCHEMA_VERSION,
       tileManifest,
+      ...(pyramid ? { pyramid } : {}),
       metadataIndex: metadataIndexData,
       regionManager: regionManagerData,
+      ...preserved,
     };
 
     const jsonStr = JSON.stringify(data, null, 2);
     await fs.writeFile(basePath, jsonStr, 'utf-8');
+    // Optional Ed25519 signature (PHT_SIGNING_KEY); without a key the previous one is kept
+    await ManifestSigner.signIfConfigured(basePath);
     logger.info(
       `TiledMLSerializer: wrote ${tiles.length} tiles + metadata to ${basePath}`,
     );
@@ -94,13 +176,20 @@ class TiledMLSerializer {
   /**
    * Load tiled output: read JSON, reconstruct PixelMatrix tiles from `.pht` files,
    * and rehydrate MetadataIndex and RegionManager.
+   * With `{ lazy: true }` tiles are PhtReader.lazyPixelMatrix stand-ins: nothing is read
+   * from the `.pht` files until a caller asks for pixels (toBinary/readRect).
    * @param {string} basePath
+   * @param {{lazy?:boolean}} [options]
    * @returns {Promise<{ tiles: Array<{x:number,y:number,pixelMatrix:PixelMatrix}>, metadataIndex: MetadataIndex, regionManager: RegionManager }>}
    */
-  static async load(basePath) {
+  static async load(basePath, options = {}) {
     const dirName = path.dirname(basePath);
     const jsonStr = await fs.readFile(basePath, 'utf-8');
-    const data = JSON.parse(jsonStr);
+    // Older manifests are migrated in memory; invalid ones are rejected here
+    const data = prepareManifest(JSON.parse(jsonStr), {
+      path: basePath,
+      imageName: path.basename(basePath, '.json'),
+    });
 
     const tileManifest = data.tileManifest || [];
 
@@ -108,6 +197,14 @@ class TiledMLSerializer {
     const tiles = [];
     for (const info of tileManifest) {
       const tilePath = path.join(dirName, info.phtFile);
+      if (options.lazy) {
+        tiles.push({
+          x: info.x,
+          y: info.y,
+          pixelMatrix: PhtReader.lazyPixelMatrix(tilePath, info),
+        });
+        continue;
+      }
       const buffer = await fs.readFile(tilePath);
       const pm = PixelMatrix.fromBinary(
         info.width,
@@ -0,0 +1,242 @@
+// pyramid.js
+//
+// Purpose: Multi-resolution support for large images. Builds downsampled pyramid levels
+// (2× box filter per level) during tiling, and serves arbitrary scaled regions from the
+// best stored level (or the full-resolution tiles) for Deep Zoom / IIIF style tile access.
+//
+// Terminology
+// - Pyramid level k (k ≥ 1) is stored at scale 2^k (i.e. width / 2^k) as one `.pht` v2 file;
+//   row-block storage lets PhtReader pull a window without inflating the whole level.
+// - Deep Zoom (DZI) level L runs from 0 (1×1 px) to maxLevel = ceil(log2(max(w,h))) (full size);
+//   DZI level L corresponds to a downsample factor of 2^(maxLevel-L).
+//
+// References
+// - Deep Zoom file format: https://learn.microsoft.com/previous-versions/windows/silverlight/dotnet-windows-silverlight/cc645077(v=vs.95)
+
+import path from 'path';
+import sharp from 'sharp';
+import PixelMatrix from '../common/PixelMatrix.js';
+import PhtReader from '../common/PhtReader.js';
+
+/**
+ * Halve an interleaved raw image with a 2×2 box filter (odd edges are clamped).
+ * @returns {{data:Uint8Array,width:number,height:number}}
+ */
+export function downsample2x(src, width, height, channels) {
+  const w = Math.max(1, Math.ceil(width / 2));
+  const h = Math.max(1, Math.ceil(height / 2));
+  const out = new Uint8Array(w * h * channels);
+  for (let y = 0; y < h; y++) {
+    const y0 = Math.min(height - 1, y * 2);
+    const y1 = Math.min(height - 1, y * 2 + 1);
+    for (let x = 0; x < w; x++) {
+      const x0 = Math.min(width - 1, x * 2);
+      const x1 = Math.min(width - 1, x * 2 + 1);
+      const a = (y0 * width + x0) * channels;
+      const b = (y0 * width + x1) * channels;
+      const c = (y1 * width + x0) * channels;
+      const d = (y1 * width + x1) * channels;
+      const o = (y * w + x) * channels;
+      for (let k = 0; k < channels; k++)
+        out[o + k] =
+          (src[a + k] + src[b + k] + src[c + k] + src[d + k] + 2) >> 2;
+    }
+  }
+  return { data: out, width: w, height: h };
+}
+
+/**
+ * Build pyramid levels from the full-resolution raw image until the longest side
+ * drops to `minSize` or below.
+ * @param {Uint8Array|Buffer} raw - interleaved pixels
+ * @param {number} width
+ * @param {number} height
+ * @param {number} channels
+ * @param {{minSize?:number,maxLevels?:number}} [opts]
+ * @returns {Array<{level:number,scale:number,pixelMatrix:PixelMatrix}>}
+ */
+export function buildPyramidLevels(raw, width, height, channels, opts = {}) {
+  const minSize = Math.max(1, opts.minSize || 256);
+  const maxLevels = opts.maxLevels ?? 16;
+  const levels = [];
+  let cur = { data: raw, width, height };
+  for (let k = 1; k <= maxLevels; k++) {
+    if (Math.max(cur.width, cur.height) <= minSize) break;
+    cur = downsample2x(cur.data, cur.width, cur.height, channels);
+    const pm = new PixelMatrix(cur.width, cur.height, channels);
+    pm.pixels = cur.data;
+    levels.push({ level: k, scale: 2 ** k, pixelMatrix: pm });
+  }
+  return levels;
+}
+
+/* ─────────────────── Deep Zoom geometry ─────────────────── */
+
+/** Highest DZI level (full resolution) for an image. */
+export function dziMaxLevel(width, height) {
+  return Math.max(0, Math.ceil(Math.log2(Math.max(width, height, 1))));
+}
+
+/** Pixel dimensions of a DZI level. */
+export function dziLevelSize(width, height, level) {
+  const factor = 2 ** (dziMaxLevel(width, height) - level);
+  return {
+    width: Math.max(1, Math.ceil(width / factor)),
+    height: Math.max(1, Math.ceil(height / factor)),
+    factor,
+  };
+}
+
+/**
+ * Tile bounds for (level, col, row): `level` rect is in level pixels, `source` in full-res pixels.
+ * Returns null when the tile lies outside the level.
+ */
+export function dziTileBounds(
+  width,
+  height,
+  level,
+  col,
+  row,
+  tileSize,
+  overlap = 0,
+) {
+  const maxLevel = dziMaxLevel(width, height);
+  if (level < 0 || level > maxLevel) return null;
+  const lv = dziLevelSize(width, height, level);
+  const cols = Math.ceil(lv.width / tileSize);
+  const rows = Math.ceil(lv.height / tileSize);
+  if (col < 0 || row < 0 || col >= cols || row >= rows) return null;
+  const x1 = Math.max(0, col * tileSize - overlap);
+  const y1 = Math.max(0, row * tileSize - overlap);
+  const x2 = Math.min(lv.width, (col + 1) * tileSize + overlap);
+  const y2 = Math.min(lv.height, (row + 1) * tileSize + overlap);
+  const f = lv.factor;
+  return {
+    level: { x: x1, y: y1, width: x2 - x1, height: y2 - y1 },
+    source: {
+      x: x1 * f,
+      y: y1 * f,
+      width: Math.min(width - x1 * f, (x2 - x1) * f),
+      height: Math.min(height - y1 * f, (y2 - y1) * f),
+    },
+    factor: f,
+  };
+}
+
+/** DZI XML descriptor. */
+export function dziDescriptorXml(
+  width,
+  height,
+  tileSize,
+  overlap = 0,
+  format = 'png',
+) {
+  return (
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<Image xmlns="http://schemas.microsoft.com/deepzoom/2008" TileSize="${tileSize}" Overlap="${overlap}" Format="${format}">` +
+    `<Size Width="${width}" Height="${height}"/></Image>`
+  );
+}
+
+/* ─────────────────── Pixel sources ─────────────────── */
+
+/**
+ * Wrap a parsed manifest (single or tiled) as a lazy pixel source. No pixel data is read here.
+ * @param {string} jsonPath - manifest path (used to resolve .pht files)
+ * @param {object} manifest - parsed manifest JSON
+ * @returns {{width:number,height:number,tiles:Array,pyramid:object|null,dir:string}}
+ */
+export function pixelSourceFromManifest(jsonPath, manifest) {
+  const dir = path.dirname(jsonPath);
+  let tiles;
+  if (Array.isArray(manifest.tileManifest)) {
+    tiles = manifest.tileManifest.map((t) => ({
+      x: t.x,
+      y: t.y,
+      pixelMatrix: PhtReader.lazyPixelMatrix(path.join(dir, t.phtFile), t),
+    }));
+  } else if (manifest.pixelMatrix?.phtFile) {
+    const pm = manifest.pixelMatrix;
+    tiles = [
+      {
+        x: 0,
+        y: 0,
+        pixelMatrix: PhtReader.lazyPixelMatrix(path.join(dir, pm.phtFile), pm),
+      },
+    ];
+  } else tiles = [];
+  const width = Math.max(0, ...tiles.map((t) => t.x + t.pixelMatrix.width));
+  const height = Math.max(0, ...tiles.map((t) => t.y + t.pixelMatrix.height));
+  return { width, height, tiles, pyramid: manifest.pyramid || null, dir };
+}
+
+/**
+ * Read a full-resolution rectangle and scale it to outWidth×outHeight (RGBA raw), using the
+ * coarsest stored pyramid level that still has at least the requested resolution.
+ * @param {ReturnType<typeof pixelSourceFromManifest>} src
+ * @param {{x:number,y:number,width:number,height:number}} region - full-resolution pixels
+ * @param {number} outWidth
+ * @param {number} outHeight
+ * @returns {Promise<{data:Buffer,width:number,height:number,channels:4}>}
+ */
+export async function readScaledRegion(src, region, outWidth, outHeight) {
+  const needed = Math.min(region.width / outWidth, region.height / outHeight);
+  const levels = (src.pyramid?.levels || [])
+    .filter((l) => l.scale <= needed)
+    .sort((a, b) => b.scale - a.scale);
+  let rgba;
+  let w;
+  let h;
+  const best = levels[0];
+  if (best) {
+    const s = best.scale;
+    const rect = {
+      x: Math.floor(region.x / s),
+      y: Math.floor(region.y / s),
+      width: Math.max(
+        1,
+        Math.ceil((region.x + region.width) / s) - Math.floor(region.x / s),
+      ),
+      height: Math.max(
+        1,
+        Math.ceil((region.y + region.height) / s) - Math.floor(region.y / s),
+      ),
+    };
+    const win = await PhtReader.readFileRect(
+      path.join(src.dir, best.phtFile),
+      best,
+      rect,
+    );
+    ({ width: w, height: h } = win);
+    rgba = win.data;
+    if (win.channels !== 4)
+      rgba = await sharp(win.data, {
+        raw: { width: w, height: h, channels: win.channels },
+      })
+        .ensureAlpha()
+        .raw()
+        .toBuffer();
+  } else {
+    const win = await PhtReader.readTilesRect(src.tiles, region);
+    ({ width: w, height: h } = win);
+    rgba = win.data;
+  }
+  if (w === outWidth && h === outHeight)
+    return { data: rgba, width: w, height: h, channels: 4 };
+  const data = await sharp(rgba, { raw: { width: w, height: h, channels: 4 } })
+    .resize(outWidth, outHeight, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+  return { data, width: outWidth, height: outHeight, channels: 4 };
+}
+
+export default {
+  downsample2x,
+  buildPyramidLevels,
+  dziMaxLevel,
+  dziLevelSize,
+  dziTileBounds,
+  dziDescriptorXml,
+  pixelSourceFromManifest,
+  readScaledRegion,
+};
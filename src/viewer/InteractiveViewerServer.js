@@ -5,7 +5,11 @@ import '../common/env-logging.js'; // silence logs unless DEBUG is set
 import { logger } from '../common/logger.js';
 //
 // Endpoints overview (categories)
-// - Manifests & tiles: GET /images.json, GET /loadImage, GET /getTile, GET /export/ttl, GET /health
+// - Manifests & tiles: GET /images.json, GET /loadImage, GET /getTile, GET /export/ttl,
+//   GET /export/rdf, GET /export/coco, GET /export/geojson, GET /export/bundle, POST /bundle/upload, GET /health
+// - Deep Zoom: GET /dzi/<name>.dzi, GET /dzi/<name>_files/<level>/<col>_<row>.png, GET /regions/viewport
+// - IIIF: GET /iiif/<id>/info.json, GET /iiif/<id>/<region>/<size>/<rotation>/<quality>.<format>,
+//   GET /iiif/<id>/manifest
 // - Relationships & SPARQL: GET /relationships, POST /sparql
 // - Global registry: POST /global/load, POST /global/sparql, POST /global/regions, GET /global/crop
 // - Clusters & curation: POST /global/cluster, POST /global/uncluster, GET /global/cluster/list,
@@ -21,8 +25,61 @@ import fs from 'fs';
 import sharp from 'sharp';
 import { QueryEngine } from '@comunica/query-sparql';
 import TiledMLSerializer from '../tiled/TiledMLSerializer.js';
+import PhtReader from '../common/PhtReader.js';
+import ManifestSigner from '../common/ManifestSigner.js';
+import IntegrityManager from '../common/IntegrityManager.js';
+import {
+  dziDescriptorXml,
+  dziMaxLevel,
+  dziTileBounds,
+  pixelSourceFromManifest,
+  readScaledRegion,
+} from '../tiled/pyramid.js';
+import {
+  FORMATS,
+  IMAGE_CONTEXT,
+  PRESENTATION_CONTEXT,
+  buildImageInfo,
+  buildPresentationManifest,
+  parseQualityFormat,
+  parseRegion,
+  parseRotation,
+  parseSize,
+} from '../common/iiif.js';
 import Serializer from '../common/Serializer.js';
+import { normaliseRegionId } from '../common/manifest-schema.js';
 import GlobalRegistry from '../global/GlobalRegistry.js';
+import { cocoFromRegistry } from '../common/coco-export.js';
+import {
+  BUNDLE_EXT,
+  BUNDLE_MIME,
+  collectBundle,
+  importBundle,
+  pipeBundle,
+} from '../common/bundle.js';
+import {
+  RDF_FORMATS,
+  negotiateRdfFormat,
+  writeRdf,
+} from '../common/rdf-export.js';
+import {
+  ensureImageWithin,
+  upsertRegionMetadata,
+} from '../common/region-metadata.js';
+import {
+  attachPolygon,
+  attachRotatedBox,
+  clearShape,
+  parsePolygon,
+  parseRotatedBox,
+} from '../common/geometry.js';
+import {
+  GEO_FUNCTIONS,
+  syncRegionGeometry,
+  upsertRegionGeometry,
+} from '../common/geosparql.js';
+import { hasLonLat, lonLatAffine } from '../common/georef.js';
+import { geojsonFromRegistry } from '../common/geojson-export.js';
 import RegionManager from '../common/RegionManager.js';
 import MetadataIndex from '../common/MetadataIndex.js';
 import OntologyExt from '../common/OntologyExtensions.js';
@@ -33,7 +90,7 @@ import { ensureDefaultSlimJson } from '../common/env-defaults.js';
 // Viewer logs current slimming mode (does not override explicit user setting)
 ensureDefaultSlimJson('Viewer');
 
-import { DataFactory, Writer } from 'n3';
+import { DataFactory } from 'n3';
 const { namedNode, literal, quad } = DataFactory;
 
 /* ─── helpers ─────────────────────────────────────────────── */
@@ -43,10 +100,13 @@ const __dirname = dirname(__filename);
 const INPUT_DIR = path.join(process.cwd(), 'input-images'); // using input-images
 const OUT_DIR = path.join(process.cwd(), 'output'); // JSON, TTL, tiles etc.
 const qe = new QueryEngine();
+// SPARQL context for a store: GeoSPARQL functions (geof:distance, …) on every endpoint
+const sparqlContext = (store) => ({
+  sources: [store],
+  extensionFunctions: GEO_FUNCTIONS,
+});
 
 const imgPrefix = (p) => path.basename(p, '.json') || 'myImage';
-const unifyId = (id) =>
-  String(id).match(/^region-\d+|manual-\d+$/) ? String(id) : `region-${id}`;
 
 // Relationship predicates – shared constants
 import { REL, DELREL, ALL_REL_P, toKey } from '../common/rel-const.js';
@@ -110,10 +170,13 @@ function updateRelMetaWithHistory(mi, subj, basePred, obj, nameOpt, descOpt) {
   }
 }
 
+// Legacy (unversioned) manifests are already upgraded by the serializers on load
+// (common/manifest-schema.js); this still covers fresh pipeline output, which stores
+// numeric ids and no ex:within triples.
 const normaliseRM = (rm, prefix, pipelineSegment) =>
   rm.regions.forEach((r) => {
     if (!r.metadata) r.metadata = {};
-    if (!/^manual-|^region-/.test(r.id)) r.id = unifyId(r.id);
+    r.id = normaliseRegionId(r.id);
     if (!r.metadata.uri) {
       // manual annotations keep dedicated segment for clarity
       const seg = r.id.startsWith('manual-')
@@ -241,29 +304,6 @@ app.get('/health', (_req, res) => {
   res.json({ ok: true, uptime: Number(process.uptime().toFixed(1)) });
 });
 
-// Helper: serialize an N3 store to Turtle with helpful prefixes
-async function storeToTTL(store) {
-  const writer = new Writer({
-    format: 'text/turtle',
-    prefixes: {
-      ex: 'http://example.org/',
-      md: 'http://example.org/metadata#',
-      rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
-      rdfs: 'http://www.w3.org/2000/01/rdf-schema#',
-      xsd: 'http://www.w3.org/2001/XMLSchema#',
-    },
-  });
-  const quads = store.getQuads(null, null, null, null);
-  return new Promise((resolve, reject) => {
-    try {
-      writer.addQuads(quads);
-      writer.end((err, result) => (err ? reject(err) : resolve(result)));
-    } catch (_e2) {
-      reject(_e2);
-    }
-  });
-}
-
 /* ─── mutable session state ───────────────────────────────── */
 let state = {
   isTiled: false,
@@ -273,6 +313,7 @@ let state = {
   metadataIndex: new MetadataIndex(),
   currentJsonPath: null,
   imagePrefix: 'myImage',
+  georef: null, // manifest `georef` section (georef.js) of a georeferenced image
   uriToRegionId: new Map(), // maps any region URI (original or merged source) -> canonical region id
   uriToBoundary: new Map(), // maps any region URI -> canonical boundary
 };
@@ -418,39 +459,7 @@ function rebuildUriMaps() {
    helper: merge JSON + (re)write only *edited* md: triples
    ═════════════════════════════════════════════════════════ */
 function upsert(uri, patch /* obj containing ONLY edited props */) {
-  /* merge into hash table ----------------------------------------- */
-  const idx = state.metadataIndex;
-  const h = idx.hashURI(uri);
-  idx.index[h] = { ...idx.index[h], ...patch };
-
-  /* rebuild *only* the md:property triples we touched -------------- */
-  const propsWeSet = new Set(Object.keys(patch));
-  const subj = namedNode(uri);
-
-  idx.store
-    .getQuads(subj, null, null, null) // iterate existing triples
-    .filter(
-      (q) =>
-        q.predicate.value.startsWith('http://example.org/metadata#') &&
-        propsWeSet.has(q.predicate.value.split('#').pop()),
-    )
-    .forEach((q) => idx.store.removeQuad(q)); // remove those props
-
-  for (const [prop, val] of Object.entries(patch)) {
-    // (re)insert new values
-    if (prop === 'deleted') continue; // flag only in JSON
-    const pred = namedNode(`http://example.org/metadata#${prop}`);
-    (Array.isArray(val) ? val : [val]).forEach((v) => {
-      const obj =
-        typeof v === 'number'
-          ? literal(
-              v.toString(),
-              namedNode('http://www.w3.org/2001/XMLSchema#decimal'),
-            )
-          : literal(v);
-      idx.store.addQuad(quad(subj, pred, obj));
-    });
-  }
+  upsertRegionMetadata(state.metadataIndex, uri, patch);
 }
 
 /* ═══════════════════════════════════════════════════════════
@@ -564,9 +573,10 @@ app.post('/global/sparql', async (req, res) => {
       return res.status(400).json({ error: 'Global registry not loaded' });
     const sparql = req.body.toString();
     const bindings = await qe
-      .queryBindings(sparql, {
-        sources: [globalState.registry.metadataIndex.store],
-      })
+      .queryBindings(
+        sparql,
+        sparqlContext(globalState.registry.metadataIndex.store),
+      )
       .then((s) => s.toArray());
     const rows = bindings.map((b) =>
       Object.fromEntries(
@@ -2138,17 +2148,20 @@ app.get('/global/crop', async (req, res) => {
       top = Math.max(0, Math.min(top, Math.max(0, pm.height - 1)));
       width = Math.max(1, Math.min(width, Math.max(1, pm.width - left)));
       height = Math.max(1, Math.min(height, Math.max(1, pm.height - top)));
-      const rawBuf = pm.toBinary();
-      let ch = pm.channels;
-      const perPx = Math.round(rawBuf.length / (pm.width * pm.height));
-      if ((perPx === 3 || perPx === 4) && perPx !== pm.channels) ch = perPx;
+      // Windowed read: only the crop rectangle is pulled from the .pht
+      const win = await PhtReader.readMatrixRect(pm, {
+        x: left,
+        y: top,
+        width,
+        height,
+      });
       const size = Math.max(
         24,
         Math.min(1024, parseInt(req.query.size || '240', 10) || 240),
       );
-      let img = sharp(rawBuf, {
-        raw: { width: pm.width, height: pm.height, channels: ch },
-      }).extract({ left, top, width, height });
+      let img = sharp(win.data, {
+        raw: { width: win.width, height: win.height, channels: win.channels },
+      });
 
       // Optional blur overlays for regions that fall within this crop
       let comps = [];
@@ -2289,12 +2302,8 @@ app.get('/global/crop', async (req, res) => {
         let cW = Math.max(0, Math.min(ow, width - dx));
         let cH = Math.max(0, Math.min(oh, height - dy));
         if (cW <= 0 || cH <= 0) continue;
-        const rawBuf = pm.toBinary();
-        let ch = pm.channels;
-        const perPx = Math.round(rawBuf.length / (pm.width * pm.height));
-        if ((perPx === 3 || perPx === 4) && perPx !== pm.channels) ch = perPx;
         // Record overlay region in tile space and destination on base
-        overlays.push({ pm, subLeft, subTop, dx, dy, w: cW, h: cH, ch });
+        overlays.push({ pm, subLeft, subTop, dx, dy, w: cW, h: cH });
         if (DBG)
           dbgOverlays.push({
             dx,
@@ -2314,31 +2323,13 @@ app.get('/global/crop', async (req, res) => {
           });
       }
       if (overlays.length) {
-        // Manual compositing into a raw RGBA canvas to avoid sharp composite constraints
-        const baseArr = new Uint8Array(width * height * 4);
-        // leave as transparent initially
-        for (const o of overlays) {
-          const pm = o.pm;
-          const raw = pm.toBinary();
-          const tileStride = pm.width * o.ch;
-          const baseStride = width * 4;
-          const copyW = o.w;
-          const copyH = o.h;
-          const a255 = o.ch === 4 ? null : 255;
-          for (let y = 0; y < copyH; y++) {
-            const srcRow = (o.subTop + y) * tileStride + o.subLeft * o.ch;
-            const dstRow = (o.dy + y) * baseStride + o.dx * 4;
-            for (let x = 0; x < copyW; x++) {
-              const s = srcRow + x * o.ch;
-              const d = dstRow + x * 4;
-              baseArr[d] = raw[s];
-              baseArr[d + 1] = raw[s + 1];
-              baseArr[d + 2] = raw[s + 2];
-              baseArr[d + 3] = o.ch === 4 ? raw[s + 3] : a255;
-            }
-          }
-        }
-        let outImg = sharp(Buffer.from(baseArr), {
+        // Compose into a raw RGBA canvas from windowed tile reads (only the overlapping
+        // part of each .pht is read from disk; uncovered pixels stay transparent)
+        const composedRect = await PhtReader.readTilesRect(
+          contributingSrc.tiles,
+          { x: left, y: top, width, height },
+        );
+        let outImg = sharp(composedRect.data, {
           raw: { width, height, channels: 4 },
         });
 
@@ -2633,7 +2624,7 @@ app.post('/sparql', async (req, res) => {
     const includeDeleted = String(req.query.includeDeleted || '0') === '1';
 
     const bindings = await qe
-      .queryBindings(sparql, { sources: [state.metadataIndex.store] })
+      .queryBindings(sparql, sparqlContext(state.metadataIndex.store))
       .then((s) => s.toArray());
 
     /* strip leading “?” from binding names so the table header looks nice */
@@ -2663,7 +2654,7 @@ app.post('/sparql', async (req, res) => {
             const r = state.regionManager.regions.find((x) => x.id === id);
             return includeDeleted || !r?.metadata?.deleted;
           })
-          .map((id) => unifyId(id));
+          .map((id) => normaliseRegionId(id));
         if (ids.length) io.to(sockId).emit('highlightRegions', ids);
       } catch (e) {
         logger.warn(
@@ -2679,6 +2670,29 @@ app.post('/sparql', async (req, res) => {
   }
 });
 
+// Signature state for the viewer badge (a verification problem never fails the load)
+async function signatureSummary(jsonPath) {
+  try {
+    const r = await ManifestSigner.verify(jsonPath);
+    return {
+      status: r.status,
+      keyId: r.keyId,
+      signedAt: r.signedAt,
+      tampered: r.tampered,
+      tiles: r.tiles.filter((t) => t.status !== 'ok'),
+    };
+  } catch (e) {
+    return { status: 'error', error: e.message };
+  }
+}
+
+// Georeference for the hover readout: CRS transform plus a lon/lat affine fit (null when
+// the CRS has no WGS84 conversion); null for images without one
+function georefSummary(georef, width, height) {
+  if (!georef?.geoTransform) return null;
+  return { ...georef, lonLat: lonLatAffine(georef, width, height) };
+}
+
 /* GET /loadImage */
 app.get('/loadImage', async (req, res) => {
   try {
@@ -2705,6 +2719,7 @@ app.get('/loadImage', async (req, res) => {
     state.currentJsonPath = resolved;
     state.imagePrefix = imgPrefix(resolved);
     const raw = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    const signature = await signatureSummary(resolved);
 
     if (raw.tileManifest) {
       state.isTiled = true;
@@ -2712,7 +2727,7 @@ app.get('/loadImage', async (req, res) => {
         tiles,
         metadataIndex: mi,
         regionManager: rm,
-      } = await TiledMLSerializer.load(resolved);
+      } = await TiledMLSerializer.load(resolved, { lazy: true });
       Object.assign(state, {
         loadedTiles: tiles,
         regionManager: rm,
@@ -2720,6 +2735,10 @@ app.get('/loadImage', async (req, res) => {
       });
       instrumentStore(state.metadataIndex.store);
       normaliseRM(state.regionManager, state.imagePrefix, 'tiledImage');
+      state.georef = raw.georef || null;
+      syncRegionGeometry(state.metadataIndex, state.regionManager.regions, {
+        georef: state.georef,
+      });
 
       const maxX = Math.max(...tiles.map((t) => t.x + t.pixelMatrix.width));
       const maxY = Math.max(...tiles.map((t) => t.y + t.pixelMatrix.height));
@@ -2755,6 +2774,22 @@ app.get('/loadImage', async (req, res) => {
         // include full set for audit (client may choose to show grey-listed)
         allRegions: state.regionManager.regions,
         mergedSources,
+        signature,
+        georef: georefSummary(state.georef, maxX, maxY),
+        // original file → displayed pixels (EXIF orientation), for overlays on the file
+        transform: raw.transform || null,
+        // Deep Zoom info when pyramid levels were generated at ingest
+        dzi: raw.pyramid
+          ? {
+              base: `/dzi/${path
+                .relative(OUT_DIR, resolved)
+                .replace(/\\/g, '/')
+                .replace(/\.json$/, '')}`,
+              tileSize: raw.pyramid.tileSize || 256,
+              overlap: raw.pyramid.overlap || 0,
+              maxLevel: dziMaxLevel(maxX, maxY),
+            }
+          : null,
       });
       rebuildUriMaps();
     } else {
@@ -2772,6 +2807,10 @@ app.get('/loadImage', async (req, res) => {
       });
       instrumentStore(state.metadataIndex.store);
       normaliseRM(state.regionManager, state.imagePrefix, 'singleImage');
+      state.georef = raw.georef || null;
+      syncRegionGeometry(state.metadataIndex, state.regionManager.regions, {
+        georef: state.georef,
+      });
 
       // Build merged source list for audit view
       const MERGED_FROM = 'http://example.org/mergedFrom';
@@ -2794,6 +2833,9 @@ app.get('/loadImage', async (req, res) => {
         // include full set for audit (client may choose to show grey-listed)
         allRegions: rm.regions,
         mergedSources,
+        signature,
+        georef: georefSummary(state.georef, pm.width, pm.height),
+        transform: raw.transform || null,
       });
       rebuildUriMaps();
     }
@@ -2804,52 +2846,281 @@ app.get('/loadImage', async (req, res) => {
   }
 });
 
-/* GET /export/ttl  – Export full knowledge graph in Turtle
+/* RDF export (streamed; see src/common/rdf-export.js)
    Query params:
-     - jsonPath: optional; when provided, loads that manifest before export.
-     - save=1:   optional; when set, also writes a copy to output/<base>.ttl on disk.
+     - format:       turtle | ntriples | nquads | trig | jsonld (or a media type); without it
+                     /export/rdf negotiates on the Accept header, /export/ttl writes Turtle.
+     - jsonPath:     optional; when provided, exports that manifest's graph.
+     - scope=global: export the loaded global registry store instead.
+     - save=1:       optional; also writes a copy to output/<base>.<ext> on disk.
+   N-Quads and TriG put each image's triples in a named graph <urn:image:<name>>.
 */
-app.get('/export/ttl', async (req, res) => {
+async function exportRdf(req, res, defaultFormat) {
+  const format =
+    !req.query.format && defaultFormat
+      ? defaultFormat
+      : negotiateRdfFormat(req.query.format, req.get('Accept'));
+  res.vary('Accept');
+  if (!format)
+    return res
+      .status(406)
+      .send(
+        `# unsupported format; use one of: ${Object.keys(RDF_FORMATS).join(', ')}`,
+      );
+  let exportStore = state.metadataIndex.store;
+  let baseName = null;
+  const p0 = req.query.jsonPath ? String(req.query.jsonPath) : null;
+  if (String(req.query.scope || '') === 'global') {
+    if (!globalState.registry?.metadataIndex?.store)
+      return res.status(400).send('# Global registry not loaded');
+    exportStore = globalState.registry.metadataIndex.store;
+    baseName = 'global';
+  } else if (p0) {
+    let p = p0;
+    if (p.startsWith('/output/')) {
+      p = path.join(OUT_DIR, p.replace(/^\/output\//, ''));
+    }
+    p = p.replace(/\\/g, '/');
+    // Path safety: ensure resolved path is inside OUT_DIR
+    const resolved = path.resolve(p);
+    const outResolved = path.resolve(OUT_DIR);
+    if (
+      !resolved.startsWith(outResolved + path.sep) &&
+      resolved !== outResolved
+    ) {
+      return res.status(400).send('# jsonPath must be within /output');
+    }
+    // Load the specified JSON to ensure we export its full graph
+    const data = JSON.parse(await fs.promises.readFile(resolved, 'utf8'));
+    // Rehydrate a store using MetadataIndex.fromJSON for correctness
+    const mi = await MetadataIndex.fromJSON(data.metadataIndex);
+    exportStore = mi.store;
+    baseName = path.basename(resolved, '.json');
+  } else if (state.currentJsonPath) {
+    baseName = path.basename(state.currentJsonPath, '.json');
+  }
+  const spec = RDF_FORMATS[format];
+  res.setHeader('Content-Type', `${spec.mime}; charset=utf-8`);
+  // Optional: also save to disk (written once, then streamed back from the file)
+  if (String(req.query.save || '0') === '1') {
+    const outPath = path.join(OUT_DIR, `${baseName || 'graph'}.${spec.ext}`);
+    const file = fs.createWriteStream(outPath, 'utf8');
+    await writeRdf(exportStore, format, file);
+    await new Promise((resolve, reject) =>
+      file.end((err) => (err ? reject(err) : resolve())),
+    );
+    return fs.createReadStream(outPath).pipe(res);
+  }
+  await writeRdf(exportStore, format, res);
+  res.end();
+}
+
+const rdfExportRoute = (defaultFormat) => async (req, res) => {
   try {
-    let exportStore = state.metadataIndex.store;
-    let baseName = null;
-    const p0 = req.query.jsonPath ? String(req.query.jsonPath) : null;
-    if (p0) {
-      let p = p0;
-      if (p.startsWith('/output/')) {
+    await exportRdf(req, res, defaultFormat);
+  } catch (e) {
+    if (res.headersSent) return res.destroy(e);
+    res.status(500).send(`# export failed: ${e.message}`);
+  }
+};
+
+/* GET /export/ttl – Turtle unless format= says otherwise (kept for existing links) */
+app.get('/export/ttl', rdfExportRoute('turtle'));
+
+/* GET /export/rdf – format= or Accept negotiation */
+app.get('/export/rdf', rdfExportRoute(null));
+
+/* GET /export/coco – Export regions as a COCO detection dataset
+   Query params:
+     - jsonPath:       optional manifest under /output (default: the loaded manifest)
+     - scope=global:   export every source of the loaded global registry instead
+     - includeDeleted=1, excludeFaces=1, manualOnly=1: region filters
+     - frame=original: coordinates on the file's own pixel grid (undo EXIF orientation)
+     - save=1:         also write output/<base>.coco.json (global: output/global.coco.json)
+*/
+app.get('/export/coco', async (req, res) => {
+  try {
+    const flag = (k) => String(req.query[k] || '0') === '1';
+    let registry;
+    let baseName;
+    if (String(req.query.scope || '') === 'global') {
+      if (!globalState.registry?.sources?.length)
+        return res.status(400).json({ error: 'Global registry not loaded' });
+      registry = globalState.registry;
+      baseName = 'global';
+    } else {
+      let p = req.query.jsonPath
+        ? String(req.query.jsonPath)
+        : state.currentJsonPath;
+      if (!p) return res.status(400).json({ error: 'no manifest loaded' });
+      if (p.startsWith('/output/'))
         p = path.join(OUT_DIR, p.replace(/^\/output\//, ''));
-      }
-      p = p.replace(/\\/g, '/');
-      // Path safety: ensure resolved path is inside OUT_DIR
-      const resolved = path.resolve(p);
+      const resolved = path.resolve(p.replace(/\\/g, '/'));
       const outResolved = path.resolve(OUT_DIR);
-      if (
-        !resolved.startsWith(outResolved + path.sep) &&
-        resolved !== outResolved
-      ) {
-        return res.status(400).send('# jsonPath must be within /output');
-      }
-      // Load the specified JSON to ensure we export its full graph
-      const data = JSON.parse(await fs.promises.readFile(resolved, 'utf8'));
-      // Rehydrate a store using MetadataIndex.fromJSON for correctness
-      const mi = await MetadataIndex.fromJSON(data.metadataIndex);
-      exportStore = mi.store;
+      if (!resolved.startsWith(outResolved + path.sep))
+        return res
+          .status(400)
+          .json({ error: 'jsonPath must be within /output' });
+      if (!fs.existsSync(resolved))
+        return res.status(404).json({ error: 'manifest not found' });
+      registry = new GlobalRegistry();
+      await registry.loadSource(resolved);
       baseName = path.basename(resolved, '.json');
-    } else if (state.currentJsonPath) {
-      baseName = path.basename(state.currentJsonPath, '.json');
-    }
-    const turtle = await storeToTTL(exportStore);
-    // Optional: also save to disk
-    const doSave = String(req.query.save || '0') === '1';
-    if (doSave) {
-      const bn = baseName || 'graph';
-      const outPath = path.join(OUT_DIR, `${bn}.ttl`);
-      await fs.promises.writeFile(outPath, turtle, 'utf8');
-    }
-    res.setHeader('Content-Type', 'text/turtle; charset=utf-8');
-    res.send(turtle);
+    }
+    const coco = cocoFromRegistry(registry, {
+      includeDeleted: flag('includeDeleted'),
+      excludeFaces: flag('excludeFaces'),
+      manualOnly: flag('manualOnly'),
+      imageDir: INPUT_DIR,
+      frame:
+        String(req.query.frame || '') === 'original' ? 'original' : 'stored',
+    });
+    if (flag('save'))
+      await fs.promises.writeFile(
+        path.join(OUT_DIR, `${baseName}.coco.json`),
+        JSON.stringify(coco, null, 2),
+        'utf8',
+      );
+    res.setHeader(
+      'Content-Disposition',
+      `inline; filename="${baseName}.coco.json"`,
+    );
+    res.json(coco);
   } catch (e) {
-    res.status(500).send(`# export failed: ${e.message}`);
+    res.status(500).json({ error: `export failed: ${e.message}` });
+  }
+});
+
+/* GET /export/geojson – Export regions of georeferenced images as WGS84 GeoJSON
+   Query params:
+     - jsonPath:       optional manifest under /output (default: the loaded manifest)
+     - scope=global:   export every georeferenced source of the loaded global registry
+     - includeDeleted=1
+     - save=1:         also write output/<base>.geojson (global: output/global.geojson)
+*/
+app.get('/export/geojson', async (req, res) => {
+  try {
+    const flag = (k) => String(req.query[k] || '0') === '1';
+    let registry;
+    let baseName;
+    if (String(req.query.scope || '') === 'global') {
+      if (!globalState.registry?.sources?.length)
+        return res.status(400).json({ error: 'Global registry not loaded' });
+      registry = globalState.registry;
+      baseName = 'global';
+    } else {
+      let p = req.query.jsonPath
+        ? String(req.query.jsonPath)
+        : state.currentJsonPath;
+      if (!p) return res.status(400).json({ error: 'no manifest loaded' });
+      if (p.startsWith('/output/'))
+        p = path.join(OUT_DIR, p.replace(/^\/output\//, ''));
+      const resolved = path.resolve(p.replace(/\\/g, '/'));
+      const outResolved = path.resolve(OUT_DIR);
+      if (!resolved.startsWith(outResolved + path.sep))
+        return res
+          .status(400)
+          .json({ error: 'jsonPath must be within /output' });
+      if (!fs.existsSync(resolved))
+        return res.status(404).json({ error: 'manifest not found' });
+      registry = new GlobalRegistry();
+      await registry.loadSource(resolved);
+      baseName = path.basename(resolved, '.json');
+    }
+    if (!registry.sources.some((s) => hasLonLat(s.georef)))
+      return res.status(400).json({
+        error:
+          'not georeferenced (no world file / GeoTIFF tags, or no WGS84 CRS)',
+      });
+    const geojson = geojsonFromRegistry(registry, {
+      includeDeleted: flag('includeDeleted'),
+    });
+    if (flag('save'))
+      await fs.promises.writeFile(
+        path.join(OUT_DIR, `${baseName}.geojson`),
+        JSON.stringify(geojson),
+        'utf8',
+      );
+    res.setHeader('Content-Type', 'application/geo+json');
+    res.setHeader(
+      'Content-Disposition',
+      `inline; filename="${baseName}.geojson"`,
+    );
+    res.send(JSON.stringify(geojson));
+  } catch (e) {
+    res.status(500).json({ error: `export failed: ${e.message}` });
+  }
+});
+
+/* GET /export/bundle – Download a manifest as a portable .sikg bundle
+   Query params:
+     - jsonPath:    optional manifest under /output (default: the loaded manifest)
+     - original=0:  leave out the source image from input-images/
+     - rdf=0:       leave out the Turtle dump
+*/
+app.get('/export/bundle', async (req, res) => {
+  try {
+    let p = req.query.jsonPath
+      ? String(req.query.jsonPath)
+      : state.currentJsonPath;
+    if (!p) return res.status(400).json({ error: 'no manifest loaded' });
+    if (p.startsWith('/output/'))
+      p = path.join(OUT_DIR, p.replace(/^\/output\//, ''));
+    const resolved = path.resolve(p.replace(/\\/g, '/'));
+    const outResolved = path.resolve(OUT_DIR);
+    if (!resolved.startsWith(outResolved + path.sep))
+      return res.status(400).json({ error: 'jsonPath must be within /output' });
+    if (!fs.existsSync(resolved))
+      return res.status(404).json({ error: 'manifest not found' });
+    // Collect first so a missing pixel file is still a JSON error, not a broken download
+    const name = path.basename(resolved, '.json');
+    const collected = await collectBundle(resolved, {
+      imageDir: INPUT_DIR,
+      original: String(req.query.original ?? '1') !== '0',
+      rdf: String(req.query.rdf ?? '1') !== '0',
+    });
+    res.setHeader('Content-Type', BUNDLE_MIME);
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="${name}${BUNDLE_EXT}"`,
+    );
+    await pipeBundle(collected, res);
+  } catch (e) {
+    if (res.headersSent) return res.destroy(e);
+    res
+      .status(e.code === 'EBUNDLE' ? 422 : 500)
+      .json({ error: `bundle export failed: ${e.message}` });
+  }
+});
+
+/* POST /bundle/upload – Verify a .sikg bundle (request body) and mount it into /output
+   Query params:
+     - overwrite=1: replace files that already exist (default: 409)
+   The original image, when bundled, goes to input-images/ so the gallery lists it.
+   Responds with { jsonPath } to pass to /loadImage.
+*/
+app.post('/bundle/upload', async (req, res) => {
+  try {
+    const r = await importBundle(req, {
+      outDir: OUT_DIR,
+      imageDir: INPUT_DIR,
+      overwrite: String(req.query.overwrite || '0') === '1',
+    });
+    res.json({
+      ok: true,
+      name: r.name,
+      jsonPath: `/output/${path.relative(OUT_DIR, r.manifest).split(path.sep).join('/')}`,
+      files: r.files.map((f) => path.basename(f)),
+      original: r.original ? path.basename(r.original) : null,
+      tilesVerified: r.tilesVerified,
+      // The viewer still holds the old state of a manifest that was just replaced
+      reloadRequired:
+        !!state.currentJsonPath &&
+        path.resolve(r.manifest) === path.resolve(state.currentJsonPath),
+    });
+  } catch (e) {
+    const status = { EBUNDLE: 422, EEXIST: 409 }[e.code] || 500;
+    res.status(status).json({ ok: false, error: e.message });
   }
 });
 
@@ -2862,7 +3133,7 @@ app.post('/highlight', async (req, res) => {
     const sparql = req.body.toString(); // plain-text body
     const includeDeleted = String(req.query.includeDeleted || '0') === '1';
     const bindings = await qe
-      .queryBindings(sparql, { sources: [state.metadataIndex.store] })
+      .queryBindings(sparql, sparqlContext(state.metadataIndex.store))
       .then((s) => s.toArray());
 
     /* collect possible URI columns: ?r, ?s, ?o */
@@ -2937,6 +3208,68 @@ app.get('/relationships', (req, res) => {
   }
 });
 
+// Per-tile integrity for /getTile (TILE_INTEGRITY=off|warn|enforce, default warn): the
+// manifest's Merkle index is built once per manifest mtime and each verdict is cached by
+// tile mtime/size, so repeat requests for an unchanged tile hash nothing.
+const TILE_INTEGRITY = String(
+  process.env.TILE_INTEGRITY || 'warn',
+).toLowerCase();
+const integrityIndexCache = new Map(); // jsonPath -> { mtimeMs, index|null }
+const tileVerdictCache = new Map(); // `${jsonPath}|${phtPath}` -> { stamp, result }
+async function tileIntegrity(jsonPath, phtPath) {
+  if (TILE_INTEGRITY === 'off' || !jsonPath || !phtPath) return null;
+  try {
+    const jsonMtime = fs.statSync(jsonPath).mtimeMs;
+    let cached = integrityIndexCache.get(jsonPath);
+    if (!cached || cached.mtimeMs !== jsonMtime) {
+      const raw = JSON.parse(fs.readFileSync(jsonPath, 'utf-8'));
+      cached = {
+        mtimeMs: jsonMtime,
+        index: raw.integrity?.tiles
+          ? IntegrityManager.tileIndex(raw.integrity)
+          : null,
+      };
+      integrityIndexCache.set(jsonPath, cached);
+    }
+    if (!cached.index) return null; // manifest without integrity hashes
+    const st = fs.existsSync(phtPath) ? fs.statSync(phtPath) : null;
+    const stamp = `${jsonMtime}:${st?.mtimeMs}:${st?.size}`;
+    const key = `${jsonPath}|${phtPath}`;
+    const hit = tileVerdictCache.get(key);
+    if (hit && hit.stamp === stamp) return hit.result;
+    const result = await IntegrityManager.verifyTile(
+      cached.index,
+      path.dirname(jsonPath),
+      phtPath,
+    );
+    tileVerdictCache.set(key, { stamp, result });
+    if (result.status !== 'ok')
+      logger.warn(`getTile: ${result.file} integrity ${result.status}`);
+    return result;
+  } catch (_e) {
+    return null; // integrity is advisory unless enforced and a verdict exists
+  }
+}
+
+// Sets X-Tile-Integrity; returns true when the response was already sent (enforce mode)
+function rejectTamperedTile(res, integrity) {
+  if (!integrity) return false;
+  res.set('X-Tile-Integrity', integrity.status);
+  if (
+    TILE_INTEGRITY !== 'enforce' ||
+    integrity.status === 'ok' ||
+    integrity.status === 'untracked'
+  )
+    return false;
+  res.status(409).json({
+    error: `tile integrity check failed (${integrity.status})`,
+    file: integrity.file,
+    expected: integrity.expected,
+    actual: integrity.actual,
+  });
+  return true;
+}
+
 /* GET /getTile – returns a PNG for either the single image or a specific tile */
 app.get('/getTile', async (req, res) => {
   try {
@@ -2949,23 +3282,20 @@ app.get('/getTile', async (req, res) => {
         const raw = JSON.parse(fs.readFileSync(requestedJson, 'utf-8'));
         // Heuristic: tiled vs single based on tileManifest presence
         if (Array.isArray(raw.tileManifest)) {
-          // lightweight loader: just store manifest + regions JSON; pixels come from .pht tile files as usual
+          // lightweight loader: just store manifest + regions JSON; pixels stay in the .pht tile files
+          // and are read on demand (v1 raw or v2 containers)
           state.isTiled = true;
           state.loadedTiles = raw.tileManifest.map((t) => ({
             x: t.x,
             y: t.y,
-            pixelMatrix: {
-              toBinary: () =>
-                fs.readFileSync(
-                  path.join(path.dirname(requestedJson), t.phtFile),
-                ),
-              width: t.width,
-              height: t.height,
-              channels: t.channels,
-            },
+            pixelMatrix: PhtReader.lazyPixelMatrix(
+              path.join(path.dirname(requestedJson), t.phtFile),
+              t,
+            ),
           }));
           // Regions & metadata if present
-          if (raw.regionManager) state.regionManager = raw.regionManager; // contains regions+boundaries
+          if (raw.regionManager)
+            state.regionManager = RegionManager.fromJSON(raw.regionManager); // contains regions+boundaries
           if (raw.metadataIndex) state.metadataIndex = raw.metadataIndex; // may contain RDF quads
         } else {
           // Single image manifest: must reconstruct pixelMatrix from linked .pht? (Not stored) – skip unless already loaded
@@ -2983,12 +3313,17 @@ app.get('/getTile', async (req, res) => {
         return res.status(404).send('tile index out of range');
       const t = state.loadedTiles[i];
       const pm = t.pixelMatrix;
-      const rawBuf = pm.toBinary();
-      let ch = pm.channels;
-      const perPx = Math.round(rawBuf.length / (pm.width * pm.height));
-      if ((perPx === 3 || perPx === 4) && perPx !== pm.channels) ch = perPx;
-      let img = sharp(rawBuf, {
-        raw: { width: pm.width, height: pm.height, channels: ch },
+      const integrity = await tileIntegrity(state.currentJsonPath, pm.phtPath);
+      if (rejectTamperedTile(res, integrity)) return;
+      // Tiles are lazy: pixels are read from the .pht only when the tile is requested
+      const win = await PhtReader.readMatrixRect(pm, {
+        x: 0,
+        y: 0,
+        width: pm.width,
+        height: pm.height,
+      });
+      let img = sharp(win.data, {
+        raw: { width: win.width, height: win.height, channels: win.channels },
       });
 
       // Optional: apply face blurring for privacy if actions present
@@ -3054,6 +3389,11 @@ app.get('/getTile', async (req, res) => {
     } else {
       if (!state.pixelMatrix) return res.status(404).send('no image loaded');
       const pm = state.pixelMatrix;
+      const integrity = await tileIntegrity(
+        state.currentJsonPath,
+        pm.phtPath || state.currentJsonPath?.replace(/\.json$/i, '.pht'),
+      );
+      if (rejectTamperedTile(res, integrity)) return;
       const rawBuf = pm.toBinary();
       let ch = pm.channels;
       const perPx = Math.round(rawBuf.length / (pm.width * pm.height));
@@ -3129,6 +3469,320 @@ app.get('/getTile', async (req, res) => {
   }
 });
 
+/* ─── Deep Zoom (pyramid) tiles + viewport overlays ───────────────── */
+
+// Manifest pixel sources are cached per path and invalidated when the manifest changes on disk
+const pixelSourceCache = new Map(); // jsonPath -> { mtimeMs, src }
+
+// Resolve `<name>` (path relative to output/, without .json) to a manifest path inside OUT_DIR
+function manifestPathForName(name) {
+  if (!/^[A-Za-z0-9_\-/]+$/.test(name) || name.includes('..')) return null;
+  const resolved = path.resolve(OUT_DIR, `${name}.json`);
+  if (!resolved.startsWith(path.resolve(OUT_DIR) + path.sep)) return null;
+  return fs.existsSync(resolved) ? resolved : null;
+}
+
+async function loadPixelSource(jsonPath) {
+  const { mtimeMs } = await fs.promises.stat(jsonPath);
+  const hit = pixelSourceCache.get(jsonPath);
+  if (hit && hit.mtimeMs === mtimeMs) return hit.src;
+  const manifest = JSON.parse(await fs.promises.readFile(jsonPath, 'utf-8'));
+  const src = pixelSourceFromManifest(jsonPath, manifest);
+  src.regions = manifest.regionManager?.regions || [];
+  // Privacy: boundaries of regions targeted by md:PrivacyAction "blur"
+  src.blurBoxes = [];
+  try {
+    const mi = await MetadataIndex.fromJSON(manifest.metadataIndex);
+    const MD = 'http://example.org/metadata#';
+    const RDFT = 'http://www.w3.org/1999/02/22-rdf-syntax-ns#type';
+    for (const q of mi.store.getQuads(
+      null,
+      namedNode(RDFT),
+      namedNode(`${MD}PrivacyAction`),
+      null,
+    )) {
+      const act = mi.store.getQuads(
+        q.subject,
+        namedNode(`${MD}action`),
+        null,
+        null,
+      )[0]?.object?.value;
+      const tgt = mi.store.getQuads(
+        q.subject,
+        namedNode(`${MD}target`),
+        null,
+        null,
+      )[0]?.object?.value;
+      if (act !== 'blur' || !tgt) continue;
+      const reg = src.regions.find((r) => r.metadata?.uri === tgt);
+      if (reg) src.blurBoxes.push(reg.boundary);
+    }
+  } catch (_e) {
+    // no RDF → nothing to blur
+  }
+  pixelSourceCache.set(jsonPath, { mtimeMs, src });
+  return src;
+}
+
+// Blur privacy boxes that intersect a scaled window ({x,y,width,height} in full-res px → out px)
+async function applyScaledBlur(img, blurBoxes, region, outW, outH) {
+  const sx = outW / region.width;
+  const sy = outH / region.height;
+  const comps = [];
+  for (const b of blurBoxes || []) {
+    const left = Math.max(0, Math.floor((b.x1 - region.x) * sx));
+    const top = Math.max(0, Math.floor((b.y1 - region.y) * sy));
+    const right = Math.min(outW, Math.ceil((b.x2 - region.x) * sx));
+    const bottom = Math.min(outH, Math.ceil((b.y2 - region.y) * sy));
+    if (right - left <= 0 || bottom - top <= 0) continue;
+    const patch = await img
+      .clone()
+      .extract({ left, top, width: right - left, height: bottom - top })
+      .blur(Math.max(0.3, Math.min(15, 15 * sx)))
+      .png()
+      .toBuffer();
+    comps.push({ input: patch, left, top });
+  }
+  return comps.length
+    ? sharp(await img.composite(comps).png().toBuffer())
+    : img;
+}
+
+/* GET /dzi/<name>.dzi – Deep Zoom descriptor for output/<name>.json */
+app.get(/^\/dzi\/(.+)\.dzi$/, async (req, res) => {
+  try {
+    const jsonPath = manifestPathForName(req.params[0]);
+    if (!jsonPath) return res.status(404).send('manifest not found');
+    const src = await loadPixelSource(jsonPath);
+    res
+      .type('application/xml')
+      .send(
+        dziDescriptorXml(
+          src.width,
+          src.height,
+          src.pyramid?.tileSize || 256,
+          src.pyramid?.overlap || 0,
+          'png',
+        ),
+      );
+  } catch (e) {
+    res.status(500).send(e.message);
+  }
+});
+
+/* GET /dzi/<name>_files/<level>/<col>_<row>.png – one Deep Zoom tile (blurred unless blur=0) */
+app.get(
+  /^\/dzi\/(.+)_files\/(\d+)\/(\d+)_(\d+)\.(png|jpe?g)$/,
+  async (req, res) => {
+    try {
+      const [name, level, col, row, fmt] = [
+        req.params[0],
+        Number(req.params[1]),
+        Number(req.params[2]),
+        Number(req.params[3]),
+        req.params[4],
+      ];
+      const jsonPath = manifestPathForName(name);
+      if (!jsonPath) return res.status(404).send('manifest not found');
+      const src = await loadPixelSource(jsonPath);
+      const b = dziTileBounds(
+        src.width,
+        src.height,
+        level,
+        col,
+        row,
+        src.pyramid?.tileSize || 256,
+        src.pyramid?.overlap || 0,
+      );
+      if (!b) return res.status(404).send('tile out of range');
+      const win = await readScaledRegion(
+        src,
+        b.source,
+        b.level.width,
+        b.level.height,
+      );
+      let img = sharp(win.data, {
+        raw: { width: win.width, height: win.height, channels: 4 },
+      });
+      if (String(req.query.blur || '1') !== '0')
+        img = await applyScaledBlur(
+          img,
+          src.blurBoxes,
+          b.source,
+          win.width,
+          win.height,
+        );
+      if (fmt === 'png') res.type('image/png').send(await img.png().toBuffer());
+      else res.type('image/jpeg').send(await img.flatten().jpeg().toBuffer());
+    } catch (e) {
+      logger.error('dzi tile failed', e);
+      res.status(500).send(e.message);
+    }
+  },
+);
+
+/* GET /regions/viewport?x&y&w&h[&name][&deleted=1] – regions intersecting a viewport (full-res px) */
+app.get('/regions/viewport', async (req, res) => {
+  try {
+    const x = Number(req.query.x || 0);
+    const y = Number(req.query.y || 0);
+    const w = Number(req.query.w);
+    const h = Number(req.query.h);
+    if (![x, y, w, h].every(Number.isFinite) || w <= 0 || h <= 0)
+      return res.status(400).json({ error: 'x,y,w,h required' });
+    let rm;
+    if (req.query.name) {
+      const jsonPath = manifestPathForName(String(req.query.name));
+      if (!jsonPath)
+        return res.status(404).json({ error: 'manifest not found' });
+      // indexed once per cached pixel source
+      const src = await loadPixelSource(jsonPath);
+      src.regionManager ??= RegionManager.fromJSON({ regions: src.regions });
+      rm = src.regionManager;
+    } else rm = state.regionManager;
+    const withDeleted = String(req.query.deleted || '0') === '1';
+    const hits = rm
+      .getRegionsInBox({ x1: x, y1: y, x2: x + w, y2: y + h })
+      .filter((r) => withDeleted || !r.metadata?.deleted);
+    res.json({ viewport: { x, y, w, h }, count: hits.length, regions: hits });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/* ─── IIIF Image API 3.0 + Presentation 3.0 (single and tiled .pht stores) ─── */
+
+// Server limits advertised in info.json; `max` scales down to fit them
+const IIIF_LIMITS = {
+  maxArea: Number(process.env.IIIF_MAX_AREA || 4096 * 4096),
+};
+
+// Identifier = manifest path relative to output/ without .json (URL-encoded, e.g. sub%2Fimage)
+function iiifBase(req, id) {
+  const root =
+    process.env.IIIF_BASE_URL?.replace(/\/+$/, '') ||
+    `${req.protocol}://${req.get('host')}/iiif`;
+  return `${root}/${encodeURIComponent(id)}`;
+}
+
+function iiifCors(res) {
+  res.set('Access-Control-Allow-Origin', '*');
+}
+
+/* GET /iiif/<id> – redirect to info.json (spec: 303) */
+app.get(/^\/iiif\/([^/]+)$/, (req, res) => {
+  iiifCors(res);
+  res.redirect(303, `${iiifBase(req, req.params[0])}/info.json`);
+});
+
+/* GET /iiif/<id>/info.json – Image API description */
+app.get(/^\/iiif\/([^/]+)\/info\.json$/, async (req, res) => {
+  iiifCors(res);
+  try {
+    const jsonPath = manifestPathForName(req.params[0]);
+    if (!jsonPath) return res.status(404).json({ error: 'image not found' });
+    const src = await loadPixelSource(jsonPath);
+    const info = buildImageInfo(iiifBase(req, req.params[0]), {
+      width: src.width,
+      height: src.height,
+      tileSize: src.pyramid?.tileSize || 256,
+      sizes: (src.pyramid?.levels || [])
+        .map((l) => ({ width: l.width, height: l.height }))
+        .sort((a, b) => a.width - b.width),
+      limits: IIIF_LIMITS,
+    });
+    res
+      .set('Content-Type', `application/ld+json;profile="${IMAGE_CONTEXT}"`)
+      .send(JSON.stringify(info));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/* GET /iiif/<id>/manifest – Presentation manifest; regions become annotations */
+app.get(/^\/iiif\/([^/]+)\/manifest(?:\.json)?$/, async (req, res) => {
+  iiifCors(res);
+  try {
+    const jsonPath = manifestPathForName(req.params[0]);
+    if (!jsonPath) return res.status(404).json({ error: 'image not found' });
+    const src = await loadPixelSource(jsonPath);
+    const manifest = buildPresentationManifest(iiifBase(req, req.params[0]), {
+      label: path.basename(req.params[0]),
+      width: src.width,
+      height: src.height,
+      regions: src.regions,
+      limits: IIIF_LIMITS,
+    });
+    res
+      .set(
+        'Content-Type',
+        `application/ld+json;profile="${PRESENTATION_CONTEXT}"`,
+      )
+      .send(JSON.stringify(manifest));
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+/* GET /iiif/<id>/<region>/<size>/<rotation>/<quality>.<format> – image request (blurred unless blur=0) */
+app.get(
+  /^\/iiif\/([^/]+)\/([^/]+)\/([^/]+)\/([^/]+)\/([^/]+)$/,
+  async (req, res) => {
+    iiifCors(res);
+    try {
+      const [id, regionSeg, sizeSeg, rotSeg, qfSeg] = [0, 1, 2, 3, 4].map(
+        (i) => req.params[i],
+      );
+      const jsonPath = manifestPathForName(id);
+      if (!jsonPath) return res.status(404).send('image not found');
+      const src = await loadPixelSource(jsonPath);
+      const region = parseRegion(regionSeg, src.width, src.height);
+      const size =
+        region && parseSize(sizeSeg, region.width, region.height, IIIF_LIMITS);
+      const rotation = parseRotation(rotSeg);
+      const qf = parseQualityFormat(qfSeg);
+      if (!region || !size || !rotation || !qf)
+        return res.status(400).send('invalid IIIF image request');
+
+      const win = await readScaledRegion(src, region, size.width, size.height);
+      let img = sharp(win.data, {
+        raw: { width: win.width, height: win.height, channels: 4 },
+      });
+      if (String(req.query.blur || '1') !== '0')
+        img = await applyScaledBlur(
+          img,
+          src.blurBoxes,
+          region,
+          win.width,
+          win.height,
+        );
+      // Spec order: mirror, then rotate clockwise
+      if (rotation.mirror) img = sharp(await img.flop().png().toBuffer());
+      if (rotation.degrees)
+        img = sharp(
+          await img
+            .rotate(rotation.degrees, {
+              background: { r: 0, g: 0, b: 0, alpha: 0 },
+            })
+            .png()
+            .toBuffer(),
+        );
+      if (qf.quality === 'gray') img = img.grayscale();
+      else if (qf.quality === 'bitonal') img = img.grayscale().threshold(128);
+      const fmt = FORMATS[qf.format];
+      if (fmt.sharp === 'jpeg') img = img.flatten({ background: '#ffffff' });
+      const out = await img.toFormat(fmt.sharp).toBuffer();
+      res
+        .type(fmt.mime)
+        .set('Link', `<${IMAGE_CONTEXT}>;rel="profile"`)
+        .send(out);
+    } catch (e) {
+      logger.error('iiif image failed', e);
+      res.status(500).send(e.message);
+    }
+  },
+);
+
 io.on('connection', (sock) => {
   logger.info('▶ client', sock.id, 'connected');
 
@@ -3142,9 +3796,10 @@ io.on('connection', (sock) => {
       relationName,
       relationDescription,
     } = data;
-    const uid = /^manual-|^region-/.test(regionId)
-      ? regionId
-      : unifyId(regionId);
+    // Optional non-box geometry (viewer polygon tool, imports); sets the boundary too
+    const polygon = parsePolygon(data.polygon);
+    const rotatedBox = !polygon && parseRotatedBox(data.rotatedBox);
+    const uid = normaliseRegionId(regionId);
 
     let r = state.regionManager.regions.find((x) => x.id === uid);
     if (!r) {
@@ -3159,10 +3814,20 @@ io.on('connection', (sock) => {
     } else {
       if (newTags) r.tags = newTags;
       if (newMeta) r.metadata = { ...r.metadata, ...newMeta };
-      if (boundary) r.boundary = boundary;
+      if (boundary && !polygon && !rotatedBox) {
+        // A reshaped box no longer matches its mask, polygon or rotated box
+        const moved = ['x1', 'y1', 'x2', 'y2'].some(
+          (k) => boundary[k] !== r.boundary?.[k],
+        );
+        if (moved) clearShape(r);
+        r.boundary = boundary;
+      }
       delete r.metadata.deleted;
       logger.info('Updated', uid);
     }
+    if (polygon) attachPolygon(r, polygon);
+    else if (rotatedBox) attachRotatedBox(r, rotatedBox);
+    state.regionManager.invalidateSpatialIndex(); // the region may have moved
 
     if (!r.metadata.uri) {
       const seg = uid.startsWith('manual-') ? 'manual-region' : 'region';
@@ -3170,16 +3835,11 @@ io.on('connection', (sock) => {
     }
 
     upsert(r.metadata.uri, { ...r.metadata, tags: r.tags });
+    upsertRegionGeometry(state.metadataIndex, r, { georef: state.georef });
 
     // Guarantee image scoping for this region via ex:within
     try {
-      const subj = namedNode(r.metadata.uri);
-      const WITHIN = namedNode('http://example.org/within');
-      const imgIri = namedNode(`urn:image:${state.imagePrefix}`);
-      const hasWithin =
-        state.metadataIndex.store.getQuads(subj, WITHIN, null, null).length > 0;
-      if (!hasWithin)
-        state.metadataIndex.store.addQuad(quad(subj, WITHIN, imgIri));
+      ensureImageWithin(state.metadataIndex, r.metadata.uri, state.imagePrefix);
     } catch (_) {
       // ignore: metadataIndex not initialised or store unavailable yet
     }
@@ -3542,9 +4202,7 @@ io.on('connection', (sock) => {
   );
 
   sock.on('deleteRegion', (data) => {
-    let rid = /^manual-|^region-/.test(data.regionId)
-      ? data.regionId
-      : unifyId(data.regionId);
+    const rid = normaliseRegionId(data.regionId);
     const r = state.regionManager.regions.find((x) => x.id === rid);
     if (!r) return;
     r.metadata.deleted = true;
@@ -3722,7 +4380,7 @@ io.on('connection', (sock) => {
         .filter(Boolean)
         .map((uri) => state.uriToRegionId.get(uri))
         .filter((id) => id != null)
-        .map((id) => unifyId(id));
+        .map((id) => normaliseRegionId(id));
 
       // Send rawAnswer for debugging
       sock.emit('sparqlOk', {
@@ -3786,7 +4444,7 @@ io.on('connection', (sock) => {
         .filter(Boolean)
         .map((uri) => state.uriToRegionId.get(uri))
         .filter((id) => id != null)
-        .map((id) => unifyId(id));
+        .map((id) => normaliseRegionId(id));
 
       sock.emit('sparqlOk', {
         question,
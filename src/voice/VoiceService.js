@@ -4,6 +4,10 @@ import { fileURLToPath } from 'url';
 import fs from 'fs/promises';
 import { transcribe } from './transcribe.js';
 import { logger } from '../common/logger.js';
+import {
+  COLOR_NAMES,
+  normalizeColorName,
+} from '../common/color-descriptors.js';
 // Load environment variables early (fix: previous code relied on shell export only)
 try {
   // Lazy require to avoid crash if package missing; will silently skip
@@ -44,36 +48,76 @@ const DEFAULT_LIMIT = Number.isFinite(Number(process.env.SPARQL_DEFAULT_LIMIT))
   : 200;
 
 // Relationship constants are maintained centrally (used implicitly via md: prefixed tokens in SPARQL here)
+// Relationship keys an intent may ask for (md:<key>, deleted variants md:deleted<Key>)
+const INTENT_PREDICATES = [
+  'near',
+  'contains',
+  'sameObjectAs',
+  'overlaps',
+  'leftOf',
+  'rightOf',
+  'above',
+  'below',
+  'adjacentTo',
+  'inFrontOf',
+  'behind',
+];
 
 // ---- Intent schema (lightweight validation, no extra deps) ----
 // Contract:
 // {
-//   target: 'regions' | 'pairs',
+//   target: 'regions' | 'pairs' | 'images',
 //   image?: string,               // e.g., urn:image:42
-//   types?: string[],             // e.g., ["ex:person"]
-//   relationships?: { predicates?: (keyof REL)[], direction?: 'either'|'out'|'in', includeDeleted?: boolean },
+//   types?: string[],             // e.g., ["ex:person"]; for pairs they constrain the object ?o
+//   colors?: string[],            // regions only, e.g., ["red"] (md:dominantColor)
+//   relationships?: { predicates?: string[] (INTENT_PREDICATES), direction?: 'either'|'out'|'in', includeDeleted?: boolean },
 //   metaFilters?: { name?: { equals?: string, contains?: string }, description?: { contains?: string }, tags?: string[] },
+//   imageFilters?: { capturedAfter?: string, capturedBefore?: string, camera?: string, keywords?: string[], hasGps?: boolean },
 //   projection?: { vars?: string[], limit?: number, orderBy?: { var: string, dir: 'asc'|'desc' } }
 // }
+// imageFilters match the camera metadata on the image node (image-metadata.js); dates are
+// ISO 8601 (2024, 2024-05, 2024-05-01 or a full date-time), capturedAfter inclusive and
+// capturedBefore exclusive. colors are the named labels of color-descriptors.js (aliases
+// such as "gray" are folded in); a region matches when any of them is one of its dominant
+// colours.
+
+// ISO date (possibly partial) → xsd:dateTime lexical form, or null
+function intentDateTime(v) {
+  const m =
+    /^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?(Z|[+-]\d{2}:\d{2})?)?$/.exec(
+      String(v ?? '').trim(),
+    );
+  if (!m) return null;
+  const [, y, mo = '01', d = '01', h = '00', mi = '00', sec = '00', zone = ''] =
+    m;
+  const out = `${y}-${mo}-${d}T${h}:${mi}:${sec}${zone}`;
+  return Number.isNaN(Date.parse(out)) ? null : out;
+}
+
 export function validateIntent(obj) {
   const fail = (m) => ({ ok: false, error: String(m) });
   if (!obj || typeof obj !== 'object') return fail('intent must be an object');
   const out = {};
   const tgt = obj.target;
-  if (tgt !== 'regions' && tgt !== 'pairs')
-    return fail('target must be regions or pairs');
+  if (tgt !== 'regions' && tgt !== 'pairs' && tgt !== 'images')
+    return fail('target must be regions, pairs or images');
   out.target = tgt;
   if (obj.image != null) out.image = String(obj.image);
   if (Array.isArray(obj.types))
     out.types = obj.types.map(String).filter(Boolean);
+  if (obj.colors != null) {
+    if (!Array.isArray(obj.colors)) return fail('colors must be an array');
+    const colors = [
+      ...new Set(obj.colors.map(normalizeColorName).filter(Boolean)),
+    ];
+    if (!colors.length && obj.colors.length)
+      return fail(`colors must be among ${COLOR_NAMES.join(', ')}`);
+    if (colors.length) out.colors = colors;
+  }
   if (obj.relationships && typeof obj.relationships === 'object') {
     const r = obj.relationships;
     const predicates = Array.isArray(r.predicates)
-      ? r.predicates
-          .map(String)
-          .filter((k) =>
-            ['near', 'contains', 'sameObjectAs', 'overlaps'].includes(k),
-          )
+      ? r.predicates.map(String).filter((k) => INTENT_PREDICATES.includes(k))
       : [];
     const direction = ['either', 'out', 'in'].includes(r.direction)
       ? r.direction
@@ -104,6 +148,22 @@ export function validateIntent(obj) {
     }
     if (Object.keys(mf).length) out.metaFilters = mf;
   }
+  if (obj.imageFilters && typeof obj.imageFilters === 'object') {
+    const f = obj.imageFilters;
+    const imf = {};
+    for (const k of ['capturedAfter', 'capturedBefore']) {
+      if (f[k] == null) continue;
+      const dt = intentDateTime(f[k]);
+      if (!dt) return fail(`imageFilters.${k} must be an ISO 8601 date`);
+      imf[k] = dt;
+    }
+    if (typeof f.camera === 'string' && f.camera.trim())
+      imf.camera = f.camera.trim();
+    if (Array.isArray(f.keywords))
+      imf.keywords = f.keywords.map(String).filter(Boolean);
+    if (typeof f.hasGps === 'boolean') imf.hasGps = f.hasGps;
+    if (Object.keys(imf).length) out.imageFilters = imf;
+  }
   if (obj.projection && typeof obj.projection === 'object') {
     const p = {};
     if (Array.isArray(obj.projection.vars))
@@ -121,13 +181,82 @@ export function validateIntent(obj) {
   return { ok: true, value: out };
 }
 
+// Graph patterns for intent.imageFilters on the image term `img` (?img or <urn:image:…>)
+function imageFilterPatterns(f, img) {
+  const out = [];
+  if (!f) return out;
+  const esc = (v) =>
+    v.toLowerCase().replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+  if (f.capturedAfter || f.capturedBefore) {
+    out.push(`  ${img} md:captureTime ?captureTime .`);
+    if (f.capturedAfter)
+      out.push(
+        `  FILTER(?captureTime >= "${f.capturedAfter}"^^xsd:dateTime) .`,
+      );
+    if (f.capturedBefore)
+      out.push(
+        `  FILTER(?captureTime < "${f.capturedBefore}"^^xsd:dateTime) .`,
+      );
+  }
+  if (f.camera) {
+    out.push(`  ${img} (md:cameraModel|md:cameraMake|md:lens) ?_cam .`);
+    out.push(`  FILTER(CONTAINS(LCASE(STR(?_cam)), "${esc(f.camera)}")) .`);
+  }
+  if (f.keywords?.length) {
+    out.push(`  ${img} (md:keyword|md:caption) ?_kw .`);
+    out.push(
+      '  FILTER(' +
+        f.keywords
+          .map((k) => `CONTAINS(LCASE(STR(?_kw)), "${esc(k)}")`)
+          .join(' || ') +
+        ') .',
+    );
+  }
+  if (f.hasGps === true) out.push(`  ${img} md:gpsLatitude ?_lat .`);
+  if (f.hasGps === false)
+    out.push(`  FILTER NOT EXISTS { ${img} md:gpsLatitude ?_lat . }`);
+  return out;
+}
+
+// UNION groups matching `v` against each type T: rdf:type T, md:classLabel == localName(T)
+// or md:tags containing localName(T)
+function typePatterns(types, v) {
+  const out = [];
+  types.forEach((t, i) => {
+    const tStr = String(t);
+    // derive a lowercase local label for tags/classLabel comparisons
+    const local = (tStr.includes(':') ? tStr.split(':').pop() : tStr)
+      .split(/[/#]/)
+      .pop();
+    const label = String(local || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9_-]/g, '');
+    const vSuf = i + 1; // avoid var collisions
+    out.push('  {');
+    out.push(`    { ${v} a ${tStr} . }`);
+    out.push('    UNION');
+    out.push(
+      `    { ${v} md:classLabel ?cl${vSuf} . FILTER(LCASE(STR(?cl${vSuf})) = "${label}") . }`,
+    );
+    out.push('    UNION');
+    out.push(
+      `    { ${v} md:tags ?tag${vSuf} . FILTER(CONTAINS(LCASE(STR(?tag${vSuf})), "${label}")) . }`,
+    );
+    out.push('  }');
+  });
+  return out;
+}
+
 export function buildSparqlFromIntent(intent) {
   const px = [
     'PREFIX ex:   <http://example.org/>',
     'PREFIX rdf:  <http://www.w3.org/1999/02/22-rdf-syntax-ns#>',
     'PREFIX rdfs: <http://www.w3.org/2000/01/rdf-schema#>',
     'PREFIX md:   <http://example.org/metadata#>',
+    'PREFIX xsd:  <http://www.w3.org/2001/XMLSchema#>',
   ];
+  const imageIri = (img) =>
+    /^(?:[a-z]+:|uri:\/\/)/i.test(img) ? img : `urn:image:${img}`;
   const q = [];
   const limit = intent?.projection?.limit ?? DEFAULT_LIMIT;
 
@@ -136,10 +265,12 @@ export function buildSparqlFromIntent(intent) {
       ? intent.projection.vars
       : [];
     // If user didn't ask for specific vars or only requested ?r, enrich the projection with common metadata
-    const vars =
-      !requested.length || (requested.length === 1 && requested[0] === 'r')
-        ? ['r', 'classLabel', 'label', 'tag', 'confidence', 'privacyApplied']
-        : requested;
+    const enrich =
+      !requested.length || (requested.length === 1 && requested[0] === 'r');
+    const vars = enrich
+      ? ['r', 'classLabel', 'label', 'tag', 'confidence', 'privacyApplied']
+      : requested;
+    if (enrich && intent.colors?.length) vars.push('color');
     q.push(`SELECT ${vars.map((v) => '?' + v).join(' ')} WHERE {`);
     // core binding: region var
     if (!vars.includes('r')) q.push('  BIND(?r AS ?r)'); // ensure ?r should exist when needed
@@ -155,36 +286,26 @@ export function buildSparqlFromIntent(intent) {
     }
     // Type filters (generalized): for each type T, match via rdf:type T OR md:classLabel == localName(T) OR md:tags contains localName(T)
     if (Array.isArray(intent.types) && intent.types.length) {
-      const types = intent.types;
-      types.forEach((t, i) => {
-        const tStr = String(t);
-        // derive a lowercase local label for tags/classLabel comparisons
-        const local = (tStr.includes(':') ? tStr.split(':').pop() : tStr)
-          .split(/[/#]/)
-          .pop();
-        const label = String(local || '')
-          .toLowerCase()
-          .replace(/[^a-z0-9_-]/g, '');
-        const vSuf = i + 1; // avoid var collisions
-        // Build the UNION group for this type
-        q.push('  {');
-        q.push(`    { ?r a ${tStr} . }`);
-        q.push('    UNION');
-        q.push(
-          `    { ?r md:classLabel ?cl${vSuf} . FILTER(LCASE(STR(?cl${vSuf})) = "${label}") . }`,
-        );
-        q.push('    UNION');
-        q.push(
-          `    { ?r md:tags ?tag${vSuf} . FILTER(CONTAINS(LCASE(STR(?tag${vSuf})), "${label}")) . }`,
-        );
-        q.push('  }');
-      });
+      q.push(...typePatterns(intent.types, '?r'));
       // Apply image filter once so it joins with all type patterns
       if (imageTriple) q.push('  ' + imageTriple);
     } else if (imageTriple) {
       // No type constraints; just apply image filter if present
       q.push('  ' + imageTriple);
     }
+    // Camera metadata of the region's image
+    if (intent.imageFilters) {
+      const img = intent.image ? `<${imageIri(String(intent.image))}>` : '?img';
+      if (!intent.image) q.push('  ?r ex:within ?img .');
+      q.push(...imageFilterPatterns(intent.imageFilters, img));
+    }
+    // Dominant colours (color-descriptors.js)
+    if (intent.colors?.length) {
+      q.push('  ?r md:dominantColor ?color .');
+      q.push(
+        `  VALUES ?color { ${intent.colors.map((c) => `"${c}"`).join(' ')} }`,
+      );
+    }
     // Tags
     if (intent.metaFilters?.tags?.length) {
       q.push('  ?r md:tags ?tag .');
@@ -257,6 +378,13 @@ export function buildSparqlFromIntent(intent) {
       q.push(`  ?s ex:within <${imgIri}> .`);
       q.push(`  ?o ex:within <${imgIri}> .`);
     }
+    // Types name the reference object: "what is left of the car" → ?o is a car
+    if (intent.types?.length) q.push(...typePatterns(intent.types, '?o'));
+    if (intent.imageFilters) {
+      const img = intent.image ? `<${imageIri(String(intent.image))}>` : '?img';
+      if (!intent.image) q.push('  ?s ex:within ?img .');
+      q.push(...imageFilterPatterns(intent.imageFilters, img));
+    }
     // Direction: either/out/in means I keep subject/object as is. For "in", swap later in projection if needed.
     // Meta filters on name/description
     if (intent.metaFilters?.name?.equals) {
@@ -274,6 +402,26 @@ export function buildSparqlFromIntent(intent) {
     }
     q.push('}');
     // Direction handling: I keep ?s ?o; callers can swap client-side if needed. Keeping simple.
+  } else if (intent.target === 'images') {
+    const vars = intent?.projection?.vars?.length
+      ? intent.projection.vars
+      : ['img', 'captureTime', 'cameraModel', 'caption'];
+    q.push(`SELECT DISTINCT ${vars.map((v) => '?' + v).join(' ')} WHERE {`);
+    if (intent.image)
+      q.push(`  BIND(<${imageIri(String(intent.image))}> AS ?img)`);
+    // An image is any ex:within target or a node carrying camera metadata
+    q.push('  { ?_r ex:within ?img . } UNION { ?img md:captureTime ?_t . }');
+    q.push(...imageFilterPatterns(intent.imageFilters, '?img'));
+    q.push('  OPTIONAL { ?img md:captureTime ?captureTime . }');
+    q.push('  OPTIONAL { ?img md:cameraModel ?cameraModel . }');
+    q.push('  OPTIONAL { ?img md:caption ?caption . }');
+    q.push('}');
+    const ob = intent.projection?.orderBy;
+    q.push(
+      ob
+        ? `ORDER BY ${ob.dir.toUpperCase()}(?${ob.var})`
+        : 'ORDER BY ?captureTime',
+    );
   }
 
   let sparql = px.join('\n') + '\n' + q.join('\n');
@@ -404,6 +552,8 @@ You are an assistant that outputs only valid SPARQL 1.1 queries, nothing else.
 PREFIX ex: <http://example.org/>
 # Relationships are modeled via RDF reification with optional labels and descriptions.
 # Use md:near, md:contains, md:sameObjectAs and their deleted variants when asked to include deleted.
+# Spatial layout: md:leftOf, md:rightOf, md:above, md:below, md:adjacentTo, md:inFrontOf, md:behind
+# (?s md:leftOf ?o means ?s is left of ?o).
 # Pattern:
 #   ?stmt a rdf:Statement ;
 #         rdf:subject ?s ;
@@ -417,12 +567,14 @@ Bounding boxes have types such as ex:person, ex:boat, ex:car.
 
   Guidelines:
   - If the question scopes to a specific image, add both ?s ex:within <urn:image:...> and ?o ex:within <urn:image:...> for pair queries.
-  - For phrases like "inside", "within" → md:contains; "same", "identical", "duplicate" → md:sameObjectAs; "near", "close", "adjacent" → md:near.
+  - For phrases like "inside", "within" → md:contains; "same", "identical", "duplicate" → md:sameObjectAs; "near", "close" → md:near.
+  - "left of" → md:leftOf; "right of" → md:rightOf; "above", "on top of" → md:above; "below", "under" → md:below; "next to", "adjacent", "beside" → md:adjacentTo; "in front of" → md:inFrontOf; "behind" → md:behind. The thing asked about is ?s, the reference object is ?o.
   - When unsure which predicate, include multiple via VALUES (e.g., near and contains and sameObjectAs).
   - If the user mentions deleted/removed, include the md:deleted* variants alongside active ones.
   - If asked to "highlight" relationships or regions generally, prefer selecting ?s ?o for pairs or ?r for regions.
   - When selecting regions by a class (e.g., person/boat/car), match via a UNION of: rdf:type, md:classLabel (lowercased), or md:tags (substring, lowercased).
   - If the user says "here" or "this image", assume the current image context and scope accordingly.
+  - Colours of regions are stored as md:dominantColor with one of the lowercase names black, white, grey, red, orange, yellow, green, blue, purple, pink, brown.
 
 Examples:
 Q: "How many boats are here?"
@@ -472,6 +624,16 @@ A: PREFIX ex: <http://example.org/>
     ?o ex:within <urn:image:42> .
   }
 
+Q: "what is left of the car"
+A: PREFIX ex: <http://example.org/>
+  PREFIX md:  <http://example.org/metadata#>
+  SELECT ?s ?o WHERE {
+    ?s md:leftOf ?o .
+    { ?o a ex:car }
+    UNION { ?o md:classLabel ?cl . FILTER(LCASE(STR(?cl)) = "car") }
+    UNION { ?o md:tags ?tag . FILTER(CONTAINS(LCASE(STR(?tag)), "car")) }
+  }
+
 Q: "include deleted duplicates"
 A: PREFIX ex: <http://example.org/>
   PREFIX rdf: <http://www.w3.org/1999/02/22-rdf-syntax-ns#>
@@ -548,11 +710,13 @@ async function llmQuestionToSPARQL(question, currentImageIri) {
     `Output ONLY JSON with no commentary.\n` +
     `Schema (keys optional unless noted):\n` +
     `{\n` +
-    `  "target": "regions" | "pairs",\n` +
+    `  "target": "regions" | "pairs" | "images",\n` +
     `  "image"?: string,\n` +
     `  "types"?: string[],\n` +
-    `  "relationships"?: { "predicates"?: ["near"|"contains"|"sameObjectAs"|"overlaps"], "direction"?: "either"|"out"|"in", "includeDeleted"?: boolean },\n` +
+    `  "colors"?: string[],\n` +
+    `  "relationships"?: { "predicates"?: [${INTENT_PREDICATES.map((k) => `"${k}"`).join('|')}], "direction"?: "either"|"out"|"in", "includeDeleted"?: boolean },\n` +
     `  "metaFilters"?: { "name"?: { "equals"?: string, "contains"?: string }, "description"?: { "contains"?: string }, "tags"?: string[] },\n` +
+    `  "imageFilters"?: { "capturedAfter"?: "YYYY-MM-DD", "capturedBefore"?: "YYYY-MM-DD", "camera"?: string, "keywords"?: string[], "hasGps"?: boolean },\n` +
     `  "projection"?: { "vars"?: string[], "limit"?: number, "orderBy"?: { "var": string, "dir": "asc"|"desc" } }\n` +
     `}\n` +
     `Guidance:\n` +
@@ -560,10 +724,17 @@ async function llmQuestionToSPARQL(question, currentImageIri) {
     `- If the user asks to "find/show/list (every|all) <class>" (e.g., person, boat, car), set target to "regions" and set types to ["ex:<classLower>"]; prefer projecting ["r"].\n` +
     `- If the user says "here", "this image", or similar, set image to the current image.\n` +
     `- For "highlight them", prefer projecting subjects/objects (e.g., vars ["s","o"]).\n` +
+    `- Colour words about objects ("red car", "blue boats") go into colors with the basic names ${COLOR_NAMES.join(', ')}.\n` +
+    `- Questions about photos/images themselves (when taken, which camera, keywords, location) use target "images" and imageFilters; imageFilters also narrow regions to images matching them.\n` +
+    `- Spatial layout ("left of", "right of", "above", "below"/"under", "next to", "in front of", "behind") uses target "pairs" with leftOf, rightOf, above, below, adjacentTo, inFrontOf or behind; ?s is the thing asked about and types names the reference object ?o.\n` +
     `- Relationships may be stored as direct triples or reified statements; when unsure, match both using a UNION of both patterns.\n` +
     `Examples:\n` +
     `Q: "show every person" -> {"target":"regions","types":["ex:person"],"projection":{"vars":["r"],"limit":200}}\n` +
+    `Q: "find the red cars" -> {"target":"regions","types":["ex:car"],"colors":["red"],"projection":{"vars":["r"],"limit":200}}\n` +
     `Q: "pairs named owner" -> {"target":"pairs","relationships":{"predicates":["near"]},"metaFilters":{"name":{"equals":"owner"}}}\n` +
+    `Q: "what is left of the car" -> {"target":"pairs","types":["ex:car"],"relationships":{"predicates":["leftOf"]}}\n` +
+    `Q: "images taken after May 2024 with a Fujifilm" -> {"target":"images","imageFilters":{"capturedAfter":"2024-05-01","camera":"fujifilm"}}\n` +
+    `Q: "boats in photos from before 2020" -> {"target":"regions","types":["ex:boat"],"imageFilters":{"capturedBefore":"2020-01-01"}}\n` +
     `Q: "are there any relationships here? highlight them" -> {"target":"pairs","projection":{"vars":["s","o"],"limit":200}}`;
 
   let llm;
@@ -857,8 +1028,37 @@ export async function questionToSPARQL(questionRaw, currentImageId = '') {
   return await llmQuestionToSPARQL(question, currentImageIri);
 }
 
+const COLOR_WORD = new RegExp(
+  `\\b(${[...COLOR_NAMES, 'gray'].join('|')})\\b`,
+  'g',
+);
+
+// Directional / depth-order wording → predicate keys (spatial-links.js)
+const DIRECTION_WORDS = [
+  [/\b(?:to the\s+)?left\s+of\b/i, 'leftOf'],
+  [/\b(?:to the\s+)?right\s+of\b/i, 'rightOf'],
+  [/\b(?:above|on\s+top\s+of)\b/i, 'above'],
+  [/\b(?:below|under|underneath|beneath)\b/i, 'below'],
+  [/\b(?:next\s+to|adjacent(?:\s+to)?|beside)\b/i, 'adjacentTo'],
+  [/\bin\s+front\s+of\b/i, 'inFrontOf'],
+  [/\bbehind\b/i, 'behind'],
+];
+
+// Class nouns mentioned in text, e.g. person/people, boat(s), car(s), face(s)
+function classTypes(text) {
+  const lc = String(text || '').toLowerCase();
+  const classes = [];
+  const add = (t) => classes.push(`ex:${t}`);
+  if (/\b(person|people|persons)\b/.test(lc)) add('person');
+  if (/\b(boat|boats|ship|ships|vessel|vessels)\b/.test(lc)) add('boat');
+  if (/\b(car|cars|auto|vehicle|vehicles)\b/.test(lc)) add('car');
+  if (/\b(face|faces)\b/.test(lc)) add('face');
+  if (/\b(tree|trees)\b/.test(lc)) add('tree');
+  return Array.from(new Set(classes));
+}
+
 // Heuristics to make intent robust to general wording
-function normalizeIntent(question, intent, currentImageIri) {
+export function normalizeIntent(question, intent, currentImageIri) {
   const q = String(question || '');
   const out = { ...intent };
   const relWord =
@@ -875,24 +1075,57 @@ function normalizeIntent(question, intent, currentImageIri) {
       q,
     );
   const synSame = /(duplicate|duplicates|same\s*object|identical)/i.test(q);
-  // Prefer pairs when user talks about relationships OR mentions overlaps/duplicates
-  if (relWord || synOverlaps || synSame) out.target = 'pairs';
+  // "what is left of the car": the direction words pick the predicates, the class named
+  // after the first of them is the reference object
+  const directions = DIRECTION_WORDS.filter(([re]) => re.test(q));
+  // Prefer pairs when user talks about relationships OR mentions overlaps/duplicates/directions
+  if (relWord || synOverlaps || synSame || directions.length)
+    out.target = 'pairs';
+  if (directions.length && !out.types?.length) {
+    const first = Math.min(...directions.map(([re]) => q.search(re)));
+    const types = classTypes(q.slice(first));
+    if (types.length) out.types = types;
+  }
   // If not a relationship query, assume regions and try to infer classes
   if (!out.target) {
     out.target = 'regions';
-    // Basic class noun detection, e.g., person/people, boat(s), car(s), face(s)
-    const lc = q.toLowerCase();
-    const classes = [];
-    const add = (t) => classes.push(`ex:${t}`);
-    if (/\b(person|people|persons)\b/.test(lc)) add('person');
-    if (/\b(boat|boats|ship|ships|vessel|vessels)\b/.test(lc)) add('boat');
-    if (/\b(car|cars|auto|vehicle|vehicles)\b/.test(lc)) add('car');
-    if (/\b(face|faces)\b/.test(lc)) add('face');
-    if (/\b(tree|trees)\b/.test(lc)) add('tree');
-    if (classes.length) out.types = Array.from(new Set(classes));
+    const classes = classTypes(q);
+    if (classes.length) out.types = classes;
+  }
+  // Colour words the model missed: "red cars", "grey boats"
+  if (out.target === 'regions' && !out.colors?.length) {
+    const words = q.toLowerCase().match(COLOR_WORD) || [];
+    const colors = [...new Set(words.map(normalizeColorName))];
+    if (colors.length) out.colors = colors;
   }
   // Scope to current image when user says here/this image
   if (!out.image && hereWord) out.image = currentImageIri;
+  // Capture dates the model missed: "taken after 2024-05-01", "before 2020", "since 2023-06"
+  const when = [
+    ...q.matchAll(
+      /\b(after|since|from|before|until)\s+(\d{4}(?:-\d{2}(?:-\d{2})?)?)\b/gi,
+    ),
+  ];
+  if (when.length) {
+    const f = { ...(out.imageFilters || {}) };
+    for (const [, word, date] of when) {
+      const dt = intentDateTime(date);
+      if (!dt) continue;
+      const key = /^(before|until)$/i.test(word)
+        ? 'capturedBefore'
+        : 'capturedAfter';
+      if (!f[key]) f[key] = dt;
+    }
+    if (Object.keys(f).length) out.imageFilters = f;
+  }
+  // "which photos were taken …" without a class → the images themselves
+  if (
+    out.target === 'regions' &&
+    !out.types?.length &&
+    /\b(images|photos|pictures|shots)\b/i.test(q) &&
+    /\b(taken|captured|shot|camera|keyword|gps)\b/i.test(q)
+  )
+    out.target = 'images';
   // Ensure reasonable defaults for pairs
   if (out.target === 'pairs') {
     const rel = out.relationships || {};
@@ -900,7 +1133,9 @@ function normalizeIntent(question, intent, currentImageIri) {
       const seeds = [];
       if (synOverlaps) seeds.push('overlaps');
       if (synSame) seeds.push('sameObjectAs');
-      if (!seeds.length)
+      if (directions.length)
+        rel.predicates = [...seeds, ...directions.map(([, k]) => k)];
+      else if (!seeds.length)
         rel.predicates = ['near', 'contains', 'sameObjectAs', 'overlaps'];
       else rel.predicates = Array.from(new Set([...seeds, 'near', 'contains']));
     }
@@ -0,0 +1,192 @@
+// tests/annotation-import.test.mjs
+// COCO / VOC / YOLO import as manual regions: image matching, coordinate conventions,
+// clamping, viewer-compatible ids/URIs/triples (md:*, ex:within), idempotent re-import,
+// optional spatial linking, and tiled manifests.
+import assert from 'assert';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import PixelMatrix from '../src/common/PixelMatrix.js';
+import MetadataIndex from '../src/common/MetadataIndex.js';
+import RegionManager from '../src/common/RegionManager.js';
+import Serializer from '../src/common/Serializer.js';
+import TiledMLSerializer from '../src/tiled/TiledMLSerializer.js';
+import {
+  parseClassNames,
+  parseVoc,
+  parseYolo,
+} from '../src/common/annotation-import.js';
+import { importAnnotations } from '../src/cli/import-annotations.js';
+
+const MD = 'http://example.org/metadata#';
+const WITHIN = 'http://example.org/within';
+
+async function run() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'annotation-import-'));
+  try {
+    // Parsers
+    assert.deepStrictEqual(
+      parseVoc(
+        '<annotation><object><name>cat</name><part><name>paw</name></part><bndbox><xmin>11</xmin><ymin>21</ymin><xmax>40</xmax><ymax>60</ymax></bndbox></object></annotation>',
+      ),
+      [{ label: 'cat', boundary: { x1: 10, y1: 20, x2: 40, y2: 60 } }],
+    );
+    assert.deepStrictEqual(
+      parseYolo('1 0.5 0.5 0.2 0.4 0.75\nbad line\n', {
+        width: 200,
+        height: 100,
+        classes: ['a', 'b'],
+      }),
+      [
+        {
+          label: 'b',
+          boundary: { x1: 80, y1: 30, x2: 120, y2: 70 },
+          score: 0.75,
+        },
+      ],
+    );
+    assert.deepStrictEqual(
+      parseClassNames('names:\n  0: person\n  1: "car"\nnc: 2\n', 'data.yaml'),
+      ['person', 'car'],
+    );
+    assert.deepStrictEqual(
+      parseClassNames('names: [person, car]', 'data.yml'),
+      ['person', 'car'],
+    );
+
+    // Single manifest "scene" (200×100) with a detector region and a viewer region
+    const rm = new RegionManager();
+    rm.defineRegion({ x1: 0, y1: 0, x2: 100, y2: 100 }, ['dog'], {
+      classLabel: 'dog',
+      uri: 'uri://scene/singleImage/0',
+    });
+    rm.regions.push({
+      id: 'manual-150',
+      boundary: { x1: 150, y1: 0, x2: 160, y2: 10 },
+      tags: ['sign'],
+      metadata: { uri: 'uri://scene/manual-region/manual-150' },
+    });
+    const scene = path.join(dir, 'scene.json');
+    await new Serializer(
+      new PixelMatrix(200, 100, 3),
+      new MetadataIndex(),
+      rm,
+    ).save(scene);
+
+    const coco = path.join(dir, 'gt.json');
+    await fs.writeFile(
+      coco,
+      JSON.stringify({
+        images: [
+          { id: 1, file_name: 'other.jpg', width: 10, height: 10 },
+          { id: 2, file_name: 'scene.jpg', width: 200, height: 100 },
+        ],
+        categories: [{ id: 3, name: 'person' }],
+        annotations: [
+          { id: 1, image_id: 1, category_id: 3, bbox: [0, 0, 5, 5] },
+          { id: 2, image_id: 2, category_id: 3, bbox: [10, 10, 20, 30] },
+          { id: 3, image_id: 2, category_id: 3, bbox: [190, 90, 50, 50] },
+          { id: 4, image_id: 2, category_id: 3, bbox: [300, 10, 5, 5] },
+        ],
+      }),
+    );
+    const r1 = await importAnnotations(scene, coco);
+    assert.strictEqual(r1.format, 'coco');
+    assert.deepStrictEqual(
+      r1.added.map((a) => a.id),
+      ['manual-151', 'manual-152'],
+    );
+    assert.strictEqual(r1.skipped, 1, 'box outside the image');
+
+    const { regionManager, metadataIndex } = await new Serializer().load(scene);
+    const imported = regionManager.regions.find((r) => r.id === 'manual-152');
+    assert.deepStrictEqual(imported.boundary, {
+      x1: 190,
+      y1: 90,
+      x2: 200,
+      y2: 100,
+    });
+    assert.strictEqual(
+      imported.metadata.uri,
+      'uri://scene/manual-region/manual-152',
+    );
+    const uri = 'uri://scene/manual-region/manual-151';
+    const objects = (p) =>
+      metadataIndex.store
+        .getQuads(uri, p, null, null)
+        .map((q) => q.object.value);
+    assert.deepStrictEqual(objects(`${MD}classLabel`), ['person']);
+    assert.deepStrictEqual(objects(`${MD}tags`), ['person']);
+    assert.deepStrictEqual(objects(`${MD}source`), ['coco']);
+    assert.deepStrictEqual(objects(WITHIN), ['urn:image:scene']);
+
+    // Re-import is a no-op; the file is not rewritten
+    const before = await fs.readFile(scene, 'utf-8');
+    const r2 = await importAnnotations(scene, coco);
+    assert.strictEqual(r2.added.length, 0);
+    assert.strictEqual(await fs.readFile(scene, 'utf-8'), before);
+
+    // YOLO with class names and spatial linking: the box lies inside the dog
+    const yolo = path.join(dir, 'scene.txt');
+    await fs.writeFile(yolo, '0 0.25 0.5 0.1 0.2\n');
+    const r3 = await importAnnotations(scene, yolo, {
+      classes: ['ball'],
+      relationships: true,
+    });
+    const ball = r3.added[0].uri;
+    const after = await new Serializer().load(scene);
+    assert.strictEqual(
+      after.metadataIndex.store.getQuads(
+        'uri://scene/singleImage/0',
+        `${MD}contains`,
+        ball,
+        null,
+      ).length,
+      1,
+      'dog contains ball',
+    );
+
+    // Tiled manifest: size from the tile grid, regions saved through the tiled serializer
+    const tiled = path.join(dir, 'tiled.json');
+    await TiledMLSerializer.save(
+      [0, 32].map((x) => ({
+        x,
+        y: 0,
+        pixelMatrix: new PixelMatrix(32, 16, 3),
+      })),
+      new MetadataIndex(),
+      new RegionManager(),
+      tiled,
+    );
+    const voc = path.join(dir, 'tiled.xml');
+    await fs.writeFile(
+      voc,
+      '<annotation><object><name>car</name><bndbox><xmin>31</xmin><ymin>1</ymin><xmax>70</xmax><ymax>16</ymax></bndbox></object></annotation>',
+    );
+    const r4 = await importAnnotations(tiled, voc);
+    assert.deepStrictEqual(
+      r4.added.map((a) => a.id),
+      ['manual-101'],
+    );
+    const t = await TiledMLSerializer.load(tiled, { lazy: true });
+    assert.deepStrictEqual(t.regionManager.regions[0].boundary, {
+      x1: 30,
+      y1: 0,
+      x2: 64,
+      y2: 16,
+    });
+
+    await assert.rejects(
+      importAnnotations(scene, path.join(dir, 'labels.csv')),
+      /--format/,
+    );
+    console.log('Annotation import test passed.');
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+run().catch((e) => {
+  console.error('Annotation import test failed:', e);
+  process.exitCode = 1;
+});
@@ -0,0 +1,330 @@
+// tests/bundle.test.mjs
+// .sikg bundles: tar round-trip (long names), export → import reproduces every file,
+// conflicts need overwrite, and altered files, failed tile integrity, unsafe paths and
+// truncated archives are rejected without leaving anything behind. Also exercises
+// GET /export/bundle and POST /bundle/upload on the viewer.
+import http from 'http';
+import assert from 'assert';
+import os from 'os';
+import { createHash } from 'crypto';
+import path from 'path';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { createGzip, gunzipSync } from 'zlib';
+import fs, { promises as fsp } from 'fs';
+import PixelMatrix from '../src/common/PixelMatrix.js';
+import MetadataIndex from '../src/common/MetadataIndex.js';
+import RegionManager from '../src/common/RegionManager.js';
+import Serializer from '../src/common/Serializer.js';
+import IntegrityManager from '../src/common/IntegrityManager.js';
+import { collectBundle } from '../src/common/bundle.js';
+import { extractTar, writeTar } from '../src/common/tar.js';
+import { exportBundle, mountBundle } from '../src/cli/bundle.js';
+
+process.env.PORT = process.env.PORT || '3027';
+const NAME = '__bundle_test';
+const OUT = path.join(process.cwd(), 'output');
+
+async function tarNames(buf) {
+  const names = [];
+  await extractTar([buf], (e) => {
+    names.push(e.name);
+    return null;
+  });
+  return names;
+}
+
+/** Gzip-compressed tar of entries, written to `file`. */
+async function writeArchive(file, entries) {
+  await pipeline(
+    Readable.from(writeTar(entries)),
+    createGzip(),
+    fs.createWriteStream(file),
+  );
+}
+
+/** A bundle whose entries were changed by `edit(entries, bundle)` before writing. */
+async function tamperedBundle(dir, jsonPath, file, edit) {
+  const { bundle, entries } = await collectBundle(jsonPath);
+  const loaded = [];
+  for (const e of entries.slice(1))
+    loaded.push({
+      ...e,
+      source: Buffer.isBuffer(e.source)
+        ? e.source
+        : await fsp.readFile(e.source),
+    });
+  edit(loaded, bundle);
+  const json = Buffer.from(JSON.stringify(bundle));
+  const out = path.join(dir, file);
+  await writeArchive(out, [
+    { name: 'bundle.json', size: json.length, source: json },
+    ...loaded.map((e) => ({ ...e, size: e.source.length })),
+  ]);
+  return out;
+}
+
+async function run() {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'bundle-'));
+  try {
+    // tar: content and long names survive a round-trip
+    const long = `${'d'.repeat(120)}/${'f'.repeat(90)}.bin`;
+    const data = Buffer.from('x'.repeat(700));
+    const chunks = [];
+    for await (const c of writeTar([
+      { name: long, size: data.length, source: data },
+      { name: 'empty', size: 0, source: Buffer.alloc(0) },
+    ]))
+      chunks.push(c);
+    const tar = Buffer.concat(chunks);
+    assert.strictEqual(tar.length % 512, 0);
+    const got = {};
+    await extractTar(
+      (function* () {
+        for (let i = 0; i < tar.length; i += 100)
+          yield tar.subarray(i, i + 100);
+      })(),
+      (e) => {
+        const parts = [];
+        return {
+          write: (b) => parts.push(Buffer.from(b)),
+          end: () => (got[e.name] = Buffer.concat(parts)),
+        };
+      },
+    );
+    assert.deepStrictEqual(Object.keys(got), [long, 'empty']);
+    assert.ok(got[long].equals(data));
+    await assert.rejects(
+      extractTar([tar.subarray(0, 1024)], () => null),
+      /truncated/,
+    );
+
+    // A processed image: manifest + .pht (with integrity), raw model output, original
+    const src = path.join(dir, 'src');
+    const images = path.join(dir, 'images');
+    await fsp.mkdir(src);
+    await fsp.mkdir(images);
+    const rm = new RegionManager();
+    rm.defineRegion({ x1: 0, y1: 0, x2: 10, y2: 10 }, ['dog'], {
+      classLabel: 'dog',
+      uri: 'uri://scene/singleImage/0',
+    });
+    const mi = new MetadataIndex();
+    await mi.insertQuads(
+      '<uri://scene/singleImage/0> <http://example.org/metadata#classLabel> "dog" .',
+    );
+    const jsonPath = path.join(src, 'scene.json');
+    await new Serializer(new PixelMatrix(20, 10, 3), mi, rm).save(jsonPath);
+    await IntegrityManager.storeFileHashes(
+      jsonPath,
+      path.join(src, 'scene.pht'),
+    );
+    await fsp.writeFile(path.join(src, 'scene.raw-model.json'), '{"coco":[]}');
+    await fsp.writeFile(path.join(images, 'scene.png'), 'not really a png');
+
+    const bundlePath = path.join(dir, 'scene.sikg');
+    const { bundle } = await exportBundle(jsonPath, bundlePath, {
+      imageDir: images,
+    });
+    assert.deepStrictEqual(
+      bundle.files.map((f) => `${f.role}:${f.path}`),
+      [
+        'manifest:scene.json',
+        'pixels:scene.pht',
+        'raw-model:scene.raw-model.json',
+        'rdf:scene.ttl',
+        'original:original/scene.png',
+      ],
+    );
+    assert.ok(bundle.merkleRoot, 'Merkle root recorded');
+    assert.strictEqual(
+      (await tarNames(gunzipSync(await fsp.readFile(bundlePath))))[0],
+      'bundle.json',
+    );
+
+    // Mount elsewhere: identical files, loadable manifest, original in the image folder
+    const dst = path.join(dir, 'dst');
+    const dstImages = path.join(dir, 'dst-images');
+    const mounted = await mountBundle(bundlePath, {
+      outDir: dst,
+      imageDir: dstImages,
+    });
+    assert.strictEqual(mounted.manifest, path.join(dst, 'scene.json'));
+    assert.strictEqual(mounted.tilesVerified, 1);
+    for (const f of ['scene.json', 'scene.pht', 'scene.raw-model.json'])
+      assert.ok(
+        (await fsp.readFile(path.join(src, f))).equals(
+          await fsp.readFile(path.join(dst, f)),
+        ),
+        f,
+      );
+    assert.match(
+      await fsp.readFile(path.join(dst, 'scene.ttl'), 'utf-8'),
+      /md:classLabel "dog"/,
+    );
+    assert.strictEqual(
+      await fsp.readFile(path.join(dstImages, 'scene.png'), 'utf-8'),
+      'not really a png',
+    );
+    const reloaded = await new Serializer().load(mounted.manifest);
+    assert.strictEqual(reloaded.regionManager.regions.length, 1);
+
+    // Existing files need overwrite
+    await assert.rejects(
+      mountBundle(bundlePath, { outDir: dst, imageDir: dstImages }),
+      (e) => e.code === 'EEXIST',
+    );
+    await mountBundle(bundlePath, {
+      outDir: dst,
+      imageDir: dstImages,
+      overwrite: true,
+    });
+
+    // Rejections leave the target untouched
+    const fresh = path.join(dir, 'fresh');
+    const expectRejected = async (file, pattern) => {
+      await assert.rejects(
+        mountBundle(file, { outDir: fresh }),
+        (e) => e.code === 'EBUNDLE' && pattern.test(e.message),
+      );
+      assert.deepStrictEqual(await fsp.readdir(fresh), []);
+    };
+    const flip = (entries, name) => {
+      const e = entries.find((x) => x.name === name);
+      e.source = Buffer.from(e.source);
+      e.source[e.source.length - 1] ^= 0xff;
+    };
+    await expectRejected(
+      await tamperedBundle(dir, jsonPath, 'altered.sikg', (entries) =>
+        flip(entries, 'scene.pht'),
+      ),
+      /altered in bundle: scene\.pht/,
+    );
+    // Consistent bundle.json, but the pixels no longer match the manifest's hashes
+    await expectRejected(
+      await tamperedBundle(dir, jsonPath, 'rehashed.sikg', (entries, b) => {
+        flip(entries, 'scene.pht');
+        const e = entries.find((x) => x.name === 'scene.pht');
+        b.files.find((f) => f.path === 'scene.pht').sha256 = createHash(
+          'sha256',
+        )
+          .update(e.source)
+          .digest('hex');
+      }),
+      /Integrity check failed: .*scene\.pht modified/,
+    );
+    await expectRejected(
+      await tamperedBundle(dir, jsonPath, 'escape.sikg', (entries, b) => {
+        entries.push({ name: '../escape.txt', source: Buffer.from('x') });
+        b.files.push({ path: '../escape.txt', role: 'rdf' });
+      }),
+      /Unsafe/,
+    );
+    await expectRejected(
+      await tamperedBundle(dir, jsonPath, 'extra.sikg', (entries) =>
+        entries.push({ name: 'extra.txt', source: Buffer.from('x') }),
+      ),
+      /Unexpected file in bundle: extra\.txt/,
+    );
+    const truncated = path.join(dir, 'truncated.sikg');
+    await fsp.writeFile(
+      truncated,
+      (await fsp.readFile(bundlePath)).subarray(0, 200),
+    );
+    await expectRejected(truncated, /Corrupt bundle/);
+    // cut inside the second entry's data: the file being written is closed again
+    const plain = gunzipSync(await fsp.readFile(bundlePath));
+    const sizes = [];
+    await extractTar([plain], (e) => {
+      sizes.push(e.size);
+      return null;
+    });
+    assert.ok(sizes[1] > 1);
+    const cut = 512 + Math.ceil(sizes[0] / 512) * 512 + 512 + 1;
+    const midEntry = path.join(dir, 'mid-entry.sikg');
+    await pipeline(
+      Readable.from([plain.subarray(0, cut)]),
+      createGzip(),
+      fs.createWriteStream(midEntry),
+    );
+    const openFds = () => fsp.readdir('/proc/self/fd').catch(() => []);
+    const fdsBefore = (await openFds()).length;
+    await expectRejected(midEntry, /Corrupt bundle/);
+    assert.strictEqual(
+      (await openFds()).length,
+      fdsBefore,
+      'file handle left open',
+    );
+
+    // Viewer: download a bundle and upload it back under /output
+    await fsp.mkdir(OUT, { recursive: true });
+    await new Serializer(new PixelMatrix(20, 10, 3), mi, rm).save(
+      path.join(OUT, `${NAME}.json`),
+    );
+    await IntegrityManager.storeFileHashes(
+      path.join(OUT, `${NAME}.json`),
+      path.join(OUT, `${NAME}.pht`),
+    );
+    await import('../src/viewer/InteractiveViewerServer.js');
+    await new Promise((r) => setTimeout(r, 300));
+    const request = (method, url, body) =>
+      new Promise((resolve, reject) => {
+        const req = http.request(
+          `http://127.0.0.1:${process.env.PORT}${url}`,
+          { method, headers: { 'Content-Type': 'application/gzip' } },
+          (res) => {
+            const parts = [];
+            res.on('data', (c) => parts.push(c));
+            res.on('end', () =>
+              resolve({
+                status: res.statusCode,
+                headers: res.headers,
+                body: Buffer.concat(parts),
+              }),
+            );
+          },
+        );
+        req.on('error', reject);
+        req.end(body);
+      });
+    const dl = await request(
+      'GET',
+      `/export/bundle?jsonPath=/output/${NAME}.json&original=0`,
+    );
+    assert.strictEqual(dl.status, 200);
+    assert.match(dl.headers['content-disposition'], /__bundle_test\.sikg/);
+    assert.deepStrictEqual(await tarNames(gunzipSync(dl.body)), [
+      'bundle.json',
+      `${NAME}.json`,
+      `${NAME}.pht`,
+      `${NAME}.ttl`,
+    ]);
+    const conflict = await request('POST', '/bundle/upload', dl.body);
+    assert.strictEqual(conflict.status, 409);
+    for (const f of await fsp.readdir(OUT))
+      if (f.startsWith(NAME)) await fsp.rm(path.join(OUT, f));
+    const up = await request('POST', '/bundle/upload', dl.body);
+    assert.strictEqual(up.status, 200, up.body.toString());
+    const upJson = JSON.parse(up.body);
+    assert.strictEqual(upJson.jsonPath, `/output/${NAME}.json`);
+    assert.strictEqual(upJson.tilesVerified, 1);
+    const bad = await request('POST', '/bundle/upload', Buffer.from('nope'));
+    assert.strictEqual(bad.status, 422);
+    assert.ok(
+      !(await fsp.readdir(OUT)).some((f) => f.startsWith('.bundle-')),
+      'staging folders removed',
+    );
+    console.log('Bundle test passed.');
+  } finally {
+    await fsp.rm(dir, { recursive: true, force: true });
+    for (const f of await fsp.readdir(OUT).catch(() => []))
+      if (f.startsWith(NAME)) await fsp.rm(path.join(OUT, f), { force: true });
+  }
+}
+
+run()
+  .catch((e) => {
+    console.error('Bundle test failed:', e);
+    process.exitCode = 1;
+  })
+  .finally(() => process.exit(process.exitCode || 0));
@@ -0,0 +1,136 @@
+// tests/coco-export.test.mjs
+// COCO export: categories from classLabel/tags, bbox/score mapping, image sizes for single
+// and tiled manifests, the deleted/face/manual filters, the CLI entry point and /export/coco.
+import http from 'http';
+import assert from 'assert';
+import path from 'path';
+import { promises as fs } from 'fs';
+import PixelMatrix from '../src/common/PixelMatrix.js';
+import MetadataIndex from '../src/common/MetadataIndex.js';
+import RegionManager from '../src/common/RegionManager.js';
+import Serializer from '../src/common/Serializer.js';
+import TiledMLSerializer from '../src/tiled/TiledMLSerializer.js';
+import { exportCoco } from '../src/cli/export-coco.js';
+
+process.env.PORT = process.env.PORT || '3025';
+const NAME = '__coco_test';
+const OUT = path.join(process.cwd(), 'output');
+const singlePath = path.join(OUT, `${NAME}_single.json`);
+const tiledPath = path.join(OUT, `${NAME}_tiled.json`);
+await fs.mkdir(OUT, { recursive: true });
+
+const single = new RegionManager();
+single.defineRegion({ x1: 10, y1: 20, x2: 40, y2: 60 }, ['dog'], {
+  classLabel: 'dog',
+  confidence: 0.9,
+  uri: 'uri://s/singleImage/0',
+});
+single.defineRegion({ x1: 0, y1: 0, x2: 8, y2: 8 }, ['face'], {
+  classLabel: 'face',
+  confidence: 0.8,
+  uri: 'uri://s/singleImage/1',
+});
+single.defineRegion({ x1: 50, y1: 50, x2: 90, y2: 90 }, ['cat'], {
+  classLabel: 'cat',
+  deleted: true,
+});
+single.regions.push({
+  id: 'manual-7',
+  boundary: { x1: 90, y1: 70, x2: 130, y2: 110 }, // clamped to 100×80
+  tags: ['boat'],
+  metadata: { uri: 'uri://s/manual-region/manual-7' },
+});
+await new Serializer(
+  new PixelMatrix(100, 80, 3),
+  new MetadataIndex(),
+  single,
+).save(singlePath);
+
+const tiledRm = new RegionManager();
+tiledRm.defineRegion({ x1: 5, y1: 5, x2: 25, y2: 15 }, ['car'], {
+  classLabel: 'car',
+});
+await TiledMLSerializer.save(
+  [0, 16].map((x) => ({ x, y: 0, pixelMatrix: new PixelMatrix(16, 20, 3) })),
+  new MetadataIndex(),
+  tiledRm,
+  tiledPath,
+);
+
+try {
+  const coco = await exportCoco([singlePath, tiledPath]);
+  assert.deepStrictEqual(
+    coco.categories.map((c) => [c.id, c.name]),
+    [
+      [1, 'boat'],
+      [2, 'car'],
+      [3, 'dog'],
+      [4, 'face'],
+    ],
+  );
+  assert.deepStrictEqual(
+    coco.images.map((i) => [i.id, i.width, i.height, i.file_name]),
+    [
+      [1, 100, 80, `${NAME}_single.png`],
+      [2, 32, 20, `${NAME}_tiled.png`],
+    ],
+  );
+  const dog = coco.annotations.find((a) => a.region_id === 0);
+  assert.deepStrictEqual(dog.bbox, [10, 20, 30, 40]);
+  assert.strictEqual(dog.area, 1200);
+  assert.strictEqual(dog.score, 0.9);
+  assert.strictEqual(dog.uri, 'uri://s/singleImage/0');
+  const boat = coco.annotations.find((a) => a.region_id === 'manual-7');
+  assert.deepStrictEqual(boat.bbox, [90, 70, 10, 10]);
+  assert.ok(!('score' in boat));
+  assert.ok(!coco.annotations.some((a) => a.region_id === 2), 'deleted');
+  assert.strictEqual(
+    coco.annotations.find((a) => a.image_id === 2).category_id,
+    2,
+  );
+
+  const withDeleted = await exportCoco([singlePath], { includeDeleted: true });
+  assert.strictEqual(withDeleted.annotations.length, 4);
+  const noFaces = await exportCoco([singlePath], { excludeFaces: true });
+  assert.ok(!noFaces.categories.some((c) => c.name === 'face'));
+  const manual = await exportCoco([singlePath, tiledPath], {
+    manualOnly: true,
+  });
+  assert.deepStrictEqual(
+    manual.annotations.map((a) => a.region_id),
+    ['manual-7'],
+  );
+  assert.strictEqual(manual.images.length, 2, 'images kept without regions');
+
+  // Viewer route
+  await import('../src/viewer/InteractiveViewerServer.js');
+  await new Promise((r) => setTimeout(r, 300));
+  const get = (q) =>
+    new Promise((resolve, reject) => {
+      http
+        .get(`http://127.0.0.1:${process.env.PORT}/export/coco?${q}`, (res) => {
+          let d = '';
+          res.on('data', (c) => (d += c));
+          res.on('end', () =>
+            resolve({ status: res.statusCode, body: JSON.parse(d) }),
+          );
+        })
+        .on('error', reject);
+    });
+  const q = `jsonPath=${encodeURIComponent(`/output/${NAME}_single.json`)}`;
+  const r1 = await get(`${q}&excludeFaces=1&manualOnly=0`);
+  assert.strictEqual(r1.status, 200);
+  assert.deepStrictEqual(
+    r1.body.annotations.map((a) => a.region_id),
+    [0, 'manual-7'],
+  );
+  const r2 = await get('jsonPath=../package.json');
+  assert.strictEqual(r2.status, 400);
+  const r3 = await get('scope=global');
+  assert.strictEqual(r3.status, 400);
+  console.log('COCO export test passed.');
+} finally {
+  for (const f of await fs.readdir(OUT))
+    if (f.startsWith(NAME)) await fs.rm(path.join(OUT, f), { force: true });
+}
+process.exit(process.exitCode || 0);
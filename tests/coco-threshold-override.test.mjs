@@ -26,13 +26,26 @@ async function run() {
     cocoClassThresholds: { person: 0.1 },
   });
   proc.loadModels = async () => {
-    proc.coco = {
-      detect: async () => [
-        { class: 'person', score: 0.2, bbox: [5, 5, 10, 10] },
-        { class: 'dog', score: 0.2, bbox: [20, 20, 10, 10] },
-      ],
-    };
-    proc.deeplab = { segment: async () => ({}) };
+    proc.detectors = [
+      {
+        name: 'coco-ssd',
+        role: 'objects',
+        model: 'coco-ssd',
+        modelUri: 'http://example.org/model/coco-ssd',
+        infer: async () => [
+          {
+            label: 'person',
+            confidence: 0.2,
+            boundary: { x1: 5, y1: 5, x2: 15, y2: 15 },
+          },
+          {
+            label: 'dog',
+            confidence: 0.2,
+            boundary: { x1: 20, y1: 20, x2: 30, y2: 30 },
+          },
+        ],
+      },
+    ];
   };
   await proc.processImage();
   const regions = proc.regionManager.regions;
@@ -0,0 +1,185 @@
+// tests/color-descriptors.test.mjs
+// Colour descriptors: pixels get the basic colour names, regions count only the pixels
+// inside their mask or polygon, tiled runs read across tile borders, the labels land on the
+// region as md:dominantColor / md:colorHistogram, and the intent `colors` filter (with
+// aliases) selects regions by them. Large regions read only their sample rows.
+import assert from 'assert';
+import PixelMatrix from '../src/common/PixelMatrix.js';
+import MetadataIndex from '../src/common/MetadataIndex.js';
+import { encodeMask } from '../src/common/mask.js';
+import {
+  MD_COLOR_HISTOGRAM,
+  MD_DOMINANT_COLOR,
+  classifyColor,
+  describeRegionColors,
+  normalizeColorName,
+  parseColorHistogram,
+} from '../src/common/color-descriptors.js';
+import {
+  buildSparqlFromIntent,
+  validateIntent,
+} from '../src/voice/VoiceService.js';
+
+// Pixels
+for (const [rgb, name] of [
+  [[10, 10, 10], 'black'],
+  [[250, 250, 248], 'white'],
+  [[128, 130, 128], 'grey'],
+  [[178, 34, 34], 'red'],
+  [[255, 140, 0], 'orange'],
+  [[244, 196, 48], 'yellow'],
+  [[34, 139, 34], 'green'],
+  [[29, 78, 137], 'blue'],
+  [[128, 0, 128], 'purple'],
+  [[255, 182, 193], 'pink'],
+  [[122, 75, 42], 'brown'],
+])
+  assert.strictEqual(classifyColor(...rgb), name, `${rgb} → ${name}`);
+assert.strictEqual(normalizeColorName(' Gray '), 'grey');
+assert.strictEqual(normalizeColorName('violet'), 'purple');
+assert.strictEqual(normalizeColorName('plaid'), null);
+
+// 40×20 image: red left half, blue right half, a white 10×10 block in the blue half
+const W = 40;
+const H = 20;
+const pm = new PixelMatrix(W, H, 4);
+for (let y = 0; y < H; y++)
+  for (let x = 0; x < W; x++) {
+    if (x < 20) pm.setPixel(x, y, 200, 20, 20, 255);
+    else if (x >= 25 && x < 35 && y >= 5 && y < 15)
+      pm.setPixel(x, y, 250, 250, 250, 255);
+    else pm.setPixel(x, y, 20, 40, 200, 255);
+  }
+const regions = [
+  {
+    id: 0,
+    boundary: { x1: 0, y1: 0, x2: 40, y2: 20 },
+    metadata: { uri: 'uri://t/singleImage/0' },
+  },
+  {
+    // box over everything, mask only on the red half
+    id: 1,
+    boundary: { x1: 0, y1: 0, x2: 40, y2: 20 },
+    mask: encodeMask(new Uint8Array(20 * 20).fill(1), 20, 20, 0, 0),
+    metadata: { uri: 'uri://t/singleImage/1' },
+  },
+  {
+    // triangle in the blue half, clear of the white block's rows
+    id: 2,
+    boundary: { x1: 20, y1: 0, x2: 40, y2: 5 },
+    polygon: [[20, 0, 40, 0, 20, 5]],
+    metadata: { uri: 'uri://t/singleImage/2' },
+  },
+  { id: 3, boundary: { x1: 0, y1: 0, x2: 4, y2: 4 }, metadata: {} }, // no URI
+];
+const mi = new MetadataIndex();
+assert.strictEqual(await describeRegionColors(regions, pm, mi), 3);
+assert.deepStrictEqual(regions[0].metadata.dominantColor, ['red', 'blue']);
+const hist = parseColorHistogram(regions[0].metadata.colorHistogram);
+assert.deepStrictEqual(Object.keys(hist), ['red', 'blue', 'white']);
+assert.ok(
+  Math.abs(hist.red - 0.5) <= 0.02 && Math.abs(hist.white - 0.13) <= 0.02,
+);
+assert.deepStrictEqual(regions[1].metadata.dominantColor, ['red']);
+assert.deepStrictEqual(regions[2].metadata.dominantColor, ['blue']);
+assert.ok(!regions[3].metadata.dominantColor);
+
+// Graph: one md:dominantColor per colour, the histogram literal, the index entry
+const colorsOf = (uri) =>
+  mi.store
+    .getObjects(uri, MD_DOMINANT_COLOR, null)
+    .map((o) => o.value)
+    .sort();
+assert.deepStrictEqual(colorsOf('uri://t/singleImage/0'), ['blue', 'red']);
+assert.strictEqual(
+  mi.store.getObjects('uri://t/singleImage/0', MD_COLOR_HISTOGRAM, null)[0]
+    .value,
+  regions[0].metadata.colorHistogram,
+);
+assert.deepStrictEqual(
+  mi.index[mi.hashURI('uri://t/singleImage/1')].dominantColor,
+  ['red'],
+);
+// re-running replaces rather than accumulates
+await describeRegionColors(regions, pm, mi);
+assert.deepStrictEqual(colorsOf('uri://t/singleImage/1'), ['red']);
+
+// Tiled: the same image as two 20×20 tiles gives the same labels
+const tile = (x0) => {
+  const t = new PixelMatrix(20, 20, 4);
+  for (let y = 0; y < 20; y++)
+    for (let x = 0; x < 20; x++) {
+      const { r, g, b, a } = pm.getPixel(x0 + x, y);
+      t.setPixel(x, y, r, g, b, a);
+    }
+  return { x: x0, y: 0, pixelMatrix: t };
+};
+const tiled = regions
+  .slice(0, 3)
+  .map((r) => ({ ...r, metadata: { ...r.metadata } }));
+await describeRegionColors(tiled, [tile(0), tile(20)], new MetadataIndex());
+assert.deepStrictEqual(
+  tiled.map((r) => r.metadata.dominantColor),
+  [['red', 'blue'], ['red'], ['blue']],
+);
+// pixels no tile covers are not counted: only the blue half with its white block is left
+const half = [{ ...regions[0], metadata: { ...regions[0].metadata } }];
+await describeRegionColors(half, [tile(20)], new MetadataIndex());
+assert.deepStrictEqual(half[0].metadata.dominantColor, ['blue', 'white']);
+
+// A large region reads only its sample rows, never the whole box
+let largest = 0;
+let read = 0;
+const huge = {
+  x: 0,
+  y: 0,
+  pixelMatrix: {
+    width: 4000,
+    height: 4000,
+    channels: 4,
+    readRect(r) {
+      largest = Math.max(largest, r.width * r.height);
+      read += r.width * r.height;
+      const data = Buffer.alloc(r.width * r.height * 4);
+      for (let i = 0; i < data.length; i += 4) data.set([30, 60, 200, 255], i);
+      return { ...r, channels: 4, data };
+    },
+  },
+};
+const big = [
+  {
+    id: 0,
+    boundary: { x1: 0, y1: 0, x2: 4000, y2: 4000 },
+    metadata: { uri: 'uri://t/singleImage/9' },
+  },
+];
+await describeRegionColors(big, [huge], new MetadataIndex());
+assert.deepStrictEqual(big[0].metadata.dominantColor, ['blue']);
+assert.strictEqual(largest, 4000);
+assert.ok(read <= 64 * 4000, `read ${read} pixels`);
+
+// Intents: aliases folded, unknown names rejected, regions selected by colour
+assert.deepStrictEqual(
+  validateIntent({ target: 'regions', colors: ['Gray', 'violet', 'plaid'] })
+    .value.colors,
+  ['grey', 'purple'],
+);
+assert.ok(!validateIntent({ target: 'regions', colors: ['plaid'] }).ok);
+assert.ok(!validateIntent({ target: 'regions', colors: 'red' }).ok);
+const select = async (colors) => {
+  const v = validateIntent({ target: 'regions', colors });
+  assert.ok(v.ok, v.error);
+  const rows = await mi.executeSPARQL(buildSparqlFromIntent(v.value));
+  return [...new Set(rows.map((b) => b.get('r').value))].sort();
+};
+assert.deepStrictEqual(await select(['red']), [
+  'uri://t/singleImage/0',
+  'uri://t/singleImage/1',
+]);
+assert.deepStrictEqual(await select(['blue']), [
+  'uri://t/singleImage/0',
+  'uri://t/singleImage/2',
+]);
+assert.deepStrictEqual(await select(['green']), []);
+
+console.log('Colour descriptors test passed.');
@@ -0,0 +1,122 @@
+// tests/deep-zoom-endpoint.test.mjs
+// Builds a small tiled manifest with pyramid levels under output/, then checks the DZI
+// descriptor, tile geometry at full and reduced levels, and the viewport region query.
+import http from 'http';
+import assert from 'assert';
+import path from 'path';
+import { promises as fs } from 'fs';
+import sharp from 'sharp';
+import PixelMatrix from '../src/common/PixelMatrix.js';
+import MetadataIndex from '../src/common/MetadataIndex.js';
+import RegionManager from '../src/common/RegionManager.js';
+import TiledMLSerializer from '../src/tiled/TiledMLSerializer.js';
+import {
+  buildPyramidLevels,
+  dziMaxLevel,
+  dziTileBounds,
+} from '../src/tiled/pyramid.js';
+
+process.env.PORT = process.env.PORT || '3021';
+const NAME = '__dzi_test';
+const OUT = path.join(process.cwd(), 'output');
+const W = 600;
+const H = 420;
+
+// Geometry sanity (pure)
+assert.strictEqual(dziMaxLevel(W, H), 10);
+const full = dziTileBounds(W, H, 10, 2, 1, 256, 0);
+assert.deepStrictEqual(full.level, { x: 512, y: 256, width: 88, height: 164 });
+assert.strictEqual(dziTileBounds(W, H, 10, 3, 0, 256, 0), null);
+
+// Fixture: horizontal gradient split into 4 tiles with a 10px overlap
+const img = new PixelMatrix(W, H, 4);
+for (let y = 0; y < H; y++)
+  for (let x = 0; x < W; x++)
+    img.setPixel(x, y, Math.floor((x / W) * 255), 80, 160, 255);
+const tiles = [];
+for (const [x, y, w, h] of [
+  [0, 0, 310, 220],
+  [300, 0, 300, 220],
+  [0, 210, 310, 210],
+  [300, 210, 300, 210],
+]) {
+  const pm = new PixelMatrix(w, h, 4);
+  for (let r = 0; r < h; r++)
+    pm.pixels.set(
+      img.pixels.subarray(((y + r) * W + x) * 4, ((y + r) * W + x + w) * 4),
+      r * w * 4,
+    );
+  tiles.push({ x, y, pixelMatrix: pm });
+}
+const rm = new RegionManager();
+rm.defineRegion({ x1: 20, y1: 20, x2: 80, y2: 80 }, ['a'], {
+  uri: 'uri://t/a',
+});
+rm.defineRegion({ x1: 500, y1: 300, x2: 580, y2: 400 }, ['b'], {
+  uri: 'uri://t/b',
+});
+const jsonPath = path.join(OUT, `${NAME}.json`);
+await fs.mkdir(OUT, { recursive: true });
+await TiledMLSerializer.save(tiles, new MetadataIndex(), rm, jsonPath, {
+  pyramid: buildPyramidLevels(img.pixels, W, H, 4, { minSize: 128 }),
+});
+
+await import('../src/viewer/InteractiveViewerServer.js');
+await new Promise((r) => setTimeout(r, 300));
+
+function get(pathname) {
+  const opts = {
+    hostname: '127.0.0.1',
+    port: process.env.PORT,
+    path: pathname,
+    method: 'GET',
+  };
+  return new Promise((resolve, reject) => {
+    const req = http.request(opts, (res) => {
+      const chunks = [];
+      res.on('data', (c) => chunks.push(c));
+      res.on('end', () =>
+        resolve({ status: res.statusCode, body: Buffer.concat(chunks) }),
+      );
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+try {
+  const manifest = JSON.parse(await fs.readFile(jsonPath, 'utf-8'));
+  assert.strictEqual(manifest.pyramid.levels.length, 3, 'pyramid levels');
+
+  const d = await get(`/dzi/${NAME}.dzi`);
+  assert.strictEqual(d.status, 200);
+  assert.ok(/Width="600" Height="420"/.test(d.body.toString()));
+
+  const t = await get(`/dzi/${NAME}_files/10/2_1.png`);
+  assert.strictEqual(t.status, 200);
+  const meta = await sharp(t.body).metadata();
+  assert.deepStrictEqual([meta.width, meta.height], [88, 164]);
+
+  // Level 8 (¼ scale) comes from a pyramid level: whole image in one tile
+  const low = await get(`/dzi/${NAME}_files/8/0_0.png`);
+  const lm = await sharp(low.body).raw().toBuffer({ resolveWithObject: true });
+  assert.deepStrictEqual([lm.info.width, lm.info.height], [150, 105]);
+  const red = lm.data[(50 * 150 + 140) * lm.info.channels];
+  assert.ok(Math.abs(red - 240) <= 6, `gradient preserved (got ${red})`);
+
+  assert.strictEqual((await get(`/dzi/${NAME}_files/10/9_9.png`)).status, 404);
+  assert.strictEqual((await get(`/dzi/..%2Fsecret.dzi`)).status, 404);
+
+  const vp = JSON.parse(
+    (await get(`/regions/viewport?name=${NAME}&x=450&y=250&w=200&h=200`)).body,
+  );
+  assert.deepStrictEqual(
+    vp.regions.map((r) => r.tags[0]),
+    ['b'],
+  );
+  console.log('Deep Zoom endpoint test passed.');
+} finally {
+  for (const f of await fs.readdir(OUT))
+    if (f.startsWith(NAME)) await fs.rm(path.join(OUT, f), { force: true });
+}
+process.exit(process.exitCode || 0);
@@ -0,0 +1,291 @@
+// tests/detectors.test.mjs
+// Detector registry: built-ins per profile, DETECTORS / facePrivacy selection, adapter
+// output normalised into full-image coordinates, class maps turned into masks, detector.json
+// validation and hash checks, and a custom detector running through both pipelines without
+// touching them.
+import assert from 'assert';
+import path from 'path';
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import sharp from 'sharp';
+import ImageProcessor from '../src/single/ImageProcessor.js';
+import TiledMLProcessor from '../src/tiled/TiledMLProcessor.js';
+import { encodeMask, maskArea } from '../src/common/mask.js';
+import {
+  detectorNamesFor,
+  labelMapSegments,
+  loadDetectors,
+  normalizeDetections,
+  registerConfiguredDetectors,
+  registerDetector,
+  registeredDetectors,
+  runDetector,
+  validateDetectorConfig,
+} from '../src/common/detectors.js';
+
+// Built-ins and profiles
+assert.deepStrictEqual(
+  registeredDetectors().map((d) => [d.name, d.role]),
+  [
+    ['coco-ssd', 'objects'],
+    ['deeplab-ade20k', 'segments'],
+    ['face-detection', 'faces'],
+  ],
+);
+delete process.env.DETECTORS;
+assert.deepStrictEqual(detectorNamesFor('fast'), [
+  'coco-ssd',
+  'face-detection',
+]);
+assert.deepStrictEqual(detectorNamesFor('quality', { facePrivacy: false }), [
+  'coco-ssd',
+  'deeplab-ade20k',
+]);
+process.env.DETECTORS = 'deeplab-ade20k, coco-ssd';
+assert.deepStrictEqual(detectorNamesFor('fast'), [
+  'deeplab-ade20k',
+  'coco-ssd',
+]);
+assert.deepStrictEqual(detectorNamesFor('fast', { detectors: ['coco-ssd'] }), [
+  'coco-ssd',
+]);
+delete process.env.DETECTORS;
+assert.throws(
+  () => detectorNamesFor('fast', { detectors: 'coco-ssd,yolo' }),
+  (e) => e.code === 'EDETECTOR' && /yolo/.test(e.message),
+);
+assert.throws(
+  () => registerDetector('x', () => ({}), { role: 'keypoints' }),
+  /unknown role/,
+);
+
+// Normalisation: ordered, clipped to the input, offset to the tile, confidence clamped
+const mask = encodeMask(new Uint8Array(4).fill(1), 2, 2, 1, 1);
+assert.deepStrictEqual(
+  normalizeDetections(
+    [
+      {
+        label: 'boat',
+        confidence: 1.7,
+        boundary: { x1: 30, y1: 5, x2: 10, y2: 45 },
+      },
+      { label: 'buoy', boundary: { x1: 50, y1: 50, x2: 60, y2: 60 } }, // outside
+      { label: ' ', boundary: { x1: 0, y1: 0, x2: 5, y2: 5 } },
+      {
+        label: 'water',
+        confidence: 0.4,
+        classId: 3,
+        mask,
+        boundary: { x1: 1, y1: 1, x2: 3, y2: 3 },
+      },
+    ],
+    { width: 40, height: 40, x: 100, y: 200 },
+  ),
+  [
+    {
+      label: 'boat',
+      confidence: 1,
+      boundary: { x1: 110, y1: 205, x2: 130, y2: 240 },
+    },
+    {
+      label: 'water',
+      confidence: 0.4,
+      boundary: { x1: 101, y1: 201, x2: 103, y2: 203 },
+      mask: { ...mask, x: 101, y: 201 },
+      classId: 3,
+    },
+  ],
+);
+
+// Class map → one mask per class, scaled to the input; background skipped
+const segs = labelMapSegments(
+  [0, 0, 2, 2, 0, 0, 2, 2, 5, 5, 5, 5, 5, 5, 5, 5],
+  4,
+  4,
+  { width: 8, height: 8 },
+  (id) => (id === 0 ? null : `c${id}`),
+);
+assert.deepStrictEqual(
+  segs.map((s) => [s.label, s.classId, s.confidence, s.boundary]),
+  [
+    ['c2', 2, 0.25, { x1: 4, y1: 0, x2: 8, y2: 4 }],
+    ['c5', 5, 0.5, { x1: 0, y1: 4, x2: 8, y2: 8 }],
+  ],
+);
+assert.strictEqual(maskArea(segs[1].mask), 32);
+
+// Adapters load once, get defaults, and run through runDetector
+let loads = 0;
+registerDetector(
+  'harbour-boats',
+  () => ({
+    classes: ['sailboat', 'ferry'],
+    load: async () => {
+      loads++;
+    },
+    infer: async ({ width }) => [
+      {
+        label: 'sailboat',
+        confidence: 0.9,
+        boundary: { x1: 0, y1: 0, x2: width / 2, y2: 8 },
+      },
+    ],
+  }),
+  { profiles: ['quality'] },
+);
+const [boats] = await loadDetectors(['harbour-boats']);
+await loadDetectors(['harbour-boats']);
+assert.strictEqual(loads, 1);
+assert.strictEqual(boats.role, 'objects');
+assert.strictEqual(boats.modelUri, 'http://example.org/model/harbour-boats');
+assert.deepStrictEqual(boats.classes, ['sailboat', 'ferry']);
+assert.deepStrictEqual(
+  await runDetector(boats, { width: 20, height: 10 }, { x: 5, y: 5 }),
+  [
+    {
+      label: 'sailboat',
+      confidence: 0.9,
+      boundary: { x1: 5, y1: 5, x2: 15, y2: 13 },
+    },
+  ],
+);
+assert.deepStrictEqual(detectorNamesFor('quality').slice(-1), [
+  'harbour-boats',
+]);
+registerDetector('broken', () => ({}));
+await assert.rejects(loadDetectors(['broken']), /no infer/);
+
+// detector.json: defaults, validation, registration, hash check before loading
+const full = validateDetectorConfig({ name: 'harbour-boats', classes: ['a'] });
+assert.strictEqual(full.role, 'objects');
+assert.strictEqual(full.outputs.boxes, 'detection_boxes');
+for (const bad of [
+  { name: 'x y', classes: ['a'] },
+  { name: 'x', classes: [] },
+  { name: 'x', classes: ['a'], type: 'onnx' },
+  { name: 'x', classes: ['a'], inputSize: [300] },
+  { name: 'x', classes: ['a'], profiles: ['turbo'] },
+])
+  assert.throws(
+    () => validateDetectorConfig(bad),
+    (e) => e.code === 'EDETECTOR',
+  );
+
+const ROOT = path.join(process.cwd(), 'output', '__detectors_test');
+const sha = (s) => createHash('sha256').update(s).digest('hex');
+await fs.rm(ROOT, { recursive: true, force: true });
+try {
+  const dir = path.join(ROOT, 'water');
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(
+    path.join(dir, 'detector.json'),
+    JSON.stringify({
+      name: 'harbour-water',
+      role: 'segments',
+      classes: ['water', 'quay'],
+      profiles: ['balanced'],
+    }),
+  );
+  const modelJson = JSON.stringify({
+    weightsManifest: [{ paths: ['w.bin'] }],
+  });
+  await fs.writeFile(path.join(dir, 'model.json'), modelJson);
+  await fs.writeFile(path.join(dir, 'w.bin'), 'tampered');
+  await fs.writeFile(
+    path.join(dir, 'SHA256SUMS'),
+    `${sha(modelJson)}  model.json\n${sha('weights')}  w.bin\n`,
+  );
+  await fs.mkdir(path.join(ROOT, 'notes')); // no detector.json: ignored
+  assert.deepStrictEqual(await registerConfiguredDetectors(ROOT), [
+    'harbour-water',
+  ]);
+  assert.deepStrictEqual(
+    registeredDetectors().find((d) => d.name === 'harbour-water'),
+    { name: 'harbour-water', role: 'segments', profiles: ['balanced'] },
+  );
+  await assert.rejects(
+    loadDetectors(['harbour-water']),
+    (e) => e.code === 'EMODEL' && /hash mismatch/.test(e.message),
+  );
+  assert.deepStrictEqual(
+    await registerConfiguredDetectors(path.join(ROOT, 'none')),
+    [],
+  );
+
+  const bad = path.join(ROOT, 'bad', 'x');
+  await fs.mkdir(bad, { recursive: true });
+  await fs.writeFile(path.join(bad, 'detector.json'), '{"name": "x"}');
+  await assert.rejects(
+    registerConfiguredDetectors(path.dirname(bad)),
+    (e) => e.code === 'EDETECTOR',
+  );
+} finally {
+  await fs.rm(ROOT, { recursive: true, force: true });
+}
+
+// A custom segments detector through the tiled pipeline: water across both 32-px tiles
+// is stitched into one region with the detector's provenance
+registerDetector(
+  'harbour-water',
+  () => ({
+    title: 'Harbour water',
+    infer: async ({ width, height }) =>
+      labelMapSegments(
+        new Uint8Array(width * height).fill(1),
+        width,
+        height,
+        { width, height },
+        () => 'water',
+      ),
+  }),
+  { role: 'segments' },
+);
+const img = await sharp({
+  create: { width: 64, height: 32, channels: 4, background: '#1d4e89' },
+})
+  .png()
+  .toBuffer();
+const tp = new TiledMLProcessor(img, {
+  tileSize: 32,
+  halo: 0,
+  minSegmentArea: 1,
+  colorDescriptors: false,
+  detectors: ['harbour-boats', 'harbour-water'],
+});
+await tp.processImage();
+const water = tp.regionManager.regions.filter((r) => r.tags[0] === 'water');
+assert.strictEqual(water.length, 1);
+assert.deepStrictEqual(water[0].boundary, { x1: 0, y1: 0, x2: 64, y2: 32 });
+assert.strictEqual(water[0].provenance.stitchedTiles, 2);
+assert.strictEqual(water[0].metadata.model, 'harbour-water');
+assert.strictEqual(water[0].metadata.description, 'Harbour water class: water');
+const detectedBy = async (mi, cls) =>
+  (
+    await mi.executeSPARQL(`
+      PREFIX ex: <http://example.org/>
+      SELECT ?m WHERE { ?r a ex:${cls} ; ex:detectedBy ?m }`)
+  ).map((b) => b.get('m').value);
+assert.deepStrictEqual(await detectedBy(tp.metadataIndex, 'water'), [
+  'http://example.org/model/harbour-water',
+]);
+// sailboats from both tiles (each in its own keep area)
+assert.strictEqual(
+  tp.regionManager.regions.filter((r) => r.tags[0] === 'sailboat').length,
+  2,
+);
+
+// …and the object detector through the single-image pipeline
+const ip = new ImageProcessor(img, 'harbour', {
+  colorDescriptors: false,
+  detectors: ['harbour-boats'],
+});
+await ip.processImage();
+assert.deepStrictEqual(
+  ip.regionManager.regions.map((r) => [r.tags[0], r.boundary]),
+  [['sailboat', { x1: 0, y1: 0, x2: 32, y2: 8 }]],
+);
+assert.deepStrictEqual(await detectedBy(ip.metadataIndex, 'sailboat'), [
+  'http://example.org/model/harbour-boats',
+]);
+
+console.log('Detectors test passed.');
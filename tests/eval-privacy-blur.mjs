@@ -2,6 +2,7 @@ import fs from 'node:fs';
 import path from 'node:path';
 import sharp from 'sharp';
 import fetch from 'node-fetch';
+import { decodePhtAny } from '../src/common/pht-format.js';
 
 const FACE_LIST = JSON.parse(
   fs.readFileSync('evaluation/privacy/face_test_list.json', 'utf-8'),
@@ -55,10 +56,10 @@ for (const item of FACE_LIST) {
       if (!pm.width || !pm.height || !pm.channels || !fs.existsSync(phtPath)) {
         throw new Error('missing pixelMatrix or .pht');
       }
-      const pht = fs.readFileSync(phtPath);
-      // Create a raw sharp image from .pht
-      const img = sharp(pht, {
-        raw: { width: pm.width, height: pm.height, channels: pm.channels },
+      const pht = decodePhtAny(fs.readFileSync(phtPath), pm);
+      // Create a raw sharp image from .pht (v1 raw or v2 container)
+      const img = sharp(pht.pixels, {
+        raw: { width: pht.width, height: pht.height, channels: pht.channels },
       });
       // For offline comparison, create a globally blurred image
       const imgBuf = await img.ensureAlpha().png().toBuffer();
@@ -4,8 +4,22 @@ import { loadManifest, stableJSON, getRegions } from './util/eval-helpers.mjs';
 import { computeRelationsPure } from '../src/common/spatial-links.js';
 
 // Real-data spatial relation enumeration. Output counts per manifest and global totals.
+const PREDICATES = [
+  'contains',
+  'inside',
+  'overlaps',
+  'near',
+  'leftOf',
+  'rightOf',
+  'above',
+  'below',
+  'adjacentTo',
+  'inFrontOf',
+  'behind',
+];
+const zeroCounts = () => Object.fromEntries(PREDICATES.map((p) => [p, 0]));
 const perManifest = [];
-let globalCounts = { contains: 0, inside: 0, overlaps: 0, near: 0 };
+let globalCounts = zeroCounts();
 let globalRegions = 0;
 const globalParticipating = new Set();
 for (const f of fs.readdirSync('output').filter((f) => f.endsWith('.json'))) {
@@ -24,7 +38,7 @@ for (const f of fs.readdirSync('output').filter((f) => f.endsWith('.json'))) {
         },
       })),
     );
-    const counts = { contains: 0, inside: 0, overlaps: 0, near: 0 };
+    const counts = zeroCounts();
     const participating = new Set();
     for (const rel of produced) {
       if (counts[rel.predicate] != null) counts[rel.predicate]++;
@@ -75,6 +89,15 @@ try {
       ? new Set(gold.manifests)
       : null;
     const relOpts = gold.options || {};
+    // Score the original four predicates plus any others the gold labels, so a gold
+    // without directional/depth labels is not penalised for them
+    const scored = new Set([
+      'contains',
+      'inside',
+      'overlaps',
+      'near',
+      ...(gold.relations || []).map((r) => r.predicate),
+    ]);
     // Combine produced relations across manifests via recomputation above
     const produced = new Set();
     for (const f of fs
@@ -98,7 +121,8 @@ try {
           relOpts,
         );
         for (const r of rels)
-          produced.add(`${r.source}|${r.predicate}|${r.target}`);
+          if (scored.has(r.predicate))
+            produced.add(`${r.source}|${r.predicate}|${r.target}`);
       } catch {
         /* ignore */
       }
@@ -111,7 +135,7 @@ try {
     const rec = goldSet.size ? tp / goldSet.size : 0;
     const f1 = prec + rec ? (2 * prec * rec) / (prec + rec) : 0;
     // Per-predicate breakdown
-    const preds = ['contains', 'inside', 'overlaps', 'near'];
+    const preds = PREDICATES.filter((p) => scored.has(p));
     const byPredicate = {};
     for (const p of preds) {
       const gP = new Set(
@@ -0,0 +1,341 @@
+// tests/georef.test.mjs
+// Georeferencing: world files (+ .prj CRS), GeoTIFF tie points / pixel scale (classic and
+// BigTIFF, PixelIsPoint), UTM and Web Mercator → WGS84 against known points, CRS84
+// centroid/footprint triples with metre distances in SPARQL, GeoJSON export, the georef
+// section surviving re-saves and signing (and dropped when a tiled re-run finds none),
+// and the viewer's /loadImage + /export/geojson.
+import http from 'http';
+import assert from 'assert';
+import path from 'path';
+import { promises as fs } from 'fs';
+import PixelMatrix from '../src/common/PixelMatrix.js';
+import MetadataIndex from '../src/common/MetadataIndex.js';
+import RegionManager from '../src/common/RegionManager.js';
+import Serializer from '../src/common/Serializer.js';
+import TiledMLSerializer from '../src/tiled/TiledMLSerializer.js';
+import ManifestSigner from '../src/common/ManifestSigner.js';
+import { attachPolygon } from '../src/common/geometry.js';
+import {
+  lonLatAffine,
+  lonLatConverter,
+  parsePrjEpsg,
+  parseWorldFile,
+  pixelToCrs,
+  pixelToLonLat,
+  readGeoTiff,
+  readGeoreference,
+} from '../src/common/georef.js';
+import {
+  CRS84,
+  GEO,
+  MD_FOOTPRINT,
+  parseWkt,
+  syncRegionGeometry,
+} from '../src/common/geosparql.js';
+import { buildGeoJson } from '../src/common/geojson-export.js';
+
+process.env.PORT = process.env.PORT || '3029';
+const NAME = '__georef_test';
+const OUT = path.join(process.cwd(), 'output');
+const close = (a, b, eps, msg) =>
+  assert.ok(Math.abs(a - b) < eps, `${msg}: ${a} ≠ ${b}`);
+
+// Known points: Eiffel Tower in UTM 31N, the equator on zone 33's meridian, 45°N in 3857
+const [lon, lat] = lonLatConverter('EPSG:32631')(448251.9, 5411932.6);
+close(lon, 2.2945, 1e-4, 'UTM lon');
+close(lat, 48.8582, 1e-4, 'UTM lat');
+assert.deepStrictEqual(
+  lonLatConverter('EPSG:32733')(500000, 10000000),
+  [15, 0],
+);
+close(lonLatConverter('EPSG:3857')(0, 5621521.486)[1], 45, 1e-7, '3857 lat');
+assert.strictEqual(lonLatConverter('EPSG:2056'), null, 'unsupported CRS');
+
+// World file: upper-left pixel centre → corner-based GDAL transform
+const gt = parseWorldFile('0.5\n0\n0\n-0.5\n600000.25\n5340000.25\n');
+assert.deepStrictEqual(gt, [600000, 0.5, 0, 5340000.5, 0, -0.5]);
+assert.deepStrictEqual(
+  pixelToCrs({ geoTransform: gt }, 10, 10),
+  [600005, 5339995.5],
+);
+assert.strictEqual(parseWorldFile('1\n0\n0'), null);
+assert.strictEqual(
+  parsePrjEpsg(
+    'PROJCS["WGS 84 / UTM zone 33N",GEOGCS["WGS 84",AUTHORITY["EPSG","4326"]],AUTHORITY["EPSG","32633"]]',
+  ),
+  'EPSG:32633',
+);
+
+// GeoTIFF tags in a synthetic first IFD (DOUBLE = 12, SHORT = 3)
+function tiff(entries, { big = false } = {}) {
+  const entrySize = big ? 20 : 12;
+  const head = big ? 16 : 8;
+  const ifdSize = (big ? 8 : 2) + entries.length * entrySize + (big ? 8 : 4);
+  const size = (t) => (t === 12 ? 8 : 2);
+  const dataLen = entries.reduce((s, [, t, v]) => s + v.length * size(t), 0);
+  const buf = Buffer.alloc(head + ifdSize + dataLen);
+  buf.write('II', 0, 'latin1');
+  if (big) {
+    buf.writeUInt16LE(43, 2);
+    buf.writeUInt16LE(8, 4);
+    buf.writeBigUInt64LE(16n, 8);
+    buf.writeBigUInt64LE(BigInt(entries.length), head);
+  } else {
+    buf.writeUInt16LE(42, 2);
+    buf.writeUInt32LE(8, 4);
+    buf.writeUInt16LE(entries.length, head);
+  }
+  let at = head + (big ? 8 : 2);
+  let data = head + ifdSize;
+  for (const [tag, type, values] of entries) {
+    buf.writeUInt16LE(tag, at);
+    buf.writeUInt16LE(type, at + 2);
+    if (big) {
+      buf.writeBigUInt64LE(BigInt(values.length), at + 4);
+      buf.writeBigUInt64LE(BigInt(data), at + 12);
+    } else {
+      buf.writeUInt32LE(values.length, at + 4);
+      buf.writeUInt32LE(data, at + 8);
+    }
+    for (const v of values) {
+      if (type === 12) buf.writeDoubleLE(v, data);
+      else buf.writeUInt16LE(v, data);
+      data += size(type);
+    }
+    at += entrySize;
+  }
+  return buf;
+}
+const geoTags = (rasterType) => [
+  [33550, 12, [2, 2, 0]],
+  [33922, 12, [0, 0, 0, 448000, 5412000, 0]],
+  [34735, 3, [1, 1, 0, 2, 1025, 0, 1, rasterType, 3072, 0, 1, 32631]],
+];
+assert.deepStrictEqual(readGeoTiff(tiff(geoTags(1))), {
+  geoTransform: [448000, 2, 0, 5412000, 0, -2],
+  crs: 'EPSG:32631',
+  source: 'geotiff',
+});
+assert.deepStrictEqual(
+  readGeoTiff(tiff(geoTags(2), { big: true })).geoTransform,
+  [447999, 2, 0, 5412001, 0, -2],
+  'BigTIFF, PixelIsPoint shifted by half a pixel',
+);
+assert.strictEqual(readGeoTiff(tiff([[33550, 12, [1, 1, 0]]])), null);
+assert.strictEqual(readGeoTiff(Buffer.from('not a tiff at all')), null);
+
+await fs.mkdir(OUT, { recursive: true });
+const imgPath = path.join(OUT, `${NAME}.png`);
+try {
+  // Sidecars: the world file wins over tags, the .prj names the CRS, --crs overrides
+  await fs.writeFile(imgPath, tiff(geoTags(1)));
+  assert.strictEqual(
+    (await readGeoreference(imgPath)).source,
+    'geotiff',
+    'tags in the file when there is no world file',
+  );
+  await fs.writeFile(
+    path.join(OUT, `${NAME}.pgw`),
+    '0.5\n0\n0\n-0.5\n448250.25\n5411999.75\n',
+  );
+  await fs.writeFile(
+    path.join(OUT, `${NAME}.prj`),
+    'PROJCS["WGS 84 / UTM zone 31N",AUTHORITY["EPSG","32631"]]',
+  );
+  const georef = await readGeoreference(imgPath);
+  assert.deepStrictEqual(georef, {
+    geoTransform: [448250, 0.5, 0, 5412000, 0, -0.5],
+    crs: 'EPSG:32631',
+    source: 'worldfile',
+  });
+  assert.strictEqual(
+    (await readGeoreference(imgPath, null, { crs: 'epsg:3857' })).crs,
+    'EPSG:3857',
+  );
+
+  // Pixel → WGS84 and the viewer's affine fit
+  const [plon, plat] = pixelToLonLat(georef, 3.8, 136.8);
+  close(plon, 2.2945, 1e-4, 'pixel lon');
+  close(plat, 48.8582, 1e-4, 'pixel lat');
+  const fit = lonLatAffine(georef, 400, 400);
+  close(fit[0] + 3.8 * fit[1] + 136.8 * fit[2], plon, 1e-7, 'affine lon');
+  close(fit[3] + 3.8 * fit[4] + 136.8 * fit[5], plat, 1e-7, 'affine lat');
+  assert.strictEqual(pixelToLonLat({ ...georef, crs: null }, 0, 0), null);
+
+  // Triples: CRS84 centroid + footprint beside the pixel geometry
+  const box = (id, x1, y1, x2, y2) => ({
+    id,
+    boundary: { x1, y1, x2, y2 },
+    tags: ['roof'],
+    metadata: { uri: `uri://${NAME}/singleImage/${id}`, confidence: 0.9 },
+  });
+  const a = box('region-0', 0, 0, 20, 20);
+  const b = box('region-1', 220, 0, 240, 20); // centres 220 px = 110 m apart
+  const tri = attachPolygon(box('region-2'), [[0, 100, 40, 100, 0, 140]]);
+  const mi = new MetadataIndex();
+  assert.strictEqual(syncRegionGeometry(mi, [a, b, tri], { georef }), 3);
+  const wkt = (s, p) =>
+    mi.store
+      .getObjects(s, p, null)
+      .flatMap((g) => mi.store.getObjects(g, `${GEO}asWKT`, null))
+      .map((o) => o.value);
+  const [centroid] = wkt(a.metadata.uri, `${GEO}hasCentroid`);
+  assert.match(
+    centroid,
+    new RegExp(`^<${CRS84}> POINT\\(2\\.29\\d+ 48\\.85\\d+\\)$`),
+  );
+  assert.strictEqual(parseWkt(centroid).crs, CRS84);
+  assert.match(
+    wkt(a.metadata.uri, MD_FOOTPRINT)[0],
+    /^<[^>]+CRS84> POLYGON\(\(/,
+  );
+  assert.match(
+    wkt(a.metadata.uri, `${GEO}hasGeometry`)[0],
+    /crs\/pixel> POLYGON/,
+  );
+  syncRegionGeometry(mi, [a]);
+  assert.deepStrictEqual(
+    wkt(a.metadata.uri, `${GEO}hasCentroid`),
+    [],
+    'no georef → lon/lat geometry removed',
+  );
+  syncRegionGeometry(mi, [a], { georef });
+  const dist = await mi.executeSPARQL(`PREFIX geo: <${GEO}>
+PREFIX md: <http://example.org/metadata#>
+PREFIX geof: <http://www.opengis.net/def/function/geosparql/>
+SELECT ?d ?area WHERE {
+  <${a.metadata.uri}> geo:hasCentroid/geo:asWKT ?ca ; md:footprint/geo:asWKT ?fa .
+  <${b.metadata.uri}> geo:hasCentroid/geo:asWKT ?cb .
+  BIND(geof:distance(?ca, ?cb) AS ?d)
+  BIND(geof:area(?fa) AS ?area)
+}`);
+  close(
+    Number(dist[0].get('d').value),
+    110,
+    0.5,
+    'centroid distance in metres',
+  );
+  close(Number(dist[0].get('area').value), 100, 1, 'footprint area in m²');
+  await assert.rejects(
+    mi.executeSPARQL(`PREFIX geo: <${GEO}>
+PREFIX geof: <http://www.opengis.net/def/function/geosparql/>
+SELECT ?d WHERE {
+  <${a.metadata.uri}> geo:hasCentroid/geo:asWKT ?ca ; geo:hasGeometry/geo:asWKT ?ga .
+  BIND(geof:distance(?ca, ?ga) AS ?d)
+}`),
+    /mixed CRSs/,
+  );
+
+  // GeoJSON: closed counter-clockwise rings, region properties
+  const gj = buildGeoJson([
+    { name: NAME, regions: [a, tri], georef },
+    { name: 'plain', regions: [b], georef: null },
+  ]);
+  assert.strictEqual(gj.features.length, 2);
+  const ring = gj.features[1].geometry.coordinates[0];
+  assert.deepStrictEqual(ring[0], ring[ring.length - 1]);
+  let twice = 0;
+  for (let i = 0; i + 1 < ring.length; i++)
+    twice += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+  assert.ok(twice > 0, 'counter-clockwise');
+  assert.deepStrictEqual(gj.features[0].properties, {
+    id: 'region-0',
+    uri: a.metadata.uri,
+    label: 'roof',
+    confidence: 0.9,
+    tags: ['roof'],
+    image: NAME,
+  });
+
+  // Manifest: the georef section survives re-saves and is covered by the signature
+  const rm = new RegionManager();
+  rm.regions.push(a, b);
+  const jsonPath = path.join(OUT, `${NAME}.json`);
+  const ser = new Serializer(
+    new PixelMatrix(400, 400, 3),
+    new MetadataIndex(),
+    rm,
+  );
+  await ser.save(jsonPath);
+  const written = JSON.parse(await fs.readFile(jsonPath, 'utf8'));
+  await fs.writeFile(jsonPath, JSON.stringify({ ...written, georef }));
+  const plain = await ManifestSigner.computeDigests(written, OUT);
+  const withGeo = await ManifestSigner.computeDigests(
+    { ...written, georef },
+    OUT,
+  );
+  assert.notStrictEqual(plain.digests.tiles, withGeo.digests.tiles);
+  await ser.save(jsonPath);
+  assert.deepStrictEqual(
+    JSON.parse(await fs.readFile(jsonPath, 'utf8')).georef,
+    georef,
+  );
+  // Tiled: a plain re-save keeps the section, a pipeline run without one (null) drops it
+  const tiledPath = path.join(OUT, `${NAME}_tiled.json`);
+  const saveTiled = (options) =>
+    TiledMLSerializer.save(
+      [{ x: 0, y: 0, pixelMatrix: new PixelMatrix(8, 8, 3) }],
+      new MetadataIndex(),
+      new RegionManager(),
+      tiledPath,
+      options,
+    );
+  const tiledGeoref = async () =>
+    JSON.parse(await fs.readFile(tiledPath, 'utf8')).georef;
+  await saveTiled({ georef });
+  await saveTiled();
+  assert.deepStrictEqual(await tiledGeoref(), georef);
+  await saveTiled({ georef: null });
+  assert.strictEqual(await tiledGeoref(), undefined);
+
+  // Viewer: hover transform on load, GeoJSON export
+  await import('../src/viewer/InteractiveViewerServer.js');
+  await new Promise((r) => setTimeout(r, 300));
+  const get = (url) =>
+    new Promise((resolve, reject) => {
+      http
+        .get(`http://127.0.0.1:${process.env.PORT}${url}`, (res) => {
+          let d = '';
+          res.on('data', (c) => (d += c));
+          res.on('end', () =>
+            resolve({
+              status: res.statusCode,
+              type: res.headers['content-type'],
+              body: d,
+            }),
+          );
+        })
+        .on('error', reject);
+    });
+  const load = await get(
+    `/loadImage?jsonPath=${encodeURIComponent(`/output/${NAME}.json`)}`,
+  );
+  assert.strictEqual(load.status, 200, load.body);
+  const loaded = JSON.parse(load.body).georef;
+  assert.deepStrictEqual(loaded.geoTransform, georef.geoTransform);
+  close(
+    loaded.lonLat[0],
+    pixelToLonLat(georef, 0, 0)[0],
+    1e-9,
+    'lonLat origin',
+  );
+  const res = await get('/export/geojson');
+  assert.strictEqual(res.status, 200, res.body);
+  assert.match(res.type, /application\/geo\+json/);
+  const exported = JSON.parse(res.body);
+  assert.strictEqual(exported.type, 'FeatureCollection');
+  assert.deepStrictEqual(
+    exported.features.map((f) => f.properties.id),
+    ['region-0', 'region-1'],
+  );
+  await fs.writeFile(jsonPath, JSON.stringify(written));
+  const none = await get(
+    `/export/geojson?jsonPath=${encodeURIComponent(`/output/${NAME}.json`)}`,
+  );
+  assert.strictEqual(none.status, 400);
+  console.log('Georef test passed.');
+} finally {
+  for (const f of await fs.readdir(OUT))
+    if (f.startsWith(NAME)) await fs.rm(path.join(OUT, f), { force: true });
+}
+process.exit(process.exitCode || 0);
@@ -0,0 +1,222 @@
+// tests/geosparql.test.mjs
+// GeoSPARQL: geo:asWKT literals for box, polygon and rotated-box regions, WKT parsing,
+// the geof: predicates (intersects, within/contains, distance, area) in SPARQL, geometry
+// updates and annotation import, and /sparql + /global/sparql answering spatial queries
+// for a manifest saved without geometry triples.
+import http from 'http';
+import assert from 'assert';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { QueryEngine } from '@comunica/query-sparql';
+import PixelMatrix from '../src/common/PixelMatrix.js';
+import MetadataIndex from '../src/common/MetadataIndex.js';
+import RegionManager from '../src/common/RegionManager.js';
+import Serializer from '../src/common/Serializer.js';
+import { addManualRegions } from '../src/common/annotation-import.js';
+import { attachPolygon, attachRotatedBox } from '../src/common/geometry.js';
+import {
+  GEO,
+  GEO_FUNCTIONS,
+  PIXEL_CRS,
+  geometryIri,
+  parseWkt,
+  regionWkt,
+  syncRegionGeometry,
+  upsertRegionGeometry,
+  wktDistance,
+  wktIntersects,
+  wktWithin,
+} from '../src/common/geosparql.js';
+
+process.env.PORT = process.env.PORT || '3028';
+const NAME = '__geosparql_test';
+const OUT = path.join(process.cwd(), 'output');
+
+const box = (id, x1, y1, x2, y2) => ({
+  id,
+  boundary: { x1, y1, x2, y2 },
+  tags: ['x'],
+  metadata: { uri: `uri://${NAME}/singleImage/${id}` },
+});
+
+// A field (box), a pond (triangle) inside it, a tree next to it and a rotated car
+const field = box('region-0', 0, 0, 100, 100);
+const pond = attachPolygon(box('region-1'), [[10, 10, 40, 10, 10, 40]]);
+const tree = box('region-2', 110, 0, 120, 10);
+const car = attachRotatedBox(box('region-3'), {
+  cx: 50,
+  cy: 150,
+  width: 20,
+  height: 10,
+  angle: 90,
+});
+const regions = [field, pond, tree, car];
+
+// WKT text and parsing
+assert.strictEqual(
+  regionWkt(field),
+  `<${PIXEL_CRS}> POLYGON((0 0, 100 0, 100 100, 0 100, 0 0))`,
+);
+assert.strictEqual(
+  regionWkt(car),
+  `<${PIXEL_CRS}> POLYGON((55 140, 55 160, 45 160, 45 140, 55 140))`,
+);
+const two = attachPolygon(box('region-9'), [
+  [0, 0, 4, 0, 0, 4],
+  [10, 10, 14, 10, 10, 14],
+]);
+assert.match(regionWkt(two), /MULTIPOLYGON\(\(\(0 0, .*\)\), \(\(10 10, /);
+assert.deepStrictEqual(parseWkt(regionWkt(two)).rings, two.polygon);
+assert.deepStrictEqual(
+  parseWkt('POLYGON ((0 0, 4 0, 4 4, 0 0), (1 1, 2 1, 1 2, 1 1))').rings,
+  [[0, 0, 4, 0, 4, 4]],
+  'holes dropped',
+);
+assert.deepStrictEqual(parseWkt('point(3 4)').points, [[3, 4]]);
+assert.throws(() =>
+  parseWkt('<http://www.opengis.net/def/crs/EPSG/0/32633> POINT(1 2)'),
+);
+assert.throws(() => parseWkt('LINESTRING(0 0, 1 1)'));
+assert.throws(() => parseWkt('POLYGON((0 0, 1 1, 0 0))'));
+
+// Predicates on parsed geometry
+const g = (r) => parseWkt(regionWkt(r));
+assert.ok(wktWithin(g(pond), g(field)));
+assert.ok(!wktWithin(g(field), g(pond)));
+assert.ok(wktIntersects(g(field), g(pond)));
+assert.strictEqual(wktDistance(g(field), g(tree)), 10);
+assert.strictEqual(wktDistance(g(field), g(car)), 40);
+assert.ok(wktIntersects(g(field), parseWkt('POINT(100 50)')), 'edge touch');
+assert.ok(!wktWithin(g(field), parseWkt('POINT(50 50)')));
+const crossing = parseWkt('POLYGON((-5 40, 105 40, 105 60, -5 60))');
+assert.ok(wktIntersects(g(field), crossing), 'edges cross, no vertex inside');
+
+// Store triples: one geometry node per region, rewritten on change
+const mi = new MetadataIndex();
+assert.strictEqual(syncRegionGeometry(mi, [...regions, { id: 'x' }]), 4);
+const asWkt = (uri) =>
+  mi.store
+    .getQuads(geometryIri(uri), `${GEO}asWKT`, null, null)
+    .map((q) => q.object);
+const [lit] = asWkt(tree.metadata.uri);
+assert.strictEqual(lit.datatype.value, `${GEO}wktLiteral`);
+tree.boundary = { x1: 200, y1: 0, x2: 210, y2: 10 };
+upsertRegionGeometry(mi, tree);
+assert.strictEqual(asWkt(tree.metadata.uri).length, 1);
+assert.match(asWkt(tree.metadata.uri)[0].value, /POLYGON\(\(200 0,/);
+tree.boundary = { x1: 110, y1: 0, x2: 120, y2: 10 };
+upsertRegionGeometry(mi, tree);
+
+// SPARQL with arbitrary thresholds
+const PREFIXES = `PREFIX geo: <${GEO}>
+PREFIX geof: <http://www.opengis.net/def/function/geosparql/>
+`;
+const nearField = `${PREFIXES}SELECT ?r ?d WHERE {
+  <${field.metadata.uri}> geo:hasGeometry/geo:asWKT ?wa .
+  ?r geo:hasGeometry/geo:asWKT ?wb .
+  FILTER(?r != <${field.metadata.uri}>)
+  BIND(geof:distance(?wa, ?wb) AS ?d)
+  FILTER(?d <= 20 && !geof:sfWithin(?wb, ?wa))
+}`;
+const withinField = `${PREFIXES}SELECT ?r ?area WHERE {
+  <${field.metadata.uri}> geo:hasGeometry/geo:asWKT ?wa .
+  ?r geo:hasGeometry/geo:asWKT ?wb .
+  FILTER(?r != <${field.metadata.uri}> && geof:sfContains(?wa, ?wb))
+  BIND(geof:area(?wb) AS ?area)
+}`;
+const rows = (bindings) =>
+  bindings
+    .map((b) => Object.fromEntries([...b].map(([k, v]) => [k.value, v.value])))
+    .sort((a, b) => a.r.localeCompare(b.r));
+const qe = new QueryEngine();
+const query = (q, store) =>
+  qe
+    .queryBindings(q, { sources: [store], extensionFunctions: GEO_FUNCTIONS })
+    .then((s) => s.toArray())
+    .then(rows);
+assert.deepStrictEqual(await query(nearField, mi.store), [
+  { r: tree.metadata.uri, d: '10' },
+]);
+assert.deepStrictEqual(await query(withinField, mi.store), [
+  { r: pond.metadata.uri, area: '450' },
+]);
+assert.strictEqual((await mi.executeSPARQL(withinField)).length, 1);
+const bad = `${PREFIXES}SELECT ?r WHERE { ?r geo:hasGeometry ?g .
+  FILTER(geof:area("LINESTRING(0 0, 1 1)"^^geo:wktLiteral) >= 0) }`;
+await assert.rejects(query(bad, mi.store), /unsupported WKT/);
+
+// Imported annotations get a geometry too
+const target = { regions: [] };
+const imported = new MetadataIndex();
+addManualRegions(
+  target,
+  imported,
+  [
+    {
+      label: 'roof',
+      boundary: { x1: 0, y1: 0, x2: 8, y2: 6 },
+      polygon: [[0, 0, 8, 0, 0, 6]],
+    },
+  ],
+  { imageName: NAME, width: 20, height: 20, format: 'coco' },
+);
+assert.match(
+  imported.store.getQuads(null, `${GEO}asWKT`, null, null)[0].object.value,
+  /POLYGON\(\(0 0, 8 0, 0 6, 0 0\)\)/,
+);
+
+// Viewer: a manifest saved without geometry gets it on load, for both endpoints
+await fs.mkdir(OUT, { recursive: true });
+const rm = new RegionManager();
+rm.regions.push(...regions);
+const jsonPath = path.join(OUT, `${NAME}.json`);
+await new Serializer(new PixelMatrix(4, 4, 3), new MetadataIndex(), rm).save(
+  jsonPath,
+);
+try {
+  await import('../src/viewer/InteractiveViewerServer.js');
+  await new Promise((r) => setTimeout(r, 300));
+  const request = (method, url, body, type = 'text/plain') =>
+    new Promise((resolve, reject) => {
+      const req = http.request(
+        `http://127.0.0.1:${process.env.PORT}${url}`,
+        { method, headers: { 'Content-Type': type } },
+        (res) => {
+          let d = '';
+          res.on('data', (c) => (d += c));
+          res.on('end', () => resolve({ status: res.statusCode, body: d }));
+        },
+      );
+      req.on('error', reject);
+      if (body) req.write(body);
+      req.end();
+    });
+  const load = await request(
+    'GET',
+    `/loadImage?jsonPath=${encodeURIComponent(`/output/${NAME}.json`)}`,
+  );
+  assert.strictEqual(load.status, 200);
+  const local = await request('POST', '/sparql', nearField);
+  assert.strictEqual(local.status, 200, local.body);
+  assert.deepStrictEqual(JSON.parse(local.body), [
+    { r: tree.metadata.uri, d: '10' },
+  ]);
+
+  const global = await request(
+    'POST',
+    '/global/load',
+    JSON.stringify({ sources: [`/output/${NAME}.json`] }),
+    'application/json',
+  );
+  assert.strictEqual(global.status, 200);
+  const res = await request('POST', '/global/sparql', withinField);
+  assert.strictEqual(res.status, 200, res.body);
+  assert.deepStrictEqual(JSON.parse(res.body), [
+    { r: pond.metadata.uri, area: '450' },
+  ]);
+  console.log('GeoSPARQL test passed.');
+} finally {
+  for (const f of await fs.readdir(OUT))
+    if (f.startsWith(NAME)) await fs.rm(path.join(OUT, f), { force: true });
+}
+process.exit(process.exitCode || 0);
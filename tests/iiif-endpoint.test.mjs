@@ -0,0 +1,169 @@
+// tests/iiif-endpoint.test.mjs
+// Saves a small single-image manifest under output/, then exercises the IIIF Image API URL
+// grammar (region/size/rotation/quality/format), info.json and the Presentation manifest.
+import http from 'http';
+import assert from 'assert';
+import path from 'path';
+import { promises as fs } from 'fs';
+import sharp from 'sharp';
+import PixelMatrix from '../src/common/PixelMatrix.js';
+import MetadataIndex from '../src/common/MetadataIndex.js';
+import RegionManager from '../src/common/RegionManager.js';
+import Serializer from '../src/common/Serializer.js';
+import {
+  parseRegion,
+  parseSize,
+  parseRotation,
+  buildPresentationManifest,
+} from '../src/common/iiif.js';
+
+process.env.PORT = process.env.PORT || '3022';
+const NAME = '__iiif_test';
+const OUT = path.join(process.cwd(), 'output');
+const W = 400;
+const H = 300;
+
+// Grammar (pure)
+assert.deepStrictEqual(parseRegion('square', W, H), {
+  x: 50,
+  y: 0,
+  width: 300,
+  height: 300,
+});
+assert.deepStrictEqual(parseRegion('pct:50,50,100,100', W, H), {
+  x: 200,
+  y: 150,
+  width: 200,
+  height: 150,
+});
+assert.strictEqual(parseRegion('0,0,0,10', W, H), null);
+assert.deepStrictEqual(parseSize('!100,100', W, H), { width: 100, height: 75 });
+assert.strictEqual(parseSize('800,', W, H), null, 'upscale needs ^');
+assert.deepStrictEqual(parseSize('^800,', W, H), { width: 800, height: 600 });
+// !w,h fits within w×h but only upscales with ^
+assert.deepStrictEqual(parseSize('!800,800', W, H), {
+  width: 400,
+  height: 300,
+});
+assert.deepStrictEqual(parseSize('^!800,800', W, H), {
+  width: 800,
+  height: 600,
+});
+// the painting body is full/max, so it follows the server limits; the canvas does not
+const limited = buildPresentationManifest('http://h/iiif/x', {
+  label: 'x',
+  width: W,
+  height: H,
+  limits: { maxArea: 30000 },
+}).items[0];
+assert.deepStrictEqual([limited.width, limited.height], [W, H]);
+const { body: painted } = limited.items[0].items[0];
+assert.deepStrictEqual([painted.width, painted.height], [200, 150]);
+assert.deepStrictEqual(parseSize('max', W, H, { maxArea: 30000 }), {
+  width: painted.width,
+  height: painted.height,
+});
+assert.deepStrictEqual(parseRotation('!90'), { mirror: true, degrees: 90 });
+assert.strictEqual(parseRotation('400'), null);
+
+// Fixture: left half red, right half blue
+const pm = new PixelMatrix(W, H, 4);
+for (let y = 0; y < H; y++)
+  for (let x = 0; x < W; x++)
+    pm.setPixel(x, y, x < W / 2 ? 255 : 0, 0, x < W / 2 ? 0 : 255, 255);
+const rm = new RegionManager();
+const a = rm.defineRegion({ x1: 10, y1: 20, x2: 110, y2: 120 }, ['dog'], {
+  uri: 'uri://t/singleImage/0',
+  classLabel: 'dog',
+  confidence: 0.875,
+});
+const gone = rm.defineRegion({ x1: 0, y1: 0, x2: 5, y2: 5 }, ['cat'], {});
+rm.regions[gone].metadata.deleted = true;
+const jsonPath = path.join(OUT, `${NAME}.json`);
+await fs.mkdir(OUT, { recursive: true });
+await new Serializer(pm, new MetadataIndex(), rm).save(jsonPath);
+
+await import('../src/viewer/InteractiveViewerServer.js');
+await new Promise((r) => setTimeout(r, 300));
+
+function get(pathname) {
+  const opts = {
+    hostname: '127.0.0.1',
+    port: process.env.PORT,
+    path: pathname,
+    method: 'GET',
+  };
+  return new Promise((resolve, reject) => {
+    const req = http.request(opts, (res) => {
+      const chunks = [];
+      res.on('data', (c) => chunks.push(c));
+      res.on('end', () =>
+        resolve({
+          status: res.statusCode,
+          headers: res.headers,
+          body: Buffer.concat(chunks),
+        }),
+      );
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+try {
+  const info = await get(`/iiif/${NAME}/info.json`);
+  assert.strictEqual(info.status, 200);
+  assert.strictEqual(info.headers['access-control-allow-origin'], '*');
+  const ij = JSON.parse(info.body);
+  assert.strictEqual(ij.type, 'ImageService3');
+  assert.deepStrictEqual([ij.width, ij.height], [W, H]);
+  assert.ok(ij.id.endsWith(`/iiif/${NAME}`));
+
+  // Right half, half size, PNG: all blue
+  const half = await get(`/iiif/${NAME}/200,0,200,300/100,/0/default.png`);
+  assert.strictEqual(half.status, 200);
+  const hr = await sharp(half.body).raw().toBuffer({ resolveWithObject: true });
+  assert.deepStrictEqual([hr.info.width, hr.info.height], [100, 150]);
+  assert.deepStrictEqual([...hr.data.subarray(0, 3)], [0, 0, 255]);
+
+  // Mirrored: the red half ends up on the right
+  const mir = await get(`/iiif/${NAME}/full/max/!0/default.png`);
+  const mr = await sharp(mir.body).raw().toBuffer({ resolveWithObject: true });
+  assert.strictEqual(mr.data[(10 * W + (W - 5)) * mr.info.channels], 255);
+
+  // 90° rotation swaps dimensions; gray JPEG
+  const rot = await get(`/iiif/${NAME}/full/!80,80/90/gray.jpg`);
+  assert.strictEqual(rot.headers['content-type'], 'image/jpeg');
+  const rmeta = await sharp(rot.body).metadata();
+  assert.deepStrictEqual([rmeta.width, rmeta.height], [60, 80]);
+
+  for (const bad of [
+    `/iiif/${NAME}/full/max/0/sepia.png`,
+    `/iiif/${NAME}/full/max/0/default.gif`,
+    `/iiif/${NAME}/500,0,10,10/max/0/default.png`,
+    `/iiif/${NAME}/full/1000,/0/default.png`,
+  ])
+    assert.strictEqual((await get(bad)).status, 400, bad);
+  assert.strictEqual(
+    (await get('/iiif/__missing__/info.json')).status,
+    404,
+    'unknown id',
+  );
+
+  const man = JSON.parse((await get(`/iiif/${NAME}/manifest`)).body);
+  assert.strictEqual(man.type, 'Manifest');
+  const canvas = man.items[0];
+  assert.deepStrictEqual([canvas.width, canvas.height], [W, H]);
+  const annos = canvas.annotations[0].items;
+  assert.strictEqual(annos.length, 1, 'deleted regions are omitted');
+  assert.ok(annos[0].target.endsWith('#xywh=10,20,100,100'));
+  assert.strictEqual(annos[0].body[0].value, 'dog');
+  assert.ok(annos[0].body[1].value.includes('0.875'));
+  assert.strictEqual(annos[0].seeAlso[0].id, 'uri://t/singleImage/0');
+  assert.ok(annos[0].id.endsWith(`/regions/${a}`));
+  console.log('IIIF endpoint test passed.');
+} finally {
+  for (const f of await fs.readdir(OUT))
+    if (f.startsWith(NAME)) await fs.rm(path.join(OUT, f), { force: true });
+}
+process.exit(process.exitCode || 0);
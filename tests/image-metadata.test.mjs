@@ -0,0 +1,186 @@
+// tests/image-metadata.test.mjs
+// Camera metadata on the image node: EXIF read through sharp (capture time with offset,
+// camera, lens, exposure, GPS), XMP and IPTC parsing (keywords, captions, dates), source
+// precedence, typed literals on <urn:image:…>, the GPS privacy switch, and intents that
+// select images (or regions in images) by capture time, camera and keywords.
+import assert from 'assert';
+import sharp from 'sharp';
+import MetadataIndex from '../src/common/MetadataIndex.js';
+import {
+  combineImageMetadata,
+  parseIptc,
+  parseXmp,
+  readImageMetadata,
+  upsertImageMetadata,
+} from '../src/common/image-metadata.js';
+import {
+  buildSparqlFromIntent,
+  validateIntent,
+} from '../src/voice/VoiceService.js';
+
+const MD = 'http://example.org/metadata#';
+const XSD = 'http://www.w3.org/2001/XMLSchema#';
+const close = (a, b, msg) =>
+  assert.ok(Math.abs(a - b) < 1e-6, `${msg}: ${a} ≠ ${b}`);
+
+// EXIF written by sharp/libvips and read back through sharp's metadata()
+const jpeg = await sharp({
+  create: { width: 8, height: 8, channels: 3, background: '#336699' },
+})
+  .withExif({
+    IFD0: { Make: 'Fujifilm', Model: 'X100V' },
+    IFD2: {
+      DateTimeOriginal: '2024:05:01 10:22:03',
+      OffsetTimeOriginal: '+02:00',
+      LensModel: '23mm F2',
+      FNumber: '28/10',
+      ExposureTime: '1/250',
+      FocalLength: '23/1',
+      ISOSpeedRatings: '160',
+    },
+    IFD3: {
+      GPSLatitudeRef: 'N',
+      GPSLatitude: '48/1 12/1 3060/100',
+      GPSLongitudeRef: 'W',
+      GPSLongitude: '16/1 22/1 2316/100',
+      GPSAltitudeRef: '0',
+      GPSAltitude: '171/1',
+    },
+  })
+  .withMetadata({ orientation: 6 })
+  .jpeg()
+  .toBuffer();
+const meta = await readImageMetadata(jpeg);
+assert.strictEqual(meta.captureTime, '2024-05-01T10:22:03+02:00');
+assert.strictEqual(meta.cameraMake, 'Fujifilm');
+assert.strictEqual(meta.cameraModel, 'X100V');
+assert.strictEqual(meta.lens, '23mm F2');
+assert.strictEqual(meta.orientation, 6);
+close(meta.fNumber, 2.8, 'f-number');
+close(meta.exposureTime, 0.004, 'exposure');
+assert.strictEqual(meta.iso, 160);
+close(meta.gpsLatitude, 48.2085, 'latitude');
+close(meta.gpsLongitude, -16.3731, 'western longitude');
+assert.strictEqual(meta.gpsAltitude, 171);
+const stripped = await readImageMetadata(jpeg, { stripGps: true });
+assert.ok(!('gpsLatitude' in stripped) && !('gpsAltitude' in stripped));
+assert.strictEqual(stripped.cameraModel, 'X100V');
+assert.deepStrictEqual(
+  await readImageMetadata(Buffer.from('not an image')),
+  {},
+);
+
+// XMP: attributes and elements, bags, GPS in XMP notation
+const xmp = `<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF>
+<rdf:Description xmp:CreateDate="2019-07-14T08:30:00" tiff:Model="EOS R"
+  exif:GPSLatitude="41,53.4N" exif:GPSLongitude="12,29.5E">
+ <dc:subject><rdf:Bag><rdf:li>harbour</rdf:li><rdf:li>boats &amp; ships</rdf:li></rdf:Bag></dc:subject>
+ <dc:description><rdf:Alt><rdf:li xml:lang="x-default">Morning at the pier</rdf:li></rdf:Alt></dc:description>
+</rdf:Description></rdf:RDF></x:xmpmeta>`;
+const fromXmp = parseXmp(Buffer.from(xmp));
+assert.strictEqual(fromXmp.captureTime, '2019-07-14T08:30:00');
+assert.strictEqual(fromXmp.cameraModel, 'EOS R');
+assert.deepStrictEqual(fromXmp.keyword, ['harbour', 'boats & ships']);
+assert.strictEqual(fromXmp.caption, 'Morning at the pier');
+close(fromXmp.gpsLatitude, 41.89, 'XMP latitude');
+
+// IPTC IIM inside a Photoshop 8BIM resource block
+const dataset = (n, text) => {
+  const v = Buffer.from(text, 'utf8');
+  const head = Buffer.from([0x1c, 2, n, 0, 0]);
+  head.writeUInt16BE(v.length, 3);
+  return Buffer.concat([head, v]);
+};
+const iim = Buffer.concat([
+  dataset(25, 'sailing'),
+  dataset(25, 'harbour'),
+  dataset(120, 'Regatta start'),
+  dataset(55, '20180602'),
+  dataset(60, '141500+0100'),
+]);
+const block = Buffer.alloc(12);
+block.write('8BIM', 0, 'latin1');
+block.writeUInt16BE(0x0404, 4);
+block.writeUInt32BE(iim.length, 8); // empty (padded) name
+const iptc = Buffer.concat([Buffer.from('Photoshop 3.0\0'), block, iim]);
+assert.deepStrictEqual(parseIptc(iptc), {
+  captureTime: '2018-06-02T14:15:00+01:00',
+  keyword: ['sailing', 'harbour'],
+  caption: 'Regatta start',
+});
+assert.deepStrictEqual(parseIptc(Buffer.from('8BIM')), {});
+
+// Precedence EXIF > XMP > IPTC, keywords merged
+const exif = (await sharp(jpeg).metadata()).exif;
+const combined = combineImageMetadata({ exif, xmp: Buffer.from(xmp), iptc });
+assert.strictEqual(combined.captureTime, '2024-05-01T10:22:03+02:00');
+assert.strictEqual(combined.cameraModel, 'X100V');
+assert.strictEqual(combined.caption, 'Morning at the pier');
+assert.deepStrictEqual(combined.keyword, [
+  'harbour',
+  'boats & ships',
+  'sailing',
+]);
+
+// Typed literals on the image node; stripping GPS on re-ingest removes it
+const mi = new MetadataIndex();
+assert.ok(upsertImageMetadata(mi, 'pier', combined) > 10);
+const img = 'urn:image:pier';
+const value = (p) => mi.store.getObjects(img, `${MD}${p}`, null);
+assert.strictEqual(value('captureTime')[0].datatype.value, `${XSD}dateTime`);
+assert.strictEqual(value('iso')[0].datatype.value, `${XSD}integer`);
+assert.strictEqual(value('gpsLatitude')[0].datatype.value, `${XSD}decimal`);
+assert.strictEqual(value('keyword').length, 3);
+upsertImageMetadata(mi, 'pier', combined, { stripGps: true });
+assert.deepStrictEqual(value('gpsLatitude'), []);
+assert.strictEqual(value('cameraModel')[0].value, 'X100V');
+
+// Intents: images by capture time / camera / keywords, regions in matching images
+upsertImageMetadata(mi, 'old', fromXmp);
+upsertImageMetadata(mi, 'iptc', parseIptc(iptc));
+mi.insertQuads(`@prefix ex: <http://example.org/> .
+@prefix md: <http://example.org/metadata#> .
+<uri://pier/singleImage/r1> ex:within <urn:image:pier> ; md:classLabel "boat" .
+<uri://old/singleImage/r1> ex:within <urn:image:old> ; md:classLabel "boat" .`);
+const run = async (intent) => {
+  const v = validateIntent(intent);
+  assert.ok(v.ok, v.error);
+  const rows = await mi.executeSPARQL(buildSparqlFromIntent(v.value));
+  return rows.map((b) => b.get(intent.target === 'images' ? 'img' : 'r').value);
+};
+assert.deepStrictEqual(
+  await run({
+    target: 'images',
+    imageFilters: { capturedAfter: '2018-06-03' },
+  }),
+  ['urn:image:old', 'urn:image:pier'],
+  'ordered by capture time',
+);
+assert.deepStrictEqual(
+  await run({
+    target: 'images',
+    imageFilters: { capturedBefore: '2019', keywords: ['Sailing'] },
+  }),
+  ['urn:image:iptc'],
+);
+assert.deepStrictEqual(
+  await run({ target: 'images', imageFilters: { camera: 'fuji' } }),
+  ['urn:image:pier'],
+);
+assert.deepStrictEqual(
+  await run({
+    target: 'regions',
+    types: ['ex:boat'],
+    imageFilters: { capturedAfter: '2024-01-01' },
+    projection: { vars: ['r'] },
+  }),
+  ['uri://pier/singleImage/r1'],
+);
+assert.ok(
+  !validateIntent({
+    target: 'images',
+    imageFilters: { capturedAfter: 'last summer' },
+  }).ok,
+);
+console.log('Image metadata test passed.');
+process.exit(process.exitCode || 0);
@@ -0,0 +1,225 @@
+// tests/image-transform.test.mjs
+// Orientation and transform records: decodeImage turns all eight EXIF orientations upright
+// exactly as sharp does and records the steps, points and regions (box, polygon, rotated
+// box, mask) map between the original and stored frames, georeferences follow the stored
+// frame, the manifest keeps the `transform` section across re-saves, and the COCO export
+// can write original-frame coordinates.
+import assert from 'assert';
+import path from 'path';
+import { promises as fs } from 'fs';
+import sharp from 'sharp';
+import PixelMatrix from '../src/common/PixelMatrix.js';
+import MetadataIndex from '../src/common/MetadataIndex.js';
+import RegionManager from '../src/common/RegionManager.js';
+import Serializer from '../src/common/Serializer.js';
+import { validateManifest } from '../src/common/manifest-schema.js';
+import { buildCoco } from '../src/common/coco-export.js';
+import { pixelToCrs } from '../src/common/georef.js';
+import { encodeMask, maskHasPixel, maskArea } from '../src/common/mask.js';
+import {
+  createTransform,
+  decodeImage,
+  georefToStored,
+  orientationSteps,
+  regionToOriginal,
+  regionToStored,
+  toOriginalPoint,
+  toStoredPoint,
+} from '../src/common/image-transform.js';
+
+const close = (a, b, msg) =>
+  assert.ok(Math.abs(a - b) < 1e-9, `${msg}: ${a} ≠ ${b}`);
+
+// A 6×4 image with one red pixel at (4, 1), tagged with each orientation
+const W = 6;
+const H = 4;
+const raw = Buffer.alloc(W * H * 3);
+raw[(1 * W + 4) * 3] = 255;
+for (let o = 1; o <= 8; o++) {
+  const file = await sharp(raw, { raw: { width: W, height: H, channels: 3 } })
+    .withMetadata({ orientation: o })
+    .png()
+    .toBuffer();
+  const { data, info, transform } = await decodeImage(file);
+  const upright = await sharp(file).rotate().raw().toBuffer({
+    resolveWithObject: true,
+  });
+  assert.deepStrictEqual(
+    [info.width, info.height],
+    [upright.info.width, upright.info.height],
+    `orientation ${o}: size`,
+  );
+  let red = null;
+  for (let y = 0; y < info.height; y++)
+    for (let x = 0; x < info.width; x++)
+      if (data[(y * info.width + x) * 4] > 128) red = [x, y];
+  if (o === 1) {
+    assert.strictEqual(transform, null);
+    assert.deepStrictEqual(red, [4, 1]);
+    continue;
+  }
+  assert.strictEqual(transform.orientation, o);
+  assert.strictEqual(transform.source, 'exif-orientation');
+  assert.deepStrictEqual(transform.original, { width: W, height: H });
+  assert.deepStrictEqual(transform.stored, {
+    width: info.width,
+    height: info.height,
+  });
+  const [sx, sy] = toStoredPoint(transform, 4.5, 1.5);
+  assert.deepStrictEqual(
+    [Math.floor(sx), Math.floor(sy)],
+    red,
+    `orientation ${o}: pixel`,
+  );
+  const [ox, oy] = toOriginalPoint(transform, sx, sy);
+  close(ox, 4.5, `orientation ${o}: inverse x`);
+  close(oy, 1.5, `orientation ${o}: inverse y`);
+}
+const kept = await decodeImage(
+  await sharp(raw, { raw: { width: W, height: H, channels: 3 } })
+    .withMetadata({ orientation: 6 })
+    .png()
+    .toBuffer(),
+  { autoOrient: false },
+);
+assert.deepStrictEqual([kept.info.width, kept.transform], [W, null]);
+assert.deepStrictEqual(orientationSteps(9), []);
+
+// General steps: rotate, crop, resize compose into one map
+const t = createTransform({ width: 400, height: 200 }, [
+  { op: 'rotate', angle: 90 },
+  { op: 'crop', left: 50, top: 100, width: 100, height: 200 },
+  { op: 'resize', width: 50, height: 50 },
+]);
+assert.deepStrictEqual(t.stored, { width: 50, height: 50 });
+// original (100, 50) → rotated (150, 100) → cropped (100, 0) → resized (50, 0)
+assert.deepStrictEqual(toStoredPoint(t, 100, 50), [50, 0]);
+assert.deepStrictEqual(toOriginalPoint(t, 50, 0), [100, 50]);
+assert.throws(
+  () => createTransform({ width: 4, height: 4 }, [{ op: 'rotate', angle: 45 }]),
+  /multiple of 90/,
+);
+
+// Regions: stored (upright, orientation 6) → original file pixels
+const rot = createTransform({ width: 40, height: 30 }, orientationSteps(6));
+assert.deepStrictEqual(rot.stored, { width: 30, height: 40 });
+const box = regionToOriginal(
+  { id: 'a', boundary: { x1: 0, y1: 0, x2: 10, y2: 5 }, tags: ['car'] },
+  rot,
+);
+assert.deepStrictEqual(box.boundary, { x1: 0, y1: 20, x2: 5, y2: 30 });
+assert.deepStrictEqual(box.tags, ['car']);
+const poly = regionToOriginal(
+  {
+    boundary: { x1: 0, y1: 0, x2: 10, y2: 10 },
+    polygon: [[0, 0, 10, 0, 0, 10]],
+  },
+  rot,
+);
+assert.deepStrictEqual(poly.polygon, [[0, 30, 0, 20, 10, 30]]);
+const rb = regionToOriginal(
+  {
+    boundary: { x1: 5, y1: 5, x2: 25, y2: 15 },
+    rotatedBox: { cx: 15, cy: 10, width: 20, height: 10, angle: 0 },
+  },
+  rot,
+);
+close(rb.rotatedBox.cx, 10, 'rotated box cx');
+close(rb.rotatedBox.cy, 15, 'rotated box cy');
+close(Math.abs(rb.rotatedBox.angle), 90, 'rotated box angle');
+close(rb.rotatedBox.width, 20, 'rotated box width');
+// a rotated box sheared by a non-uniform resize becomes a polygon
+const squash = createTransform({ width: 100, height: 100 }, [
+  { op: 'resize', width: 100, height: 50 },
+]);
+const sheared = regionToStored(
+  {
+    boundary: { x1: 0, y1: 0, x2: 1, y2: 1 },
+    rotatedBox: { cx: 50, cy: 50, width: 20, height: 10, angle: 30 },
+  },
+  squash,
+);
+assert.ok(!sheared.rotatedBox && sheared.polygon[0].length === 8);
+// masks move pixel for pixel under rotations
+const bits = new Uint8Array(4 * 2).fill(1); // 4×2 block at (2, 3)
+const masked = regionToOriginal(
+  {
+    boundary: { x1: 2, y1: 3, x2: 6, y2: 5 },
+    mask: encodeMask(bits, 4, 2, 2, 3),
+  },
+  rot,
+);
+assert.strictEqual(maskArea(masked.mask), 8);
+for (let y = 3; y < 5; y++)
+  for (let x = 2; x < 6; x++) {
+    const [ox, oy] = toOriginalPoint(rot, x + 0.5, y + 0.5);
+    assert.ok(maskHasPixel(masked.mask, Math.floor(ox), Math.floor(oy)));
+  }
+assert.strictEqual(regionToOriginal(box, null), box);
+
+// Georeference of the file → stored frame
+const georef = {
+  geoTransform: [600000, 0.5, 0, 5340000, 0, -0.5],
+  crs: 'EPSG:32633',
+};
+const stored = georefToStored(georef, rot);
+for (const [x, y] of [
+  [0, 0],
+  [12.5, 33],
+]) {
+  const [ox, oy] = toOriginalPoint(rot, x, y);
+  const [a, b] = pixelToCrs(stored, x, y);
+  const [c, d] = pixelToCrs(georef, ox, oy);
+  close(a, c, 'georef X');
+  close(b, d, 'georef Y');
+}
+assert.strictEqual(stored.crs, 'EPSG:32633');
+assert.strictEqual(georefToStored(georef, null), georef);
+
+// Manifest section: written, valid, kept on re-save, removed with null
+const OUT = path.join(process.cwd(), 'output');
+const NAME = '__transform_test';
+const jsonPath = path.join(OUT, `${NAME}.json`);
+await fs.mkdir(OUT, { recursive: true });
+try {
+  const rm = new RegionManager();
+  rm.defineRegion({ x1: 0, y1: 0, x2: 10, y2: 5 }, ['car'], {
+    classLabel: 'car',
+  });
+  const ser = new Serializer(
+    new PixelMatrix(30, 40, 3),
+    new MetadataIndex(),
+    rm,
+  );
+  await ser.save(jsonPath, { transform: rot });
+  const read = async () => JSON.parse(await fs.readFile(jsonPath, 'utf-8'));
+  let manifest = await read();
+  assert.deepStrictEqual(manifest.transform, rot);
+  const { valid, errors } = validateManifest(manifest);
+  assert.ok(valid, errors.join('; '));
+  await ser.save(jsonPath); // viewer autosave
+  assert.deepStrictEqual((await read()).transform, rot);
+  await ser.save(jsonPath, { transform: null });
+  manifest = await read();
+  assert.ok(!('transform' in manifest));
+  const bad = { ...manifest, transform: { ...rot, steps: [{ op: 'shear' }] } };
+  assert.ok(!validateManifest(bad).valid);
+
+  // COCO in the stored frame (default) and on the original file's grid
+  const images = [
+    { name: NAME, width: 30, height: 40, regions: rm.regions, transform: rot },
+  ];
+  const storedCoco = buildCoco(images);
+  assert.deepStrictEqual(storedCoco.annotations[0].bbox, [0, 0, 10, 5]);
+  const originalCoco = buildCoco(images, { frame: 'original' });
+  assert.deepStrictEqual(
+    [originalCoco.images[0].width, originalCoco.images[0].height],
+    [40, 30],
+  );
+  assert.deepStrictEqual(originalCoco.annotations[0].bbox, [0, 20, 5, 10]);
+} finally {
+  for (const f of await fs.readdir(OUT))
+    if (f.startsWith(NAME)) await fs.rm(path.join(OUT, f), { force: true });
+}
+
+console.log('Image transform test passed.');
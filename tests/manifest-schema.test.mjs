@@ -0,0 +1,134 @@
+// manifest-schema.test.mjs
+// Legacy (unversioned) manifests are migrated in memory on load and in place by the migrate
+// CLI (with backup); freshly saved manifests carry schemaVersion and validate; newer or
+// malformed manifests are rejected on load.
+import assert from 'assert';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import PixelMatrix from '../src/common/PixelMatrix.js';
+import MetadataIndex from '../src/common/MetadataIndex.js';
+import RegionManager from '../src/common/RegionManager.js';
+import Serializer from '../src/common/Serializer.js';
+import TiledMLSerializer from '../src/tiled/TiledMLSerializer.js';
+import {
+  SCHEMA_VERSION,
+  normaliseRegionId,
+  validateManifest,
+} from '../src/common/manifest-schema.js';
+import { migrateFile } from '../src/cli/migrate.js';
+
+const WITHIN = 'http://example.org/within';
+
+async function run() {
+  // One id rule for migration and the viewer; numeric pipeline ids get the prefix too
+  assert.deepStrictEqual(
+    [3, '3', 'region-3', 'manual-17', 'region-a'].map(normaliseRegionId),
+    ['region-3', 'region-3', 'region-3', 'manual-17', 'region-a'],
+  );
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'manifest-schema-'));
+  try {
+    // Legacy single-image manifest: raw v1 .pht, string ids, no URIs, no relMeta
+    const pm = new PixelMatrix(4, 3, 3);
+    await fs.writeFile(path.join(dir, 'legacy.pht'), pm.toPht({ version: 1 }));
+    const legacy = {
+      pixelMatrix: { width: 4, height: 3, channels: 3, phtFile: 'legacy.pht' },
+      metadataIndex: { index: {}, rdf: '' },
+      regionManager: {
+        regions: [
+          { id: '3', boundary: { x1: 0, y1: 0, x2: 2, y2: 2 }, tags: ['cat'] },
+          {
+            id: 'manual-17',
+            boundary: { x1: 1, y1: 1, x2: 3, y2: 3 },
+            tags: ['box'],
+            metadata: { uri: 'uri://legacy/manual-region/manual-17' },
+          },
+        ],
+      },
+    };
+    const legacyPath = path.join(dir, 'legacy.json');
+    const legacyText = JSON.stringify(legacy, null, 2);
+    await fs.writeFile(legacyPath, legacyText);
+    assert.ok(!validateManifest(legacy).valid, 'unversioned is not current');
+
+    // Load migrates in memory without touching the file
+    const { regionManager, metadataIndex } = await new Serializer().load(
+      legacyPath,
+    );
+    assert.deepStrictEqual(
+      regionManager.regions.map((r) => r.id),
+      ['region-3', 'manual-17'],
+    );
+    assert.strictEqual(
+      regionManager.regions[0].metadata.uri,
+      'uri://legacy/singleImage/region-3',
+    );
+    for (const r of regionManager.regions)
+      assert.strictEqual(
+        metadataIndex.store.getQuads(r.metadata.uri, WITHIN, null, null).length,
+        1,
+        `ex:within for ${r.id}`,
+      );
+    assert.strictEqual(await fs.readFile(legacyPath, 'utf-8'), legacyText);
+
+    // migrate CLI: backup + in-place upgrade, idempotent
+    const res = await migrateFile(legacyPath);
+    assert.strictEqual(res.status, 'migrated');
+    assert.strictEqual(await fs.readFile(res.backup, 'utf-8'), legacyText);
+    const upgraded = JSON.parse(await fs.readFile(legacyPath, 'utf-8'));
+    assert.strictEqual(Object.keys(upgraded)[0], 'schemaVersion');
+    assert.strictEqual(upgraded.schemaVersion, SCHEMA_VERSION);
+    assert.deepStrictEqual(upgraded.metadataIndex.relMeta, {});
+    assert.strictEqual(upgraded.pixelMatrix.phtVersion, 1);
+    assert.ok(validateManifest(upgraded).valid);
+    assert.strictEqual((await migrateFile(legacyPath)).status, 'current');
+    assert.strictEqual(
+      (await migrateFile(path.join(dir, 'legacy.pht'))).status,
+      'skipped',
+    );
+
+    // Saved manifests are stamped and valid (single + tiled)
+    const rm = new RegionManager();
+    rm.defineRegion({ x1: 0, y1: 0, x2: 1, y2: 1 }, ['a'], {
+      uri: 'uri://s/a',
+    });
+    const singlePath = path.join(dir, 'single.json');
+    await new Serializer(pm, new MetadataIndex(), rm).save(singlePath);
+    const single = JSON.parse(await fs.readFile(singlePath, 'utf-8'));
+    assert.strictEqual(single.schemaVersion, SCHEMA_VERSION);
+    assert.deepStrictEqual(validateManifest(single).errors, []);
+    const tiledPath = path.join(dir, 'tiled.json');
+    await TiledMLSerializer.save(
+      [{ x: 0, y: 0, pixelMatrix: pm }],
+      new MetadataIndex(),
+      rm,
+      tiledPath,
+    );
+    const tiled = JSON.parse(await fs.readFile(tiledPath, 'utf-8'));
+    assert.deepStrictEqual(validateManifest(tiled).errors, []);
+    await TiledMLSerializer.load(tiledPath);
+
+    // Rejections: newer schema, malformed region
+    await fs.writeFile(
+      singlePath,
+      JSON.stringify({ ...single, schemaVersion: SCHEMA_VERSION + 1 }),
+    );
+    await assert.rejects(new Serializer().load(singlePath), /newer/);
+    const broken = JSON.parse(JSON.stringify(single));
+    delete broken.regionManager.regions[0].boundary;
+    await fs.writeFile(singlePath, JSON.stringify(broken));
+    await assert.rejects(
+      new Serializer().load(singlePath),
+      /regions\[0\]: missing "boundary"/,
+    );
+    console.log('Manifest schema/migration test passed.');
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+run().catch((e) => {
+  console.error('Manifest schema/migration test failed:', e);
+  process.exitCode = 1;
+});
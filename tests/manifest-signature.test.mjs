@@ -0,0 +1,142 @@
+// tests/manifest-signature.test.mjs
+// Ed25519 manifest signatures: saving with PHT_SIGNING_KEY signs, re-saving without a key
+// keeps the signature, verification pinpoints the tampered part (regions, RDF, metadata,
+// a single tile, the signature block itself), and /loadImage reports the badge state.
+import http from 'http';
+import assert from 'assert';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { Parser, Writer } from 'n3';
+import PixelMatrix from '../src/common/PixelMatrix.js';
+import MetadataIndex from '../src/common/MetadataIndex.js';
+import RegionManager from '../src/common/RegionManager.js';
+import TiledMLSerializer from '../src/tiled/TiledMLSerializer.js';
+import ManifestSigner from '../src/common/ManifestSigner.js';
+
+process.env.PORT = process.env.PORT || '3023';
+const NAME = '__sig_test';
+const OUT = path.join(process.cwd(), 'output');
+const keyDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sikg-keys-'));
+const { keyPath, publicPath } = await ManifestSigner.generateKeyPair(
+  path.join(keyDir, 'signer.pem'),
+);
+const other = await ManifestSigner.generateKeyPair(
+  path.join(keyDir, 'other.pem'),
+);
+const trusted = [ManifestSigner.loadKey(publicPath).publicKey];
+
+const tiles = [0, 8].map((x) => {
+  const pm = new PixelMatrix(8, 8, 4);
+  pm.pixels.fill(x + 1);
+  return { x, y: 0, pixelMatrix: pm };
+});
+const mi = new MetadataIndex();
+await mi.insertQuads(
+  '<uri://t/a> <http://example.org/within> <urn:image:t> .\n<uri://t/a> <http://example.org/metadata#classLabel> "dog" .',
+);
+const rm = new RegionManager();
+rm.defineRegion({ x1: 1, y1: 1, x2: 5, y2: 5 }, ['dog'], { uri: 'uri://t/a' });
+const jsonPath = path.join(OUT, `${NAME}.json`);
+await fs.mkdir(OUT, { recursive: true });
+
+const readJson = async () => JSON.parse(await fs.readFile(jsonPath, 'utf-8'));
+const writeJson = (m) => fs.writeFile(jsonPath, JSON.stringify(m, null, 2));
+const verify = (keys = trusted) =>
+  ManifestSigner.verify(jsonPath, { trustedKeys: keys });
+
+try {
+  process.env.PHT_SIGNING_KEY = keyPath;
+  await TiledMLSerializer.save(tiles, mi, rm, jsonPath);
+  delete process.env.PHT_SIGNING_KEY;
+  const signed = await readJson();
+  assert.strictEqual(signed.signature.algorithm, 'Ed25519');
+  assert.strictEqual(signed.signature.tiles.length, 2);
+  assert.strictEqual((await verify()).status, 'verified');
+
+  // Re-save without a key: unchanged content keeps verifying
+  await TiledMLSerializer.save(tiles, mi, rm, jsonPath);
+  assert.strictEqual((await verify()).status, 'verified', 'preserved');
+
+  // RDF re-serialised in a different order is still the same graph
+  const reordered = await readJson();
+  const quads = new Parser().parse(reordered.metadataIndex.rdf).reverse();
+  reordered.metadataIndex.rdf = new Writer({
+    format: 'N-Triples',
+  }).quadsToString(quads);
+  await writeJson(reordered);
+  assert.strictEqual((await verify()).status, 'verified', 'canonical RDF');
+
+  const tamper = async (fn, expected) => {
+    const m = JSON.parse(JSON.stringify(signed));
+    fn(m);
+    await writeJson(m);
+    const r = await verify();
+    assert.strictEqual(r.status, 'tampered');
+    assert.deepStrictEqual(r.tampered, expected);
+    return r;
+  };
+  await tamper(
+    (m) => (m.regionManager.regions[0].boundary.x2 = 6),
+    ['regions'],
+  );
+  await tamper(
+    (m) =>
+      (m.metadataIndex.rdf +=
+        '\n<uri://t/a> <http://example.org/metadata#classLabel> "cat" .'),
+    ['rdf'],
+  );
+  await tamper(
+    (m) => (m.metadataIndex.relMeta.x = { name: 'forged' }),
+    ['metadata'],
+  );
+  await tamper(
+    (m) => (m.signature.signedAt = '2000-01-01T00:00:00Z'),
+    ['signature'],
+  );
+
+  // One corrupted tile is named
+  await writeJson(signed);
+  const tile1 = path.join(OUT, `${NAME}_tile_1.pht`);
+  const bytes = await fs.readFile(tile1);
+  bytes[bytes.length - 1] ^= 0xff;
+  await fs.writeFile(tile1, bytes);
+  const r = await verify();
+  assert.deepStrictEqual(r.tampered, ['tiles']);
+  assert.deepStrictEqual(
+    r.tiles.map((t) => t.status),
+    ['ok', 'modified'],
+  );
+  bytes[bytes.length - 1] ^= 0xff;
+  await fs.writeFile(tile1, bytes);
+
+  // Valid signature by a key nobody trusts
+  assert.strictEqual(
+    (await verify([ManifestSigner.loadKey(other.publicPath).publicKey])).status,
+    'untrusted-key',
+  );
+
+  // Viewer badge data
+  process.env.PHT_VERIFY_KEY = publicPath;
+  await import('../src/viewer/InteractiveViewerServer.js');
+  await new Promise((res) => setTimeout(res, 300));
+  const body = await new Promise((resolve, reject) => {
+    http
+      .get(
+        `http://127.0.0.1:${process.env.PORT}/loadImage?jsonPath=${encodeURIComponent(`output/${NAME}.json`)}`,
+        (res) => {
+          let d = '';
+          res.on('data', (c) => (d += c));
+          res.on('end', () => resolve(d));
+        },
+      )
+      .on('error', reject);
+  });
+  assert.strictEqual(JSON.parse(body).signature.status, 'verified');
+  console.log('Manifest signature test passed.');
+} finally {
+  for (const f of await fs.readdir(OUT))
+    if (f.startsWith(NAME)) await fs.rm(path.join(OUT, f), { force: true });
+  await fs.rm(keyDir, { recursive: true, force: true });
+}
+process.exit(process.exitCode || 0);
@@ -0,0 +1,223 @@
+// tests/merge-strategies.test.mjs
+// Merge strategies: class-aware NMS keeps a person and a bicycle apart, per-class IoU
+// thresholds, Soft-NMS decay and drop, weighted box fusion, the legacy union, and the
+// strategy recorded on the ProcessingRun and MergeEvent by a pipeline run.
+import assert from 'assert';
+import sharp from 'sharp';
+import RegionManager from '../src/common/RegionManager.js';
+import ImageProcessor from '../src/single/ImageProcessor.js';
+import {
+  defaultMergeStrategy,
+  resolveOverlaps,
+} from '../src/common/merge-strategies.js';
+
+const box = (x1, y1, x2, y2) => ({ x1, y1, x2, y2 });
+function manager(regions) {
+  const rm = new RegionManager();
+  regions.forEach(([cls, boundary, confidence]) =>
+    rm.defineRegion(boundary, [cls], { classLabel: cls, confidence }),
+  );
+  return rm;
+}
+
+// person on a bicycle: heavy overlap, different classes
+const rider = () =>
+  manager([
+    ['person', box(10, 0, 50, 80), 0.9],
+    ['bicycle', box(10, 10, 50, 80), 0.8],
+    ['person', box(12, 2, 52, 80), 0.6],
+  ]);
+
+// union (the method's default) still collapses everything into one region
+let rm = rider();
+let prov = rm.mergeOverlappingRegions(0.5);
+assert.strictEqual(rm.regions.length, 1);
+assert.deepStrictEqual(rm.regions[0].tags, ['person', 'bicycle']);
+assert.deepStrictEqual(rm.regions[0].boundary, box(10, 0, 52, 80));
+assert.deepStrictEqual(prov, [
+  { target: 0, sources: [0, 1, 2], strategy: 'union', changed: true },
+]);
+
+// nms: per class, the most confident person survives unchanged
+rm = rider();
+prov = rm.mergeOverlappingRegions(0.5, { strategy: 'nms' });
+assert.deepStrictEqual(
+  rm.regions.map((r) => [r.id, r.tags, r.boundary, r.metadata.confidence]),
+  [
+    [0, ['person'], box(10, 0, 50, 80), 0.9],
+    [1, ['bicycle'], box(10, 10, 50, 80), 0.8],
+  ],
+);
+assert.deepStrictEqual(rm.regions[0].provenance, {
+  mergedFrom: [0, 2],
+  mergeStrategy: 'nms',
+});
+assert.strictEqual(rm.regions[1].provenance, undefined);
+assert.deepStrictEqual(
+  prov.map((p) => [p.target, p.sources, p.changed]),
+  [
+    [0, [0, 2], false],
+    [1, [1], false],
+  ],
+);
+
+// per-class threshold: persons only merge above 0.95 IoU
+rm = rider();
+rm.mergeOverlappingRegions(0.5, {
+  strategy: 'nms',
+  classThresholds: { person: 0.95 },
+});
+assert.strictEqual(rm.regions.length, 3);
+
+// soft-nms (linear): the second person decays by (1 − IoU) …
+const iou = (38 * 78) / (40 * 80 + 40 * 78 - 38 * 78);
+const soft = resolveOverlaps(rider().regions, {
+  strategy: 'soft-nms',
+  softNmsMinScore: 0.01,
+});
+assert.strictEqual(soft.length, 3);
+assert.strictEqual(soft[2].changed, true);
+assert.ok(
+  Math.abs(soft[2].region.metadata.confidence - 0.6 * (1 - iou)) < 1e-9,
+);
+assert.strictEqual(soft[2].region.provenance.originalConfidence, 0.6);
+assert.deepStrictEqual(soft[2].sources, [2]);
+// … and is dropped once it falls below minScore
+rm = rider();
+prov = rm.mergeOverlappingRegions(0.5, { strategy: 'soft-nms' });
+assert.deepStrictEqual(
+  rm.regions.map((r) => r.tags[0]),
+  ['person', 'bicycle'],
+);
+assert.deepStrictEqual(prov[0].sources, [0, 2]);
+// a distant low-confidence car is never decayed, so it is neither dropped nor absorbed
+rm = manager([
+  ['car', box(0, 0, 100, 50), 0.9],
+  ['car', box(600, 0, 700, 50), 0.2],
+]);
+prov = rm.mergeOverlappingRegions(0.5, { strategy: 'soft-nms' });
+assert.deepStrictEqual(
+  rm.regions.map((r) => [r.id, r.metadata.confidence]),
+  [
+    [0, 0.9],
+    [1, 0.2],
+  ],
+);
+assert.strictEqual(rm.regions[0].provenance, undefined);
+assert.deepStrictEqual(
+  prov.map((p) => [p.target, p.sources]),
+  [
+    [0, [0]],
+    [1, [1]],
+  ],
+);
+// gaussian decays any overlap, even below the IoU threshold
+const gauss = resolveOverlaps(rider().regions, {
+  strategy: 'soft-nms',
+  iouThreshold: 0.99,
+  softNmsMethod: 'gaussian',
+  softNmsMinScore: 0,
+});
+assert.ok(
+  Math.abs(
+    gauss[2].region.metadata.confidence - 0.6 * Math.exp(-(iou ** 2) / 0.5),
+  ) < 1e-9,
+);
+
+// wbf: confidence-weighted corners, mean confidence, inputs untouched
+rm = manager([
+  ['car', box(0, 0, 100, 50), 0.75],
+  ['car', box(10, 0, 110, 50), 0.25],
+]);
+const inputRegions = rm.regions;
+const input = JSON.stringify(inputRegions);
+prov = rm.mergeOverlappingRegions(0.5, { strategy: 'wbf' });
+assert.deepStrictEqual(rm.regions[0].boundary, box(2.5, 0, 102.5, 50));
+assert.strictEqual(rm.regions[0].metadata.confidence, 0.5);
+assert.deepStrictEqual(prov, [
+  { target: 0, sources: [0, 1], strategy: 'wbf', changed: true },
+]);
+assert.strictEqual(JSON.stringify(inputRegions), input);
+
+assert.throws(
+  () => resolveOverlaps([], { strategy: 'fuse' }),
+  (e) => e.code === 'EMERGE',
+);
+process.env.MERGE_STRATEGY = 'WBF';
+assert.strictEqual(defaultMergeStrategy(), 'wbf');
+process.env.MERGE_STRATEGY = 'bogus';
+assert.strictEqual(defaultMergeStrategy(), 'nms');
+delete process.env.MERGE_STRATEGY;
+
+// Pipeline: the fused box reaches the graph, the strategy is on the run and the event
+const img = await sharp({
+  create: { width: 128, height: 64, channels: 3, background: '#777777' },
+})
+  .png()
+  .toBuffer();
+const ip = new ImageProcessor(img, 'street', {
+  colorDescriptors: false,
+  mergeStrategy: 'wbf',
+  mergeClassThresholds: { car: 0.4 },
+});
+ip.mlProcessor.loadDetectors = async () => {
+  ip.mlProcessor.detectors = [
+    {
+      name: 'cars',
+      role: 'objects',
+      model: 'cars',
+      modelUri: 'http://example.org/model/cars',
+      infer: async () => [
+        { label: 'car', confidence: 0.75, boundary: box(0, 0, 100, 50) },
+        { label: 'car', confidence: 0.25, boundary: box(10, 0, 110, 50) },
+        { label: 'person', confidence: 0.9, boundary: box(0, 0, 100, 50) },
+      ],
+    },
+  ];
+};
+await ip.processImage();
+assert.deepStrictEqual(
+  ip.regionManager.regions.map((r) => [r.tags, r.boundary]),
+  [
+    [['car'], box(2.5, 0, 102.5, 50)],
+    [['person'], box(0, 0, 100, 50)],
+  ],
+);
+const rows = async (q) =>
+  (
+    await ip.metadataIndex.executeSPARQL(`
+      PREFIX ex: <http://example.org/>
+      ${q}`)
+  ).map((b) => Object.fromEntries([...b].map(([k, v]) => [k.value, v.value])));
+assert.deepStrictEqual(
+  await rows(`SELECT ?x ?w ?c WHERE {
+    <uri://street/singleImage/0> ex:x ?x ; ex:w ?w ; ex:confidence ?c }`),
+  [{ x: '2.5', w: '100', c: '0.5' }],
+);
+assert.deepStrictEqual(
+  await rows(`SELECT ?s ?src WHERE {
+    ?e a ex:MergeEvent ; ex:mergeStrategy ?s . ?src ex:participatedInMerge ?e }
+    ORDER BY ?src`),
+  [
+    { s: 'wbf', src: 'uri://street/singleImage/0' },
+    { s: 'wbf', src: 'uri://street/singleImage/1' },
+  ],
+);
+assert.deepStrictEqual(
+  await rows(`SELECT ?k ?cls ?v WHERE {
+    ?run a ex:ProcessingRun ; ex:processingParam ?p .
+    ?p ex:key ?k ; ex:value ?v .
+    OPTIONAL { ?p ex:class ?cls }
+    FILTER(STRSTARTS(?k, "merge") || STRSTARTS(?k, "softNms")) }`),
+  [
+    { k: 'mergeRegions', v: 'true' },
+    { k: 'mergeIoUThreshold', v: '0.5' },
+    { k: 'mergeStrategy', v: 'wbf' },
+    { k: 'softNmsMethod', v: 'linear' },
+    { k: 'softNmsSigma', v: '0.5' },
+    { k: 'softNmsMinScore', v: '0.3' },
+    { k: 'mergeClassThreshold', cls: 'car', v: '0.4' },
+  ],
+);
+
+console.log('Merge strategies test passed.');
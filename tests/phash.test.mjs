@@ -0,0 +1,145 @@
+// tests/phash.test.mjs
+// Perceptual hashes: resized, recompressed and EXIF-rotated copies stay within a few bits
+// while a different picture does not, raw-pixel and file hashes agree, batch near-duplicate
+// detection keeps the largest copy, the hash lands on the image node, and GlobalRegistry
+// links near-duplicate images with md:nearDuplicateOf.
+import assert from 'assert';
+import path from 'path';
+import { promises as fs } from 'fs';
+import sharp from 'sharp';
+import PixelMatrix from '../src/common/PixelMatrix.js';
+import MetadataIndex from '../src/common/MetadataIndex.js';
+import RegionManager from '../src/common/RegionManager.js';
+import Serializer from '../src/common/Serializer.js';
+import GlobalRegistry from '../src/global/GlobalRegistry.js';
+import {
+  MD_NEAR_DUPLICATE_OF,
+  MD_PERCEPTUAL_HASH,
+  findNearDuplicates,
+  hammingDistance,
+  perceptualHash,
+  upsertPerceptualHash,
+} from '../src/common/phash.js';
+
+const scene = (shapes) =>
+  sharp(
+    Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="320" height="240">
+      <rect width="320" height="240" fill="#d8e4f0"/>${shapes}</svg>`),
+  )
+    .png()
+    .toBuffer();
+const harbour = await scene(`
+  <rect x="0" y="150" width="320" height="90" fill="#1d4e89"/>
+  <circle cx="250" cy="60" r="35" fill="#f4c430"/>
+  <polygon points="60,150 110,60 160,150" fill="#7a4b2a"/>`);
+const street = await scene(`
+  <rect x="40" y="20" width="60" height="220" fill="#333"/>
+  <rect x="200" y="90" width="110" height="60" fill="#b22222"/>
+  <circle cx="70" cy="200" r="20" fill="#eee"/>`);
+
+const base = await perceptualHash(harbour);
+assert.match(base, /^[0-9a-f]{16}$/);
+const small = await perceptualHash(
+  await sharp(harbour).resize(160, 120).png().toBuffer(),
+);
+const jpeg = await perceptualHash(
+  await sharp(harbour).jpeg({ quality: 40 }).toBuffer(),
+);
+// stored sideways with EXIF orientation 6: rotate() turns it upright first
+const sideways = await perceptualHash(
+  await sharp(await sharp(harbour).rotate(270).toBuffer())
+    .withMetadata({ orientation: 6 })
+    .jpeg({ quality: 90 })
+    .toBuffer(),
+);
+const other = await perceptualHash(street);
+assert.ok(hammingDistance(base, small) <= 4, 'resized copy');
+assert.ok(hammingDistance(base, jpeg) <= 6, 'recompressed copy');
+assert.ok(hammingDistance(base, sideways) <= 6, 'EXIF-rotated copy');
+assert.ok(hammingDistance(base, other) > 16, 'different picture');
+assert.strictEqual(hammingDistance('ff00000000000000', '0f00000000000001'), 5);
+
+// decoded RGBA (what the pipelines hold) hashes like the file
+const { data, info } = await sharp(harbour)
+  .ensureAlpha()
+  .raw()
+  .toBuffer({ resolveWithObject: true });
+const fromRaw = await perceptualHash(data, {
+  raw: { width: info.width, height: info.height, channels: info.channels },
+});
+assert.ok(hammingDistance(base, fromRaw) <= 2, 'raw pixels');
+
+// Batch: the largest copy is the original, others point at their closest match
+const batch = [
+  { file: 'harbour_small.png', width: 160, height: 120, perceptualHash: small },
+  { file: 'street.png', width: 320, height: 240, perceptualHash: other },
+  { file: 'harbour.png', width: 320, height: 240, perceptualHash: base },
+  { file: 'harbour_q40.jpg', width: 320, height: 240, perceptualHash: jpeg },
+];
+const dups = findNearDuplicates(batch, { maxDistance: 8 });
+assert.deepStrictEqual(
+  dups.map((d) => [d.item.file, d.duplicateOf.file]).sort(),
+  [
+    ['harbour_q40.jpg', 'harbour.png'],
+    ['harbour_small.png', 'harbour.png'],
+  ],
+);
+assert.deepStrictEqual(findNearDuplicates(batch, { maxDistance: -1 }), []);
+
+// Image node literal (replaced, not accumulated)
+const mi = new MetadataIndex();
+upsertPerceptualHash(mi, 'harbour', 'ffffffffffffffff');
+upsertPerceptualHash(mi, 'harbour', base);
+const lits = mi.store.getObjects('urn:image:harbour', MD_PERCEPTUAL_HASH, null);
+assert.strictEqual(lits.length, 1);
+assert.strictEqual(lits[0].value, base);
+assert.strictEqual(
+  lits[0].datatype.value,
+  'http://www.w3.org/2001/XMLSchema#hexBinary',
+);
+
+// GlobalRegistry: md:nearDuplicateOf between manifests, nothing for unrelated images
+const OUT = path.join(process.cwd(), 'output');
+const NAME = '__phash_test';
+await fs.mkdir(OUT, { recursive: true });
+const manifest = async (image, hash) => {
+  const m = new MetadataIndex();
+  if (hash) upsertPerceptualHash(m, image, hash);
+  const file = path.join(OUT, `${NAME}_${image}.json`);
+  await new Serializer(new PixelMatrix(4, 4, 3), m, new RegionManager()).save(
+    file,
+  );
+  return file;
+};
+try {
+  const files = [
+    await manifest('harbour', base),
+    await manifest('street', other),
+    await manifest('harbour_small', small),
+    await manifest('legacy', null),
+  ];
+  const registry = new GlobalRegistry({ nearDuplicateDistance: 8 });
+  for (const f of files) await registry.loadSource(f);
+  assert.deepStrictEqual(
+    registry.nearDuplicates.map((d) => [d.image, d.duplicateOf]),
+    [['urn:image:harbour_small', 'urn:image:harbour']],
+  );
+  const rows = await registry.metadataIndex.executeSPARQL(`
+    PREFIX md: <http://example.org/metadata#>
+    SELECT ?a ?b WHERE { ?a md:nearDuplicateOf ?b }`);
+  assert.deepStrictEqual(
+    rows.map((b) => [b.get('a').value, b.get('b').value]),
+    [['urn:image:harbour_small', 'urn:image:harbour']],
+  );
+  await registry.loadSource(files[2]); // reloading adds no second link
+  assert.strictEqual(
+    registry.metadataIndex.store.getQuads(null, MD_NEAR_DUPLICATE_OF, null)
+      .length,
+    1,
+  );
+} finally {
+  for (const f of await fs.readdir(OUT))
+    if (f.startsWith(NAME)) await fs.rm(path.join(OUT, f), { force: true });
+}
+
+console.log('Perceptual hash test passed.');
@@ -0,0 +1,153 @@
+// pht-reader.test.mjs
+// Windowed reads: PhtReader.readRect must match the same window cut from the in-memory
+// matrix for v1 raw and v2 files, tiled composition must match, lazy loads must not
+// rewrite pixels on save, a lazy matrix re-encodes when asked for another format, and a
+// pipeline re-run without pyramid levels drops the old ones.
+import assert from 'assert';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import PixelMatrix from '../src/common/PixelMatrix.js';
+import PhtReader from '../src/common/PhtReader.js';
+import { decodePhtAny } from '../src/common/pht-format.js';
+import MetadataIndex from '../src/common/MetadataIndex.js';
+import RegionManager from '../src/common/RegionManager.js';
+import TiledMLSerializer from '../src/tiled/TiledMLSerializer.js';
+import { buildPyramidLevels } from '../src/tiled/pyramid.js';
+
+function pattern(width, height, channels) {
+  const pm = new PixelMatrix(width, height, channels);
+  for (let i = 0; i < pm.pixels.length; i++) pm.pixels[i] = (i * 13 + 5) & 0xff;
+  return pm;
+}
+
+async function run() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pht-reader-'));
+  try {
+    const pm = pattern(53, 41, 4);
+    const info = { width: 53, height: 41, channels: 4 };
+    const rect = { x: 7, y: 9, width: 20, height: 25 };
+    const expected = await PhtReader.readMatrixRect(pm, rect);
+
+    const files = {
+      v1: pm.toPht({ version: 1 }),
+      v2: pm.toPht({ version: 2, codec: 'deflate', rowsPerBlock: 4 }),
+    };
+    for (const [name, buf] of Object.entries(files)) {
+      const file = path.join(dir, `${name}.pht`);
+      await fs.writeFile(file, buf);
+      const reader = await PhtReader.open(file, info);
+      const win = await reader.readRect(rect);
+      assert.strictEqual(win.width, 20, `${name}: width`);
+      assert.ok(win.data.equals(expected.data), `${name}: window mismatch`);
+      const rows = await reader.readRows(40, 5); // clamped to the last row
+      assert.strictEqual(rows.length, 53 * 4, `${name}: clamped rows`);
+      await reader.close();
+    }
+
+    // A lazy matrix only re-emits its bytes verbatim for the format they are already in
+    const lazyV1 = PhtReader.lazyPixelMatrix(path.join(dir, 'v1.pht'), info);
+    assert.ok(lazyV1.toPht({ version: 1 }).equals(files.v1));
+    for (const codec of ['none', 'deflate']) {
+      const out = lazyV1.toPht({ version: 2, codec });
+      const decoded = decodePhtAny(out, info);
+      assert.strictEqual(decoded.version, 2, `lazy v1 → v2 ${codec}`);
+      assert.strictEqual(decoded.codec, codec);
+      assert.ok(Buffer.from(decoded.pixels).equals(pm.toBinary()));
+    }
+    const lazyV2 = PhtReader.lazyPixelMatrix(path.join(dir, 'v2.pht'), {
+      ...info,
+      phtVersion: 2,
+      codec: 'deflate',
+    });
+    assert.ok(lazyV2.toPht({ version: 2, codec: 'deflate' }).equals(files.v2));
+    assert.ok(lazyV2.toPht({ version: 1 }).equals(pm.toBinary()));
+
+    // Tiles with a 2px overlap compose back to the original window
+    const tiles = [];
+    for (const [x, y] of [
+      [0, 0],
+      [25, 0],
+      [0, 20],
+      [25, 20],
+    ]) {
+      const w = Math.min(28, 53 - x);
+      const h = Math.min(21, 41 - y);
+      const t = new PixelMatrix(w, h, 4);
+      const src = await PhtReader.readMatrixRect(pm, {
+        x,
+        y,
+        width: w,
+        height: h,
+      });
+      t.pixels = new Uint8Array(src.data);
+      tiles.push({ x, y, pixelMatrix: t });
+    }
+    const composed = await PhtReader.readTilesRect(tiles, rect);
+    assert.ok(
+      composed.data.equals(expected.data),
+      'tiled composition mismatch',
+    );
+
+    // Lazy load → save leaves .pht bytes untouched; lazy windows still read correctly
+    const jsonPath = path.join(dir, 'tiled.json');
+    await TiledMLSerializer.save(
+      tiles,
+      new MetadataIndex(),
+      new RegionManager(),
+      jsonPath,
+    );
+    const tilePath = path.join(dir, 'tiled_tile_1.pht');
+    const before = await fs.stat(tilePath);
+    const lazy = await TiledMLSerializer.load(jsonPath, { lazy: true });
+    assert.ok(lazy.tiles.every((t) => t.pixelMatrix.lazy));
+    const lazyComposed = await PhtReader.readTilesRect(lazy.tiles, rect);
+    assert.ok(
+      lazyComposed.data.equals(expected.data),
+      'lazy composition mismatch',
+    );
+    await new Promise((r) => setTimeout(r, 20));
+    await TiledMLSerializer.save(
+      lazy.tiles,
+      lazy.metadataIndex,
+      lazy.regionManager,
+      jsonPath,
+    );
+    const after = await fs.stat(tilePath);
+    assert.strictEqual(
+      after.mtimeMs,
+      before.mtimeMs,
+      'lazy tile was rewritten',
+    );
+
+    // Pyramid levels: kept by a plain re-save, dropped (files too) by an empty list
+    const readManifest = async () =>
+      JSON.parse(await fs.readFile(jsonPath, 'utf-8'));
+    const saveTiled = (options) =>
+      TiledMLSerializer.save(
+        lazy.tiles,
+        lazy.metadataIndex,
+        lazy.regionManager,
+        jsonPath,
+        options,
+      );
+    await saveTiled({
+      pyramid: buildPyramidLevels(pm.pixels, 53, 41, 4, { minSize: 16 }),
+    });
+    const levelFile = path.join(dir, 'tiled_pyramid_1.pht');
+    assert.strictEqual((await readManifest()).pyramid.levels.length, 2);
+    await saveTiled();
+    assert.strictEqual((await readManifest()).pyramid.levels.length, 2);
+    await saveTiled({ pyramid: [] });
+    assert.strictEqual((await readManifest()).pyramid, undefined);
+    await assert.rejects(fs.stat(levelFile), { code: 'ENOENT' });
+    console.log('PhtReader windowed read test passed.');
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+run().catch((e) => {
+  console.error('PhtReader windowed read test failed:', e);
+  process.exitCode = 1;
+});
@@ -0,0 +1,87 @@
+// pht-v2-format.test.mjs
+// Verifies the .pht v2 container: lossless round-trip for every codec, header fields,
+// per-block checksum detection, and transparent loading of legacy raw (v1) files.
+import assert from 'assert';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import PixelMatrix from '../src/common/PixelMatrix.js';
+import MetadataIndex from '../src/common/MetadataIndex.js';
+import RegionManager from '../src/common/RegionManager.js';
+import Serializer from '../src/common/Serializer.js';
+import {
+  decodePht,
+  decodePhtAny,
+  isPhtV2,
+  parsePhtHeader,
+} from '../src/common/pht-format.js';
+
+function pattern(width, height, channels) {
+  const pm = new PixelMatrix(width, height, channels);
+  for (let i = 0; i < pm.pixels.length; i++) pm.pixels[i] = (i * 7) & 0xff;
+  return pm;
+}
+
+async function run() {
+  const pm = pattern(40, 37, 4);
+  for (const codec of ['none', 'deflate', 'brotli']) {
+    const buf = pm.toPht({ version: 2, codec, rowsPerBlock: 8 });
+    assert.ok(isPhtV2(buf), `${codec}: magic missing`);
+    const h = parsePhtHeader(buf);
+    assert.strictEqual(h.width, 40);
+    assert.strictEqual(h.height, 37);
+    assert.strictEqual(h.channels, 4);
+    assert.strictEqual(h.bitDepth, 8);
+    assert.strictEqual(h.layout, 'RGBA');
+    assert.strictEqual(h.codecName, codec);
+    assert.strictEqual(h.blockCount, 5);
+    const back = PixelMatrix.fromBinary(0, 0, 0, buf); // header wins over caller hints
+    assert.strictEqual(back.width, 40);
+    assert.deepStrictEqual(Buffer.from(back.pixels), pm.toBinary());
+  }
+
+  // v1 toggle keeps writing raw bytes
+  assert.deepStrictEqual(pm.toPht({ version: 1 }), pm.toBinary());
+
+  // Corrupting a payload byte is reported with its block index
+  const buf = pm.toPht({ version: 2, codec: 'none', rowsPerBlock: 8 });
+  buf[buf.length - 1] ^= 0xff;
+  assert.throws(() => decodePht(buf), /row block 4/);
+
+  // Legacy raw buffer decodes with manifest-provided geometry
+  const raw = pm.toBinary();
+  const v1 = decodePhtAny(raw, { width: 40, height: 37, channels: 4 });
+  assert.strictEqual(v1.version, 1);
+  assert.strictEqual(v1.pixels, raw);
+
+  // Serializer writes v2 by default and still loads a v1 .pht written by older builds
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pht-v2-'));
+  try {
+    const jsonPath = path.join(dir, 'img.json');
+    const mi = new MetadataIndex();
+    const rm = new RegionManager();
+    await new Serializer(pm, mi, rm).save(jsonPath);
+    const manifest = JSON.parse(await fs.readFile(jsonPath, 'utf-8'));
+    assert.strictEqual(manifest.pixelMatrix.phtVersion, 2);
+    const onDisk = await fs.readFile(path.join(dir, 'img.pht'));
+    assert.ok(isPhtV2(onDisk));
+    assert.ok(
+      onDisk.length < raw.length,
+      'deflate should shrink patterned data',
+    );
+    let loaded = await new Serializer().load(jsonPath);
+    assert.deepStrictEqual(Buffer.from(loaded.pixelMatrix.pixels), raw);
+
+    await fs.writeFile(path.join(dir, 'img.pht'), raw);
+    loaded = await new Serializer().load(jsonPath);
+    assert.deepStrictEqual(Buffer.from(loaded.pixelMatrix.pixels), raw);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+  console.log('PHT v2 container test passed.');
+}
+
+run().catch((e) => {
+  console.error('PHT v2 container test failed:', e);
+  process.exitCode = 1;
+});
@@ -0,0 +1,184 @@
+// tests/rdf-export.test.mjs
+// Streamed RDF export: format negotiation, every format round-trips to the same triples,
+// N-Quads/TriG place triples in a graph per image, JSON-LD carries the ex:/md: @context,
+// and /export/rdf + /export/ttl serve the current manifest and the global registry.
+import http from 'http';
+import assert from 'assert';
+import path from 'path';
+import { PassThrough } from 'stream';
+import { promises as fs } from 'fs';
+import { Parser } from 'n3';
+import MetadataIndex from '../src/common/MetadataIndex.js';
+import {
+  negotiateRdfFormat,
+  writeRdf,
+  RDF_FORMATS,
+} from '../src/common/rdf-export.js';
+
+process.env.PORT = process.env.PORT || '3026';
+const NAME = '__rdf_export_test';
+const OUT = path.join(process.cwd(), 'output');
+const MD = 'http://example.org/metadata#';
+
+// Negotiation
+assert.strictEqual(negotiateRdfFormat(undefined, undefined), 'turtle');
+assert.strictEqual(negotiateRdfFormat('nq'), 'nquads');
+assert.strictEqual(negotiateRdfFormat('application/trig'), 'trig');
+assert.strictEqual(negotiateRdfFormat('rdfxml'), null);
+assert.strictEqual(
+  negotiateRdfFormat(
+    undefined,
+    'text/html;q=0.9, application/ld+json, */*;q=0.1',
+  ),
+  'jsonld',
+);
+assert.strictEqual(
+  negotiateRdfFormat(
+    undefined,
+    'application/n-triples;q=0.5, application/n-quads;q=0.8',
+  ),
+  'nquads',
+);
+assert.strictEqual(negotiateRdfFormat(undefined, 'image/png'), null);
+
+const mi = new MetadataIndex();
+await mi.insertQuads(`
+  @prefix ex: <http://example.org/> .
+  @prefix md: <http://example.org/metadata#> .
+  <uri://a/singleImage/0> a ex:dog ; ex:within <urn:image:a> ;
+    md:classLabel "dog" ; md:confidence 0.9 ; md:near <uri://a/singleImage/1> .
+  <uri://a/singleImage/1> md:classLabel "cat"@en .
+  <uri://b/manual-region/manual-101> ex:within <urn:image:b> ; md:tags "x", "y" .
+`);
+const expected = mi.store.size;
+
+async function render(format) {
+  const out = new PassThrough();
+  let text = '';
+  out.on('data', (c) => (text += c));
+  await writeRdf(mi.store, format, out);
+  out.end();
+  return text;
+}
+
+for (const format of ['turtle', 'ntriples', 'nquads', 'trig']) {
+  const text = await render(format);
+  const quads = new Parser({ format: RDF_FORMATS[format].mime }).parse(text);
+  assert.strictEqual(quads.length, expected, format);
+  const graphs = new Set(quads.map((q) => q.graph.value));
+  if (format === 'nquads' || format === 'trig')
+    assert.deepStrictEqual([...graphs].sort(), ['urn:image:a', 'urn:image:b']);
+  else assert.deepStrictEqual([...graphs], ['']);
+}
+
+const ld = JSON.parse(await render('jsonld'));
+assert.strictEqual(ld['@context'].md, MD);
+assert.strictEqual(ld['@context'].ex, 'http://example.org/');
+const dog = ld['@graph'].find((n) => n['@id'] === 'uri://a/singleImage/0');
+assert.strictEqual(dog['@type'], 'ex:dog');
+assert.strictEqual(dog['md:classLabel'], 'dog');
+assert.deepStrictEqual(dog['md:near'], { '@id': 'uri://a/singleImage/1' });
+assert.strictEqual(dog['md:confidence']['@type'], 'xsd:decimal');
+const cat = ld['@graph'].find((n) => n['@id'] === 'uri://a/singleImage/1');
+assert.deepStrictEqual(cat['md:classLabel'], {
+  '@value': 'cat',
+  '@language': 'en',
+});
+const manual = ld['@graph'].find((n) => n['@id'].endsWith('manual-101'));
+assert.deepStrictEqual(manual['md:tags'].sort(), ['x', 'y']);
+// one node per subject even when its statements were added apart from each other
+await mi.insertQuads(`
+  @prefix md: <http://example.org/metadata#> .
+  <uri://a/singleImage/0> md:note "late" .
+`);
+const regrouped = JSON.parse(await render('jsonld'))['@graph'];
+assert.strictEqual(
+  regrouped.filter((n) => n['@id'] === 'uri://a/singleImage/0').length,
+  1,
+);
+assert.strictEqual(
+  regrouped.find((n) => n['@id'] === 'uri://a/singleImage/0')['md:note'],
+  'late',
+);
+assert.strictEqual(regrouped.length, ld['@graph'].length);
+
+// Routes
+await fs.mkdir(OUT, { recursive: true });
+const jsonPath = path.join(OUT, `${NAME}.json`);
+await fs.writeFile(
+  jsonPath,
+  JSON.stringify({
+    schemaVersion: 2,
+    pixelMatrix: { width: 1, height: 1, channels: 3, phtFile: `${NAME}.pht` },
+    metadataIndex: await mi.toJSON(),
+    regionManager: { regions: [] },
+  }),
+);
+try {
+  await import('../src/viewer/InteractiveViewerServer.js');
+  await new Promise((r) => setTimeout(r, 300));
+  const request = (method, url, headers = {}, body) =>
+    new Promise((resolve, reject) => {
+      const req = http.request(
+        `http://127.0.0.1:${process.env.PORT}${url}`,
+        { method, headers },
+        (res) => {
+          let d = '';
+          res.on('data', (c) => (d += c));
+          res.on('end', () =>
+            resolve({
+              status: res.statusCode,
+              type: res.headers['content-type'],
+              body: d,
+            }),
+          );
+        },
+      );
+      req.on('error', reject);
+      if (body) req.write(body);
+      req.end();
+    });
+  const q = `jsonPath=${encodeURIComponent(`/output/${NAME}.json`)}`;
+
+  const nq = await request('GET', `/export/rdf?${q}`, {
+    Accept: 'application/n-quads',
+  });
+  assert.strictEqual(nq.status, 200);
+  assert.match(nq.type, /^application\/n-quads/);
+  assert.match(nq.body, /<urn:image:b> \.\n/);
+
+  const ttl = await request('GET', `/export/ttl?${q}`, {
+    Accept: 'application/ld+json',
+  });
+  assert.match(ttl.type, /^text\/turtle/, '/export/ttl ignores Accept');
+  assert.match(ttl.body, /@prefix md: <http:\/\/example\.org\/metadata#>/);
+
+  const saved = await request('GET', `/export/ttl?${q}&format=jsonld&save=1`);
+  assert.match(saved.type, /^application\/ld\+json/);
+  assert.deepStrictEqual(
+    JSON.parse(saved.body),
+    JSON.parse(await fs.readFile(path.join(OUT, `${NAME}.jsonld`), 'utf-8')),
+  );
+
+  const refused = await request('GET', `/export/rdf?${q}`, {
+    Accept: 'image/png',
+  });
+  assert.strictEqual(refused.status, 406);
+
+  const load = await request(
+    'POST',
+    '/global/load',
+    { 'Content-Type': 'application/json' },
+    JSON.stringify({ sources: [`/output/${NAME}.json`] }),
+  );
+  assert.strictEqual(load.status, 200);
+  const global = await request('GET', '/export/rdf?scope=global&format=trig');
+  assert.strictEqual(global.status, 200);
+  const gq = new Parser({ format: 'application/trig' }).parse(global.body);
+  assert.ok(gq.some((x) => x.graph.value === 'urn:image:a'));
+  console.log('RDF export test passed.');
+} finally {
+  for (const f of await fs.readdir(OUT))
+    if (f.startsWith(NAME)) await fs.rm(path.join(OUT, f), { force: true });
+}
+process.exit(process.exitCode || 0);
@@ -0,0 +1,223 @@
+// region-geometry.test.mjs
+// Polygon and rotated-box regions: exact areas and intersections (concave shapes
+// included), point lookups in RegionManager, IoU merging, true containment, centroid
+// distance and shape gaps in computeRelationsPure, parsing of outside geometry input,
+// the manifest schema, and COCO polygon import.
+import assert from 'assert';
+import RegionManager from '../src/common/RegionManager.js';
+import MetadataIndex from '../src/common/MetadataIndex.js';
+import { computeRelationsPure } from '../src/common/spatial-links.js';
+import {
+  addManualRegions,
+  parseCoco,
+} from '../src/common/annotation-import.js';
+import {
+  SCHEMA_VERSION,
+  validateManifest,
+} from '../src/common/manifest-schema.js';
+import {
+  attachPolygon,
+  attachRotatedBox,
+  parsePolygon,
+  parseRotatedBox,
+  polygonArea,
+  polygonIntersectionArea,
+  regionArea,
+  regionContains,
+  regionGap,
+  regionIntersectionArea,
+  regionIoU,
+} from '../src/common/geometry.js';
+
+const close = (a, b, msg) =>
+  assert.ok(Math.abs(a - b) < 1e-6, `${msg}: ${a} ≠ ${b}`);
+
+const poly = (id, ...rings) =>
+  attachPolygon({ id, tags: ['x'], metadata: { uri: `uri://g/${id}` } }, rings);
+const rotated = (id, rb) =>
+  attachRotatedBox({ id, tags: ['x'], metadata: { uri: `uri://g/${id}` } }, rb);
+const box = (id, x1, y1, x2, y2) => ({
+  id,
+  boundary: { x1, y1, x2, y2 },
+  tags: ['x'],
+  metadata: { uri: `uri://g/${id}` },
+});
+
+function run() {
+  // An L-shape (concave) and a square sitting in its notch
+  const L = [0, 0, 10, 0, 10, 4, 4, 4, 4, 10, 0, 10];
+  close(polygonArea([L]), 64, 'L area');
+  close(polygonArea([[...L].reverse()]), 64, 'orientation-independent');
+  const notch = [5, 5, 9, 5, 9, 9, 5, 9];
+  close(polygonIntersectionArea([L], [notch]), 0, 'notch is outside the L');
+  const corner = [2, 2, 6, 2, 6, 6, 2, 6];
+  close(polygonIntersectionArea([L], [corner]), 12, 'corner overlap');
+
+  // Region level: the notch square's box lies inside the L's box, the square does not
+  const rL = poly(0, L);
+  const rNotch = box(1, 5, 5, 9, 9);
+  assert.deepStrictEqual(rL.boundary, { x1: 0, y1: 0, x2: 10, y2: 10 });
+  assert.strictEqual(regionIntersectionArea(rL, rNotch), 0);
+  assert.ok(!regionContains(rL, rNotch));
+  assert.ok(regionContains(rL, box(2, 1, 1, 3, 8)));
+  assert.ok(regionContains(box(3, 0, 0, 10, 10), rL));
+
+  // Rotated box: area kept, boundary is the rotated corners' box
+  const diamond = rotated(4, {
+    cx: 10,
+    cy: 10,
+    width: 10,
+    height: 10,
+    angle: 45,
+  });
+  close(regionArea(diamond), 100, 'rotated area');
+  close(diamond.boundary.x1, 10 - 5 * Math.SQRT2, 'rotated boundary');
+  // Its box covers the axis-aligned square fully, the diamond only partly
+  const square = box(5, 5, 5, 15, 15);
+  close(
+    regionIntersectionArea(diamond, square),
+    100 - 4 * 2.0710678118654755 ** 2,
+    'diamond ∩ square',
+  );
+  assert.ok(regionIoU(diamond, square) < 1);
+
+  // Point lookup follows the shape
+  const rm = new RegionManager();
+  rm.regions.push(rL, diamond);
+  assert.deepStrictEqual(
+    rm.getRegionsByPixel(7, 7).map((r) => r.id),
+    [4],
+  );
+  assert.deepStrictEqual(
+    rm.getRegionsByPixel(2, 8).map((r) => r.id),
+    [0],
+  );
+  assert.deepStrictEqual(rm.getRegionsByPixel(5.5, 5.5), [], 'in the L notch');
+
+  // Merging: two Ls with identical boxes but little shared area stay apart; near
+  // copies merge into their combined box
+  const flipped = [10, 10, 0, 10, 0, 6, 6, 6, 6, 0, 10, 0];
+  const rmMerge = new RegionManager();
+  rmMerge.regions.push(poly(0, L), poly(1, flipped));
+  assert.ok(regionIoU(rmMerge.regions[0], rmMerge.regions[1]) < 0.5);
+  rmMerge.mergeOverlappingRegions(0.5);
+  assert.strictEqual(rmMerge.regions.length, 2);
+  const shifted = L.map((v) => v + 0.5);
+  rmMerge.regions.push(poly(2, shifted));
+  rmMerge.mergeOverlappingRegions(0.5);
+  assert.strictEqual(rmMerge.regions.length, 2);
+  assert.strictEqual(rmMerge.regions[0].polygon, undefined, 'merged → box');
+  assert.deepStrictEqual(rmMerge.regions[0].boundary, {
+    x1: 0,
+    y1: 0,
+    x2: 10.5,
+    y2: 10.5,
+  });
+
+  // Relations: no contains/overlaps for the notch (it sits 1 px off the L, so the two
+  // are adjacent), centroid distance for near
+  const rels = computeRelationsPure([rL, rNotch], {
+    nearDistance: 4,
+    minRegionAreaForNear: 1,
+    minOverlapArea: 1,
+  });
+  assert.deepStrictEqual(
+    rels.map((r) => r.predicate),
+    ['adjacentTo', 'adjacentTo'],
+  );
+  // the gap is measured between the shapes: 1 px from the L, none from its box; a
+  // square deep inside the L's box but away from its arms is too far to be adjacent
+  assert.strictEqual(regionGap(rL, rNotch), 1);
+  assert.strictEqual(regionGap(box(0, 0, 0, 10, 10), rNotch), 0);
+  const deep = poly(2, [20, 20, 60, 20, 60, 24, 24, 24, 24, 60, 20, 60]);
+  const far = box(3, 50, 50, 58, 58);
+  close(regionGap(deep, far), 26, 'L to the square in its notch');
+  assert.strictEqual(regionGap(deep, far, 5), Infinity);
+  assert.deepStrictEqual(
+    computeRelationsPure([deep, far], {
+      nearEnabled: false,
+      directionalEnabled: false,
+      depthOrderEnabled: false,
+      minOverlapArea: 1,
+    }),
+    [],
+  );
+  const withBoxes = computeRelationsPure([box(0, 0, 0, 10, 10), rNotch], {
+    nearDistance: 4,
+    minRegionAreaForNear: 1,
+    minOverlapArea: 1,
+  }).map((r) => r.predicate);
+  assert.deepStrictEqual(withBoxes, ['near', 'near', 'contains']);
+
+  // Input parsing (viewer socket / imports) and schema
+  assert.deepStrictEqual(parsePolygon([1, 2, 3, 4, 5, 6]), [
+    [1, 2, 3, 4, 5, 6],
+  ]);
+  assert.strictEqual(parsePolygon([[1, 2, 3, 4]]), null);
+  assert.strictEqual(parsePolygon({ counts: [1], size: [2, 2] }), null);
+  assert.strictEqual(
+    parseRotatedBox({ cx: 1, cy: 1, width: 0, height: 2 }),
+    null,
+  );
+  assert.deepStrictEqual(
+    parseRotatedBox({ cx: '1', cy: 2, width: 3, height: 4 }),
+    { cx: 1, cy: 2, width: 3, height: 4, angle: 0 },
+  );
+  const manifest = {
+    schemaVersion: SCHEMA_VERSION,
+    pixelMatrix: { width: 20, height: 20, channels: 3, phtFile: 'g.pht' },
+    metadataIndex: { index: {}, rdf: '' },
+    regionManager: { regions: [rL, diamond].map((r) => ({ ...r })) },
+  };
+  const shapeErrors = (m) =>
+    validateManifest(m).errors.filter((e) => /polygon|rotatedBox/.test(e));
+  assert.deepStrictEqual(shapeErrors(manifest), []);
+  manifest.regionManager.regions[1].rotatedBox = { cx: 'a' };
+  assert.ok(shapeErrors(manifest).length, 'malformed rotatedBox rejected');
+
+  // COCO import keeps polygon segmentations (clamped to the image)
+  const coco = {
+    images: [{ id: 1, file_name: 'g.png' }],
+    categories: [{ id: 1, name: 'roof' }],
+    annotations: [
+      {
+        image_id: 1,
+        category_id: 1,
+        bbox: [0, 0, 12, 10],
+        segmentation: [[0, 0, 12, 0, 0, 10]],
+      },
+      {
+        image_id: 1,
+        category_id: 1,
+        bbox: [1, 1, 2, 2],
+        segmentation: { counts: 'x' },
+      },
+    ],
+  };
+  const boxes = parseCoco(coco, { imageName: 'g' });
+  assert.deepStrictEqual(boxes[0].polygon, [[0, 0, 12, 0, 0, 10]]);
+  assert.strictEqual(boxes[1].polygon, undefined);
+  const target = { regions: [] };
+  addManualRegions(target, new MetadataIndex(), boxes, {
+    imageName: 'g',
+    width: 10,
+    height: 10,
+    format: 'coco',
+  });
+  assert.deepStrictEqual(target.regions[0].polygon, [[0, 0, 10, 0, 0, 10]]);
+  assert.deepStrictEqual(target.regions[0].boundary, {
+    x1: 0,
+    y1: 0,
+    x2: 10,
+    y2: 10,
+  });
+  close(regionArea(target.regions[0]), 50, 'imported triangle area');
+  console.log('Region geometry test passed.');
+}
+
+try {
+  run();
+} catch (e) {
+  console.error('Region geometry test failed:', e);
+  process.exitCode = 1;
+}
@@ -0,0 +1,187 @@
+// region-masks.test.mjs
+// Instance masks: RLE round-trip, label-map scaling, polygon outlines, mask-based IoU in
+// mergeOverlappingRegions and computeRelationsPure, persistence through the manifest, and
+// polygon segmentation in the COCO export.
+import assert from 'assert';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import PixelMatrix from '../src/common/PixelMatrix.js';
+import MetadataIndex from '../src/common/MetadataIndex.js';
+import RegionManager from '../src/common/RegionManager.js';
+import Serializer from '../src/common/Serializer.js';
+import { validateManifest } from '../src/common/manifest-schema.js';
+import { computeRelationsPure } from '../src/common/spatial-links.js';
+import { buildCoco } from '../src/common/coco-export.js';
+import {
+  attachMask,
+  clipMask,
+  decodeMask,
+  encodeMask,
+  maskArea,
+  maskFromLabelMap,
+  maskToPolygons,
+} from '../src/common/mask.js';
+import { regionIoU } from '../src/common/geometry.js';
+
+/** Mask of the pixels where `fn(x, y)` holds inside a w×h image. */
+function paint(w, h, fn) {
+  const bits = new Uint8Array(w * h);
+  for (let y = 0; y < h; y++)
+    for (let x = 0; x < w; x++) bits[y * w + x] = fn(x, y) ? 1 : 0;
+  return encodeMask(bits, w, h);
+}
+
+function masked(id, mask) {
+  return attachMask(
+    { id, boundary: {}, tags: ['x'], metadata: { uri: `uri://r/${id}` } },
+    mask,
+  );
+}
+
+async function run() {
+  // RLE: tight window, starts with a background run, decodes back
+  const ring = paint(20, 20, (x, y) => {
+    const d = Math.hypot(x - 10, y - 10);
+    return d <= 8 && d >= 4;
+  });
+  assert.deepStrictEqual(
+    [ring.x, ring.y, ring.width, ring.height],
+    [2, 2, 17, 17],
+  );
+  const bits = decodeMask(ring);
+  assert.strictEqual(
+    bits.reduce((a, b) => a + b, 0),
+    maskArea(ring),
+  );
+  assert.deepStrictEqual(
+    encodeMask(bits, ring.width, ring.height, ring.x, ring.y),
+    ring,
+  );
+
+  // Label map 4×2 scaled onto an 8×4 area at (10, 20)
+  const labels = [0, 7, 7, 0, 0, 0, 7, 0];
+  const lm = maskFromLabelMap(labels, 4, 2, 7, {
+    x: 10,
+    y: 20,
+    width: 8,
+    height: 4,
+  });
+  assert.deepStrictEqual([lm.x, lm.y, lm.width, lm.height], [12, 20, 4, 4]);
+  assert.strictEqual(maskArea(lm), 4 * 2 + 2 * 2);
+  assert.strictEqual(maskFromLabelMap(labels, 4, 2, 3), null);
+  assert.strictEqual(
+    maskArea(clipMask(lm, { x1: 0, y1: 0, x2: 14, y2: 22 })),
+    4,
+  );
+
+  // Polygon outline: a filled square is a single 4-corner ring on pixel corners
+  const square = paint(10, 10, (x, y) => x >= 2 && x < 7 && y >= 3 && y < 8);
+  const [poly, ...more] = maskToPolygons(square, { minArea: 1 });
+  assert.strictEqual(more.length, 0);
+  assert.strictEqual(poly.length, 8);
+  const xs = poly.filter((_, i) => i % 2 === 0);
+  const ys = poly.filter((_, i) => i % 2 === 1);
+  assert.deepStrictEqual(
+    [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)],
+    [2, 7, 3, 8],
+  );
+
+  // Two diagonal strokes: boxes are identical but the pixels never meet
+  const a = paint(40, 40, (x, y) => Math.abs(x - y) <= 1);
+  const b = paint(40, 40, (x, y) => Math.abs(x + y - 39) <= 1 && x < 18);
+  const c = paint(40, 40, (x, y) => Math.abs(x + y - 39) <= 1 && x > 21);
+  const rmDisjoint = new RegionManager();
+  rmDisjoint.regions.push(masked(0, a), masked(1, b));
+  assert.strictEqual(
+    regionIoU(rmDisjoint.regions[0], rmDisjoint.regions[1]),
+    0,
+  );
+  rmDisjoint.mergeOverlappingRegions(0.1);
+  assert.strictEqual(rmDisjoint.regions.length, 2, 'disjoint masks stay apart');
+
+  // Overlapping masks merge, and the merged region carries the union mask
+  const left = paint(40, 40, (x, y) => x < 24 && y < 20);
+  const right = paint(40, 40, (x, y) => x >= 8 && y < 20);
+  const rm = new RegionManager();
+  rm.regions.push(masked(0, left), masked(1, right), masked(2, c));
+  const prov = rm.mergeOverlappingRegions(0.3);
+  assert.strictEqual(rm.regions.length, 2);
+  const merged = rm.regions[prov.find((p) => p.sources.length > 1).target];
+  assert.strictEqual(maskArea(merged.mask), 40 * 20);
+  assert.deepStrictEqual(merged.boundary, { x1: 0, y1: 0, x2: 40, y2: 20 });
+  assert.ok(merged.polygon.length >= 1);
+
+  // A masked region merged with a box-only one falls back to the box
+  const rmMixed = new RegionManager();
+  rmMixed.regions.push(masked(0, left), {
+    id: 1,
+    boundary: { x1: 0, y1: 0, x2: 24, y2: 20 },
+    tags: ['x'],
+    metadata: { uri: 'uri://r/1' },
+  });
+  rmMixed.mergeOverlappingRegions(0.5);
+  assert.strictEqual(rmMixed.regions.length, 1);
+  assert.strictEqual(rmMixed.regions[0].mask, undefined);
+  assert.strictEqual(rmMixed.regions[0].polygon, undefined);
+
+  // Relations: parallel strokes whose boxes overlap (without containment) but whose
+  // pixels do not → overlaps only when compared as boxes
+  const d = paint(60, 40, (x, y) => Math.abs(x - y - 20) <= 1);
+  const rels = (regs) =>
+    computeRelationsPure(regs, { nearEnabled: false, minOverlapArea: 1 })
+      .filter((r) => r.predicate === 'overlaps')
+      .map((r) => `${r.source}-${r.target}`);
+  const strokes = [masked(0, a), masked(1, d)];
+  assert.deepStrictEqual(rels(strokes), []);
+  assert.deepStrictEqual(
+    rels(strokes.map((r) => ({ id: r.id, boundary: r.boundary }))),
+    ['0-1', '1-0'],
+  );
+  assert.deepStrictEqual(rels([masked(0, left), masked(1, right)]), [
+    '0-1',
+    '1-0',
+  ]);
+
+  // Persistence: mask + polygon survive save/load and the manifest validates
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'region-masks-'));
+  try {
+    const saved = new RegionManager();
+    saved.regions.push(masked(0, ring));
+    const jsonPath = path.join(dir, 'masks.json');
+    await new Serializer(
+      new PixelMatrix(20, 20, 3),
+      new MetadataIndex(),
+      saved,
+    ).save(jsonPath);
+    const manifest = JSON.parse(await fs.readFile(jsonPath, 'utf-8'));
+    assert.deepStrictEqual(validateManifest(manifest).errors, []);
+    const { regionManager } = await new Serializer().load(jsonPath);
+    assert.deepStrictEqual(regionManager.regions[0].mask, ring);
+    assert.deepStrictEqual(
+      regionManager.regions[0].polygon,
+      saved.regions[0].polygon,
+    );
+    const bad = JSON.parse(JSON.stringify(manifest));
+    bad.regionManager.regions[0].mask.counts = ['x'];
+    assert.ok(!validateManifest(bad).valid, 'malformed mask rejected');
+
+    // COCO: polygon segmentation and mask area
+    const coco = buildCoco([
+      { name: 'masks', width: 20, height: 20, regions: regionManager.regions },
+    ]);
+    assert.deepStrictEqual(
+      coco.annotations[0].segmentation,
+      saved.regions[0].polygon,
+    );
+    assert.strictEqual(coco.annotations[0].area, maskArea(ring));
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+  console.log('Region masks test passed.');
+}
+
+run().catch((e) => {
+  console.error('Region masks test failed:', e);
+  process.exitCode = 1;
+});
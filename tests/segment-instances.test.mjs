@@ -0,0 +1,103 @@
+// segment-instances.test.mjs
+// DeepLab instance splitting: connected parts of a class mask (with a minimum area),
+// 8-adjacency, and stitching of parts cut apart by tile borders.
+import assert from 'assert';
+import {
+  clipMask,
+  encodeMask,
+  maskArea,
+  maskBoundary,
+  maskComponents,
+  masksTouch,
+  stitchMasks,
+} from '../src/common/mask.js';
+
+/** Mask of the pixels where `fn(x, y)` holds inside a w×h image. */
+function paint(w, h, fn) {
+  const bits = new Uint8Array(w * h);
+  for (let y = 0; y < h; y++)
+    for (let x = 0; x < w; x++) bits[y * w + x] = fn(x, y) ? 1 : 0;
+  return encodeMask(bits, w, h);
+}
+
+const inBox = (x, y, x1, y1, x2, y2) => x >= x1 && x < x2 && y >= y1 && y < y2;
+
+function run() {
+  // Three "trees": two large blobs, one U-shape (connected below), one speck
+  const trees = paint(
+    60,
+    30,
+    (x, y) =>
+      inBox(x, y, 2, 2, 12, 12) ||
+      inBox(x, y, 30, 5, 34, 25) ||
+      inBox(x, y, 40, 5, 44, 25) ||
+      inBox(x, y, 30, 21, 44, 25) ||
+      inBox(x, y, 55, 28, 57, 30),
+  );
+  const parts = maskComponents(trees);
+  assert.strictEqual(parts.length, 3);
+  assert.deepStrictEqual(maskBoundary(parts[0]), {
+    x1: 2,
+    y1: 2,
+    x2: 12,
+    y2: 12,
+  });
+  assert.deepStrictEqual(maskBoundary(parts[1]), {
+    x1: 30,
+    y1: 5,
+    x2: 44,
+    y2: 25,
+  });
+  assert.strictEqual(
+    parts.reduce((n, p) => n + maskArea(p), 0),
+    maskArea(trees),
+  );
+  assert.strictEqual(maskComponents(trees, { minArea: 5 }).length, 2);
+
+  // Diagonal neighbours form one part (8-connected)
+  const diagonal = paint(4, 4, (x, y) => x === y);
+  assert.strictEqual(maskComponents(diagonal).length, 1);
+
+  // Touching: overlap, edge and corner contact count; a one-pixel gap does not
+  const box = (x1, y1, x2, y2) =>
+    paint(20, 20, (x, y) => inBox(x, y, x1, y1, x2, y2));
+  const a = box(0, 0, 5, 5);
+  assert.ok(masksTouch(a, box(5, 0, 9, 5)));
+  assert.ok(masksTouch(a, box(5, 5, 9, 9)));
+  assert.ok(masksTouch(a, box(3, 3, 9, 9)));
+  assert.ok(!masksTouch(a, box(6, 0, 9, 5)));
+  assert.ok(!masksTouch(a, box(0, 6, 5, 9)));
+
+  // Stitching: a car crossing the border between two tiles at x = 30, plus a
+  // second car and a road piece of another class touching the first
+  const scene = paint(60, 30, (x, y) => inBox(x, y, 20, 10, 40, 20));
+  const left = { x1: 0, y1: 0, x2: 30, y2: 30 };
+  const right = { x1: 30, y1: 0, x2: 60, y2: 30 };
+  const car = 7;
+  const road = 9;
+  const other = paint(60, 30, (x, y) => inBox(x, y, 50, 2, 58, 6));
+  const groups = stitchMasks([
+    { key: car, mask: clipMask(scene, left) },
+    { key: road, mask: paint(60, 30, (x, y) => inBox(x, y, 20, 20, 40, 22)) },
+    { key: car, mask: other },
+    { key: car, mask: clipMask(scene, right) },
+  ]);
+  assert.deepStrictEqual(
+    groups.map((g) => [g.key, g.parts.length]),
+    [
+      [car, 2],
+      [road, 1],
+      [car, 1],
+    ],
+  );
+  assert.deepStrictEqual(groups[0].mask, scene);
+  assert.deepStrictEqual(groups[2].mask, other);
+  console.log('Segment instances test passed.');
+}
+
+try {
+  run();
+} catch (e) {
+  console.error('Segment instances test failed:', e);
+  process.exitCode = 1;
+}
@@ -0,0 +1,283 @@
+// tests/spatial-directions.test.mjs
+// Directional, adjacency and depth-order predicates: leftOf/rightOf/above/below with the
+// angular tolerance, adjacentTo between boxes and masks, inFrontOf/behind from mask occlusion and the box fallback,
+// parity between computeRelationsPure and the graph, soft-delete constants and listing,
+// and intents for "what is left of the car".
+import assert from 'assert';
+import MetadataIndex from '../src/common/MetadataIndex.js';
+import OntologyExt from '../src/common/OntologyExtensions.js';
+import {
+  autoCreateRelationships,
+  computeRelationsPure,
+} from '../src/common/spatial-links.js';
+import { REL, DELREL, ALL_REL_P, toKey } from '../src/common/rel-const.js';
+import { listRelationships } from '../src/common/Relationships.js';
+import { encodeMask } from '../src/common/mask.js';
+import {
+  buildSparqlFromIntent,
+  normalizeIntent,
+  validateIntent,
+} from '../src/voice/VoiceService.js';
+
+const region = (id, x1, y1, x2, y2) => ({
+  id,
+  boundary: { x1, y1, x2, y2 },
+  tags: ['t'],
+  metadata: { uri: `uri://scene/singleImage/${id}` },
+});
+const only = (opts) => ({
+  nearEnabled: false,
+  containsEnabled: false,
+  overlapsEnabled: false,
+  insideRatioEnabled: false,
+  directionalEnabled: false,
+  adjacencyEnabled: false,
+  depthOrderEnabled: false,
+  ...opts,
+});
+const keys = (rels) =>
+  rels.map((r) => `${r.source} ${r.predicate} ${r.target}`).sort();
+
+// Directions: image y grows downwards; inverses come with every relation
+const car = region(0, 100, 100, 140, 120); // centre (120, 110)
+const around = [
+  car,
+  region(1, 40, 100, 60, 120), // centre (50, 110): left
+  region(2, 200, 80, 220, 100), // (210, 90): right, 12.5° up
+  region(3, 110, 20, 130, 40), // (120, 30): above
+  region(4, 140, 170, 160, 190), // (150, 180): below, 23° off vertical
+  region(5, 30, 20, 50, 40), // (40, 30): diagonal – no direction at 30°
+  region(6, 400, 100, 420, 120), // too far
+];
+const dirOpts = only({ directionalEnabled: true, directionalDistance: 150 });
+const fromCar = computeRelationsPure(around, dirOpts).filter(
+  (r) => r.source === 0 || r.target === 0,
+);
+assert.deepStrictEqual(
+  keys(fromCar),
+  [
+    '0 above 4',
+    '0 below 3',
+    '0 leftOf 2',
+    '0 rightOf 1',
+    '1 leftOf 0',
+    '2 rightOf 0',
+    '3 above 0',
+    '4 below 0',
+  ].sort(),
+);
+// tolerances are clamped to 45°, where the horizontal reading of a diagonal wins
+const wide = computeRelationsPure([car, around[5]], {
+  ...dirOpts,
+  directionTolerance: 60,
+});
+assert.deepStrictEqual(keys(wide), ['0 rightOf 5', '5 leftOf 0']);
+// directionalDistance defaults to nearDistance
+assert.strictEqual(
+  computeRelationsPure([car, around[1]], {
+    ...only({ directionalEnabled: true }),
+    nearDistance: 60,
+  }).length,
+  0,
+);
+// no direction between a container and its content
+const inner = region(7, 105, 102, 115, 110);
+assert.deepStrictEqual(
+  computeRelationsPure([car, inner], {
+    directionalEnabled: true,
+    minRegionAreaForNear: 1,
+    minOverlapArea: 1,
+    minInsideRatio: 0,
+  }).map((r) => r.predicate),
+  ['near', 'near', 'inside', 'contains'],
+);
+
+// Adjacency: within the gap and without real overlap, symmetric
+const adj = computeRelationsPure(
+  [
+    region(0, 0, 0, 10, 10),
+    region(1, 13, 0, 23, 10), // 3 px gap
+    region(2, 30, 0, 40, 10), // 7 px from 1
+    region(3, 5, 5, 15, 15), // overlaps 0 and 1 by 25 px
+  ],
+  only({ adjacencyEnabled: true, minOverlapArea: 20 }),
+);
+assert.deepStrictEqual(keys(adj), [
+  '0 adjacentTo 1',
+  '1 adjacentTo 0',
+  '1 adjacentTo 3',
+  '3 adjacentTo 1',
+]);
+// … measured between mask pixels, not boxes: an L-shaped mask is adjacent to a box
+// 2 px off its arm, not to one inside its box but 30 px from its pixels
+const lPix = new Uint8Array(100 * 100);
+for (let y = 0; y < 100; y++)
+  for (let x = 0; x < 100; x++) if (x < 6 || y >= 94) lPix[y * 100 + x] = 1;
+const lMask = {
+  ...region(0, 0, 0, 100, 100),
+  mask: encodeMask(lPix, 100, 100),
+};
+assert.deepStrictEqual(
+  keys(
+    computeRelationsPure(
+      [lMask, region(1, 8, 10, 18, 20), region(2, 60, 10, 70, 20)],
+      only({ adjacencyEnabled: true, minOverlapArea: 1 }),
+    ),
+  ),
+  ['0 adjacentTo 1', '1 adjacentTo 0'],
+);
+
+// Depth order: a person cut away where the car covers it is behind the car
+const W = 100;
+const H = 60;
+const carPix = new Uint8Array(W * H);
+const personPix = new Uint8Array(W * H);
+for (let y = 0; y < H; y++)
+  for (let x = 0; x < W; x++) {
+    if (x >= 20 && x < 80 && y >= 30 && y < 50) carPix[y * W + x] = 1;
+    // the person's box is 40..60 × 0..55 (reaching below the car), but only its upper
+    // part is visible: the rest is hidden behind the car
+    if (x >= 40 && x < 60 && y < 35) personPix[y * W + x] = 1;
+  }
+const masked = (id, pix, boundary) => ({
+  ...region(id, boundary.x1, boundary.y1, boundary.x2, boundary.y2),
+  mask: encodeMask(pix, W, H),
+});
+const carM = masked(0, carPix, { x1: 20, y1: 30, x2: 80, y2: 50 });
+const personM = masked(1, personPix, { x1: 40, y1: 0, x2: 60, y2: 55 });
+const depth = only({ depthOrderEnabled: true, minOverlapArea: 1 });
+assert.deepStrictEqual(keys(computeRelationsPure([personM, carM], depth)), [
+  '0 inFrontOf 1',
+  '1 behind 0',
+]);
+// plain boxes: the one reaching lower in the image is in front …
+assert.deepStrictEqual(
+  keys(
+    computeRelationsPure(
+      [region(0, 0, 0, 50, 80), region(1, 30, 20, 90, 60)],
+      depth,
+    ),
+  ),
+  ['0 inFrontOf 1', '1 behind 0'],
+);
+// … and equal bottoms give no order
+assert.deepStrictEqual(
+  computeRelationsPure(
+    [region(0, 0, 0, 50, 60), region(1, 30, 20, 90, 60)],
+    depth,
+  ),
+  [],
+);
+
+// Parity: the graph holds exactly the pure relations of the new predicates
+const scene = [...around, region(0, 423, 100, 443, 120), personM, carM].map(
+  (r, i) => ({
+    ...r,
+    id: i,
+    metadata: { uri: `uri://scene/singleImage/${i}` },
+  }),
+);
+const opts = { nearDistance: 150, minOverlapArea: 1 };
+const NEW = [
+  'leftOf',
+  'rightOf',
+  'above',
+  'below',
+  'adjacentTo',
+  'inFrontOf',
+  'behind',
+];
+const pure = computeRelationsPure(scene, opts)
+  .filter((r) => NEW.includes(r.predicate))
+  .map(
+    (r) =>
+      `${scene[r.source].metadata.uri} ${r.predicate} ${scene[r.target].metadata.uri}`,
+  )
+  .sort();
+const mi = new MetadataIndex();
+autoCreateRelationships(
+  scene,
+  { spatialRelationships: true, ...opts },
+  mi,
+  OntologyExt,
+);
+const inGraph = mi.store
+  .getQuads(null, null, null, null)
+  .filter((q) => NEW.includes(toKey(q.predicate.value)))
+  .map(
+    (q) => `${q.subject.value} ${toKey(q.predicate.value)} ${q.object.value}`,
+  )
+  .sort();
+assert.ok(NEW.every((p) => pure.some((k) => k.includes(` ${p} `))));
+assert.deepStrictEqual(inGraph, pure);
+
+// Soft delete: constants, key lookup and listing of the deleted variant
+assert.strictEqual(REL.leftOf, 'http://example.org/metadata#leftOf');
+assert.strictEqual(
+  DELREL.inFrontOf,
+  'http://example.org/metadata#deletedInFrontOf',
+);
+for (const k of NEW) {
+  assert.ok(ALL_REL_P.has(REL[k]) && ALL_REL_P.has(DELREL[k]));
+  assert.strictEqual(toKey(DELREL[k]), k);
+}
+assert.strictEqual(toKey('http://example.org/metadata#inside'), null);
+const carUri = 'uri://scene/singleImage/0';
+const leftUri = 'uri://scene/singleImage/1';
+const { namedNode } = (await import('n3')).DataFactory;
+mi.store.removeQuad(
+  namedNode(leftUri),
+  namedNode(REL.leftOf),
+  namedNode(carUri),
+);
+mi.store.addQuad(
+  namedNode(leftUri),
+  namedNode(DELREL.leftOf),
+  namedNode(carUri),
+);
+const listed = listRelationships(mi.store, carUri, REL, DELREL).filter(
+  (r) =>
+    r.other === leftUri && ['leftOf', 'rightOf'].includes(toKey(r.predicate)),
+);
+assert.deepStrictEqual(
+  listed.map((r) => [toKey(r.predicate), r.other, r.incoming, r.deleted]),
+  [
+    ['leftOf', leftUri, true, true],
+    ['rightOf', leftUri, false, false],
+  ],
+);
+
+// Intents: "what is left of the car"
+const intent = normalizeIntent(
+  'what is left of the car here',
+  {},
+  'urn:image:scene',
+);
+assert.strictEqual(intent.target, 'pairs');
+assert.deepStrictEqual(intent.types, ['ex:car']);
+assert.deepStrictEqual(intent.relationships.predicates, ['leftOf']);
+const v = validateIntent(intent);
+assert.ok(v.ok);
+const q = buildSparqlFromIntent(v.value);
+assert.ok(/VALUES \?pred \{ md:leftOf \}/.test(q), q);
+assert.ok(/\{ \?o a ex:car \. \}/.test(q), 'reference object typed');
+assert.ok(/\?s ex:within <urn:image:scene>/.test(q));
+assert.deepStrictEqual(
+  normalizeIntent('people behind or under the boats', {}, '').relationships
+    .predicates,
+  ['below', 'behind'],
+);
+assert.deepStrictEqual(
+  validateIntent({
+    target: 'pairs',
+    relationships: { predicates: ['inFrontOf', 'adjacentTo', 'westOf'] },
+  }).value.relationships.predicates,
+  ['inFrontOf', 'adjacentTo'],
+);
+const del = buildSparqlFromIntent({
+  target: 'pairs',
+  relationships: { predicates: ['above'], includeDeleted: true },
+});
+assert.ok(/VALUES \?pred \{ md:above md:deletedAbove \}/.test(del));
+
+console.log('Spatial directions test passed.');
@@ -0,0 +1,116 @@
+// tests/spatial-index.test.mjs
+// R-tree region index: searches match a full scan, RegionManager pixel/box/pair queries
+// follow region changes, relationships match an all-pairs reference, and a dense grid of
+// 10 000 regions keeps every near pair (no cap).
+import assert from 'assert';
+import { RTree } from '../src/common/rtree.js';
+import RegionManager from '../src/common/RegionManager.js';
+import { computeRelationsPure } from '../src/common/spatial-links.js';
+import {
+  regionArea,
+  regionContains,
+  regionDistance,
+} from '../src/common/geometry.js';
+
+// deterministic pseudo-random boxes
+let seed = 7;
+const rand = () => (seed = (seed * 1103515245 + 12345) % 2 ** 31) / 2 ** 31;
+const randomBox = () => {
+  const x = rand() * 1000;
+  const y = rand() * 1000;
+  return { x1: x, y1: y, x2: x + 1 + rand() * 60, y2: y + 1 + rand() * 60 };
+};
+
+// Tree search equals a scan (touching boxes included, null entries skipped)
+const boxes = Array.from({ length: 2000 }, randomBox);
+boxes[5] = null;
+const tree = new RTree(boxes, 8);
+assert.strictEqual(tree.size, 1999);
+for (let k = 0; k < 50; k++) {
+  const q = randomBox();
+  const scan = boxes.flatMap((b, i) =>
+    b && b.x1 <= q.x2 && b.x2 >= q.x1 && b.y1 <= q.y2 && b.y2 >= q.y1
+      ? [i]
+      : [],
+  );
+  assert.deepStrictEqual(tree.search(q), scan);
+}
+assert.deepStrictEqual(
+  new RTree([]).search({ x1: 0, y1: 0, x2: 1, y2: 1 }),
+  [],
+);
+
+// RegionManager queries
+const rm = new RegionManager();
+rm.defineRegion({ x1: 0, y1: 0, x2: 10, y2: 10 }, ['a'], {});
+rm.defineRegion({ x1: 10, y1: 0, x2: 20, y2: 10 }, ['b'], {});
+rm.defineRegion({ x1: 100, y1: 100, x2: 120, y2: 120 }, ['c'], {});
+const ids = (rs) => rs.map((r) => r.id);
+assert.deepStrictEqual(ids(rm.getRegionsByPixel(10, 5)), [0, 1]);
+assert.deepStrictEqual(ids(rm.getRegionsByPixel(50, 50)), []);
+// edges that only touch the box do not count
+assert.deepStrictEqual(
+  ids(rm.getRegionsInBox({ x1: 20, y1: 0, x2: 110, y2: 110 })),
+  [2],
+);
+assert.deepStrictEqual(rm.candidatePairs(), [[0, 1]]);
+assert.deepStrictEqual(rm.candidatePairs(89), [[0, 1]]);
+assert.deepStrictEqual(rm.candidatePairs(90), [
+  [0, 1],
+  [0, 2],
+  [1, 2],
+]);
+// a new region is picked up; a region moved in place after invalidateSpatialIndex()
+rm.defineRegion({ x1: 45, y1: 45, x2: 55, y2: 55 }, ['d'], {});
+assert.deepStrictEqual(ids(rm.getRegionsByPixel(50, 50)), [3]);
+rm.regions[2].boundary = { x1: 40, y1: 40, x2: 60, y2: 60 };
+rm.invalidateSpatialIndex();
+assert.deepStrictEqual(ids(rm.getRegionsByPixel(50, 50)), [2, 3]);
+// replacing the list (merge, load) rebuilds the index
+rm.mergeOverlappingRegions(0.1);
+assert.deepStrictEqual(ids(rm.getRegionsByPixel(50, 50)), [2]);
+
+// Relationships match an all-pairs reference
+const regions = Array.from({ length: 400 }, (_, id) => ({
+  id,
+  boundary: randomBox(),
+  tags: ['t'],
+  metadata: {},
+}));
+const opts = { nearDistance: 40, minRegionAreaForNear: 1, minOverlapArea: 1 };
+const key = (r) => `${r.predicate} ${r.source} ${r.target}`;
+const got = computeRelationsPure(regions, opts).map(key);
+const want = [];
+for (let i = 0; i < regions.length; i++)
+  for (let j = i + 1; j < regions.length; j++) {
+    const [A, B] = [regions[i], regions[j]];
+    if (regionDistance(A, B) < 40 && regionArea(A) >= 1 && regionArea(B) >= 1)
+      want.push(`near ${i} ${j}`, `near ${j} ${i}`);
+    if (regionContains(A, B)) want.push(`contains ${i} ${j}`);
+    if (regionContains(B, A)) want.push(`contains ${j} ${i}`);
+  }
+assert.ok(want.length > 100);
+assert.deepStrictEqual(
+  got.filter((k) => /^(near|contains) /.test(k)).sort(),
+  want.sort(),
+);
+
+// Dense grid: 100 × 100 boxes 10 px apart; neighbours and diagonals are near (< 15 px)
+const grid = [];
+for (let gy = 0; gy < 100; gy++)
+  for (let gx = 0; gx < 100; gx++)
+    grid.push({
+      id: grid.length,
+      boundary: { x1: gx * 10, y1: gy * 10, x2: gx * 10 + 8, y2: gy * 10 + 8 },
+      tags: ['t'],
+      metadata: {},
+    });
+const started = Date.now();
+const near = computeRelationsPure(grid, {
+  nearDistance: 15,
+  containsEnabled: false,
+}).filter((r) => r.predicate === 'near');
+assert.strictEqual(near.length, 2 * (2 * 100 * 99 + 2 * 99 * 99));
+assert.ok(Date.now() - started < 30000, 'grid took too long');
+
+console.log('Spatial index test passed.');
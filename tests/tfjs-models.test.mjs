@@ -0,0 +1,128 @@
+// tests/tfjs-models.test.mjs
+// Local TF.js models: a model directory with matching SHA256SUMS resolves to a file:// URL,
+// a model that was never installed falls back to the hosted URL, one whose model.json is
+// gone fails with EMODEL (TFJS_ALLOW_HOSTED overrides both ways), and damaged, incomplete
+// or unlisted files fail with EMODEL.
+import assert from 'assert';
+import path from 'path';
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import {
+  parseSha256Sums,
+  resolveTfjsModel,
+  tfjsModelsDir,
+  verifyModelDir,
+} from '../src/common/tfjs-models.js';
+
+const ROOT = path.join(process.cwd(), 'output', '__tfjs_models_test');
+const sha = (s) => createHash('sha256').update(s).digest('hex');
+
+// Write a fake model (model.json + two shards) and its sums into <dir>/coco-ssd
+async function fakeModel(dir, { sums = true, listShard2 = true } = {}) {
+  const m = path.join(dir, 'coco-ssd');
+  await fs.mkdir(m, { recursive: true });
+  const files = {
+    'model.json': JSON.stringify({
+      modelTopology: {},
+      weightsManifest: [
+        { paths: ['group1-shard1of2.bin', 'group1-shard2of2.bin'] },
+      ],
+    }),
+    'group1-shard1of2.bin': 'weights-1',
+    'group1-shard2of2.bin': 'weights-2',
+  };
+  for (const [f, body] of Object.entries(files))
+    await fs.writeFile(path.join(m, f), body);
+  if (sums)
+    await fs.writeFile(
+      path.join(m, 'SHA256SUMS'),
+      Object.entries(files)
+        .filter(([f]) => listShard2 || f !== 'group1-shard2of2.bin')
+        .map(([f, body]) => `${sha(body)}  ${f}\n`)
+        .join(''),
+    );
+  return m;
+}
+
+const rejects = (p, re) =>
+  assert.rejects(p, (e) => e.code === 'EMODEL' && re.test(e.message));
+
+try {
+  assert.deepStrictEqual(
+    [...parseSha256Sums(`${'A'.repeat(64)} *./x.bin\nnoise\n`)],
+    [['x.bin', 'a'.repeat(64)]],
+  );
+
+  // verified local copy
+  const good = path.join(ROOT, 'good');
+  const m = await fakeModel(good);
+  assert.strictEqual(
+    await resolveTfjsModel('coco-ssd', { dir: good }),
+    `file://${path.join(m, 'model.json')}`,
+  );
+  assert.strictEqual((await verifyModelDir(m)).length, 3);
+
+  // missing: never installed → hosted URL; installed but model.json gone → EMODEL;
+  // TFJS_ALLOW_HOSTED=1/0 allows or forbids the hosted URL in both cases
+  const empty = path.join(ROOT, 'empty');
+  const broken = path.join(ROOT, 'broken');
+  await fs.rm(path.join(await fakeModel(broken), 'model.json'));
+  const { TFJS_ALLOW_HOSTED } = process.env;
+  delete process.env.TFJS_ALLOW_HOSTED;
+  assert.strictEqual(await resolveTfjsModel('coco-ssd', { dir: empty }), null);
+  await rejects(
+    resolveTfjsModel('coco-ssd', { dir: broken }),
+    /not found.*install\.sh.*TFJS_ALLOW_HOSTED/,
+  );
+  process.env.TFJS_ALLOW_HOSTED = '1';
+  assert.strictEqual(await resolveTfjsModel('coco-ssd', { dir: broken }), null);
+  process.env.TFJS_ALLOW_HOSTED = '0';
+  await rejects(resolveTfjsModel('coco-ssd', { dir: empty }), /not found/);
+  if (TFJS_ALLOW_HOSTED === undefined) delete process.env.TFJS_ALLOW_HOSTED;
+  else process.env.TFJS_ALLOW_HOSTED = TFJS_ALLOW_HOSTED;
+  await rejects(
+    resolveTfjsModel('deeplab-ade20k', { dir: empty, allowHosted: false }),
+    /not found/,
+  );
+  await rejects(resolveTfjsModel('yolo', { dir: good }), /unknown/);
+
+  // damaged shard
+  const bad = path.join(ROOT, 'bad');
+  await fs.writeFile(
+    path.join(await fakeModel(bad), 'group1-shard1of2.bin'),
+    'tampered',
+  );
+  await rejects(
+    resolveTfjsModel('coco-ssd', { dir: bad, allowHosted: true }),
+    /hash mismatch for .*group1-shard1of2\.bin/,
+  );
+  // deleted shard, no sums, shard not covered by the sums
+  const gone = await fakeModel(path.join(ROOT, 'gone'));
+  await fs.rm(path.join(gone, 'group1-shard2of2.bin'));
+  await rejects(verifyModelDir(gone), /group1-shard2of2\.bin .*missing/);
+  await rejects(
+    verifyModelDir(await fakeModel(path.join(ROOT, 'nosums'), { sums: false })),
+    /SHA256SUMS missing/,
+  );
+  await rejects(
+    verifyModelDir(
+      await fakeModel(path.join(ROOT, 'partial'), { listShard2: false }),
+    ),
+    /group1-shard2of2\.bin is not listed/,
+  );
+
+  // directory defaults
+  const { MODELS_DIR, TFJS_MODELS_DIR } = process.env;
+  delete process.env.TFJS_MODELS_DIR;
+  process.env.MODELS_DIR = '/srv/models';
+  assert.strictEqual(tfjsModelsDir(), path.resolve('/srv/models/tfjs'));
+  process.env.TFJS_MODELS_DIR = '/opt/tfjs';
+  assert.strictEqual(tfjsModelsDir(), path.resolve('/opt/tfjs'));
+  for (const [k, v] of Object.entries({ MODELS_DIR, TFJS_MODELS_DIR }))
+    if (v === undefined) delete process.env[k];
+    else process.env[k] = v;
+} finally {
+  await fs.rm(ROOT, { recursive: true, force: true });
+}
+
+console.log('TF.js model store test passed.');
@@ -0,0 +1,174 @@
+// tests/tile-integrity.test.mjs
+// Merkle-tree tile integrity: proofs for every tree shape, root stored on save and kept
+// (or refreshed for rewritten tiles) across re-saves, a full mismatch report instead of a
+// throw, and per-tile checks in /getTile (TILE_INTEGRITY=enforce answers 409).
+import http from 'http';
+import assert from 'assert';
+import path from 'path';
+import { promises as fs } from 'fs';
+import PixelMatrix from '../src/common/PixelMatrix.js';
+import MetadataIndex from '../src/common/MetadataIndex.js';
+import RegionManager from '../src/common/RegionManager.js';
+import TiledMLSerializer from '../src/tiled/TiledMLSerializer.js';
+import IntegrityManager from '../src/common/IntegrityManager.js';
+import { validateManifest } from '../src/common/manifest-schema.js';
+import {
+  buildMerkleLevels,
+  merkleRoot,
+  merkleProof,
+  verifyMerkleProof,
+} from '../src/common/merkle.js';
+
+process.env.PORT = process.env.PORT || '3024';
+process.env.TILE_INTEGRITY = 'enforce';
+const NAME = '__integrity_test';
+const OUT = path.join(process.cwd(), 'output');
+const jsonPath = path.join(OUT, `${NAME}.json`);
+const tilePath = (i) => path.join(OUT, `${NAME}_tile_${i}.pht`);
+const readJson = async () => JSON.parse(await fs.readFile(jsonPath, 'utf-8'));
+
+// Proofs hold for every leaf of every shape; the odd-leaf rule does not collide
+const hex = (n) => n.toString(16).padStart(64, '0');
+for (let n = 1; n <= 9; n++) {
+  const hashes = Array.from({ length: n }, (_, i) => hex(i + 1));
+  const levels = buildMerkleLevels(hashes);
+  const root = merkleRoot(levels);
+  assert.strictEqual(root, merkleRoot(hashes));
+  for (let i = 0; i < n; i++) {
+    const proof = merkleProof(levels, i);
+    assert.ok(verifyMerkleProof(hashes[i], proof, root), `n=${n} i=${i}`);
+    assert.ok(!verifyMerkleProof(hex(99), proof, root));
+  }
+}
+assert.notStrictEqual(
+  merkleRoot([hex(1), hex(2), hex(3)]),
+  merkleRoot([hex(1), hex(2), hex(3), hex(3)]),
+);
+
+const tiles = Array.from({ length: 5 }, (_, i) => {
+  const pm = new PixelMatrix(4, 4, 3);
+  pm.pixels.fill(i * 10);
+  return { x: i * 4, y: 0, pixelMatrix: pm };
+});
+await fs.mkdir(OUT, { recursive: true });
+
+try {
+  await TiledMLSerializer.save(
+    tiles,
+    new MetadataIndex(),
+    new RegionManager(),
+    jsonPath,
+  );
+  await IntegrityManager.storeTileHashes(
+    jsonPath,
+    tiles.map((_, i) => tilePath(i)),
+    { concurrency: 2 },
+  );
+  const stored = (await readJson()).integrity;
+  assert.strictEqual(stored.merkle.leafCount, 5);
+  assert.strictEqual(
+    stored.merkle.root,
+    merkleRoot(stored.tiles.map((t) => t.hash)),
+  );
+  assert.deepStrictEqual(validateManifest(await readJson()).errors, []);
+  assert.ok((await IntegrityManager.verifyTileHashes(jsonPath)).ok);
+
+  // Viewer-style re-save (lazy tiles, nothing rewritten) keeps the section untouched
+  const loaded = await TiledMLSerializer.load(jsonPath, { lazy: true });
+  await TiledMLSerializer.save(
+    loaded.tiles,
+    loaded.metadataIndex,
+    loaded.regionManager,
+    jsonPath,
+  );
+  assert.deepStrictEqual((await readJson()).integrity, stored);
+
+  // A tile the serializer rewrites gets a fresh leaf and root
+  loaded.tiles[2] = { ...tiles[2], pixelMatrix: new PixelMatrix(4, 4, 3) };
+  loaded.tiles[2].pixelMatrix.pixels.fill(255);
+  await TiledMLSerializer.save(
+    loaded.tiles,
+    loaded.metadataIndex,
+    loaded.regionManager,
+    jsonPath,
+  );
+  const refreshed = (await readJson()).integrity;
+  assert.notStrictEqual(refreshed.tiles[2].hash, stored.tiles[2].hash);
+  assert.notStrictEqual(refreshed.merkle.root, stored.merkle.root);
+  assert.deepStrictEqual(refreshed.tiles[0], stored.tiles[0]);
+  assert.ok((await IntegrityManager.verifyTileHashes(jsonPath)).ok);
+
+  // Every bad tile is reported, nothing thrown
+  const t1 = await fs.readFile(tilePath(1));
+  t1[t1.length - 1] ^= 0xff;
+  await fs.writeFile(tilePath(1), t1);
+  await fs.appendFile(tilePath(3), Buffer.from([1]));
+  await fs.rename(tilePath(4), `${tilePath(4)}.moved`);
+  const report = await IntegrityManager.verifyTileHashes(jsonPath, {
+    concurrency: 3,
+  });
+  assert.strictEqual(report.ok, false);
+  assert.strictEqual(report.checked, 5);
+  assert.strictEqual(report.rootMatches, true);
+  assert.deepStrictEqual(
+    report.mismatches.map((m) => [m.index, m.status]),
+    [
+      [1, 'modified'],
+      [3, 'modified'],
+      [4, 'missing'],
+    ],
+  );
+  assert.match(IntegrityManager.formatReport(report), /_tile_4\.pht missing/);
+  await fs.rename(`${tilePath(4)}.moved`, tilePath(4));
+
+  // Single-tile checks, also against a hash list edited behind the root's back
+  const idx = IntegrityManager.tileIndex(refreshed);
+  assert.strictEqual(
+    (await IntegrityManager.verifyTile(idx, OUT, tilePath(0))).status,
+    'ok',
+  );
+  assert.strictEqual(
+    (await IntegrityManager.verifyTile(idx, OUT, tilePath(1))).status,
+    'modified',
+  );
+  const forged = JSON.parse(JSON.stringify(refreshed));
+  forged.tiles[1].hash = await IntegrityManager.computeFileHash(tilePath(1));
+  assert.strictEqual(
+    (
+      await IntegrityManager.verifyTile(
+        IntegrityManager.tileIndex(forged),
+        OUT,
+        tilePath(1),
+      )
+    ).status,
+    'root-mismatch',
+  );
+
+  // /getTile serves intact tiles and refuses tampered ones when enforcing
+  await import('../src/viewer/InteractiveViewerServer.js');
+  await new Promise((r) => setTimeout(r, 300));
+  const get = (index) =>
+    new Promise((resolve, reject) => {
+      http
+        .get(
+          `http://127.0.0.1:${process.env.PORT}/getTile?jsonPath=${encodeURIComponent(`output/${NAME}.json`)}&index=${index}`,
+          (res) => {
+            res.resume();
+            res.on('end', () =>
+              resolve({
+                status: res.statusCode,
+                integrity: res.headers['x-tile-integrity'],
+              }),
+            );
+          },
+        )
+        .on('error', reject);
+    });
+  assert.deepStrictEqual(await get(0), { status: 200, integrity: 'ok' });
+  assert.deepStrictEqual(await get(1), { status: 409, integrity: 'modified' });
+  console.log('Tile integrity test passed.');
+} finally {
+  for (const f of await fs.readdir(OUT))
+    if (f.startsWith(NAME)) await fs.rm(path.join(OUT, f), { force: true });
+}
+process.exit(process.exitCode || 0);
@@ -20,26 +20,23 @@ async function tiny() {
 async function run() {
   const buf = await tiny();
   const ip = new ImageProcessor(buf, 'tiny', { performanceProfile: 'fast' });
-  ip.mlProcessor.loadCocoModel = async () => {
-    ip.mlProcessor.cocoModel = {
-      detect: async () => [
-        { class: 'person', score: 0.8, bbox: [5, 5, 20, 20] },
-      ],
-    };
-  };
-  ip.mlProcessor.loadDeepLabModel = async () => {
-    ip.mlProcessor.deeplabModel = null;
-  };
-  ip.mlProcessor.detectRegions = async () => ({
-    detections: [
+  // the same fake object detector in both pipelines
+  const coco = {
+    name: 'coco-ssd',
+    role: 'objects',
+    model: 'coco-ssd',
+    modelUri: 'http://example.org/model/coco-ssd',
+    infer: async () => [
       {
-        class: 'person',
-        score: 0.8,
+        label: 'person',
+        confidence: 0.8,
         boundary: { x1: 5, y1: 5, x2: 25, y2: 25 },
       },
     ],
-    deeplabSegmentation: null,
-  });
+  };
+  ip.mlProcessor.loadDetectors = async () => {
+    ip.mlProcessor.detectors = [coco];
+  };
   await ip.processImage();
   const singleLabels = new Set(ip.regionManager.regions.map((r) => r.tags[0]));
 
@@ -50,12 +47,7 @@ async function run() {
     cocoScoreThreshold: 0.1,
   });
   tp.loadModels = async () => {
-    tp.coco = {
-      detect: async () => [
-        { class: 'person', score: 0.8, bbox: [5, 5, 20, 20] },
-      ],
-    };
-    tp.deeplab = { segment: async () => ({}) };
+    tp.detectors = [coco];
   };
   await tp.processImage();
   const tiledLabels = new Set(tp.regionManager.regions.map((r) => r.tags[0]));
@@ -28,16 +28,31 @@ async function run() {
     performanceProfile: 'balanced',
     cocoScoreThreshold: 0.5,
   });
-  // Inject fake detections + minimal deeplab segmentation to keep pipeline happy
+  // Inject fake detections + an empty segmentation detector to keep pipeline happy
   proc.loadModels = async () => {
-    proc.coco = {
-      detect: async () => [
-        { bbox: [10, 10, 20, 20], score: 0.99, class: 'object' },
-      ],
-    };
-    proc.deeplab = {
-      segment: async () => ({ legend: {}, segmentationMap: new Uint8Array(1) }),
-    };
+    proc.detectors = [
+      {
+        name: 'coco-ssd',
+        role: 'objects',
+        model: 'coco-ssd',
+        modelUri: 'http://example.org/model/coco-ssd',
+        infer: async () => [
+          {
+            label: 'object',
+            confidence: 0.99,
+            boundary: { x1: 10, y1: 10, x2: 30, y2: 30 },
+          },
+        ],
+      },
+      {
+        name: 'deeplab-ade20k',
+        role: 'segments',
+        title: 'DeepLab',
+        model: 'deeplab',
+        modelUri: 'http://example.org/model/deeplab-ade20k',
+        infer: async () => [],
+      },
+    ];
   };
   await proc.processImage();
   if (!proc.tiles.length) throw new Error('No tiles generated');